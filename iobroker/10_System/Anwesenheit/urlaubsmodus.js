@@ -0,0 +1,272 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout */
+
+/**
+ * @fileoverview Urlaubsmodus (zentral fuer Heizung, Therme, Licht und Lernsystem)
+ * @version 1.0
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Ein Schalter fuer "wir sind zwei Wochen weg". Start und Ende werden unter
+ * 0_userdata.0.Urlaub eingetragen ('JJJJ-MM-TT', 'JJJJ-MM-TT HH:MM',
+ * 'TT.MM.JJJJ [HH:MM]' oder Zeitstempel in ms). Das Skript bestimmt daraus
+ * minuetlich die Phase und veroeffentlicht sie; die beteiligten Skripte
+ * reagieren selbst auf die Datenpunkte:
+ *
+ *   Phase        Urlaub.Aktiv  Wirkung
+ *   'aus'        false         Normalbetrieb
+ *   'geplant'    false         Normalbetrieb, Urlaub eingetragen
+ *   'urlaub'     true          raum_steuerung_generisch.js: alle Raeume auf Urlaub.EcoTemp
+ *                              vailant-steuerung_(ebusd).js: Heizkreis im reduzierten Modus
+ *                              beleuchtung_szenen_steuern.js: zufaellige Anwesenheitssimulation
+ *                              heizungs_lerner.js: Lernpause
+ *   'vorheizen'  false         URLAUB.vorheizStunden vor der Rueckkehr: Raumsteuerung
+ *                              regelt wieder normal, Heizung.Vorheizen.Erwartete_Ankunft
+ *                              = Rueckkehr (Optimum-Start bis Anwesend-Temperatur).
+ *                              Lernpause bleibt aktiv.
+ *
+ * Nach der Rueckkehr pausiert heizungs_lerner.js zusaetzlich fuer die Dauer
+ * seines Analysezeitraums (Urlaub.Rueckkehr), damit keine Urlaubsphasen
+ * gelernt werden.
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SCHEDULE = '* * * * *';
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = '0_userdata.0.Urlaub';
+    const ERWARTETE_ANKUNFT_ID = '0_userdata.0.Heizung.Vorheizen.Erwartete_Ankunft';
+
+    const URLAUB = {
+        startUhrzeit: '00:00',      // wenn Start ohne Uhrzeit eingetragen ist
+        rueckkehrUhrzeit: '16:00',  // wenn Ende ohne Uhrzeit eingetragen ist
+        vorheizStunden: 6,          // >= maxVorlaufMinuten der Raumsteuerung (4 h)
+        ecoTempStandard: 15.0,      // °C
+    };
+
+    const BENACHRICHTIGUNG = {
+        pushover: { aktiviert: true, instanz: 'pushover.0' },
+        telegram: { aktiviert: false, instanz: 'telegram.0' },
+    };
+
+    const IDS = {
+        start: `${BASIS_PFAD}.Start`,
+        ende: `${BASIS_PFAD}.Ende`,
+        ecoTemp: `${BASIS_PFAD}.EcoTemp`,
+        aktiv: `${BASIS_PFAD}.Aktiv`,
+        phase: `${BASIS_PFAD}.Phase`,
+        rueckkehr: `${BASIS_PFAD}.Rueckkehr`,
+        status: `${BASIS_PFAD}.Status`,
+    };
+
+    const PHASEN_TEXT = {
+        aus: 'kein Urlaub',
+        geplant: 'Urlaub geplant',
+        urlaub: 'Urlaub (Eco-Betrieb)',
+        vorheizen: 'Vorheizen fuer die Rueckkehr',
+    };
+
+    /** Letzte veroeffentlichte Phase (null = seit Skriptstart noch keine). */
+    let letztePhase = null;
+    /** Von diesem Skript gesetzte erwartete Ankunft (0 = keine). */
+    let gesetzteAnkunft = 0;
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    function formatiere(ts) {
+        return new Date(ts).toLocaleString('de-DE', {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+        });
+    }
+
+    /**
+     * Wandelt eine Datumseingabe in einen Zeitstempel um.
+     * @param {any} wert - Zeitstempel in ms oder Text (ISO- oder deutsches Format)
+     * @param {string} standardUhrzeit - 'HH:MM', falls der Text keine Uhrzeit enthaelt
+     * @returns {number|null} 0 = leer, null = nicht lesbar
+     */
+    function parseDatum(wert, standardUhrzeit) {
+        if (wert === null || wert === undefined || wert === '' || wert === 0) return 0;
+        if (typeof wert === 'number') return wert > 0 ? wert : null;
+
+        const text = String(wert).trim();
+        let teile = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+        let jahr, monat, tag;
+        if (teile) {
+            [jahr, monat, tag] = [teile[1], teile[2], teile[3]].map(Number);
+        } else {
+            teile = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?: (\d{1,2}):(\d{2}))?$/);
+            if (!teile) return null;
+            [tag, monat, jahr] = [teile[1], teile[2], teile[3]].map(Number);
+        }
+        const [stunde, minute] = teile[4] !== undefined
+            ? [Number(teile[4]), Number(teile[5])]
+            : standardUhrzeit.split(':').map(Number);
+
+        const datum = new Date(jahr, monat - 1, tag, stunde, minute);
+        if (datum.getMonth() !== monat - 1 || datum.getDate() !== tag || stunde > 23 || minute > 59) return null;
+        return datum.getTime();
+    }
+
+    /**
+     * Bestimmt die Phase aus Start, Ende und aktueller Zeit.
+     * @returns {{phase: string, fehler: string|null}}
+     */
+    function ermittlePhase(start, ende, jetzt) {
+        if (start === null) return { phase: 'aus', fehler: 'Start nicht lesbar' };
+        if (ende === null) return { phase: 'aus', fehler: 'Ende nicht lesbar' };
+        if (!start || !ende) return { phase: 'aus', fehler: null };
+        if (ende <= start) return { phase: 'aus', fehler: 'Ende liegt nicht nach dem Start' };
+
+        if (jetzt < start) return { phase: 'geplant', fehler: null };
+        if (jetzt < ende - URLAUB.vorheizStunden * 3600000) return { phase: 'urlaub', fehler: null };
+        if (jetzt < ende) return { phase: 'vorheizen', fehler: null };
+        return { phase: 'aus', fehler: null };
+    }
+
+    /**
+     * Sendet an alle aktivierten Kanaele; ein fehlerhafter Kanal blockiert die anderen nicht.
+     */
+    async function sendeBenachrichtigung(titel, text) {
+        const { pushover, telegram } = BENACHRICHTIGUNG;
+        if (pushover.aktiviert) {
+            try {
+                await sendToAsync(pushover.instanz, 'send', { message: text, title: titel, priority: -1 });
+            } catch (e) {
+                log(`[Urlaub] Pushover fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+        if (telegram.aktiviert) {
+            try {
+                await sendToAsync(telegram.instanz, 'send', { text: `${titel}\n${text}` });
+            } catch (e) {
+                log(`[Urlaub] Telegram fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+    }
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: IDS.start, def: '', common: { name: 'Urlaub: Start (JJJJ-MM-TT [HH:MM], leer = kein Urlaub)', type: 'string', role: 'text', read: true, write: true } },
+            { id: IDS.ende, def: '', common: { name: 'Urlaub: Rueckkehr (JJJJ-MM-TT [HH:MM])', type: 'string', role: 'text', read: true, write: true } },
+            { id: IDS.ecoTemp, def: URLAUB.ecoTempStandard, common: { name: 'Urlaub: Eco-Temperatur aller Raeume', type: 'number', role: 'level.temperature', unit: '°C', min: 5, max: 20, read: true, write: true } },
+            { id: IDS.aktiv, def: false, common: { name: 'Urlaub: Eco-Betrieb aktiv', type: 'boolean', role: 'indicator', read: true, write: false } },
+            { id: IDS.phase, def: 'aus', common: { name: 'Urlaub: Phase (aus/geplant/urlaub/vorheizen)', type: 'string', role: 'text', read: true, write: false } },
+            { id: IDS.rueckkehr, def: 0, common: { name: 'Urlaub: Rueckkehr (Zeitstempel, 0 = keine)', type: 'number', role: 'date', read: true, write: false } },
+            { id: IDS.status, def: '', common: { name: 'Urlaub: Status', type: 'string', role: 'text', read: true, write: false } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. PHASENWECHSEL
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Fuehrt die einmaligen Aktionen beim Wechsel der Phase aus.
+     */
+    async function wechslePhase(alt, neu, ende) {
+        log(`[Urlaub] Phase ${alt || '-'} -> ${neu}.`, 'info');
+
+        if (neu === 'vorheizen') {
+            gesetzteAnkunft = ende;
+            await setStateAsync(ERWARTETE_ANKUNFT_ID, ende, false);
+            log(`[Urlaub] Erwartete Ankunft ${formatiere(ende)} an die Raumsteuerung gemeldet.`, 'info');
+        } else if (gesetzteAnkunft) {
+            // Urlaub abgebrochen oder verschoben: eigene Ankunft zuruecknehmen
+            const ankunft = Number((await getStateAsync(ERWARTETE_ANKUNFT_ID))?.val) || 0;
+            if (ankunft === gesetzteAnkunft && ankunft > Date.now()) {
+                await setStateAsync(ERWARTETE_ANKUNFT_ID, 0, false);
+            }
+            gesetzteAnkunft = 0;
+        }
+
+        // Beim Skriptstart nur den Zustand uebernehmen, nicht erneut melden
+        if (alt === null) return;
+        if (neu === 'urlaub') {
+            await sendeBenachrichtigung('Urlaubsmodus aktiv', `Eco-Betrieb bis ${formatiere(ende)} (Vorheizen ${URLAUB.vorheizStunden} h vorher).`);
+        } else if (neu === 'vorheizen') {
+            await sendeBenachrichtigung('Urlaubsmodus: Vorheizen', `Das Haus wird fuer die Rueckkehr um ${formatiere(ende)} aufgeheizt.`);
+        } else if (neu === 'aus' && (alt === 'urlaub' || alt === 'vorheizen')) {
+            await sendeBenachrichtigung('Urlaubsmodus beendet', 'Normalbetrieb.');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    async function main() {
+        try {
+            const start = parseDatum((await getStateAsync(IDS.start))?.val, URLAUB.startUhrzeit);
+            const ende = parseDatum((await getStateAsync(IDS.ende))?.val, URLAUB.rueckkehrUhrzeit);
+            const { phase, fehler } = ermittlePhase(start, ende, Date.now());
+
+            if (phase !== letztePhase) {
+                await wechslePhase(letztePhase, phase, ende);
+                letztePhase = phase;
+            }
+
+            let status = PHASEN_TEXT[phase];
+            if (fehler) {
+                status = `FEHLER: ${fehler}`;
+            } else if (phase !== 'aus') {
+                status += ` (${formatiere(start)} bis ${formatiere(ende)})`;
+            }
+
+            await setStateAsync(IDS.aktiv, phase === 'urlaub', true);
+            await setStateAsync(IDS.phase, phase, true);
+            await setStateAsync(IDS.rueckkehr, fehler ? 0 : ende || 0, true);
+            await setStateAsync(IDS.status, status, true);
+            if (DEBUG_LOG_AKTIV) {
+                log(`[Urlaub] ${status}`, 'info');
+            }
+        } catch (e) {
+            log(`[Urlaub] FEHLER in Hauptfunktion: ${e.message}`, 'error');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+
+        on({ id: [IDS.start, IDS.ende], change: 'ne', ack: false }, async obj => {
+            const wert = obj.state.val;
+            const uhrzeit = obj.id === IDS.start ? URLAUB.startUhrzeit : URLAUB.rueckkehrUhrzeit;
+            if (parseDatum(wert, uhrzeit) === null) {
+                log(`[Urlaub] Eingabe "${wert}" fuer ${obj.id} nicht lesbar (erwartet JJJJ-MM-TT [HH:MM] oder TT.MM.JJJJ [HH:MM]).`, 'warn');
+            }
+            await setStateAsync(obj.id, wert, true);
+            await main();
+        });
+
+        log(`[Skript] Urlaubsmodus V1.0 gestartet (Vorheizen ${URLAUB.vorheizStunden} h vor der Rueckkehr).`, 'info');
+        schedule(SCHEDULE, main);
+        await main();
+    })().catch(e => log(`[Urlaub] Start fehlgeschlagen: ${e.message}`, 'error'));
+
+})();
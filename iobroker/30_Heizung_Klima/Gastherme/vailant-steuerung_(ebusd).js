@@ -1,6 +1,6 @@
 /**
  * @fileoverview Zentrale, intelligente & modulierende Heizungssteuerung für ioBroker
- * @version 8.0 (Final Polish: Error-Tracking States, erweiterte Plausibilität, strict Types)
+ * @version 8.1 (Urlaubsmodus: reduzierter Heizkreis-Betrieb)
  * @author Sanweb
  * @license MIT
  *
@@ -10,6 +10,10 @@
  * Dieses Skript steuert die zentrale Heiztherme durch eine intelligente, dynamische
  * Anpassung der witterungsgeführten Heizkurve.
  *
+ * NEU in V8.1:
+ * - Urlaubsmodus: Solange 0_userdata.0.Urlaub.Aktiv gesetzt ist (urlaubsmodus.js),
+ *   läuft der Heizkreis bei Bedarf im reduzierten Modus ('night') statt 'auto'.
+ *
  * NEU in V8.0:
  * - Error-Tracking: Fehlerzähler pro ID werden automatisch als States exponiert
  * - Erweiterte Plausibilitätsprüfungen für Einzel-Sensoren (Raum/Außen)
@@ -108,7 +112,14 @@ const CONFIG = {
         setRoomTempSwitchOnId: 'mqtt.0.ebusd.700.Hc1RoomTempSwitchOn.set',
     },
 
-    // --- I. ioBroker OBJEKT-IDs ---
+    // --- I. URLAUBSMODUS (NEU in V8.1) ---
+    urlaub: {
+        aktivId: '0_userdata.0.Urlaub.Aktiv',
+        opMode: 3,             // Z1OpMode: 0=off, 1=auto, 2=day, 3=night
+        opModeName: 'night',
+    },
+
+    // --- J. ioBroker OBJEKT-IDs ---
     ids: {
         svHeizperiodeId: '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv',
         statusGasthermeId: '0_userdata.0.Heizung.Zentral.StatusTherme',
@@ -406,10 +417,16 @@ async function main() {
     
     // 4. Anlagensteuerung
     if (gesamtHeizbedarf) {
+        // Urlaubsmodus: reduzierter Betrieb statt 'auto' (NEU in V8.1)
+        const urlaubState = await safeGetState(CONFIG.urlaub.aktivId, 'boolean');
+        const urlaubAktiv = !!(urlaubState && urlaubState.val);
+        const zielModus = urlaubAktiv ? CONFIG.urlaub.opModeName : 'auto';
+        const zielModusWert = urlaubAktiv ? CONFIG.urlaub.opMode : 1;
+
         const opModeState = await safeGetState(CONFIG.ebus.getOpModeId);
-        if (opModeState && opModeState.val !== 'auto') {
-            sysLog("Heizbedarf erkannt. Schalte Heizkreis ein ('auto').", 'info');
-            try { await setStateAsync(CONFIG.ebus.setOpModeId, 1, true); } catch(e) {}
+        if (opModeState && opModeState.val !== zielModus) {
+            sysLog(`Heizbedarf erkannt${urlaubAktiv ? ' (Urlaub)' : ''}. Schalte Heizkreis ein ('${zielModus}').`, 'info');
+            try { await setStateAsync(CONFIG.ebus.setOpModeId, zielModusWert, true); } catch(e) {}
         }
 
         if (maxSollTemp > 5.0) {
@@ -507,11 +524,12 @@ async function main() {
 // 4. SKRIPT-START & TRIGGER
 // -------------------------------------------------------------------------------------
 (async () => {
-    sysLog('Initialisiere Skript V8.0...', 'info');
+    sysLog('Initialisiere Skript V8.1...', 'info');
     initConfig();
     await createStates();
 
     const triggerIds = Array.from(allMonitoredIds); // Nimmt nun alle gesammelten IDs für die Trigger
+    triggerIds.push(CONFIG.urlaub.aktivId); // Urlaubsmodus ohne eigenen Fehlerzähler (NEU in V8.1)
     
     // Hybride Throttle/Debounce-Logik
     on({ id: triggerIds, change: "ne" }, (obj) => {
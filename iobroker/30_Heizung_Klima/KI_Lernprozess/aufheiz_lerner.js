@@ -0,0 +1,339 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout */
+
+/**
+ * @fileoverview Aufheiz-Lerner (Optimum-Start / Vorheizen)
+ * @version 1.0
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Lernt pro Raum die Aufheizrate (°C/h) in Abhaengigkeit der Aussentemperatur.
+ * Grundlage ist dieselbe InfluxDB-Historie, die auch heizungs_lerner.js nutzt
+ * (ACTUAL_TEMPERATURE / SET_POINT_TEMPERATURE der Thermostate, Aussensensor).
+ *
+ * Erkannt werden Aufheizphasen: Der Sollwert springt um mindestens
+ * PHASEN_PARAMETER.minSollSprung nach oben und der Raum liegt deutlich darunter.
+ * Die Phase endet, sobald der Raum den Sollwert erreicht, der Sollwert wieder
+ * wechselt oder die maximale Dauer ueberschritten ist.
+ *
+ * Aus allen Phasen des Analysezeitraums wird eine lineare Regression
+ *   rate = achsenabschnitt + steigung * aussenTemp
+ * gebildet. Bei zu wenig Streuung der Aussentemperatur wird nur der Mittelwert
+ * verwendet (steigung = 0).
+ *
+ * DATENFLUSS:
+ *   InfluxDB (Thermostat- und Aussentemperatur-Historie)
+ *     -> Aufheiz-Lerner (taeglich + beim Start)
+ *     -> 0_userdata.0.Heizung.Vorheizen.{dbRaum}.Aufheizmodell (JSON)
+ *        0_userdata.0.Heizung.Vorheizen.{dbRaum}.Aufheizrate (°C/h, aktuelle Aussentemp)
+ *     -> raum_steuerung_generisch.js (berechnet den Vorheizstart)
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    // ADAPTER
+    const INFLUXDB_INSTANCE = 'influxdb.0';
+    const SCHEDULE = '15 4 * * *';
+
+    // SCHALTER
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = '0_userdata.0.Heizung.Vorheizen';
+
+    // ANALYSE
+    const ANALYSE_PARAMETER = {
+        zeitraumTage: 21,
+        rasterMinuten: 10,       // InfluxDB-Aggregation der Raumtemperatur
+        maxPunkte: 5000,
+    };
+
+    // PHASENERKENNUNG
+    const PHASEN_PARAMETER = {
+        minSollSprung: 1.0,      // Sollwert-Anstieg, ab dem eine Aufheizphase beginnt
+        minStartDifferenz: 1.0,  // Raum muss mind. so weit unter dem neuen Soll liegen
+        zielToleranz: 0.3,       // Soll gilt als erreicht bei Ist >= Soll - Toleranz
+        minDauerMinuten: 15,
+        maxDauerMinuten: 360,
+        minAnstieg: 0.5,         // kleinerer Temperaturanstieg ist nicht aussagekraeftig
+    };
+
+    // MODELL
+    const MODELL_PARAMETER = {
+        minPhasen: 3,
+        minAussenStreuung: 2.0,  // Grad C Spannweite fuer eine Steigung
+        minRate: 0.3,
+        maxRate: 6.0,
+    };
+
+    const DATENPUNKTE = {
+        raeume: [
+            { name: 'Wohnzimmer',   thermostatId: 'hm-rpc.2.INT0000005.1' },
+            { name: 'Schlafzimmer', thermostatId: 'hm-rpc.2.INT0000001.1' },
+            { name: 'Badezimmer',   thermostatId: 'hm-rpc.2.INT0000002.1' },
+            { name: 'Kueche',       thermostatId: 'hm-rpc.2.INT0000003.1' },
+            { name: 'Esszimmer',    thermostatId: 'hm-rpc.2.INT0000004.1' },
+        ],
+        aussenTemp: 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE',
+    };
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    function getValueAt(ts, series) {
+        if (!series || series.length === 0) return null;
+        if (series.length === 1) return series[0].val;
+
+        let bestPoint = null;
+        for (const p of series) {
+            if (p.ts <= ts) {
+                if (bestPoint === null || p.ts > bestPoint.ts) bestPoint = p;
+            }
+        }
+        return bestPoint ? bestPoint.val : null;
+    }
+
+    async function holeHistorie(id, start, end, options) {
+        try {
+            const raw = await sendToAsync(INFLUXDB_INSTANCE, 'getHistory', {
+                id,
+                options: { start, end, count: ANALYSE_PARAMETER.maxPunkte, ...options },
+            });
+            // @ts-ignore — sendToAsync-Rueckgabetyp ist fuer InfluxDB-getHistory unterspezifiziert (hat zur Laufzeit ein .result-Array)
+            const punkte = (raw && raw.result) || [];
+            return punkte
+                .filter(p => p && typeof p.val === 'number' && !isNaN(p.val))
+                .sort((a, b) => a.ts - b.ts);
+        } catch (e) {
+            log(`[Fehler] InfluxDB-Abfrage fuer ${id} fehlgeschlagen: ${e.message || e}`, 'error');
+            return null;
+        }
+    }
+
+    async function initialisiereDatenpunkte() {
+        for (const raum of DATENPUNKTE.raeume) {
+            const pfad = `${BASIS_PFAD}.${raum.name}`;
+            if (!(await existsStateAsync(`${pfad}.Aufheizmodell`))) {
+                await createStateAsync(`${pfad}.Aufheizmodell`, '', {
+                    name: `Gelerntes Aufheizmodell ${raum.name} (JSON)`,
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                    def: '',
+                });
+                log(`[Init] Datenpunkt ${pfad}.Aufheizmodell erstellt.`, 'info');
+            }
+            if (!(await existsStateAsync(`${pfad}.Aufheizrate`))) {
+                await createStateAsync(`${pfad}.Aufheizrate`, 0, {
+                    name: `Gelernte Aufheizrate ${raum.name} bei aktueller Aussentemperatur`,
+                    type: 'number',
+                    role: 'value',
+                    unit: '°C/h',
+                    read: true,
+                    write: false,
+                    def: 0,
+                });
+                log(`[Init] Datenpunkt ${pfad}.Aufheizrate erstellt.`, 'info');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. KERNLOGIK: PHASENERKENNUNG & REGRESSION
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Sucht Aufheizphasen in der Historie eines Raums.
+     * @returns {Array<{ts: number, rate: number, aussenTemp: number, dauerMinuten: number}>}
+     */
+    function findeAufheizphasen(istSeries, sollSeries, aussenSeries) {
+        const phasen = [];
+
+        for (let i = 1; i < sollSeries.length; i++) {
+            const sprung = sollSeries[i].val - sollSeries[i - 1].val;
+            if (sprung < PHASEN_PARAMETER.minSollSprung) continue;
+
+            const startTs = sollSeries[i].ts;
+            const ziel = sollSeries[i].val;
+            const naechsterSollTs = i + 1 < sollSeries.length ? sollSeries[i + 1].ts : Infinity;
+            const maxEndeTs = Math.min(naechsterSollTs, startTs + PHASEN_PARAMETER.maxDauerMinuten * 60000);
+
+            const startIst = getValueAt(startTs, istSeries);
+            const aussenTemp = getValueAt(startTs, aussenSeries);
+            if (startIst === null || aussenTemp === null) continue;
+            if (ziel - startIst < PHASEN_PARAMETER.minStartDifferenz) continue;
+
+            let endPunkt = null;
+            for (const punkt of istSeries) {
+                if (punkt.ts <= startTs) continue;
+                if (punkt.ts > maxEndeTs) break;
+                endPunkt = punkt;
+                if (punkt.val >= ziel - PHASEN_PARAMETER.zielToleranz) break;
+            }
+            if (!endPunkt) continue;
+
+            const dauerMinuten = (endPunkt.ts - startTs) / 60000;
+            const anstieg = endPunkt.val - startIst;
+            if (dauerMinuten < PHASEN_PARAMETER.minDauerMinuten || anstieg < PHASEN_PARAMETER.minAnstieg) continue;
+
+            phasen.push({
+                ts: startTs,
+                rate: anstieg / (dauerMinuten / 60),
+                aussenTemp,
+                dauerMinuten: Math.round(dauerMinuten),
+            });
+        }
+        return phasen;
+    }
+
+    /**
+     * Lineare Regression rate = a + b * aussenTemp (kleinste Quadrate).
+     * @returns {{achsenabschnitt: number, steigung: number, phasen: number, aussenMin: number, aussenMax: number}|null}
+     */
+    function berechneModell(phasen) {
+        if (phasen.length < MODELL_PARAMETER.minPhasen) return null;
+
+        const n = phasen.length;
+        const mittelX = phasen.reduce((s, p) => s + p.aussenTemp, 0) / n;
+        const mittelY = phasen.reduce((s, p) => s + p.rate, 0) / n;
+        const aussenMin = Math.min(...phasen.map(p => p.aussenTemp));
+        const aussenMax = Math.max(...phasen.map(p => p.aussenTemp));
+
+        let steigung = 0;
+        if (aussenMax - aussenMin >= MODELL_PARAMETER.minAussenStreuung) {
+            let sxy = 0;
+            let sxx = 0;
+            for (const p of phasen) {
+                sxy += (p.aussenTemp - mittelX) * (p.rate - mittelY);
+                sxx += (p.aussenTemp - mittelX) ** 2;
+            }
+            // Physikalisch heizt ein Raum bei Kaelte nicht schneller auf
+            steigung = sxx > 0 ? Math.max(0, sxy / sxx) : 0;
+        }
+
+        return {
+            achsenabschnitt: parseFloat((mittelY - steigung * mittelX).toFixed(4)),
+            steigung: parseFloat(steigung.toFixed(4)),
+            phasen: n,
+            aussenMin: parseFloat(aussenMin.toFixed(1)),
+            aussenMax: parseFloat(aussenMax.toFixed(1)),
+        };
+    }
+
+    /**
+     * Wertet das Modell fuer eine Aussentemperatur aus (auf den gelernten
+     * Bereich begrenzt, damit keine Extrapolation ins Unplausible erfolgt).
+     */
+    function rateFuerAussenTemp(modell, aussenTemp) {
+        const t = Math.max(modell.aussenMin, Math.min(modell.aussenMax, aussenTemp));
+        const rate = modell.achsenabschnitt + modell.steigung * t;
+        return Math.max(MODELL_PARAMETER.minRate, Math.min(MODELL_PARAMETER.maxRate, rate));
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    async function main() {
+        log('[Start] Starte Aufheiz-Analyse V1.0...', 'info');
+
+        const end = new Date().getTime();
+        const start = end - ANALYSE_PARAMETER.zeitraumTage * 24 * 3600 * 1000;
+
+        const aussenSeries = await holeHistorie(DATENPUNKTE.aussenTemp, start, end, {
+            aggregate: 'average',
+            step: 30 * 60000,
+        });
+        if (!aussenSeries || aussenSeries.length === 0) {
+            log('[Aufheiz] Keine Aussentemperatur-Historie gefunden. Lauf abgebrochen.', 'warn');
+            return;
+        }
+        const aussenAktuell = (await getStateAsync(DATENPUNKTE.aussenTemp))?.val;
+
+        for (const raum of DATENPUNKTE.raeume) {
+            const istSeries = await holeHistorie(`${raum.thermostatId}.ACTUAL_TEMPERATURE`, start, end, {
+                aggregate: 'average',
+                step: ANALYSE_PARAMETER.rasterMinuten * 60000,
+            });
+            const sollSeries = await holeHistorie(`${raum.thermostatId}.SET_POINT_TEMPERATURE`, start, end, {
+                aggregate: 'none',
+            });
+            if (!istSeries || !sollSeries || istSeries.length < 2 || sollSeries.length < 2) {
+                log(`[Aufheiz] ${raum.name}: zu wenig Historie, Modell bleibt unveraendert.`, 'info');
+                continue;
+            }
+
+            const phasen = findeAufheizphasen(istSeries, sollSeries, aussenSeries);
+            const modell = berechneModell(phasen);
+            if (!modell) {
+                log(`[Aufheiz] ${raum.name}: nur ${phasen.length} Aufheizphase(n) gefunden (min. ${MODELL_PARAMETER.minPhasen}), Modell bleibt unveraendert.`, 'info');
+                continue;
+            }
+
+            const pfad = `${BASIS_PFAD}.${raum.name}`;
+            await setStateAsync(`${pfad}.Aufheizmodell`, JSON.stringify({ ...modell, zeitpunkt: end }), true);
+            if (typeof aussenAktuell === 'number') {
+                await setStateAsync(`${pfad}.Aufheizrate`, parseFloat(rateFuerAussenTemp(modell, aussenAktuell).toFixed(2)), true);
+            }
+
+            log(`[Aufheiz] ${raum.name}: ${modell.phasen} Phasen, rate = ${modell.achsenabschnitt.toFixed(2)} + ${modell.steigung.toFixed(3)} * T_aussen (T ${modell.aussenMin}..${modell.aussenMax}°C)`, 'info');
+            if (DEBUG_LOG_AKTIV) {
+                phasen.forEach(p => log(`[Aufheiz] ${raum.name}: ${new Date(p.ts).toLocaleString()} ${p.rate.toFixed(2)}°C/h bei ${p.aussenTemp.toFixed(1)}°C (${p.dauerMinuten} Min)`, 'info'));
+            }
+        }
+
+        log('[Ende] Aufheiz-Analyse V1.0 abgeschlossen.', 'info');
+    }
+
+    /**
+     * Haelt die Aufheizrate bei geaenderter Aussentemperatur aktuell,
+     * ohne die InfluxDB erneut abzufragen.
+     */
+    async function aktualisiereRaten(aussenTemp) {
+        if (typeof aussenTemp !== 'number') return;
+        for (const raum of DATENPUNKTE.raeume) {
+            const pfad = `${BASIS_PFAD}.${raum.name}`;
+            const rohModell = (await getStateAsync(`${pfad}.Aufheizmodell`))?.val;
+            if (!rohModell) continue;
+            try {
+                const modell = JSON.parse(String(rohModell));
+                await setStateAsync(`${pfad}.Aufheizrate`, parseFloat(rateFuerAussenTemp(modell, aussenTemp).toFixed(2)), true);
+            } catch (e) {
+                log(`[Aufheiz] ${raum.name}: Aufheizmodell nicht lesbar: ${e.message}`, 'warn');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+        log('[Skript] Aufheiz-Lerner V1.0 gestartet. Naechster Lauf: In 60 Sekunden, dann taeglich 04:15 Uhr.', 'info');
+        schedule(SCHEDULE, main);
+        setTimeout(main, 60000);
+        let letzteAussenTemp = null;
+        on({ id: DATENPUNKTE.aussenTemp, change: 'ne' }, obj => {
+            if (letzteAussenTemp !== null && Math.abs(obj.state.val - letzteAussenTemp) < 0.5) return;
+            letzteAussenTemp = obj.state.val;
+            aktualisiereRaten(obj.state.val)
+                .catch(e => log(`[Aufheiz] Aufheizraten konnten nicht aktualisiert werden: ${e.message}`, 'warn'));
+        });
+    })().catch(e => log(`[Aufheiz] Start fehlgeschlagen: ${e.message}`, 'error'));
+
+})();
@@ -0,0 +1,528 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, readFileAsync, require,
+   schedule, sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout, writeFileAsync, HeizungKontext, HeizungSql */
+
+/**
+ * @fileoverview Export und Import der gelernten Heizungserfahrung
+ * @version 1.0 - Initialversion
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Sichert die Kontexttabelle heizungs_erfahrung (gelernte Offsets je Raum und
+ * Kontext) als versionierte JSON-Datei in der ioBroker-Dateiablage und spielt
+ * sie wieder ein - z.B. vor einer Neuinstallation der Datenbank, beim Umzug
+ * auf einen anderen Server oder um Erfahrung aus einer Testinstanz zu
+ * uebernehmen. Bisher ging das nur ueber einen SQL-Dump.
+ *
+ * Bedienung ueber 0_userdata.0.Heizung.Lernsystem.Transfer:
+ *   Exportieren -> Datei unter EXPORT.verzeichnis (Adapter EXPORT.adapter,
+ *                  im Admin unter "Dateien" herunterladbar), Pfad in Datei
+ *   Importieren -> liest die Datei aus Datei (Standard: letzter Export)
+ *                  und schreibt je nach Modus:
+ *     'zusammenfuehren': bekannte Kontexte werden nach nutzungs_zaehler
+ *                        gewichtet gemittelt, die Zaehler addiert
+ *     'ersetzen':        Werte aus der Datei ueberschreiben bekannte Kontexte
+ *   Kontexte, die nur in der Datenbank stehen, bleiben in beiden Modi erhalten.
+ *   Vor jedem Import wird der aktuelle Stand als Sicherung exportiert.
+ *
+ * Pruefungen beim Import:
+ *   - Format und Version der Datei
+ *   - Kategoriegrenzen (temp/solar/wind) muessen mit GRENZEN uebereinstimmen,
+ *     sonst bedeuten kat_3 o.ae. in beiden Systemen etwas anderes -> Abbruch
+ *   - Raeume: unbekannte Raumnamen werden uebersprungen und im Bericht genannt
+ *   - je Eintrag: Kategorie im gueltigen Bereich, bekannte Tageszeit,
+ *     plausibler Offset, ganzzahliger Zaehler >= 1, doppelte Kontexte
+ *   - Wiederholung: ein Export (Zeitstempel 'erstellt'), der schon einmal
+ *     importiert wurde, wird im Modus 'zusammenfuehren' abgelehnt, da sich
+ *     die Zaehler sonst verdoppeln. 'ersetzen' bleibt erlaubt (idempotent).
+ *     Die importierten Exporte stehen in Importierte_Exporte.
+ *
+ * DATENFLUSS:
+ *   Button Exportieren
+ *     -> HeizungSql: SELECT heizungs_erfahrung
+ *     -> writeFileAsync (0_userdata.0/heizung/erfahrung/*.json)
+ *   Button Importieren
+ *     -> readFileAsync -> Pruefung -> Sicherung (Export)
+ *     -> Zusammenfuehren mit dem aktuellen Stand
+ *     -> INSERT ... ON DUPLICATE KEY UPDATE heizungs_erfahrung
+ *     -> Bericht (JSON) je Raum
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SQL_INSTANCE = 'sql.0';
+    const DB_NAME = 'iobroker_heizung';
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
+
+    const PFAD = '0_userdata.0.Heizung.Lernsystem.Transfer';
+    const IDS = {
+        exportieren: `${PFAD}.Exportieren`,
+        importieren: `${PFAD}.Importieren`,
+        datei: `${PFAD}.Datei`,
+        modus: `${PFAD}.Modus`,
+        status: `${PFAD}.Status`,
+        bericht: `${PFAD}.Bericht`,
+        letzterExport: `${PFAD}.Letzter_Export`,
+        importiert: `${PFAD}.Importierte_Exporte`,
+    };
+
+    const EXPORT = {
+        adapter: '0_userdata.0',
+        verzeichnis: 'heizung/erfahrung',
+        praefix: 'heizungs_erfahrung',
+    };
+
+    // Dateiformat: 'version' nur erhoehen, wenn sich der Aufbau aendert.
+    // Aeltere Versionen muessen dann beim Import weiter gelesen werden koennen.
+    const FORMAT = {
+        name: 'heizungs_erfahrung',
+        version: 1,
+    };
+
+    const IMPORT = {
+        // DECIMAL(4,2) fasst +-99.99, gelernte Offsets liegen bei wenigen Kelvin
+        maxOffsetBetrag: 10.0,
+        blockGroesse: 100,          // Kontexte je INSERT
+        maxAbgelehntImBericht: 20,
+        maxImportierteExporte: 50,  // Eintraege in Importierte_Exporte
+    };
+
+    // GRENZEN FUER KATEGORISIERUNG und Tageszeiten (global/heizung_kontext.js)
+    const { GRENZEN, TAGESZEITEN } = HeizungKontext;
+
+    // Raeume (identisch zu heizungs_lerner.js)
+    const RAEUME = ['Wohnzimmer', 'Schlafzimmer', 'Badezimmer', 'Kueche', 'Esszimmer'];
+
+    const MODI = ['zusammenfuehren', 'ersetzen'];
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: IDS.exportieren, def: false, common: { name: 'Erfahrung: heizungs_erfahrung als JSON-Datei exportieren', type: 'boolean', role: 'button', write: true } },
+            { id: IDS.importieren, def: false, common: { name: 'Erfahrung: JSON-Datei in heizungs_erfahrung importieren', type: 'boolean', role: 'button', write: true } },
+            { id: IDS.datei, def: '', common: { name: `Erfahrung: Datei in ${EXPORT.adapter} fuer den Import (Standard: letzter Export)`, type: 'string', role: 'text', write: true } },
+            { id: IDS.modus, def: 'zusammenfuehren', common: { name: 'Erfahrung: Import-Modus', type: 'string', role: 'text', write: true, states: { zusammenfuehren: 'zusammenfuehren', ersetzen: 'ersetzen' } } },
+            { id: IDS.status, def: 'bereit', common: { name: 'Erfahrung: Status Export/Import', type: 'string', role: 'text', write: false } },
+            { id: IDS.bericht, def: '{}', common: { name: 'Erfahrung: Bericht des letzten Imports', type: 'string', role: 'json', write: false } },
+            { id: IDS.letzterExport, def: 0, common: { name: 'Erfahrung: Zeitstempel des letzten Exports', type: 'number', role: 'date', write: false } },
+            { id: IDS.importiert, def: '[]', common: { name: 'Erfahrung: bereits importierte Exporte (erstellt, datei, modus, importiert)', type: 'string', role: 'json', write: false } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    async function setzeStatus(text) {
+        try {
+            await setStateAsync(IDS.status, text, true);
+        } catch (e) {
+            log(`[Transfer] Status nicht schreibbar: ${e.message || e}`, 'warn');
+        }
+    }
+
+    /**
+     * TIMESTAMP-Spalte (je nach Adapter Date oder String) bzw. Wert aus der
+     * Datei -> Millisekunden, sonst null.
+     * @returns {number|null}
+     */
+    function zeitstempel(wert) {
+        if (wert === null || typeof wert === 'undefined' || wert === '') return null;
+        const ts = wert instanceof Date ? wert.getTime() : new Date(wert).getTime();
+        return Number.isFinite(ts) ? ts : null;
+    }
+
+    function dateiname(ts) {
+        const d = new Date(ts);
+        const zz = (n) => String(n).padStart(2, '0');
+        return `${EXPORT.verzeichnis}/${EXPORT.praefix}_${d.getFullYear()}-${zz(d.getMonth() + 1)}-${zz(d.getDate())}_${zz(d.getHours())}${zz(d.getMinutes())}.json`;
+    }
+
+    function kontextSchluessel(z) {
+        return `${z.raum}|${z.temp_bereich}/${z.solar_level}/${z.wind_level}/${z.tageszeit}`;
+    }
+
+    /** Gueltige Kategorien einer Grenzliste: kat_0 .. kat_n und 'unbekannt'. */
+    function gueltigeKategorien(grenzen) {
+        return new Set(['unbekannt', ...Array.from({ length: grenzen.length + 1 }, (_, i) => `kat_${i}`)]);
+    }
+
+    const KATEGORIEN = {
+        temp_bereich: gueltigeKategorien(GRENZEN.temp),
+        solar_level: gueltigeKategorien(GRENZEN.solar),
+        wind_level: gueltigeKategorien(GRENZEN.wind),
+    };
+
+    /**
+     * Bereits importierte Exporte, neueste zuletzt.
+     * @returns {Promise<Array<{erstellt: number, datei: string, modus: string, importiert: number}>>}
+     */
+    async function leseImportierte() {
+        try {
+            const liste = JSON.parse(String((await getStateAsync(IDS.importiert))?.val || '[]'));
+            return Array.isArray(liste) ? liste : [];
+        } catch (e) {
+            log(`[Transfer] ${IDS.importiert} nicht lesbar, Wiederholungspruefung ohne Vorgeschichte: ${e.message}`, 'warn');
+            return [];
+        }
+    }
+
+    async function leseErfahrung() {
+        return db.abfrage(`
+            SELECT raum, temp_bereich, solar_level, wind_level, tageszeit,
+                   offset_erfolg, nutzungs_zaehler, letzte_nutzung
+            FROM ${db.tabelle('heizungs_erfahrung')}
+            ORDER BY raum, temp_bereich, solar_level, wind_level, tageszeit;
+        `);
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. EXPORT
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Schreibt den aktuellen Stand von heizungs_erfahrung in eine neue Datei.
+     * @param {string} [zusatz] Namenszusatz (z.B. 'vor_import' fuer die Sicherung)
+     * @returns {Promise<{datei: string, anzahl: number}>}
+     */
+    async function exportiere(zusatz = '') {
+        const jetzt = new Date().getTime();
+        const zeilen = await leseErfahrung();
+
+        /** @type {Record<string, object[]>} */
+        const raeume = {};
+        for (const z of zeilen) {
+            if (!raeume[z.raum]) raeume[z.raum] = [];
+            raeume[z.raum].push({
+                temp_bereich: z.temp_bereich,
+                solar_level: z.solar_level,
+                wind_level: z.wind_level,
+                tageszeit: z.tageszeit,
+                offset_erfolg: z.offset_erfolg,
+                nutzungs_zaehler: z.nutzungs_zaehler,
+                letzte_nutzung: zeitstempel(z.letzte_nutzung),
+            });
+        }
+        const inhalt = {
+            format: FORMAT.name,
+            version: FORMAT.version,
+            erstellt: jetzt,
+            quelle: db.tabelle('heizungs_erfahrung'),
+            anzahl: zeilen.length,
+            grenzen: GRENZEN,
+            tageszeiten: TAGESZEITEN,
+            raeume,
+        };
+
+        const datei = zusatz ? dateiname(jetzt).replace(/\.json$/, `_${zusatz}.json`) : dateiname(jetzt);
+        await writeFileAsync(EXPORT.adapter, datei, JSON.stringify(inhalt, null, 1));
+        return { datei, anzahl: zeilen.length };
+    }
+
+    async function starteExport() {
+        try {
+            const { datei, anzahl } = await exportiere();
+            await setStateAsync(IDS.datei, datei, true);
+            await setStateAsync(IDS.letzterExport, new Date().getTime(), true);
+            await setzeStatus(`exportiert: ${anzahl} Kontexte -> ${datei}`);
+            log(`[Transfer] ${anzahl} Kontexte nach ${EXPORT.adapter}/${datei} exportiert.`, 'info');
+        } catch (e) {
+            log(`[Transfer] Export fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeStatus(`Fehler beim Export: ${e.message || e}`);
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. IMPORT: DATEI LESEN & PRUEFEN
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Liest eine Datei aus der Dateiablage. Je nach Adapter-Version liefert
+     * readFileAsync { file, mimeType } oder direkt den Inhalt.
+     * @returns {Promise<string>}
+     */
+    async function leseDatei(datei) {
+        /** @type {any} */
+        const antwort = await readFileAsync(EXPORT.adapter, datei);
+        const inhalt = antwort && typeof antwort === 'object' && 'file' in antwort ? antwort.file : antwort;
+        return String(inhalt);
+    }
+
+    function gleicheGrenzen(a, b) {
+        return Array.isArray(a) && a.length === b.length && a.every((wert, i) => wert === b[i]);
+    }
+
+    /**
+     * Prueft Kopf und Eintraege einer Exportdatei.
+     * @returns {{eintraege: object[], abgelehnt: string[], unbekannteRaeume: Record<string, number>, abgelehntJeRaum: Record<string, number>, erstellt: number|null}}
+     * @throws {Error} bei falschem Format, falscher Version oder abweichenden Grenzen
+     */
+    function pruefeInhalt(inhalt) {
+        if (!inhalt || typeof inhalt !== 'object' || inhalt.format !== FORMAT.name) {
+            throw new Error(`keine ${FORMAT.name}-Exportdatei`);
+        }
+        if (inhalt.version !== FORMAT.version) {
+            throw new Error(`Dateiversion ${inhalt.version} nicht unterstuetzt (erwartet ${FORMAT.version})`);
+        }
+        const grenzen = inhalt.grenzen || {};
+        for (const achse of Object.keys(GRENZEN)) {
+            if (!gleicheGrenzen(grenzen[achse], GRENZEN[achse])) {
+                throw new Error(`Kategoriegrenzen '${achse}' weichen ab (Datei ${JSON.stringify(grenzen[achse])}, hier ${JSON.stringify(GRENZEN[achse])})`);
+            }
+        }
+        if (!inhalt.raeume || typeof inhalt.raeume !== 'object') {
+            throw new Error('Abschnitt raeume fehlt');
+        }
+
+        const eintraege = [];
+        const abgelehnt = [];
+        const abgelehntJeRaum = {};
+        const unbekannteRaeume = {};
+        const gesehen = new Set();
+        for (const [raum, liste] of Object.entries(inhalt.raeume)) {
+            const anzahl = Array.isArray(liste) ? liste.length : 0;
+            if (!RAEUME.includes(raum)) {
+                unbekannteRaeume[raum] = anzahl;
+                continue;
+            }
+            abgelehntJeRaum[raum] = 0;
+            for (const e of Array.isArray(liste) ? liste : []) {
+                const z = { raum, ...(e && typeof e === 'object' ? e : {}) };
+                const grund = pruefeEintrag(z, gesehen);
+                if (grund) {
+                    abgelehntJeRaum[raum]++;
+                    abgelehnt.push(`${kontextSchluessel(z)}: ${grund}`);
+                    continue;
+                }
+                gesehen.add(kontextSchluessel(z));
+                eintraege.push({
+                    raum,
+                    temp_bereich: z.temp_bereich,
+                    solar_level: z.solar_level,
+                    wind_level: z.wind_level,
+                    tageszeit: z.tageszeit,
+                    offset_erfolg: z.offset_erfolg,
+                    nutzungs_zaehler: z.nutzungs_zaehler,
+                    letzte_nutzung: zeitstempel(z.letzte_nutzung),
+                });
+            }
+        }
+        return { eintraege, abgelehnt, unbekannteRaeume, abgelehntJeRaum, erstellt: zeitstempel(inhalt.erstellt) };
+    }
+
+    /**
+     * @returns {string|null} Ablehnungsgrund oder null, wenn der Eintrag gueltig ist.
+     */
+    function pruefeEintrag(z, gesehen) {
+        for (const spalte of Object.keys(KATEGORIEN)) {
+            if (!KATEGORIEN[spalte].has(z[spalte])) return `${spalte} '${z[spalte]}' ungueltig`;
+        }
+        if (!TAGESZEITEN.includes(z.tageszeit)) return `Tageszeit '${z.tageszeit}' unbekannt`;
+        if (typeof z.offset_erfolg !== 'number' || !Number.isFinite(z.offset_erfolg) || Math.abs(z.offset_erfolg) > IMPORT.maxOffsetBetrag) {
+            return `Offset ${z.offset_erfolg} unplausibel`;
+        }
+        if (!Number.isInteger(z.nutzungs_zaehler) || z.nutzungs_zaehler < 1) return `Zaehler ${z.nutzungs_zaehler} ungueltig`;
+        if (z.letzte_nutzung !== null && typeof z.letzte_nutzung !== 'undefined' && zeitstempel(z.letzte_nutzung) === null) {
+            return `letzte_nutzung '${z.letzte_nutzung}' ungueltig`;
+        }
+        if (gesehen.has(kontextSchluessel(z))) return 'Kontext doppelt in der Datei';
+        return null;
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. IMPORT: ZUSAMMENFUEHREN & SCHREIBEN
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Berechnet den Zielstand je importiertem Kontext.
+     * Zusammenfuehren: offset = (o_db * n_db + o_datei * n_datei) / (n_db + n_datei),
+     * Zaehler addiert, letzte_nutzung = der spaetere Zeitpunkt.
+     * @returns {{zeilen: object[], ergebnis: object[]}}
+     */
+    function fuehreZusammen(vorhanden, eintraege, modus, jetzt) {
+        const bestand = new Map(vorhanden.map((z) => [kontextSchluessel(z), z]));
+        const ergebnis = new Map(RAEUME.map((raum) => [raum, { raum, neu: 0, zusammengefuehrt: 0, ersetzt: 0, abgelehnt: 0 }]));
+        const zeilen = eintraege.map((e) => {
+            const alt = bestand.get(kontextSchluessel(e));
+            const zaehler = ergebnis.get(e.raum);
+            const importNutzung = e.letzte_nutzung !== null ? e.letzte_nutzung : jetzt;
+            if (!alt) {
+                zaehler.neu++;
+                return { ...e, letzte_nutzung: importNutzung };
+            }
+            if (modus === 'ersetzen') {
+                zaehler.ersetzt++;
+                return { ...e, letzte_nutzung: importNutzung };
+            }
+            zaehler.zusammengefuehrt++;
+            const summe = alt.nutzungs_zaehler + e.nutzungs_zaehler;
+            const offset = (alt.offset_erfolg * alt.nutzungs_zaehler + e.offset_erfolg * e.nutzungs_zaehler) / summe;
+            const altNutzung = zeitstempel(alt.letzte_nutzung);
+            return {
+                ...e,
+                offset_erfolg: parseFloat(offset.toFixed(2)),
+                nutzungs_zaehler: summe,
+                letzte_nutzung: altNutzung !== null ? Math.max(altNutzung, importNutzung) : importNutzung,
+            };
+        });
+        return { zeilen, ergebnis: [...ergebnis.values()] };
+    }
+
+    /**
+     * Schreibt die Zielwerte blockweise. letzte_nutzung wird explizit gesetzt,
+     * sonst setzt ON UPDATE CURRENT_TIMESTAMP den Importzeitpunkt.
+     * Die Werte sind vorab berechnet -> idempotent, Wiederholung unkritisch.
+     */
+    async function schreibeZeilen(zeilen) {
+        let betroffen = 0;
+        for (let i = 0; i < zeilen.length; i += IMPORT.blockGroesse) {
+            const block = zeilen.slice(i, i + IMPORT.blockGroesse);
+            const sql = `
+                INSERT INTO ${db.tabelle('heizungs_erfahrung')}
+                    (raum, temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg, nutzungs_zaehler, letzte_nutzung)
+                VALUES ${block.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                ON DUPLICATE KEY UPDATE
+                    offset_erfolg = VALUES(offset_erfolg),
+                    nutzungs_zaehler = VALUES(nutzungs_zaehler),
+                    letzte_nutzung = VALUES(letzte_nutzung);
+            `;
+            const params = block.flatMap((z) => [
+                z.raum, z.temp_bereich, z.solar_level, z.wind_level, z.tageszeit,
+                z.offset_erfolg, z.nutzungs_zaehler, new Date(z.letzte_nutzung),
+            ]);
+            betroffen += (await db.ausfuehren(sql, params)).betroffen;
+        }
+        return betroffen;
+    }
+
+    async function starteImport() {
+        const datei = String((await getStateAsync(IDS.datei))?.val || '').trim();
+        const modus = String((await getStateAsync(IDS.modus))?.val || '');
+        if (!datei) {
+            log('[Transfer] Keine Datei angegeben und noch kein Export vorhanden.', 'warn');
+            await setzeStatus('Fehler: keine Datei angegeben');
+            return;
+        }
+        if (!MODI.includes(modus)) {
+            log(`[Transfer] Unbekannter Import-Modus '${modus}', erwartet ${MODI.join(' oder ')}.`, 'warn');
+            await setzeStatus(`Fehler: Modus '${modus}' unbekannt`);
+            return;
+        }
+
+        let geprueft;
+        try {
+            geprueft = pruefeInhalt(JSON.parse(await leseDatei(datei)));
+        } catch (e) {
+            log(`[Transfer] Import von ${datei} abgelehnt: ${e.message || e}`, 'warn');
+            await setzeStatus(`Fehler: ${e.message || e}`);
+            return;
+        }
+        const importierte = await leseImportierte();
+        const frueher = geprueft.erstellt !== null ? importierte.find((i) => i.erstellt === geprueft.erstellt) : undefined;
+        if (frueher) {
+            const exportZeit = new Date(geprueft.erstellt).toLocaleString('de-DE');
+            const importZeit = new Date(frueher.importiert).toLocaleString('de-DE');
+            if (modus === 'zusammenfuehren') {
+                log(`[Transfer] Import von ${datei} abgelehnt: Export vom ${exportZeit} wurde bereits am ${importZeit} importiert (${frueher.datei}), Zusammenfuehren wuerde die Zaehler verdoppeln.`, 'warn');
+                await setzeStatus(`Fehler: Export vom ${exportZeit} bereits am ${importZeit} importiert, nur Modus 'ersetzen' moeglich`);
+                return;
+            }
+            log(`[Transfer] Export vom ${exportZeit} wurde bereits am ${importZeit} importiert, ersetzen schreibt dieselben Werte erneut.`, 'warn');
+        }
+        for (const [raum, anzahl] of Object.entries(geprueft.unbekannteRaeume)) {
+            log(`[Transfer] Raum '${raum}' ist hier nicht bekannt, ${anzahl} Kontexte uebersprungen.`, 'warn');
+        }
+        if (geprueft.eintraege.length === 0) {
+            log(`[Transfer] ${datei} enthaelt keine gueltigen Kontexte, nichts importiert.`, 'warn');
+            await setzeStatus('Fehler: keine gueltigen Kontexte in der Datei');
+            return;
+        }
+
+        try {
+            const sicherung = await exportiere('vor_import');
+            log(`[Transfer] Aktueller Stand (${sicherung.anzahl} Kontexte) gesichert in ${EXPORT.adapter}/${sicherung.datei}.`, 'info');
+
+            const jetzt = new Date().getTime();
+            const { zeilen, ergebnis } = fuehreZusammen(await leseErfahrung(), geprueft.eintraege, modus, jetzt);
+            for (const r of ergebnis) r.abgelehnt = geprueft.abgelehntJeRaum[r.raum] || 0;
+            await schreibeZeilen(zeilen);
+
+            const bericht = {
+                erstellt: jetzt,
+                datei,
+                modus,
+                exportiert: geprueft.erstellt,
+                sicherung: sicherung.datei,
+                raeume: ergebnis,
+                unbekannte_raeume: geprueft.unbekannteRaeume,
+                abgelehnt: geprueft.abgelehnt.slice(0, IMPORT.maxAbgelehntImBericht),
+            };
+            await setStateAsync(IDS.bericht, JSON.stringify(bericht), true);
+            if (geprueft.erstellt !== null) {
+                const liste = [...importierte, { erstellt: geprueft.erstellt, datei, modus, importiert: jetzt }];
+                await setStateAsync(IDS.importiert, JSON.stringify(liste.slice(-IMPORT.maxImportierteExporte)), true);
+            }
+            const summe = (feld) => ergebnis.reduce((a, r) => a + r[feld], 0);
+            const text = `${summe('neu')} neu, ${summe('zusammengefuehrt')} zusammengefuehrt, ${summe('ersetzt')} ersetzt, ${geprueft.abgelehnt.length} abgelehnt`;
+            await setzeStatus(`importiert (${modus}): ${text}`);
+            log(`[Transfer] Import aus ${datei} (${modus}): ${text}.`, 'info');
+        } catch (e) {
+            log(`[Transfer] Import fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeStatus(`Fehler beim Import: ${e.message || e}`);
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 6. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    // Export und Import nie gleichzeitig (der Import exportiert selbst eine Sicherung)
+    let laeuft = false;
+
+    async function exklusiv(name, fn) {
+        if (laeuft) {
+            log(`[Transfer] ${name} abgelehnt, es laeuft bereits ein Export/Import.`, 'warn');
+            return;
+        }
+        laeuft = true;
+        try {
+            await fn();
+        } finally {
+            laeuft = false;
+        }
+    }
+
+    (async () => {
+        await initialisiereDatenpunkte();
+        log('[Skript] Erfahrungs-Transfer V1.0 gestartet.', 'info');
+
+        on({ id: IDS.exportieren, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.exportieren, false, true);
+            await exklusiv('Export', starteExport);
+        });
+        on({ id: IDS.importieren, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.importieren, false, true);
+            await exklusiv('Import', starteImport);
+        });
+    })();
+
+})();
@@ -3,11 +3,11 @@
    createStateAsync, existsState, existsStateAsync, getObjectAsync,
    getState, getStateAsync, log, on, onStop, require, schedule,
    sendTo, sendToAsync, setInterval, setObjectAsync, setState,
-   setStateAsync, setTimeout */
+   setStateAsync, setTimeout, HeizungKontext, HeizungSql */
 
 /**
  * @fileoverview Heizungs-Lerner (Paket 4: Dauerbetrieb-Konsolidierung)
- * @version 4.0 - Zeitgewichtetes Lernen + Sommerpause
+ * @version 4.5 - Zeitgewichtetes Lernen + Sommerpause + Urlaubspause + Regressionsmodell + Validierung + Backfill
  * @author Sanweb
  * @license MIT
  *
@@ -17,7 +17,63 @@
  * Alleinige Lernquelle fuer das Heizungssystem (Option C nach Paket 4 Analyse).
  * Loest lern_skript.js V2.2 vollstaendig ab.
  *
- * NEU in V4.0 (Paket 4):
+ * NEU in V4.5:
+ * - Backfill/Replay: spielt die InfluxDB-Historie eines frei waehlbaren
+ *   Zeitraums abschnittsweise (BACKFILL.abschnittStunden) mit derselben
+ *   Phasenerkennung (analysiereStabilePhasen) in die Staging-Tabelle
+ *   heizungs_erfahrung_replay ein - z.B. nach Aenderung von GRENZEN oder
+ *   LERN_PARAMETER. Sommerpause gilt je Abschnitt, Urlaubsphasen werden je
+ *   Phase aus der Historie von Urlaub.Phase ausgeblendet. letzte_nutzung
+ *   erhaelt den historischen Zeitpunkt der Phase.
+ *   Bedienung ueber 0_userdata.0.Heizung.Lernsystem.Backfill:
+ *     Von/Bis ('JJJJ-MM-TT', Bis inklusive) setzen -> Starten
+ *     -> Bericht (JSON): neue, entfallene und geaenderte Kontexte je Raum
+ *     -> Uebernehmen: RENAME TABLE tauscht Staging und heizungs_erfahrung
+ *        atomar, die bisherige Tabelle bleibt als heizungs_erfahrung_vor_replay.
+ *   Rueckgaengig (manuell in SQL):
+ *     RENAME TABLE heizungs_erfahrung TO heizungs_erfahrung_replay,
+ *                  heizungs_erfahrung_vor_replay TO heizungs_erfahrung;
+ *   Solange ein Replay laeuft oder abgeschlossen, aber noch nicht uebernommen
+ *   ist, pausieren der 30-Minuten-Lauf und die Abwertung aus der Validierung:
+ *   ihre Aenderungen an heizungs_erfahrung gingen beim RENAME verloren und der
+ *   Bericht verglaeche gegen einen veralteten Stand. Abbrechen verwirft auch
+ *   einen abgeschlossenen Replay und beendet die Pause. Die Zeit zwischen
+ *   Replay-Ende (Bis) und Uebernahme fehlt danach in heizungs_erfahrung - Bis
+ *   deshalb moeglichst auf heute setzen und zeitnah uebernehmen. Der Zustand
+ *   liegt nur im RAM, ein Skript-Neustart beendet die Pause ebenfalls.
+ *
+ * UEBERNOMMEN aus V4.4:
+ * - SQL-Zugriff ueber das globale Skript HeizungSql (global/heizung_sql.js):
+ *   gebundene Parameter statt buildQuery(), DECIMAL-Werte als Zahl,
+ *   Timeout/Wiederholung. Tabellen entstehen ueber versionierte Migrationen
+ *   (Komponente 'heizungs_lerner' in schema_version).
+ *
+ * UEBERNOMMEN aus V4.3:
+ * - Abwertung schlecht validierter Kontexte: prognose_validierung.js bewertet
+ *   jede angewendete Empfehlung. Taeglich (VALIDIERUNG.schedule) werden die
+ *   neuen Bewertungen je Kontext zusammengefasst; liegt die Erfolgsquote unter
+ *   VALIDIERUNG.schwelleErfolgsquote, wird der nutzungs_zaehler des Kontexts
+ *   mit VALIDIERUNG.abwertFaktor multipliziert. Der Stratege vertraut dem
+ *   Kontext dann weniger, neue Beobachtungen korrigieren ihn schneller.
+ *   Nur Empfehlungen aus der Kontexttabelle (Quelle 'buckets') zaehlen.
+ *
+ * UEBERNOMMEN aus V4.2:
+ * - Kontinuierliches Regressionsmodell als alternative Lernquelle:
+ *   -> jede stabile Phase wird zusaetzlich als Rohbeobachtung (Aussentemp,
+ *      Solar, Wind, Stunde, Raumfeuchte, Offset) in heizungs_beobachtung abgelegt
+ *   -> taeglich (REGRESSION.fitSchedule) wird je Raum eine Ridge-Regression
+ *      auf standardisierten Merkmalen angepasst und in heizungs_modell gespeichert
+ *   -> Stratege V1.8 wertet das Modell fuer jeden Kontext aus, auch fuer
+ *      Kontexte ohne Eintrag in heizungs_erfahrung
+ * - LERN_MODUS waehlt, welche Tabellen beschrieben werden ('buckets',
+ *   'regression' oder 'beide').
+ *
+ * UEBERNOMMEN aus V4.1:
+ * - Urlaubspause: kein Lernen in den Phasen 'urlaub' und 'vorheizen' von
+ *   urlaubsmodus.js und fuer LERN_PARAMETER.analyseZeitraumStunden nach der
+ *   Rueckkehr (der Analysezeitraum enthielte sonst noch Urlaubsphasen).
+ *
+ * UEBERNOMMEN aus V4.0 (Paket 4):
  * - Zeitgewichteter gleitender Durchschnitt (LERN_GEWICHT_NEU=0.15,
  *   LERN_GEWICHT_ALT=0.85) statt kumulativer Durchschnitt
  *   -> verhindert Ueberlernen bei Langzeitbetrieb ueber mehrere Saisons
@@ -38,29 +94,22 @@
  * - Pushover-Benachrichtigung (optional, default aus)
  * - InfluxDB-Historie als Datenquelle
  *
- * DATENFLUSS (unveraendert):
+ * DATENFLUSS:
  *   InfluxDB (aktuelle Saison)
  *     -> Lerner (alle 30 Min, erkennt stabile Phasen)
  *     -> SQL-DB iobroker_heizung.heizungs_erfahrung (zeitgewichtetes UPDATE)
+ *     -> SQL-DB iobroker_heizung.heizungs_beobachtung (Rohbeobachtungen)
+ *        -> taeglicher Fit -> iobroker_heizung.heizungs_modell
  *     -> Stratege (liest SQL, schreibt Prognose-Datenpunkte)
  *     -> Raumskripte (lesen Datenpunkte)
+ *   InfluxDB (frei waehlbarer Zeitraum, Backfill)
+ *     -> iobroker_heizung.heizungs_erfahrung_replay -> Bericht -> RENAME TABLE
  * -------------------------------------------------------------------------------------
  */
 
 (function () {
     'use strict';
 
-    // HILFSTYPEN
-    /**
-     * @typedef {object} SqlQueryResultRow
-     * @property {string} offset_erfolg
-     * @property {number} nutzungs_zaehler
-     */
-    /**
-     * @typedef {object} SqlQueryResult
-     * @property {SqlQueryResultRow[]} result
-     */
-
     // -------------------------------------------------------------------------------------
     // 1. KONFIGURATION
     // -------------------------------------------------------------------------------------
@@ -72,6 +121,9 @@
     const DB_NAME = 'iobroker_heizung';
     const SCHEDULE = '*/30 * * * *';
 
+    // Gemeinsame SQL-Schicht (NEU in V4.4, globales Skript HeizungSql)
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
+
     // SCHALTER
     const SEND_PUSHOVER_NOTIFICATIONS = false;
     const DEBUG_LOG_AKTIV = false;
@@ -102,13 +154,65 @@
         datenpunktMittelwert24h: '0_userdata.0.Heizung.Lernsystem.AussenTemp_Mittelwert_24h',
     };
 
-    // GRENZEN FUER KATEGORISIERUNG (identisch zu V3.5)
-    const GRENZEN = {
-        temp: [-25, -20, -15, -10, -5, 0, 5, 10, 15, 20],
-        solar: [0.1, 0.4, 0.7],
-        wind: [1.1, 1.3, 1.5],
+    // URLAUBSPAUSE (NEU in V4.1)
+    // Eco-Betrieb und Vorheizen fuer die Rueckkehr sind keine typischen Phasen
+    // und wuerden die Offsets der Kontexte verfaelschen.
+    const URLAUBSPAUSE = {
+        phaseId: '0_userdata.0.Urlaub.Phase',
+        rueckkehrId: '0_userdata.0.Urlaub.Rueckkehr',
+        pausePhasen: ['urlaub', 'vorheizen'],
+    };
+
+    // LERNMODUS (NEU in V4.2)
+    // 'buckets'    = nur Kontexttabelle heizungs_erfahrung (Verhalten bis V4.1)
+    // 'regression' = nur Rohbeobachtungen + Regressionsmodell
+    // 'beide'      = beides parallel, der Stratege waehlt die Quelle
+    const LERN_MODUS = 'beide';
+
+    // REGRESSIONSMODELL (NEU in V4.2)
+    // Ridge-Regression je Raum: offset = a + Summe(b_i * z_i), z_i = (x_i - mittel_i) / skala_i.
+    // Die Stunde geht als sin/cos ein, damit 23 Uhr und 0 Uhr nah beieinander liegen.
+    // lambda wirkt pro Beobachtung (Strafterm lambda * n * |b|^2), der Achsenabschnitt
+    // wird nicht bestraft.
+    const REGRESSION = {
+        lambda: 0.1,
+        minBeobachtungen: 30,
+        maxBeobachtungen: 2000,   // nur die neuesten n Beobachtungen je Raum
+        fitSchedule: '10 3 * * *',
+        merkmale: ['aussen_temp', 'solar', 'wind', 'stunde_sin', 'stunde_cos', 'feuchte'],
     };
 
+    // ABWERTUNG SCHLECHT VALIDIERTER KONTEXTE (NEU in V4.3)
+    // Bewertungen aus heizungs_prognose_validierung (prognose_validierung.js).
+    // Kontexte mit weniger als minBewertungen neuen Bewertungen warten auf weitere.
+    const VALIDIERUNG = {
+        aktiv: true,
+        schedule: '20 3 * * *',
+        minBewertungen: 3,
+        schwelleErfolgsquote: 0.5,
+        abwertFaktor: 0.5,
+    };
+
+    // BACKFILL / REPLAY (NEU in V4.5)
+    // Ein Abschnitt = eine InfluxDB-Abfrage je Datenpunkt und Raum. Der Ueberhang
+    // wird mitgeladen, damit Phasen an Abschnittsgrenzen vollstaendig erkannt
+    // werden; gezaehlt wird jede Phase nur in dem Abschnitt, in dem sie beginnt.
+    const BACKFILL = {
+        pfad: '0_userdata.0.Heizung.Lernsystem.Backfill',
+        stagingTabelle: 'heizungs_erfahrung_replay',
+        sicherungTabelle: 'heizungs_erfahrung_vor_replay',
+        abschnittStunden: 24,
+        ueberhangStunden: 3,
+        maxPunkte: 2000,            // je Datenpunkt und Abschnitt (statt 500 im Regelbetrieb)
+        pauseMs: 500,               // Entlastung der InfluxDB zwischen Abschnitten
+        aenderungSchwelle: 0.1,     // ab dieser Offset-Differenz gilt ein Kontext als geaendert
+        topAenderungen: 10,
+    };
+
+    // GRENZEN FUER KATEGORISIERUNG und Tageszeiten: global/heizung_kontext.js,
+    // gemeinsam mit Stratege und Erfahrungs-Transfer
+    const { GRENZEN } = HeizungKontext;
+
     // DATENPUNKTE (identisch zu V3.5)
     const DATENPUNKTE = {
         raeume: [
@@ -135,36 +239,61 @@
     // 2. HILFSFUNKTIONEN
     // -------------------------------------------------------------------------------------
 
-    function buildQuery(query, params) {
-        let i = 0;
-        if (!params) return query;
-        return query.replace(/\?/g, () => {
-            const param = params[i++];
-            if (param === null || typeof param === 'undefined') return 'NULL';
-            if (typeof param === 'string') return `'${param.replace(/'/g, "''")}'`;
-            return param;
-        });
-    }
+    // Schema-Migrationen (NEU in V4.4). Neue Tabellen/Spalten nur als neue Version anhaengen.
+    const DB_OPTIONEN = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+    const MIGRATIONEN = [
+        {
+            version: 1,
+            beschreibung: 'Kontexttabelle heizungs_erfahrung',
+            sql: [`CREATE TABLE IF NOT EXISTS ${db.tabelle('heizungs_erfahrung')} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                raum VARCHAR(50) NOT NULL,
+                temp_bereich VARCHAR(20) NOT NULL,
+                solar_level VARCHAR(20) NOT NULL,
+                wind_level VARCHAR(20) NOT NULL,
+                tageszeit VARCHAR(20) NOT NULL,
+                offset_erfolg DECIMAL(4,2) NOT NULL,
+                nutzungs_zaehler INT DEFAULT 1,
+                letzte_nutzung TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY erfahrungs_index (raum, temp_bereich, solar_level, wind_level, tageszeit)
+            ) ${DB_OPTIONEN};`],
+        },
+        {
+            version: 2,
+            beschreibung: 'Rohbeobachtungen und Regressionsmodell (V4.2)',
+            sql: [
+                `CREATE TABLE IF NOT EXISTS ${db.tabelle('heizungs_beobachtung')} (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    raum VARCHAR(50) NOT NULL,
+                    zeitpunkt DATETIME NOT NULL,
+                    aussen_temp DECIMAL(4,1) NOT NULL,
+                    solar DECIMAL(4,2) NOT NULL,
+                    wind DECIMAL(4,2) NOT NULL,
+                    stunde DECIMAL(4,2) NOT NULL,
+                    feuchte DECIMAL(4,1) NULL,
+                    offset_erfolg DECIMAL(4,2) NOT NULL,
+                    UNIQUE KEY beobachtungs_index (raum, zeitpunkt)
+                ) ${DB_OPTIONEN};`,
+                `CREATE TABLE IF NOT EXISTS ${db.tabelle('heizungs_modell')} (
+                    raum VARCHAR(50) PRIMARY KEY,
+                    achsenabschnitt DECIMAL(6,3) NOT NULL,
+                    merkmale TEXT NOT NULL,
+                    lambda DECIMAL(6,3) NOT NULL,
+                    anzahl INT NOT NULL,
+                    rmse DECIMAL(5,3) NOT NULL,
+                    r2 DECIMAL(5,3) NULL,
+                    aktualisiert TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ${DB_OPTIONEN};`,
+            ],
+        },
+    ];
 
     async function initialisiereDatenbank() {
-        const dbOptions = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
-        const query = `CREATE TABLE IF NOT EXISTS ${DB_NAME}.heizungs_erfahrung (
-            id INT AUTO_INCREMENT PRIMARY KEY,
-            raum VARCHAR(50) NOT NULL,
-            temp_bereich VARCHAR(20) NOT NULL,
-            solar_level VARCHAR(20) NOT NULL,
-            wind_level VARCHAR(20) NOT NULL,
-            tageszeit VARCHAR(20) NOT NULL,
-            offset_erfolg DECIMAL(4,2) NOT NULL,
-            nutzungs_zaehler INT DEFAULT 1,
-            letzte_nutzung TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-            UNIQUE KEY erfahrungs_index (raum, temp_bereich, solar_level, wind_level, tageszeit)
-        ) ${dbOptions};`;
         try {
-            await sendToAsync(SQL_INSTANCE, 'query', query);
-            log('[Init] SQL-Tabelle heizungs_erfahrung verifiziert/erstellt.', 'info');
+            const version = await db.migriere('heizungs_lerner', MIGRATIONEN);
+            log(`[Init] SQL-Schema heizungs_lerner auf Version ${version}.`, 'info');
         } catch (e) {
-            log(`[Fehler] Datenbank-Tabelle konnte nicht initialisiert werden: ${e.message || e}`, 'error');
+            log(`[Fehler] Datenbank-Schema konnte nicht migriert werden: ${e.message || e}`, 'error');
         }
     }
 
@@ -207,10 +336,19 @@
         }
     }
 
-    async function getHistoryData(raum, start, end) {
+    /**
+     * Laedt die Historie aller fuer einen Raum benoetigten Datenpunkte.
+     * Im Regelbetrieb liefert SET_POINT_TEMPERATURE nur den letzten Wert.
+     * Mit verlauf=true (Backfill, NEU in V4.5) wird jeder Datenpunkt ueber den
+     * ganzen Zeitraum geladen, ergaenzt um den letzten Wert vor start, damit
+     * selten geloggte Zustaende (Sollwert, Anwesenheit) am Abschnittsbeginn bekannt sind.
+     * @returns {Promise<object|null>} Historie je Datenpunkt-ID oder null bei Fehler.
+     */
+    async function getHistoryData(raum, start, end, verlauf = false) {
         const idsToFetch = [
             `${raum.thermostatId}.ACTUAL_TEMPERATURE`,
             `${raum.thermostatId}.SET_POINT_TEMPERATURE`,
+            `${raum.thermostatId}.HUMIDITY`,
             DATENPUNKTE.wetter.aussenTemp,
             ...Object.values(DATENPUNKTE.global),
         ];
@@ -218,6 +356,7 @@
             idsToFetch.push(`${DATENPUNKTE.wetter.basisPfadSolar}_${richtung}`);
             idsToFetch.push(`${DATENPUNKTE.wetter.basisPfadWind}_${richtung}`);
         });
+        if (verlauf) idsToFetch.push(URLAUBSPAUSE.phaseId);
 
         const idMap = {};
         const promises = idsToFetch.map((id) => {
@@ -225,14 +364,18 @@
             const options = {
                 end: end,
                 aggregate: 'none',
-                count: isSollTemp ? 1 : 500,
+                count: isSollTemp && !verlauf ? 1 : (verlauf ? BACKFILL.maxPunkte : 500),
             };
-            if (!isSollTemp) {
+            if (!isSollTemp || verlauf) {
                 options.start = start;
             }
             const key = id.replace(/\./g, '_');
             idMap[key] = id;
-            return sendToAsync(INFLUXDB_INSTANCE, 'getHistory', { id, options }).then((res) => ({ key, res }));
+            const abfragen = [sendToAsync(INFLUXDB_INSTANCE, 'getHistory', { id, options })];
+            if (verlauf) {
+                abfragen.push(sendToAsync(INFLUXDB_INSTANCE, 'getHistory', { id, options: { end: start, aggregate: 'none', count: 1 } }));
+            }
+            return Promise.all(abfragen).then(([res, vorher]) => ({ key, res, vorher }));
         });
 
         try {
@@ -240,7 +383,10 @@
             const historien = {};
             results.forEach((item) => {
                 // @ts-ignore — sendToAsync-Rueckgabetyp ist fuer InfluxDB-getHistory unterspezifiziert (hat zur Laufzeit ein .result-Array)
-                historien[idMap[item.key]] = (item.res && item.res.result) || [];
+                const punkte = (item.res && item.res.result) || [];
+                // @ts-ignore
+                const vorher = ((item.vorher && item.vorher.result) || []).filter((p) => p.ts < start);
+                historien[idMap[item.key]] = vorher.length > 0 ? [vorher[vorher.length - 1], ...punkte] : punkte;
             });
             return historien;
         } catch (e) {
@@ -262,35 +408,17 @@
         return bestPoint ? bestPoint.val : null;
     }
 
-    function getKategorie(value, grenzen) {
-        if (value === null || typeof value === 'undefined') return 'unbekannt';
-        for (let i = grenzen.length - 1; i >= 0; i--) {
-            if (value >= grenzen[i]) return `kat_${i + 1}`;
-        }
-        return `kat_0`;
-    }
-
-    function getTageszeit(ts) {
-        const stunde = new Date(ts).getHours();
-        if (stunde >= 4 && stunde < 8) return 'früher Morgen';
-        if (stunde >= 8 && stunde < 12) return 'Vormittag';
-        if (stunde >= 12 && stunde < 16) return 'Nachmittag';
-        if (stunde >= 16 && stunde < 20) return 'früher Abend';
-        if (stunde >= 20 && stunde < 24) return 'später Abend';
-        return 'Nacht';
-    }
-
     // -------------------------------------------------------------------------------------
-    // 3. SOMMERPAUSE-LOGIK (NEU in V4.0)
+    // 3. SOMMERPAUSE-LOGIK (NEU in V4.0) & URLAUBSPAUSE (NEU in V4.1)
     // -------------------------------------------------------------------------------------
 
     /**
      * Ermittelt den gleitenden Mittelwert der Aussentemperatur ueber die letzten
      * SOMMERPAUSE.fensterStunden Stunden aus der InfluxDB.
+     * @param {number} [end] Ende des Fensters (Backfill: Ende des Abschnitts)
      * @returns {Promise<number|null>} Mittelwert in Grad Celsius oder null bei Fehler.
      */
-    async function getAussenTempMittelwert24h() {
-        const end = new Date().getTime();
+    async function getAussenTempMittelwert24h(end = new Date().getTime()) {
         const start = end - (SOMMERPAUSE.fensterStunden * 3600 * 1000);
 
         try {
@@ -364,6 +492,27 @@
         return pauseAktiv;
     }
 
+    /**
+     * Prueft, ob wegen des Urlaubsmodus nicht gelernt werden darf (NEU in V4.1).
+     * @returns {Promise<string|null>} Grund der Pause oder null.
+     */
+    async function pruefeUrlaubspause() {
+        try {
+            const phase = (await getStateAsync(URLAUBSPAUSE.phaseId))?.val;
+            if (URLAUBSPAUSE.pausePhasen.includes(String(phase))) {
+                return `Urlaubsmodus Phase '${phase}'`;
+            }
+            const rueckkehr = Number((await getStateAsync(URLAUBSPAUSE.rueckkehrId))?.val) || 0;
+            const seitRueckkehrStunden = (new Date().getTime() - rueckkehr) / 3600000;
+            if (rueckkehr > 0 && seitRueckkehrStunden >= 0 && seitRueckkehrStunden < LERN_PARAMETER.analyseZeitraumStunden) {
+                return `Rueckkehr vor ${seitRueckkehrStunden.toFixed(1)} h`;
+            }
+        } catch (e) {
+            log(`[Urlaubspause] Status nicht lesbar, lerne weiter: ${e.message || e}`, 'warn');
+        }
+        return null;
+    }
+
     // -------------------------------------------------------------------------------------
     // 4. KERNLOGIK: PHASEN-ANALYSE & SPEICHERUNG
     // -------------------------------------------------------------------------------------
@@ -390,22 +539,28 @@
         if (nacht) basisSoll = sollAbwesend;
 
         return {
-            temp_bereich: getKategorie(aussenTemp, GRENZEN.temp),
-            solar_level: getKategorie(maxSolar, GRENZEN.solar),
-            wind_level: getKategorie(maxWind, GRENZEN.wind),
-            tageszeit: getTageszeit(ts),
+            temp_bereich: HeizungKontext.kategorie(aussenTemp, GRENZEN.temp),
+            solar_level: HeizungKontext.kategorie(maxSolar, GRENZEN.solar),
+            wind_level: HeizungKontext.kategorie(maxWind, GRENZEN.wind),
+            tageszeit: HeizungKontext.tageszeit(ts),
             basisSoll: basisSoll,
+            // Rohwerte fuer das Regressionsmodell (NEU in V4.2)
+            aussenTemp: aussenTemp,
+            maxSolar: maxSolar,
+            maxWind: maxWind,
+            feuchte: getValueAt(ts, historien[`${raum.thermostatId}.HUMIDITY`]),
         };
     }
 
     /**
      * Liest den bestehenden Offset aus der SQL-Datenbank (fuer zeitgewichtete Mittelung).
+     * @param {string} [tabelle] Backfill: Staging-Tabelle
      * @returns {Promise<{offset: number, zaehler: number}|null>} Alter Wert oder null wenn nicht vorhanden.
      */
-    async function getBisherigeErfahrung(erfahrung) {
+    async function getBisherigeErfahrung(erfahrung, tabelle = 'heizungs_erfahrung') {
         const query = `
             SELECT offset_erfolg, nutzungs_zaehler
-            FROM ${DB_NAME}.heizungs_erfahrung
+            FROM ${db.tabelle(tabelle)}
             WHERE raum = ? AND temp_bereich = ? AND solar_level = ?
               AND wind_level = ? AND tageszeit = ?
             LIMIT 1;
@@ -419,14 +574,11 @@
         ];
 
         try {
-            const finalQuery = buildQuery(query, params);
-            /** @type {SqlQueryResult} */
-            const result = /** @type {any} */ (await sendToAsync(SQL_INSTANCE, 'query', finalQuery));
-
-            if (result && result.result && result.result.length > 0) {
+            const zeilen = await db.abfrage(query, params);
+            if (zeilen.length > 0) {
                 return {
-                    offset: parseFloat(result.result[0].offset_erfolg),
-                    zaehler: result.result[0].nutzungs_zaehler,
+                    offset: zeilen[0].offset_erfolg,
+                    zaehler: zeilen[0].nutzungs_zaehler,
                 };
             }
             return null;
@@ -441,9 +593,12 @@
      * Ersetzt den alten kumulativen Durchschnitt aus V3.5.
      *
      * Formel: neuer_offset = (alter_offset * 0.85) + (beobachteter_offset * 0.15)
+     *
+     * @param {{tabelle: string, zeitpunkt: number}|null} [replay] Backfill (NEU in V4.5):
+     *   Zieltabelle und historischer Zeitpunkt der Phase fuer letzte_nutzung.
      */
-    async function speichereErfahrung(erfahrung) {
-        const bisherig = await getBisherigeErfahrung(erfahrung);
+    async function speichereErfahrung(erfahrung, replay = null) {
+        const bisherig = await getBisherigeErfahrung(erfahrung, replay ? replay.tabelle : undefined);
 
         let finalerOffset;
         let operation;
@@ -458,7 +613,7 @@
         }
 
         const query = `
-            INSERT INTO ${DB_NAME}.heizungs_erfahrung
+            INSERT INTO ${db.tabelle('heizungs_erfahrung')}
                 (raum, temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg)
             VALUES (?, ?, ?, ?, ?, ?)
             ON DUPLICATE KEY UPDATE
@@ -476,12 +631,26 @@
             finalerOffset,
         ];
 
+        if (replay) {
+            const zeitpunkt = new Date(replay.zeitpunkt);
+            await db.ausfuehren(`
+                INSERT INTO ${db.tabelle(replay.tabelle)}
+                    (raum, temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg, letzte_nutzung)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    offset_erfolg = ?,
+                    nutzungs_zaehler = nutzungs_zaehler + 1,
+                    letzte_nutzung = ?;
+            `, [...params.slice(0, 6), zeitpunkt, finalerOffset, zeitpunkt], { wiederholen: false });
+            return;
+        }
+
         try {
-            const finalQuery = buildQuery(query, params);
             if (DEBUG_LOG_AKTIV) {
-                log(`[SQL] Sende Abfrage: ${finalQuery.replace(/\s\s+/g, ' ')}`, 'info');
+                log(`[SQL] Sende Abfrage: ${db.binde(query, params).replace(/\s\s+/g, ' ')}`, 'info');
             }
-            const result = await sendToAsync(SQL_INSTANCE, 'query', finalQuery);
+            // nutzungs_zaehler + 1 ist nicht idempotent -> keine Wiederholung nach Timeout
+            const result = await db.ausfuehren(query, params, { wiederholen: false });
             log(`[SQL] Erfahrung fuer ${erfahrung.raum} [${erfahrung.temp_bereich}/${erfahrung.solar_level}/${erfahrung.wind_level}/${erfahrung.tageszeit}] verarbeitet. ${operation}`, 'info');
             if (DEBUG_LOG_AKTIV) {
                 log(`[SQL] Antwort vom Adapter: ${JSON.stringify(result)}`, 'info');
@@ -491,7 +660,49 @@
         }
     }
 
-    async function analysiereStabilePhasen(raum, historien) {
+    /**
+     * Legt eine stabile Phase als Rohbeobachtung fuer das Regressionsmodell ab (NEU in V4.2).
+     * Schluessel ist der Phasenbeginn: eine Phase, die im naechsten Lauf erneut
+     * (und laenger) erkannt wird, ueberschreibt ihre eigene Beobachtung.
+     */
+    async function speichereBeobachtung(raumName, phasenStartTs, midTs, kontext, offset) {
+        const d = new Date(midTs);
+        const query = `
+            INSERT INTO ${db.tabelle('heizungs_beobachtung')}
+                (raum, zeitpunkt, aussen_temp, solar, wind, stunde, feuchte, offset_erfolg)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                aussen_temp = VALUES(aussen_temp), solar = VALUES(solar), wind = VALUES(wind),
+                stunde = VALUES(stunde), feuchte = VALUES(feuchte), offset_erfolg = VALUES(offset_erfolg);
+        `;
+        const feuchte = typeof kontext.feuchte === 'number' ? parseFloat(kontext.feuchte.toFixed(1)) : null;
+        const params = [
+            raumName,
+            new Date(phasenStartTs),
+            parseFloat(kontext.aussenTemp.toFixed(1)),
+            parseFloat(kontext.maxSolar.toFixed(2)),
+            parseFloat(kontext.maxWind.toFixed(2)),
+            parseFloat((d.getHours() + d.getMinutes() / 60).toFixed(2)),
+            feuchte,
+            offset,
+        ];
+
+        try {
+            await db.ausfuehren(query, params);
+            if (DEBUG_LOG_AKTIV) {
+                log(`[SQL] Beobachtung fuer ${raumName} gespeichert: ${JSON.stringify(params)}`, 'info');
+            }
+        } catch (e) {
+            log(`[Fehler] SQL-Fehler beim Speichern der Beobachtung: ${e.message || e}`, 'error');
+        }
+    }
+
+    /**
+     * Erkennt stabile Phasen (Ist ~ Soll ueber >= minDurationMinutes) und lernt daraus.
+     * @param {{von: number, bis: number, lauf: object}|null} [abschnitt] Backfill (NEU in V4.5):
+     *   nur Phasen mit Beginn in [von, bis) zaehlen, Ziel ist die Staging-Tabelle.
+     */
+    async function analysiereStabilePhasen(raum, historien, abschnitt = null) {
         const istSeries = historien[`${raum.thermostatId}.ACTUAL_TEMPERATURE`];
         const sollSeries = historien[`${raum.thermostatId}.SET_POINT_TEMPERATURE`];
 
@@ -503,7 +714,8 @@
         const prozessiereGefundenePhase = async () => {
             if (phaseStartPunkt && letzterStabilerPunkt) {
                 const dauerMinuten = Math.round((letzterStabilerPunkt.ts - phaseStartPunkt.ts) / 60000);
-                if (dauerMinuten >= LERN_PARAMETER.minDurationMinutes) {
+                const imAbschnitt = !abschnitt || (phaseStartPunkt.ts >= abschnitt.von && phaseStartPunkt.ts < abschnitt.bis);
+                if (dauerMinuten >= LERN_PARAMETER.minDurationMinutes && imAbschnitt) {
                     const midTs = phaseStartPunkt.ts + (letzterStabilerPunkt.ts - phaseStartPunkt.ts) / 2;
                     const soll = getValueAt(midTs, sollSeries);
                     const kontext = getKontextAt(midTs, raum, historien);
@@ -518,7 +730,23 @@
                             offset_erfolg: parseFloat((soll - kontext.basisSoll).toFixed(2)),
                         };
 
-                        await speichereErfahrung(erfahrung);
+                        if (abschnitt) {
+                            const urlaubsPhase = getValueAt(midTs, historien[URLAUBSPAUSE.phaseId]);
+                            if (URLAUBSPAUSE.pausePhasen.includes(String(urlaubsPhase))) {
+                                abschnitt.lauf.urlaubsPhasen++;
+                            } else {
+                                await speichereErfahrung(erfahrung, { tabelle: BACKFILL.stagingTabelle, zeitpunkt: midTs });
+                                abschnitt.lauf.phasen++;
+                            }
+                            return;
+                        }
+
+                        if (LERN_MODUS !== 'regression') {
+                            await speichereErfahrung(erfahrung);
+                        }
+                        if (LERN_MODUS !== 'buckets') {
+                            await speichereBeobachtung(raum.name, phaseStartPunkt.ts, midTs, kontext, erfahrung.offset_erfolg);
+                        }
 
                         if (SEND_PUSHOVER_NOTIFICATIONS) {
                             const aussenVal = getValueAt(midTs, historien[DATENPUNKTE.wetter.aussenTemp]);
@@ -526,7 +754,7 @@
                             try {
                                 await sendToAsync(PUSHOVER_INSTANCE, 'send', {
                                     message: message,
-                                    title: 'Heizungs-Lerner V4.0',
+                                    title: 'Heizungs-Lerner V4.5',
                                     priority: -2,
                                 });
                             } catch (e) { /* ignorieren */ }
@@ -553,19 +781,505 @@
     }
 
     // -------------------------------------------------------------------------------------
-    // 5. HAUPTFUNKTION & ZEITPLANUNG
+    // 5. REGRESSIONSMODELL (NEU in V4.2) & VALIDIERUNG (NEU in V4.3)
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Rohe Merkmalswerte einer Beobachtung in der Reihenfolge von REGRESSION.merkmale.
+     * Fehlende Feuchte bleibt null.
+     * @returns {(number|null)[]}
+     */
+    function berechneMerkmale(zeile) {
+        const winkel = (2 * Math.PI * zeile.stunde) / 24;
+        return [
+            zeile.aussen_temp,
+            zeile.solar,
+            zeile.wind,
+            Math.sin(winkel),
+            Math.cos(winkel),
+            typeof zeile.feuchte === 'number' ? zeile.feuchte : null,
+        ];
+    }
+
+    /**
+     * Loest A * x = b per Gauss-Elimination mit Spaltenpivotsuche.
+     * @param {number[][]} A quadratische Matrix (wird veraendert)
+     * @param {number[]} b rechte Seite (wird veraendert)
+     * @returns {number[]|null} Loesung oder null bei singulaerer Matrix.
+     */
+    function loeseLinearesSystem(A, b) {
+        const n = b.length;
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(A[i][k]) > Math.abs(A[pivot][k])) pivot = i;
+            }
+            if (Math.abs(A[pivot][k]) < 1e-12) return null;
+            [A[k], A[pivot]] = [A[pivot], A[k]];
+            [b[k], b[pivot]] = [b[pivot], b[k]];
+            for (let i = k + 1; i < n; i++) {
+                const faktor = A[i][k] / A[k][k];
+                for (let j = k; j < n; j++) A[i][j] -= faktor * A[k][j];
+                b[i] -= faktor * b[k];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let summe = b[i];
+            for (let j = i + 1; j < n; j++) summe -= A[i][j] * x[j];
+            x[i] = summe / A[i][i];
+        }
+        return x;
+    }
+
+    /**
+     * Passt eine Ridge-Regression an die Beobachtungen eines Raums an.
+     * Merkmale werden standardisiert, fehlende Werte mit dem Mittelwert ersetzt
+     * (z = 0). Konstante Merkmale erhalten den Koeffizienten 0.
+     * @param {object[]} zeilen SQL-Zeilen aus heizungs_beobachtung
+     * @returns {object|null} Modell oder null, wenn das Gleichungssystem nicht loesbar ist.
+     */
+    function passeModellAn(zeilen) {
+        const X = zeilen.map(berechneMerkmale);
+        const y = zeilen.map((z) => z.offset_erfolg);
+        const n = y.length;
+        const yMittel = y.reduce((a, v) => a + v, 0) / n;
+
+        const merkmale = REGRESSION.merkmale.map((name, j) => {
+            const werte = X.map((zeile) => zeile[j]).filter((v) => v !== null);
+            if (werte.length === 0) return { name, mittel: 0, skala: 1, koeffizient: 0, min: null, max: null, aktiv: false };
+            const mittel = werte.reduce((a, v) => a + v, 0) / werte.length;
+            const varianz = werte.reduce((a, v) => a + (v - mittel) ** 2, 0) / werte.length;
+            const skala = Math.sqrt(varianz);
+            return {
+                name,
+                mittel,
+                skala: skala > 1e-6 ? skala : 1,
+                koeffizient: 0,
+                min: Math.min(...werte),
+                max: Math.max(...werte),
+                aktiv: skala > 1e-6,
+            };
+        });
+
+        const aktive = merkmale.map((m, j) => (m.aktiv ? j : -1)).filter((j) => j >= 0);
+        const Z = X.map((zeile) => aktive.map((j) => (zeile[j] === null ? 0 : (zeile[j] - merkmale[j].mittel) / merkmale[j].skala)));
+
+        if (aktive.length > 0) {
+            const p = aktive.length;
+            const A = Array.from({ length: p }, () => new Array(p).fill(0));
+            const b = new Array(p).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let a = 0; a < p; a++) {
+                    b[a] += Z[i][a] * (y[i] - yMittel);
+                    for (let c = 0; c < p; c++) A[a][c] += Z[i][a] * Z[i][c];
+                }
+            }
+            for (let a = 0; a < p; a++) A[a][a] += REGRESSION.lambda * n;
+
+            const beta = loeseLinearesSystem(A, b);
+            if (!beta) return null;
+            aktive.forEach((j, a) => { merkmale[j].koeffizient = beta[a]; });
+        }
+
+        let sse = 0;
+        let sst = 0;
+        for (let i = 0; i < n; i++) {
+            let vorhersage = yMittel;
+            aktive.forEach((j, a) => { vorhersage += merkmale[j].koeffizient * Z[i][a]; });
+            sse += (y[i] - vorhersage) ** 2;
+            sst += (y[i] - yMittel) ** 2;
+        }
+        const freiheitsgrade = Math.max(1, n - aktive.length - 1);
+
+        return {
+            achsenabschnitt: yMittel,
+            merkmale: merkmale.map(({ aktiv, ...m }) => m),
+            anzahl: n,
+            rmse: Math.sqrt(sse / freiheitsgrade),
+            r2: sst > 0 ? 1 - sse / sst : null,
+        };
+    }
+
+    /**
+     * Taeglicher Fit: liest je Raum die neuesten Beobachtungen und speichert das
+     * angepasste Modell in heizungs_modell.
+     */
+    async function aktualisiereRegressionsmodelle() {
+        log('[Regression] Starte Modell-Anpassung...', 'info');
+        for (const raum of DATENPUNKTE.raeume) {
+            const query = `
+                SELECT aussen_temp, solar, wind, stunde, feuchte, offset_erfolg
+                FROM ${db.tabelle('heizungs_beobachtung')}
+                WHERE raum = ?
+                ORDER BY zeitpunkt DESC
+                LIMIT ?;
+            `;
+            try {
+                const zeilen = await db.abfrage(query, [raum.name, REGRESSION.maxBeobachtungen]);
+                if (zeilen.length < REGRESSION.minBeobachtungen) {
+                    log(`[Regression] ${raum.name}: nur ${zeilen.length} Beobachtungen (< ${REGRESSION.minBeobachtungen}), kein Modell.`, 'info');
+                    continue;
+                }
+
+                const modell = passeModellAn(zeilen);
+                if (!modell) {
+                    log(`[Regression] ${raum.name}: Gleichungssystem nicht loesbar, Modell unveraendert.`, 'warn');
+                    continue;
+                }
+
+                const speichern = `
+                    INSERT INTO ${db.tabelle('heizungs_modell')}
+                        (raum, achsenabschnitt, merkmale, lambda, anzahl, rmse, r2)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    ON DUPLICATE KEY UPDATE
+                        achsenabschnitt = VALUES(achsenabschnitt), merkmale = VALUES(merkmale),
+                        lambda = VALUES(lambda), anzahl = VALUES(anzahl),
+                        rmse = VALUES(rmse), r2 = VALUES(r2);
+                `;
+                await db.ausfuehren(speichern, [
+                    raum.name,
+                    parseFloat(modell.achsenabschnitt.toFixed(3)),
+                    JSON.stringify(modell.merkmale),
+                    REGRESSION.lambda,
+                    modell.anzahl,
+                    parseFloat(modell.rmse.toFixed(3)),
+                    modell.r2 === null ? null : parseFloat(modell.r2.toFixed(3)),
+                ]);
+                log(`[Regression] ${raum.name}: Modell aus ${modell.anzahl} Beobachtungen, RMSE=${modell.rmse.toFixed(2)}°C, R²=${modell.r2 === null ? '-' : modell.r2.toFixed(2)}.`, 'info');
+            } catch (e) {
+                log(`[Fehler] Regressionsmodell fuer ${raum.name} fehlgeschlagen: ${e.message || e}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Wertet Kontexte mit schlechter Erfolgsquote ab (NEU in V4.3).
+     * Verarbeitete Bewertungen werden markiert, damit jede nur einmal zaehlt.
+     */
+    async function werteValidierungAus() {
+        // Bewertungen bleiben unverarbeitet und zaehlen nach der Uebernahme (NEU in V4.5)
+        if (replayAusstehend()) {
+            log('[Validierung] Uebersprungen, Backfill-Replay laeuft oder wartet auf Uebernahme.', 'info');
+            return;
+        }
+        const tabelle = db.tabelle('heizungs_prognose_validierung');
+        let gruppen;
+        try {
+            gruppen = await db.abfrage(`
+                SELECT raum, temp_bereich, solar_level, wind_level, tageszeit,
+                       COUNT(*) AS anzahl, SUM(erfolg) AS erfolge
+                FROM ${tabelle}
+                WHERE status = 'bewertet' AND quelle = 'buckets' AND vom_lerner_verarbeitet = 0
+                GROUP BY raum, temp_bereich, solar_level, wind_level, tageszeit;
+            `);
+        } catch (e) {
+            log(`[Validierung] Bewertungen nicht lesbar (laeuft prognose_validierung.js?): ${e.message || e}`, 'warn');
+            return;
+        }
+
+        let abgewertet = 0;
+        for (const g of gruppen) {
+            const anzahl = g.anzahl || 0;
+            if (anzahl < VALIDIERUNG.minBewertungen) continue;
+
+            const quote = (g.erfolge || 0) / anzahl;
+            const kontextParams = [g.raum, g.temp_bereich, g.solar_level, g.wind_level, g.tageszeit];
+            const kontextFilter = 'raum = ? AND temp_bereich = ? AND solar_level = ? AND wind_level = ? AND tageszeit = ?';
+            try {
+                if (quote < VALIDIERUNG.schwelleErfolgsquote) {
+                    // letzte_nutzung explizit beibehalten, sonst greift ON UPDATE CURRENT_TIMESTAMP.
+                    // Halbieren ist nicht idempotent -> keine Wiederholung nach Timeout
+                    await db.ausfuehren(`
+                        UPDATE ${db.tabelle('heizungs_erfahrung')}
+                        SET nutzungs_zaehler = GREATEST(1, FLOOR(nutzungs_zaehler * ?)),
+                            letzte_nutzung = letzte_nutzung
+                        WHERE ${kontextFilter};
+                    `, [VALIDIERUNG.abwertFaktor, ...kontextParams], { wiederholen: false });
+                    abgewertet++;
+                    log(`[Validierung] ${g.raum} [${g.temp_bereich}/${g.solar_level}/${g.wind_level}/${g.tageszeit}] abgewertet: ${Math.round(quote * 100)}% Erfolg bei ${anzahl} Bewertungen.`, 'info');
+                }
+                await db.ausfuehren(`
+                    UPDATE ${tabelle} SET vom_lerner_verarbeitet = 1
+                    WHERE status = 'bewertet' AND quelle = 'buckets' AND vom_lerner_verarbeitet = 0 AND ${kontextFilter};
+                `, kontextParams);
+            } catch (e) {
+                log(`[Fehler] Abwertung fuer ${g.raum} fehlgeschlagen: ${e.message || e}`, 'error');
+            }
+        }
+        log(`[Validierung] ${gruppen.length} Kontexte mit neuen Bewertungen geprueft, ${abgewertet} abgewertet.`, 'info');
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 6. BACKFILL / REPLAY (NEU in V4.5)
+    // -------------------------------------------------------------------------------------
+
+    const BACKFILL_IDS = {
+        von: `${BACKFILL.pfad}.Von`,
+        bis: `${BACKFILL.pfad}.Bis`,
+        starten: `${BACKFILL.pfad}.Starten`,
+        abbrechen: `${BACKFILL.pfad}.Abbrechen`,
+        uebernehmen: `${BACKFILL.pfad}.Uebernehmen`,
+        status: `${BACKFILL.pfad}.Status`,
+        fortschritt: `${BACKFILL.pfad}.Fortschritt`,
+        bericht: `${BACKFILL.pfad}.Bericht`,
+    };
+
+    // Laufender oder zuletzt abgeschlossener Replay, nur im RAM
+    let replayLauf = null;
+
+    /** Laufender oder abgeschlossener, noch nicht uebernommener Replay. */
+    function replayAusstehend() {
+        return !!replayLauf && (replayLauf.aktiv || replayLauf.abgeschlossen);
+    }
+
+    async function initialisiereBackfillDatenpunkte() {
+        const datenpunkte = [
+            { id: BACKFILL_IDS.von, def: '', common: { name: 'Backfill: erster Tag (JJJJ-MM-TT)', type: 'string', role: 'text', write: true } },
+            { id: BACKFILL_IDS.bis, def: '', common: { name: 'Backfill: letzter Tag inklusive (JJJJ-MM-TT)', type: 'string', role: 'text', write: true } },
+            { id: BACKFILL_IDS.starten, def: false, common: { name: 'Backfill: Replay in die Staging-Tabelle starten', type: 'boolean', role: 'button', write: true } },
+            { id: BACKFILL_IDS.abbrechen, def: false, common: { name: 'Backfill: laufenden Replay abbrechen', type: 'boolean', role: 'button', write: true } },
+            { id: BACKFILL_IDS.uebernehmen, def: false, common: { name: 'Backfill: Staging-Tabelle als heizungs_erfahrung uebernehmen', type: 'boolean', role: 'button', write: true } },
+            { id: BACKFILL_IDS.status, def: 'bereit', common: { name: 'Backfill: Status', type: 'string', role: 'text', write: false } },
+            { id: BACKFILL_IDS.fortschritt, def: 0, common: { name: 'Backfill: Fortschritt', type: 'number', role: 'value', unit: '%', write: false } },
+            { id: BACKFILL_IDS.bericht, def: '{}', common: { name: 'Backfill: Vergleich Staging gegen heizungs_erfahrung', type: 'string', role: 'json', write: false } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    async function setzeBackfillStatus(text, fortschritt = null) {
+        try {
+            await setStateAsync(BACKFILL_IDS.status, text, true);
+            if (fortschritt !== null) await setStateAsync(BACKFILL_IDS.fortschritt, fortschritt, true);
+        } catch (e) {
+            log(`[Backfill] Status nicht schreibbar: ${e.message || e}`, 'warn');
+        }
+    }
+
+    /**
+     * 'JJJJ-MM-TT' -> Zeitstempel 00:00 Uhr Ortszeit, sonst null.
+     * @returns {number|null}
+     */
+    function parseTag(text) {
+        const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text || '').trim());
+        if (!m) return null;
+        const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+        return d.getDate() === Number(m[3]) ? d.getTime() : null;
+    }
+
+    function formatiereTag(ts) {
+        const d = new Date(ts);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function kontextSchluessel(z) {
+        return `${z.raum}|${z.temp_bereich}/${z.solar_level}/${z.wind_level}/${z.tageszeit}`;
+    }
+
+    /**
+     * Vergleicht die Staging-Tabelle mit heizungs_erfahrung.
+     * Neu = nur im Replay, entfallen = nur in der aktuellen Tabelle,
+     * geaendert = Offset-Differenz >= BACKFILL.aenderungSchwelle.
+     */
+    async function erstelleReplayBericht(lauf) {
+        const spalten = 'raum, temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg, nutzungs_zaehler';
+        const aktuell = await db.abfrage(`SELECT ${spalten} FROM ${db.tabelle('heizungs_erfahrung')};`);
+        const replay = await db.abfrage(`SELECT ${spalten} FROM ${db.tabelle(BACKFILL.stagingTabelle)};`);
+        const aktuellMap = new Map(aktuell.map((z) => [kontextSchluessel(z), z]));
+        const replayMap = new Map(replay.map((z) => [kontextSchluessel(z), z]));
+
+        const aenderungen = [];
+        const raeume = DATENPUNKTE.raeume.map((raum) => {
+            const eintrag = { raum: raum.name, aktuell: 0, replay: 0, neu: 0, entfallen: 0, geaendert: 0, unveraendert: 0, abweichung_mittel: null };
+            let summeAbweichung = 0;
+            let gemeinsam = 0;
+            for (const [schluessel, z] of replayMap) {
+                if (z.raum !== raum.name) continue;
+                eintrag.replay++;
+                const alt = aktuellMap.get(schluessel);
+                if (!alt) {
+                    eintrag.neu++;
+                    continue;
+                }
+                const differenz = z.offset_erfolg - alt.offset_erfolg;
+                summeAbweichung += Math.abs(differenz);
+                gemeinsam++;
+                if (Math.abs(differenz) >= BACKFILL.aenderungSchwelle) {
+                    eintrag.geaendert++;
+                    aenderungen.push({
+                        raum: raum.name,
+                        kontext: schluessel.split('|')[1],
+                        alt: alt.offset_erfolg,
+                        neu: z.offset_erfolg,
+                        differenz: parseFloat(differenz.toFixed(2)),
+                        zaehler_alt: alt.nutzungs_zaehler,
+                        zaehler_neu: z.nutzungs_zaehler,
+                    });
+                } else {
+                    eintrag.unveraendert++;
+                }
+            }
+            for (const [schluessel, z] of aktuellMap) {
+                if (z.raum !== raum.name) continue;
+                eintrag.aktuell++;
+                if (!replayMap.has(schluessel)) eintrag.entfallen++;
+            }
+            if (gemeinsam > 0) eintrag.abweichung_mittel = parseFloat((summeAbweichung / gemeinsam).toFixed(2));
+            return eintrag;
+        });
+
+        return {
+            erstellt: new Date().getTime(),
+            von: formatiereTag(lauf.von),
+            bis: formatiereTag(lauf.bis - 1),
+            abschnitte: lauf.abschnitte,
+            phasen: lauf.phasen,
+            uebersprungen: { sommerpause_abschnitte: lauf.sommerpauseAbschnitte, urlaubs_phasen: lauf.urlaubsPhasen },
+            raeume,
+            groesste_aenderungen: aenderungen
+                .sort((a, b) => Math.abs(b.differenz) - Math.abs(a.differenz))
+                .slice(0, BACKFILL.topAenderungen),
+        };
+    }
+
+    /**
+     * Spielt den Zeitraum [von, bis) abschnittsweise in die Staging-Tabelle ein.
+     * Die Staging-Tabelle wird bei jedem Start neu angelegt.
+     */
+    async function fuehreReplayAus(von, bis) {
+        const abschnittMs = BACKFILL.abschnittStunden * 3600 * 1000;
+        const ueberhangMs = BACKFILL.ueberhangStunden * 3600 * 1000;
+        const lauf = { von, bis, aktiv: true, abbrechen: false, abgeschlossen: false, abschnitte: Math.ceil((bis - von) / abschnittMs), phasen: 0, urlaubsPhasen: 0, sommerpauseAbschnitte: 0 };
+        replayLauf = lauf;
+
+        log(`[Backfill] Starte Replay ${formatiereTag(von)} bis ${formatiereTag(bis - 1)} (${lauf.abschnitte} Abschnitte) in ${BACKFILL.stagingTabelle}.`, 'info');
+        try {
+            const staging = db.tabelle(BACKFILL.stagingTabelle);
+            await db.ausfuehren(`DROP TABLE IF EXISTS ${staging};`);
+            await db.ausfuehren(`CREATE TABLE ${staging} LIKE ${db.tabelle('heizungs_erfahrung')};`);
+
+            for (let i = 0; i < lauf.abschnitte; i++) {
+                if (lauf.abbrechen) {
+                    log(`[Backfill] Abgebrochen nach ${i} von ${lauf.abschnitte} Abschnitten.`, 'warn');
+                    await setzeBackfillStatus(`abgebrochen nach ${i}/${lauf.abschnitte} Abschnitten`);
+                    return;
+                }
+                const aVon = von + i * abschnittMs;
+                const aBis = Math.min(bis, aVon + abschnittMs);
+                await setzeBackfillStatus(`laeuft: ${formatiereTag(aVon)} (${i + 1}/${lauf.abschnitte})`, Math.round((i / lauf.abschnitte) * 100));
+
+                const mittelwert = await getAussenTempMittelwert24h(aBis);
+                if (mittelwert !== null && mittelwert > SOMMERPAUSE.schwelleGradCelsius) {
+                    lauf.sommerpauseAbschnitte++;
+                } else {
+                    for (const raum of DATENPUNKTE.raeume) {
+                        const historien = await getHistoryData(raum, aVon - ueberhangMs, aBis + ueberhangMs, true);
+                        if (!historien) throw new Error(`InfluxDB-Abfrage fuer ${raum.name} (${formatiereTag(aVon)}) fehlgeschlagen`);
+                        await analysiereStabilePhasen(raum, historien, { von: aVon, bis: aBis, lauf });
+                    }
+                }
+                await new Promise((resolve) => setTimeout(resolve, BACKFILL.pauseMs));
+            }
+
+            const bericht = await erstelleReplayBericht(lauf);
+            await setStateAsync(BACKFILL_IDS.bericht, JSON.stringify(bericht), true);
+            lauf.abgeschlossen = true;
+            await setzeBackfillStatus(`fertig: ${lauf.phasen} Phasen, Bericht pruefen und uebernehmen`, 100);
+            const summe = (feld) => bericht.raeume.reduce((a, r) => a + r[feld], 0);
+            log(`[Backfill] Replay fertig: ${lauf.phasen} Phasen (${lauf.urlaubsPhasen} Urlaubsphasen, ${lauf.sommerpauseAbschnitte} Abschnitte Sommerpause uebersprungen). Kontexte: ${summe('neu')} neu, ${summe('entfallen')} entfallen, ${summe('geaendert')} geaendert.`, 'info');
+        } catch (e) {
+            log(`[Backfill] Replay fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeBackfillStatus(`Fehler: ${e.message || e}`);
+        } finally {
+            lauf.aktiv = false;
+        }
+    }
+
+    async function starteReplay() {
+        if (replayLauf && replayLauf.aktiv) {
+            log('[Backfill] Replay laeuft bereits.', 'warn');
+            return;
+        }
+        const von = parseTag((await getStateAsync(BACKFILL_IDS.von))?.val);
+        const bisTag = parseTag((await getStateAsync(BACKFILL_IDS.bis))?.val);
+        if (von === null || bisTag === null) {
+            log(`[Backfill] Von/Bis ungueltig, erwartet 'JJJJ-MM-TT'.`, 'warn');
+            await setzeBackfillStatus('Fehler: Von/Bis ungueltig (JJJJ-MM-TT)');
+            return;
+        }
+        const bisDatum = new Date(bisTag);
+        bisDatum.setDate(bisDatum.getDate() + 1);
+        const bis = Math.min(bisDatum.getTime(), new Date().getTime());
+        if (bis <= von) {
+            log('[Backfill] Bis liegt vor Von oder in der Zukunft, kein Replay.', 'warn');
+            await setzeBackfillStatus('Fehler: leerer Zeitraum');
+            return;
+        }
+        await fuehreReplayAus(von, bis);
+    }
+
+    /**
+     * Tauscht Staging-Tabelle und heizungs_erfahrung in einem RENAME (atomar).
+     * Die bisherige Tabelle bleibt als BACKFILL.sicherungTabelle erhalten.
+     */
+    async function uebernehmeReplay() {
+        if (!replayLauf || !replayLauf.abgeschlossen || replayLauf.aktiv) {
+            log('[Backfill] Kein abgeschlossener Replay seit Skriptstart, nichts zu uebernehmen.', 'warn');
+            await setzeBackfillStatus('Fehler: kein abgeschlossener Replay');
+            return;
+        }
+        const live = db.tabelle('heizungs_erfahrung');
+        const staging = db.tabelle(BACKFILL.stagingTabelle);
+        const sicherung = db.tabelle(BACKFILL.sicherungTabelle);
+        try {
+            const zeilen = await db.abfrage(`SELECT COUNT(*) AS anzahl FROM ${staging};`);
+            const anzahl = zeilen.length > 0 ? zeilen[0].anzahl : 0;
+            if (!anzahl) {
+                log('[Backfill] Staging-Tabelle ist leer, Uebernahme abgelehnt.', 'warn');
+                await setzeBackfillStatus('Fehler: Staging-Tabelle leer');
+                return;
+            }
+            await db.ausfuehren(`DROP TABLE IF EXISTS ${sicherung};`);
+            await db.ausfuehren(`RENAME TABLE ${live} TO ${sicherung}, ${staging} TO ${live};`, [], { wiederholen: false });
+            replayLauf = null;
+            await setzeBackfillStatus(`uebernommen (${anzahl} Kontexte), vorherige Tabelle: ${BACKFILL.sicherungTabelle}`);
+            log(`[Backfill] Staging mit ${anzahl} Kontexten uebernommen, vorherige Tabelle als ${BACKFILL.sicherungTabelle} gesichert.`, 'info');
+        } catch (e) {
+            log(`[Backfill] Uebernahme fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeBackfillStatus(`Fehler bei Uebernahme: ${e.message || e}`);
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 7. HAUPTFUNKTION & ZEITPLANUNG
     // -------------------------------------------------------------------------------------
 
     async function main() {
-        log('[Start] Starte Analyse-Lauf V4.0...', 'info');
+        log('[Start] Starte Analyse-Lauf V4.5...', 'info');
 
         try {
             await setStateAsync(SOMMERPAUSE.datenpunktLetzterLauf, new Date().getTime(), true);
         } catch (e) { /* ignorieren */ }
 
+        if (replayAusstehend()) {
+            log('[Ende] Analyse-Lauf V4.5 uebersprungen (Backfill-Replay laeuft oder wartet auf Uebernahme).', 'info');
+            return;
+        }
+
         const pauseAktiv = await pruefeSommerpause();
         if (pauseAktiv) {
-            log('[Ende] Analyse-Lauf V4.0 uebersprungen (Sommerpause).', 'info');
+            log('[Ende] Analyse-Lauf V4.5 uebersprungen (Sommerpause).', 'info');
+            return;
+        }
+
+        const urlaubsGrund = await pruefeUrlaubspause();
+        if (urlaubsGrund) {
+            log(`[Ende] Analyse-Lauf V4.5 uebersprungen (${urlaubsGrund}).`, 'info');
             return;
         }
 
@@ -580,19 +1294,50 @@
             }
         }
 
-        log('[Ende] Analyse-Lauf V4.0 abgeschlossen.', 'info');
+        log('[Ende] Analyse-Lauf V4.5 abgeschlossen.', 'info');
     }
 
     // -------------------------------------------------------------------------------------
-    // 6. SKRIPT-START
+    // 8. SKRIPT-START
     // -------------------------------------------------------------------------------------
 
     (async () => {
         await initialisiereDatenbank();
         await initialisiereStatusDatenpunkte();
-        log('[Skript] Heizungs-Lerner V4.0 gestartet. Naechster Lauf: In 30 Sekunden, dann alle 30 Minuten.', 'info');
+        await initialisiereBackfillDatenpunkte();
+        log(`[Skript] Heizungs-Lerner V4.5 gestartet (Lernmodus '${LERN_MODUS}'). Naechster Lauf: In 30 Sekunden, dann alle 30 Minuten.`, 'info');
         schedule(SCHEDULE, main);
         setTimeout(main, 30000);
+        if (LERN_MODUS !== 'buckets') {
+            schedule(REGRESSION.fitSchedule, aktualisiereRegressionsmodelle);
+        }
+        if (VALIDIERUNG.aktiv && LERN_MODUS !== 'regression') {
+            schedule(VALIDIERUNG.schedule, werteValidierungAus);
+        }
+
+        // Backfill-Buttons (NEU in V4.5)
+        on({ id: BACKFILL_IDS.starten, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(BACKFILL_IDS.starten, false, true);
+            await starteReplay();
+        });
+        on({ id: BACKFILL_IDS.abbrechen, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(BACKFILL_IDS.abbrechen, false, true);
+            if (replayLauf && replayLauf.aktiv) {
+                replayLauf.abbrechen = true;
+            } else if (replayLauf && replayLauf.abgeschlossen) {
+                // Abgeschlossenen Replay verwerfen, der Regelbetrieb lernt wieder
+                replayLauf = null;
+                await setzeBackfillStatus('verworfen, Regelbetrieb laeuft wieder');
+                log('[Backfill] Abgeschlossener Replay verworfen, Lernen im Regelbetrieb wieder aktiv.', 'info');
+            }
+        });
+        on({ id: BACKFILL_IDS.uebernehmen, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(BACKFILL_IDS.uebernehmen, false, true);
+            await uebernehmeReplay();
+        });
     })();
 
 })();
\ No newline at end of file
@@ -0,0 +1,246 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout, HeizungKontext, HeizungSql */
+
+/**
+ * @fileoverview Lernqualitaets-Bericht fuer das Lerner/Stratege-System
+ * @version 1.1 - Gemeinsame SQL-Schicht (global/heizung_sql.js)
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Macht sichtbar, wie gut die Tabelle heizungs_erfahrung gefuellt ist. Einmal
+ * taeglich (und beim Skriptstart) werden je Raum ermittelt:
+ *   - Abdeckung: gefuellte vs. moegliche Kontexte (Temp x Solar x Wind x Tageszeit)
+ *   - mittlerer nutzungs_zaehler
+ *   - Alter von letzte_nutzung (Mittel, Maximum, Anzahl veralteter Kontexte)
+ *   - Verteilung der gelernten Offsets (Min/Max/Mittel/Streuung, Histogramm)
+ *   - Kontexte mit der groessten Streuung der Rohbeobachtungen
+ *     (aus heizungs_beobachtung, Heizungs-Lerner ab V4.2; fehlt die Tabelle,
+ *     bleibt die Liste leer)
+ *
+ * Ergebnis als JSON- und HTML-Datenpunkt (Tabelle fuer ein VIS-HTML-Widget).
+ *
+ * Das Skript liest nur, es schreibt nichts in die Datenbank.
+ *
+ * DATENFLUSS:
+ *   ioBroker-Schedule (taeglich 04:30) / Skriptstart
+ *     -> HeizungSql: SELECT ... heizungs_erfahrung / heizungs_beobachtung
+ *     -> 0_userdata.0.Heizung.Lernsystem.Bericht.*
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SQL_INSTANCE = 'sql.0';
+    const DB_NAME = 'iobroker_heizung';
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
+
+    // Taeglich 04:30 — nach dem Modell-Fit des Lerners (03:10)
+    const SCHEDULE_BERICHT = '30 4 * * *';
+
+    const BASIS_PFAD = '0_userdata.0.Heizung.Lernsystem.Bericht';
+
+    const RAEUME = ['Wohnzimmer', 'Schlafzimmer', 'Badezimmer', 'Kueche', 'Esszimmer'];
+
+    // Kategorien wie im Heizungs-Lerner (global/heizung_kontext.js).
+    // Anzahl Kategorien = Anzahl Grenzen + 1 (kat_0 ... kat_n).
+    const { GRENZEN, TAGESZEITEN } = HeizungKontext;
+
+    const BERICHT = {
+        veraltetNachTagen: 60,          // Kontexte ohne Nutzung seit X Tagen gelten als veraltet
+        topVarianzAnzahl: 5,            // Anzahl Kontexte mit groesster Streuung je Raum
+        minBeobachtungenVarianz: 3,     // erst ab so vielen Beobachtungen ist eine Streuung aussagekraeftig
+        beobachtungenTage: 365,         // nur Beobachtungen der letzten X Tage
+        histogrammGrenzen: [-2, -1, -0.5, 0, 0.5, 1, 2],
+    };
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: `${BASIS_PFAD}.JSON`, def: '{}', common: { name: 'Lernqualitaet je Raum (JSON)', type: 'string', role: 'json' } },
+            { id: `${BASIS_PFAD}.HTML`, def: '', common: { name: 'Lernqualitaet je Raum (HTML-Tabelle fuer VIS)', type: 'string', role: 'html' } },
+            { id: `${BASIS_PFAD}.Abdeckung_Gesamt`, def: 0, common: { name: 'Gefuellte Kontexte ueber alle Raeume', type: 'number', role: 'value', unit: '%' } },
+            { id: `${BASIS_PFAD}.Letzte_Aktualisierung`, def: 0, common: { name: 'Zeitstempel des letzten Berichts', type: 'number', role: 'date' } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, write: false, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    /** @param {number[]} werte */
+    function statistik(werte) {
+        if (werte.length === 0) return null;
+        const mittel = werte.reduce((a, v) => a + v, 0) / werte.length;
+        const varianz = werte.reduce((a, v) => a + (v - mittel) ** 2, 0) / werte.length;
+        return {
+            min: Math.min(...werte),
+            max: Math.max(...werte),
+            mittel: runde(mittel),
+            stdabw: runde(Math.sqrt(varianz)),
+        };
+    }
+
+    function runde(wert, stellen = 2) {
+        return parseFloat(wert.toFixed(stellen));
+    }
+
+    /** @param {number[]} offsets */
+    function histogramm(offsets) {
+        const g = BERICHT.histogrammGrenzen;
+        const klassen = [{ bereich: `< ${g[0]}`, anzahl: 0 }];
+        for (let i = 0; i < g.length - 1; i++) klassen.push({ bereich: `${g[i]} .. ${g[i + 1]}`, anzahl: 0 });
+        klassen.push({ bereich: `>= ${g[g.length - 1]}`, anzahl: 0 });
+        for (const o of offsets) {
+            let k = 0;
+            while (k < g.length && o >= g[k]) k++;
+            klassen[k].anzahl++;
+        }
+        return klassen;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, (z) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[z]);
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. KERNLOGIK: BERICHT
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Berechnet den Bericht eines Raums aus den SQL-Zeilen.
+     */
+    function berechneRaumBericht(raum, erfahrungen, beobachtungen) {
+        const kontexteGesamt = (GRENZEN.temp.length + 1) * (GRENZEN.solar.length + 1) * (GRENZEN.wind.length + 1) * TAGESZEITEN.length;
+        const zeilen = erfahrungen.filter((z) => z.raum === raum);
+        const offsets = zeilen.map((z) => z.offset_erfolg);
+        const zaehler = zeilen.map((z) => z.nutzungs_zaehler || 0);
+        const alterTage = zeilen.map((z) => (z.alter_stunden || 0) / 24);
+
+        // Streuung der Rohbeobachtungen je Kontext
+        const gruppen = new Map();
+        for (const b of beobachtungen) {
+            if (b.raum !== raum) continue;
+            const kontext = [
+                HeizungKontext.kategorie(b.aussen_temp, GRENZEN.temp),
+                HeizungKontext.kategorie(b.solar, GRENZEN.solar),
+                HeizungKontext.kategorie(b.wind, GRENZEN.wind),
+                HeizungKontext.tageszeitZurStunde(b.stunde),
+            ].join('/');
+            if (!gruppen.has(kontext)) gruppen.set(kontext, []);
+            gruppen.get(kontext).push(b.offset_erfolg);
+        }
+        const topVarianz = [...gruppen.entries()]
+            .filter(([, werte]) => werte.length >= BERICHT.minBeobachtungenVarianz)
+            .map(([kontext, werte]) => ({ kontext, anzahl: werte.length, ...statistik(werte) }))
+            .sort((a, b) => b.stdabw - a.stdabw)
+            .slice(0, BERICHT.topVarianzAnzahl);
+
+        return {
+            raum,
+            kontexte_gefuellt: zeilen.length,
+            kontexte_gesamt: kontexteGesamt,
+            abdeckung_prozent: runde((zeilen.length / kontexteGesamt) * 100, 1),
+            zaehler_mittel: zaehler.length ? runde(zaehler.reduce((a, v) => a + v, 0) / zaehler.length, 1) : 0,
+            alter_tage_mittel: alterTage.length ? runde(alterTage.reduce((a, v) => a + v, 0) / alterTage.length, 1) : null,
+            alter_tage_max: alterTage.length ? runde(Math.max(...alterTage), 1) : null,
+            veraltet: alterTage.filter((t) => t > BERICHT.veraltetNachTagen).length,
+            offset: offsets.length ? { ...statistik(offsets), histogramm: histogramm(offsets) } : null,
+            top_varianz: topVarianz,
+        };
+    }
+
+    function erstelleHtml(bericht) {
+        const zelle = (inhalt, rechts = true) => `<td style="padding:2px 6px;${rechts ? 'text-align:right;' : ''}">${escapeHtml(inhalt)}</td>`;
+        const kopf = ['Raum', 'Abdeckung', 'Ø Zähler', 'Ø Alter (d)', 'Veraltet', 'Offset Ø ± σ', 'Offset min..max', 'Größte Streuung']
+            .map((t) => `<th style="padding:2px 6px;text-align:left;">${escapeHtml(t)}</th>`).join('');
+
+        const zeilen = bericht.raeume.map((r) => {
+            const top = r.top_varianz[0];
+            return '<tr>' + [
+                zelle(r.raum, false),
+                zelle(`${r.kontexte_gefuellt}/${r.kontexte_gesamt} (${r.abdeckung_prozent} %)`),
+                zelle(r.zaehler_mittel),
+                zelle(r.alter_tage_mittel ?? '-'),
+                zelle(r.veraltet),
+                zelle(r.offset ? `${r.offset.mittel} ± ${r.offset.stdabw}` : '-'),
+                zelle(r.offset ? `${r.offset.min} .. ${r.offset.max}` : '-'),
+                zelle(top ? `${top.kontext} (σ ${top.stdabw}, n=${top.anzahl})` : '-', false),
+            ].join('') + '</tr>';
+        }).join('');
+
+        return `<table style="border-collapse:collapse;font-size:small;"><thead><tr>${kopf}</tr></thead><tbody>${zeilen}</tbody></table>`
+            + `<div style="font-size:x-small;">Stand: ${escapeHtml(new Date(bericht.erstellt).toLocaleString('de-DE'))}</div>`;
+    }
+
+    async function erstelleBericht() {
+        const erfahrungen = await db.abfrage(`
+            SELECT raum, temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg, nutzungs_zaehler,
+                   TIMESTAMPDIFF(HOUR, letzte_nutzung, NOW()) AS alter_stunden
+            FROM ${db.tabelle('heizungs_erfahrung')};
+        `);
+
+        let beobachtungen = [];
+        try {
+            beobachtungen = await db.abfrage(`
+                SELECT raum, aussen_temp, solar, wind, stunde, offset_erfolg
+                FROM ${db.tabelle('heizungs_beobachtung')}
+                WHERE zeitpunkt > DATE_SUB(NOW(), INTERVAL ? DAY);
+            `, [BERICHT.beobachtungenTage]);
+        } catch (e) {
+            log(`[Bericht] heizungs_beobachtung nicht lesbar, Streuung entfaellt: ${e.message || e}`, 'warn');
+        }
+
+        const raeume = RAEUME.map((raum) => berechneRaumBericht(raum, erfahrungen, beobachtungen));
+        const gefuellt = raeume.reduce((a, r) => a + r.kontexte_gefuellt, 0);
+        const gesamt = raeume.reduce((a, r) => a + r.kontexte_gesamt, 0);
+        return {
+            erstellt: new Date().getTime(),
+            abdeckung_gesamt_prozent: gesamt ? runde((gefuellt / gesamt) * 100, 1) : 0,
+            raeume,
+        };
+    }
+
+    async function main() {
+        log('[Bericht] Erstelle Lernqualitaets-Bericht...', 'info');
+        try {
+            const bericht = await erstelleBericht();
+            await setStateAsync(`${BASIS_PFAD}.JSON`, JSON.stringify(bericht), true);
+            await setStateAsync(`${BASIS_PFAD}.HTML`, erstelleHtml(bericht), true);
+            await setStateAsync(`${BASIS_PFAD}.Abdeckung_Gesamt`, bericht.abdeckung_gesamt_prozent, true);
+            await setStateAsync(`${BASIS_PFAD}.Letzte_Aktualisierung`, bericht.erstellt, true);
+            const kurz = bericht.raeume.map((r) => `${r.raum} ${r.abdeckung_prozent}%`).join(', ');
+            log(`[Bericht] Fertig. Abdeckung gesamt ${bericht.abdeckung_gesamt_prozent}% (${kurz}).`, 'info');
+        } catch (e) {
+            log(`[Bericht] FEHLER beim Erstellen des Berichts: ${e.message || e}`, 'error');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+        log(`[Skript] Lernqualitaets-Bericht V1.1 gestartet. Erster Lauf in 1 Minute, dann ${SCHEDULE_BERICHT}.`, 'info');
+        schedule(SCHEDULE_BERICHT, main);
+        setTimeout(main, 60000);
+    })();
+
+})();
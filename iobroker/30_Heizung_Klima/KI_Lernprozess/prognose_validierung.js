@@ -0,0 +1,379 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout, HeizungSql */
+
+/**
+ * @fileoverview Prognose-Validierung (geschlossener Regelkreis fuer den Strategen)
+ * @version 1.1 - Gemeinsame SQL-Schicht (global/heizung_sql.js), Tabelle per Migration
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Prueft, ob der vom Strategen empfohlene Offset den Raum tatsaechlich
+ * auf Sollwert gebracht hat.
+ *
+ * 1. Erfassen: Jede Entscheidung der Raumsteuerung mit angewendetem
+ *    Prognose-Offset (Entscheidung.prognose.angewendet != 0) wird mit Kontext,
+ *    Quelle und Vertrauen des Strategen in heizungs_prognose_validierung
+ *    abgelegt. Eine neue Zeile entsteht nur, wenn sich Offset, Sollwert oder
+ *    Kontext aendern; die vorherige Anwendung gilt dann bis zu diesem Zeitpunkt.
+ * 2. Bewerten: Nach VALIDIERUNG.fensterMinuten (oder frueher, wenn die
+ *    Anwendung vorher abgeloest wurde) wird aus der InfluxDB-Historie der
+ *    Raumtemperatur die mittlere Abweichung |Ist - Soll| und die Zeit bis zum
+ *    Erreichen des Sollwerts bestimmt. Erfolg = mittlere Abweichung <= zielAbweichung.
+ *    Zu kurz gueltige Anwendungen werden verworfen.
+ * 3. Treffsicherheit: Anteil erfolgreicher Anwendungen je Raum ueber die
+ *    letzten VALIDIERUNG.auswertungTage als Datenpunkt.
+ *
+ * Der Heizungs-Lerner (ab V4.3) liest die bewerteten Zeilen und wertet
+ * Kontexte mit schlechter Treffsicherheit ab (nutzungs_zaehler sinkt, damit
+ * sinkt das Vertrauen des Strategen).
+ *
+ * DATENFLUSS:
+ *   0_userdata.0.Heizung.Raumsteuerung.{raum}.Entscheidung
+ *   0_userdata.0.Heizung.Prognose.{raum}.(Aktueller_Kontext|Empfehlung_Quelle|...)
+ *     -> SQL iobroker_heizung.heizungs_prognose_validierung (INSERT/UPDATE)
+ *   InfluxDB (Raumtemperatur)
+ *     -> Bewertung alle 15 Min
+ *     -> 0_userdata.0.Heizung.Prognose.{raum}.Treffsicherheit / .Validierung
+ *     -> Heizungs-Lerner (Abwertung schlechter Kontexte)
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const INFLUXDB_INSTANCE = 'influxdb.0';
+    const SQL_INSTANCE = 'sql.0';
+    const DB_NAME = 'iobroker_heizung';
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
+    const TABELLE = db.tabelle('heizungs_prognose_validierung');
+    const SCHEDULE_BEWERTUNG = '*/15 * * * *';
+
+    const ENTSCHEIDUNG_PFAD = '0_userdata.0.Heizung.Raumsteuerung';
+    const PROGNOSE_PFAD = '0_userdata.0.Heizung.Prognose';
+
+    const VALIDIERUNG = {
+        fensterMinuten: 120,        // Bewertungsfenster ab Anwendung
+        minFensterMinuten: 30,      // kuerzer gueltige Anwendungen werden verworfen
+        toleranz: 0.3,              // Sollwert gilt als erreicht bei |Ist - Soll| <= toleranz
+        zielAbweichung: 0.5,        // Erfolg, wenn die mittlere Abweichung darunter bleibt
+        auswertungTage: 30,         // Zeitraum fuer die Treffsicherheit je Raum
+    };
+
+    // dbRaum wie in der Raumsteuerung, Raumtemperatur vom Thermostat
+    const RAEUME = [
+        { name: 'Wohnzimmer',   thermostatId: 'hm-rpc.2.INT0000005.1' },
+        { name: 'Schlafzimmer', thermostatId: 'hm-rpc.2.INT0000001.1' },
+        { name: 'Badezimmer',   thermostatId: 'hm-rpc.2.INT0000002.1' },
+        { name: 'Kueche',       thermostatId: 'hm-rpc.2.INT0000003.1' },
+        { name: 'Esszimmer',    thermostatId: 'hm-rpc.2.INT0000004.1' },
+    ];
+
+    // Zuletzt erfasste Anwendung je Raum (Vergleichsschluessel), nur im RAM
+    const letzteAnwendung = {};
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    const MIGRATIONEN = [
+        {
+            version: 1,
+            beschreibung: 'Tabelle heizungs_prognose_validierung',
+            sql: [`CREATE TABLE IF NOT EXISTS ${TABELLE} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                raum VARCHAR(50) NOT NULL,
+                zeitpunkt DATETIME NOT NULL,
+                temp_bereich VARCHAR(20) NOT NULL,
+                solar_level VARCHAR(20) NOT NULL,
+                wind_level VARCHAR(20) NOT NULL,
+                tageszeit VARCHAR(20) NOT NULL,
+                quelle VARCHAR(20) NOT NULL,
+                offset_empfohlen DECIMAL(4,2) NOT NULL,
+                offset_angewendet DECIMAL(4,2) NOT NULL,
+                vertrauen INT NOT NULL,
+                soll_temp DECIMAL(4,1) NOT NULL,
+                ist_temp_start DECIMAL(4,1) NULL,
+                gueltig_bis DATETIME NULL,
+                status VARCHAR(12) NOT NULL DEFAULT 'offen',
+                abweichung_mittel DECIMAL(4,2) NULL,
+                zeit_bis_soll_min INT NULL,
+                erfolg TINYINT NULL,
+                vom_lerner_verarbeitet TINYINT NOT NULL DEFAULT 0,
+                INDEX status_index (raum, status)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`],
+        },
+    ];
+
+    async function initialisiereDatenbank() {
+        try {
+            const version = await db.migriere('prognose_validierung', MIGRATIONEN);
+            log(`[Init] SQL-Schema prognose_validierung auf Version ${version}.`, 'info');
+        } catch (e) {
+            log(`[Fehler] Datenbank-Schema konnte nicht migriert werden: ${e.message || e}`, 'error');
+        }
+    }
+
+    async function initialisiereDatenpunkte() {
+        for (const raum of RAEUME) {
+            const datenpunkte = [
+                { id: `${PROGNOSE_PFAD}.${raum.name}.Treffsicherheit`, def: 0, common: { name: `Treffsicherheit der Empfehlungen fuer ${raum.name}`, type: 'number', role: 'value', unit: '%' } },
+                { id: `${PROGNOSE_PFAD}.${raum.name}.Validierung`, def: '{}', common: { name: `Auswertung der angewendeten Empfehlungen fuer ${raum.name}`, type: 'string', role: 'json' } },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, write: false, def: dp.def });
+                    log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+                }
+            }
+        }
+    }
+
+    async function leseWert(id) {
+        try {
+            return (await getStateAsync(id))?.val ?? null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. ERFASSEN: ANGEWENDETE OFFSETS
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Beendet die offene Anwendung eines Raums zum angegebenen Zeitpunkt.
+     */
+    async function schliesseAnwendung(raumName, ts) {
+        await db.ausfuehren(`
+            UPDATE ${TABELLE} SET gueltig_bis = ?
+            WHERE raum = ? AND status = 'offen' AND gueltig_bis IS NULL;
+        `, [new Date(ts), raumName]);
+    }
+
+    /**
+     * Verarbeitet ein Entscheidungsprotokoll der Raumsteuerung.
+     * @param {object} raum Eintrag aus RAEUME
+     * @param {string} json Inhalt von Raumsteuerung.{raum}.Entscheidung
+     */
+    async function erfasseEntscheidung(raum, json) {
+        let entscheidung;
+        try {
+            entscheidung = JSON.parse(json);
+        } catch (e) {
+            log(`[Validierung] Entscheidung fuer ${raum.name} nicht lesbar: ${e.message}`, 'warn');
+            return;
+        }
+        if (!entscheidung || entscheidung.simulation || typeof entscheidung.sollTemp !== 'number') return;
+
+        const angewendet = entscheidung.prognose && typeof entscheidung.prognose.angewendet === 'number'
+            ? entscheidung.prognose.angewendet
+            : 0;
+        const zeitpunkt = entscheidung.zeitpunkt || new Date().getTime();
+
+        try {
+            if (angewendet === 0) {
+                if (letzteAnwendung[raum.name]) {
+                    await schliesseAnwendung(raum.name, zeitpunkt);
+                    letzteAnwendung[raum.name] = null;
+                }
+                return;
+            }
+
+            const kontext = String((await leseWert(`${PROGNOSE_PFAD}.${raum.name}.Aktueller_Kontext`)) || '');
+            const teile = kontext.split('/');
+            if (teile.length !== 4) {
+                log(`[Validierung] ${raum.name}: kein Kontext vom Strategen (Aktueller_Kontext='${kontext}'), Anwendung nicht erfasst.`, 'warn');
+                return;
+            }
+
+            const schluessel = `${angewendet.toFixed(2)}|${entscheidung.sollTemp}|${kontext}`;
+            if (letzteAnwendung[raum.name] === schluessel) return;
+
+            await schliesseAnwendung(raum.name, zeitpunkt);
+            const quelle = String((await leseWert(`${PROGNOSE_PFAD}.${raum.name}.Empfehlung_Quelle`)) || 'buckets');
+            const istTemp = entscheidung.eingaben && typeof entscheidung.eingaben.raumIstTemp === 'number'
+                ? entscheidung.eingaben.raumIstTemp
+                : null;
+            // Ohne Wiederholung: nach einem Timeout waere die Zeile sonst evtl. doppelt
+            await db.ausfuehren(`
+                INSERT INTO ${TABELLE}
+                    (raum, zeitpunkt, temp_bereich, solar_level, wind_level, tageszeit, quelle,
+                     offset_empfohlen, offset_angewendet, vertrauen, soll_temp, ist_temp_start)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+            `, [
+                raum.name,
+                new Date(zeitpunkt),
+                teile[0], teile[1], teile[2], teile[3],
+                quelle,
+                parseFloat(Number(entscheidung.prognose.rohOffset || 0).toFixed(2)),
+                parseFloat(angewendet.toFixed(2)),
+                Math.round(Number(entscheidung.prognose.vertrauen) || 0),
+                entscheidung.sollTemp,
+                istTemp,
+            ], { wiederholen: false });
+            letzteAnwendung[raum.name] = schluessel;
+            log(`[Validierung] ${raum.name}: Offset ${angewendet >= 0 ? '+' : ''}${angewendet.toFixed(2)}°C bei Soll ${entscheidung.sollTemp}°C erfasst (${kontext}, ${quelle}).`, 'info');
+        } catch (e) {
+            log(`[Fehler] SQL-Fehler beim Erfassen der Anwendung fuer ${raum.name}: ${e.message || e}`, 'error');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. BEWERTEN: ABWEICHUNG & ZEIT BIS SOLLWERT
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Bewertet den Temperaturverlauf einer Anwendung.
+     * @param {{ts: number, val: number}[]} punkte Raumtemperatur im Bewertungsfenster
+     * @returns {{abweichung: number, zeitBisSoll: number|null, erfolg: boolean}|null}
+     */
+    function bewerteVerlauf(punkte, sollTemp, startTs) {
+        const gueltig = punkte.filter((p) => typeof p.val === 'number' && !isNaN(p.val));
+        if (gueltig.length === 0) return null;
+
+        const abweichung = gueltig.reduce((a, p) => a + Math.abs(p.val - sollTemp), 0) / gueltig.length;
+        const erreicht = gueltig.find((p) => Math.abs(p.val - sollTemp) <= VALIDIERUNG.toleranz);
+        return {
+            abweichung: abweichung,
+            zeitBisSoll: erreicht ? Math.max(0, Math.round((erreicht.ts - startTs) / 60000)) : null,
+            erfolg: abweichung <= VALIDIERUNG.zielAbweichung,
+        };
+    }
+
+    async function bewerteOffeneAnwendungen() {
+        const jetzt = new Date().getTime();
+        let offene;
+        try {
+            offene = await db.abfrage(`
+                SELECT id, raum, soll_temp,
+                       UNIX_TIMESTAMP(zeitpunkt) AS start_s, UNIX_TIMESTAMP(gueltig_bis) AS ende_s
+                FROM ${TABELLE}
+                WHERE status = 'offen'
+                  AND (gueltig_bis IS NOT NULL OR zeitpunkt <= DATE_SUB(NOW(), INTERVAL ? MINUTE));
+            `, [VALIDIERUNG.fensterMinuten]);
+        } catch (e) {
+            log(`[Fehler] SQL-Fehler beim Lesen offener Anwendungen: ${e.message || e}`, 'error');
+            return;
+        }
+
+        for (const zeile of offene) {
+            const raum = RAEUME.find((r) => r.name === zeile.raum);
+            const start = zeile.start_s * 1000;
+            const abgeloest = zeile.ende_s !== null && typeof zeile.ende_s !== 'undefined' ? zeile.ende_s * 1000 : Infinity;
+            const ende = Math.min(start + VALIDIERUNG.fensterMinuten * 60000, abgeloest);
+            if (ende > jetzt) continue;
+
+            try {
+                if (!raum || ende - start < VALIDIERUNG.minFensterMinuten * 60000) {
+                    await db.ausfuehren(`UPDATE ${TABELLE} SET status = 'verworfen' WHERE id = ?;`, [zeile.id]);
+                    continue;
+                }
+
+                const raw = await sendToAsync(INFLUXDB_INSTANCE, 'getHistory', {
+                    id: `${raum.thermostatId}.ACTUAL_TEMPERATURE`,
+                    options: { start: start, end: ende, aggregate: 'none', count: 500 },
+                });
+                // @ts-ignore — sendToAsync-Rueckgabetyp ist fuer InfluxDB-getHistory unterspezifiziert (hat zur Laufzeit ein .result-Array)
+                const punkte = (raw && raw.result) || [];
+                const bewertung = bewerteVerlauf(punkte, zeile.soll_temp, start);
+
+                if (!bewertung) {
+                    await db.ausfuehren(`UPDATE ${TABELLE} SET status = 'keine_daten' WHERE id = ?;`, [zeile.id]);
+                    continue;
+                }
+                await db.ausfuehren(`
+                    UPDATE ${TABELLE}
+                    SET status = 'bewertet', abweichung_mittel = ?, zeit_bis_soll_min = ?, erfolg = ?
+                    WHERE id = ?;
+                `, [
+                    parseFloat(bewertung.abweichung.toFixed(2)),
+                    bewertung.zeitBisSoll,
+                    bewertung.erfolg,
+                    zeile.id,
+                ]);
+                log(`[Validierung] ${raum.name}: Anwendung ${zeile.id} bewertet - Abweichung ${bewertung.abweichung.toFixed(2)}°C, Soll erreicht nach ${bewertung.zeitBisSoll === null ? '-' : bewertung.zeitBisSoll + ' Min.'} (${bewertung.erfolg ? 'Erfolg' : 'kein Erfolg'}).`, 'info');
+            } catch (e) {
+                log(`[Fehler] Bewertung der Anwendung ${zeile.id} fehlgeschlagen: ${e.message || e}`, 'error');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. TREFFSICHERHEIT JE RAUM
+    // -------------------------------------------------------------------------------------
+
+    async function aktualisiereTreffsicherheit() {
+        let zeilen;
+        try {
+            zeilen = await db.abfrage(`
+                SELECT raum, COUNT(*) AS anzahl, SUM(erfolg) AS erfolge,
+                       AVG(abweichung_mittel) AS abweichung, AVG(zeit_bis_soll_min) AS zeit_bis_soll
+                FROM ${TABELLE}
+                WHERE status = 'bewertet' AND zeitpunkt > DATE_SUB(NOW(), INTERVAL ? DAY)
+                GROUP BY raum;
+            `, [VALIDIERUNG.auswertungTage]);
+        } catch (e) {
+            log(`[Fehler] SQL-Fehler bei der Treffsicherheit: ${e.message || e}`, 'error');
+            return;
+        }
+
+        for (const raum of RAEUME) {
+            const zeile = zeilen.find((z) => z.raum === raum.name);
+            const anzahl = zeile ? zeile.anzahl || 0 : 0;
+            const erfolge = zeile ? zeile.erfolge || 0 : 0;
+            const treffsicherheit = anzahl > 0 ? Math.round((erfolge / anzahl) * 100) : 0;
+            const zahl = (wert) => (wert === null || typeof wert === 'undefined' ? null : parseFloat(wert.toFixed(2)));
+            const auswertung = {
+                tage: VALIDIERUNG.auswertungTage,
+                anzahl,
+                erfolge,
+                treffsicherheit,
+                abweichung_mittel: zeile ? zahl(zeile.abweichung) : null,
+                zeit_bis_soll_min: zeile ? zahl(zeile.zeit_bis_soll) : null,
+            };
+            try {
+                await setStateAsync(`${PROGNOSE_PFAD}.${raum.name}.Treffsicherheit`, treffsicherheit, true);
+                await setStateAsync(`${PROGNOSE_PFAD}.${raum.name}.Validierung`, JSON.stringify(auswertung), true);
+            } catch (e) {
+                log(`[Validierung] Datenpunkte fuer ${raum.name} nicht schreibbar: ${e.message || e}`, 'warn');
+            }
+        }
+    }
+
+    async function main() {
+        await bewerteOffeneAnwendungen();
+        await aktualisiereTreffsicherheit();
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 6. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenbank();
+        await initialisiereDatenpunkte();
+
+        for (const raum of RAEUME) {
+            letzteAnwendung[raum.name] = null;
+            on({ id: `${ENTSCHEIDUNG_PFAD}.${raum.name}.Entscheidung`, change: 'any', ack: true }, (obj) => {
+                erfasseEntscheidung(raum, String(obj.state.val));
+            });
+        }
+
+        log(`[Skript] Prognose-Validierung V1.1 gestartet. Bewertung ${SCHEDULE_BEWERTUNG}, Fenster ${VALIDIERUNG.fensterMinuten} Min.`, 'info');
+        schedule(SCHEDULE_BEWERTUNG, main);
+        setTimeout(main, 60000);
+    })();
+
+})();
@@ -1,13 +1,43 @@
 // @ts-check
+/* global HeizungKontext, HeizungSql */
 /**
  * @fileoverview Heizungs-Stratege (Wissen abrufen)
- * @version 1.7 - Typ-sicher
+ * @version 2.0 - Gemeinsame SQL-Schicht
  * @author Sanweb
  * @license MIT
  *
  * Ruft basierend auf der aktuellen Situation die passende gelernte Erfahrung
  * aus der Datenbank ab und stellt sie als Empfehlung bereit.
  *
+ * NEU in Version 2.0:
+ * - SQL-Zugriff ueber das globale Skript HeizungSql (global/heizung_sql.js)
+ * statt eigener buildQuery()-Kopie. DECIMAL-Spalten kommen als Zahl, die
+ * Empfehlung traegt den Offset deshalb als Zahl statt als String.
+ *
+ * NEU in Version 1.10:
+ * - Neuer Datenpunkt Aktueller_Kontext je Raum ('kat_6/kat_0/kat_0/Vormittag'),
+ * damit prognose_validierung.js angewendete Offsets ihrem Kontext zuordnen kann.
+ *
+ * NEU in Version 1.9:
+ * - Gibt es fuer den exakten Kontext keine Zeile in heizungs_erfahrung, werden
+ * benachbarte Kontexte (Temp-Bereich, Solar-/Wind-Level, Tageszeit) gesucht und
+ * deren Offsets nach Abstand und Nutzungszaehler gewichtet gemittelt
+ * (Quelle 'nachbarn', Vertrauen entsprechend reduziert, siehe NACHBARN).
+ * - Neuer Datenpunkt Empfehlung_Kontexte (JSON) je Raum: welche Kontexte mit
+ * welchem Abstand und Gewicht zur Empfehlung beigetragen haben.
+ * - Temperatur-Grenzen und Tageszeiten entsprechen jetzt exakt dem
+ * Heizungs-Lerner. Bisher passten nur Solar/Wind; Temp-Bereich und Tageszeit
+ * wurden anders benannt, sodass exakte Treffer praktisch nie vorkamen.
+ *
+ * NEU in Version 1.8:
+ * - Wertet zusaetzlich das vom Heizungs-Lerner V4.2 angepasste Regressionsmodell
+ * (Tabelle heizungs_modell) fuer den aktuellen Kontext aus. Das Modell liefert
+ * auch fuer Kontexte eine Empfehlung, die noch nie beobachtet wurden.
+ * - Vertrauen des Modells aus Anzahl Beobachtungen und Residuen (RMSE),
+ * halbiert ausserhalb des trainierten Wertebereichs.
+ * - STRATEGIE.quelle waehlt 'buckets', 'regression' oder 'auto' (hoeheres Vertrauen).
+ * - Neuer Datenpunkt Empfehlung_Quelle je Raum.
+ *
  * FUNKTIONEN (Version 1.7):
  * - Korrigiert die JSDoc-Typdefinition für SQL-Ergebnisse, um den von
  * TypeScript gemeldeten Fehler `Argument of type 'number' is not assignable...`
@@ -21,13 +51,11 @@
 
     // HILFSTYPEN
     /**
-     * @typedef {object} SqlQueryResultRow
-     * @property {string} offset_erfolg // DECIMAL/NUMBER-Typen werden vom SQL-Adapter als String zurückgegeben.
-     * @property {number} nutzungs_zaehler
-     */
-    /**
-     * @typedef {object} SqlQueryResult
-     * @property {SqlQueryResultRow[]} result
+     * @typedef {object} Empfehlung
+     * @property {number} offset
+     * @property {number} vertrauen
+     * @property {string} quelle // 'buckets' | 'nachbarn' | 'regression' | 'keine'
+     * @property {object[]} [kontexte] // beitragende Kontexte (NEU in V1.9)
      */
 
     // -------------------------------------------------------------------------------------
@@ -36,24 +64,53 @@
 
     const SQL_INSTANCE = 'sql.0';
     const DB_NAME = 'iobroker_heizung';
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
     const SCHEDULE = '*/15 * * * *'; // Läuft alle 15 Minuten
 
     // Basis-Pfad für die neuen Empfehlungs-Datenpunkte
     const BASIS_PFAD_PROGNOSE = '0_userdata.0.Heizung.Prognose';
 
-    const GRENZEN = {
-        temp: [0, 5, 10, 15],
-        solar: [0.1, 0.4, 0.7],
-        wind: [1.1, 1.3, 1.5]
+    // Quelle der Empfehlung (NEU in V1.8):
+    // 'buckets'    = nur Kontexttabelle heizungs_erfahrung (Verhalten bis V1.7)
+    // 'regression' = nur Regressionsmodell heizungs_modell
+    // 'auto'       = beide abfragen, hoeheres Vertrauen gewinnt (bei Gleichstand buckets)
+    const STRATEGIE = {
+        quelle: 'auto',
+    };
+
+    // Vertrauen des Regressionsmodells (NEU in V1.8):
+    // vertrauen = voll * n / (n + nHalbwert) * min(1, rmseZiel / rmse) [* extrapolationFaktor]
+    // 'voll' entspricht einem Kontext, der ca. 50-mal beobachtet wurde.
+    const MODELL_VERTRAUEN = {
+        voll: 50,
+        nHalbwert: 30,
+        rmseZiel: 0.3,
+        extrapolationFaktor: 0.5,
+    };
+
+    // Naechste-Nachbarn-Rueckfall (NEU in V1.9):
+    // Abstand = Summe der gewichteten Kategorieschritte (Tageszeit zyklisch).
+    // Gewicht eines Nachbarn = nutzungs_zaehler * abklingFaktor ^ Abstand;
+    // das Vertrauen ist die Summe der Gewichte (mindestens 1).
+    const NACHBARN = {
+        aktiv: true,
+        maxAbstand: 2,
+        maxKontexte: 6,
+        abklingFaktor: 0.5,
+        gewichte: { temp: 1, solar: 1, wind: 1, tageszeit: 1 },
     };
 
+    // Gemeinsam mit dem Heizungs-Lerner (global/heizung_kontext.js), sonst passen die Kontexte nicht zusammen.
+    // Reihenfolge der TAGESZEITEN ist zyklisch: 'später Abend' grenzt an 'Nacht'.
+    const { GRENZEN, TAGESZEITEN } = HeizungKontext;
+
     const DATENPUNKTE = {
         raeume: [
-            { name: 'Wohnzimmer', wetterAusrichtung: ['Sued', 'West'] },
-            { name: 'Schlafzimmer', wetterAusrichtung: ['Sued', 'West'] },
-            { name: 'Badezimmer', wetterAusrichtung: ['Nord', 'Ost'] },
-            { name: 'Kueche', wetterAusrichtung: ['Nord', 'Ost'] },
-            { name: 'Esszimmer', wetterAusrichtung: ['Nord', 'Ost'] }
+            { name: 'Wohnzimmer', thermostatId: 'hm-rpc.2.INT0000005.1', wetterAusrichtung: ['Sued', 'West'] },
+            { name: 'Schlafzimmer', thermostatId: 'hm-rpc.2.INT0000001.1', wetterAusrichtung: ['Sued', 'West'] },
+            { name: 'Badezimmer', thermostatId: 'hm-rpc.2.INT0000002.1', wetterAusrichtung: ['Nord', 'Ost'] },
+            { name: 'Kueche', thermostatId: 'hm-rpc.2.INT0000003.1', wetterAusrichtung: ['Nord', 'Ost'] },
+            { name: 'Esszimmer', thermostatId: 'hm-rpc.2.INT0000004.1', wetterAusrichtung: ['Nord', 'Ost'] }
         ],
         wetter: {
             basisPfadSolar: '0_userdata.0.Heizung.Analyse.Wetter_Heizunterstuetzung_Solar',
@@ -66,23 +123,15 @@
     // 2. HILFSFUNKTIONEN
     // -------------------------------------------------------------------------------------
     
-    function buildQuery(query, params) {
-        let i = 0;
-        if (!params) return query;
-        return query.replace(/\?/g, () => {
-            const param = params[i++];
-            if (param === null || typeof param === 'undefined') return 'NULL';
-            if (typeof param === 'string') return `'${param.replace(/'/g, "''")}'`;
-            return param;
-        });
-    }
-
     async function initialisiereDatenpunkte() {
         log('[Initialisierung] Prüfe und erstelle Empfehlungs-Datenpunkte...');
         for (const raum of DATENPUNKTE.raeume) {
             const raumPfad = `${BASIS_PFAD_PROGNOSE}.${raum.name}`;
             const offsetDp = `${raumPfad}.Empfohlener_Offset`;
             const vertrauenDp = `${raumPfad}.Empfohlener_Offset_Vertrauen`;
+            const quelleDp = `${raumPfad}.Empfehlung_Quelle`;
+            const kontexteDp = `${raumPfad}.Empfehlung_Kontexte`;
+            const aktuellerKontextDp = `${raumPfad}.Aktueller_Kontext`;
 
             if (!(await existsStateAsync(offsetDp))) {
                 await createStateAsync(offsetDp, 0.0, {
@@ -109,24 +158,65 @@
                 });
                 log(`[Initialisierung] Datenpunkt ${vertrauenDp} wurde erstellt.`);
             }
+
+            if (!(await existsStateAsync(quelleDp))) {
+                await createStateAsync(quelleDp, 'keine', {
+                    name: `Quelle der Empfehlung für ${raum.name} (buckets/nachbarn/regression/keine)`,
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                    def: 'keine'
+                });
+                log(`[Initialisierung] Datenpunkt ${quelleDp} wurde erstellt.`);
+            }
+
+            if (!(await existsStateAsync(kontexteDp))) {
+                await createStateAsync(kontexteDp, '[]', {
+                    name: `Beitragende Erfahrungs-Kontexte der Empfehlung für ${raum.name}`,
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                    def: '[]'
+                });
+                log(`[Initialisierung] Datenpunkt ${kontexteDp} wurde erstellt.`);
+            }
+
+            if (!(await existsStateAsync(aktuellerKontextDp))) {
+                await createStateAsync(aktuellerKontextDp, '', {
+                    name: `Aktueller Kontext (Temp/Solar/Wind/Tageszeit) für ${raum.name}`,
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                    def: ''
+                });
+                log(`[Initialisierung] Datenpunkt ${aktuellerKontextDp} wurde erstellt.`);
+            }
         }
         log('[Initialisierung] Datenpunkt-Prüfung abgeschlossen.');
     }
 
-    function getKategorie(value, grenzen) {
-        if (value === null || typeof value === 'undefined') return 'unbekannt';
-        for (let i = grenzen.length - 1; i >= 0; i--) {
-            if (value >= grenzen[i]) return `kat_${i + 1}`;
+    /**
+     * Abstand zweier Kontexte in Kategorieschritten (NEU in V1.9).
+     * @returns {number|null} null, wenn eine Kategorie nicht vergleichbar ist.
+     */
+    function kontextAbstand(a, b) {
+        const stufe = (kat) => (/^kat_\d+$/.test(kat) ? parseInt(kat.slice(4), 10) : null);
+        let abstand = 0;
+        for (const [feld, gewicht] of [['temp_bereich', NACHBARN.gewichte.temp], ['solar_level', NACHBARN.gewichte.solar], ['wind_level', NACHBARN.gewichte.wind]]) {
+            const sa = stufe(a[feld]);
+            const sb = stufe(b[feld]);
+            if (sa === null || sb === null) return null;
+            abstand += gewicht * Math.abs(sa - sb);
         }
-        return `kat_0`;
-    }
-
-    function getTageszeit() {
-        const stunde = new Date().getHours();
-        if (stunde >= 5 && stunde < 12) return 'morgens';
-        if (stunde >= 12 && stunde < 18) return 'mittags';
-        if (stunde >= 18 && stunde < 23) return 'abends';
-        return 'nachts';
+        const za = TAGESZEITEN.indexOf(a.tageszeit);
+        const zb = TAGESZEITEN.indexOf(b.tageszeit);
+        if (za < 0 || zb < 0) return null;
+        const schritte = Math.abs(za - zb);
+        abstand += NACHBARN.gewichte.tageszeit * Math.min(schritte, TAGESZEITEN.length - schritte);
+        return abstand;
     }
 
     async function getAktuellenKontext(raum) {
@@ -143,12 +233,21 @@
                 if (windState && typeof windState.val === 'number' && windState.val > maxWind) maxWind = windState.val;
             }
 
+            const feuchteState = await getStateAsync(`${raum.thermostatId}.HUMIDITY`);
+            const jetzt = new Date();
+
             return {
                 raum: raum.name,
-                temp_bereich: getKategorie(aussenTempState.val, GRENZEN.temp),
-                solar_level: getKategorie(maxSolar, GRENZEN.solar),
-                wind_level: getKategorie(maxWind, GRENZEN.wind),
-                tageszeit: getTageszeit()
+                temp_bereich: HeizungKontext.kategorie(aussenTempState.val, GRENZEN.temp),
+                solar_level: HeizungKontext.kategorie(maxSolar, GRENZEN.solar),
+                wind_level: HeizungKontext.kategorie(maxWind, GRENZEN.wind),
+                tageszeit: HeizungKontext.tageszeit(Date.now()),
+                // Rohwerte fuer das Regressionsmodell (NEU in V1.8)
+                aussenTemp: Number(aussenTempState.val),
+                maxSolar: maxSolar,
+                maxWind: maxWind,
+                stunde: jetzt.getHours() + jetzt.getMinutes() / 60,
+                feuchte: feuchteState && typeof feuchteState.val === 'number' ? feuchteState.val : null
             };
         } catch (e) {
             log(`[Fehler] Konnte aktuellen Kontext für ${raum.name} nicht ermitteln: ${e.message}`, 'warn');
@@ -161,10 +260,16 @@
     // 3. KERNLOGIK: ERFAHRUNG ABRUFEN
     // -------------------------------------------------------------------------------------
 
+    /** @type {Empfehlung} */
+    const KEINE_EMPFEHLUNG = { offset: 0, vertrauen: 0, quelle: 'keine' };
+
+    /**
+     * @returns {Promise<Empfehlung>}
+     */
     async function getErfahrung(kontext) {
         const query = `
             SELECT offset_erfolg, nutzungs_zaehler
-            FROM ${DB_NAME}.heizungs_erfahrung
+            FROM ${db.tabelle('heizungs_erfahrung')}
             WHERE raum = ? AND temp_bereich = ? AND solar_level = ? AND wind_level = ? AND tageszeit = ?
             LIMIT 1;
         `;
@@ -177,23 +282,143 @@
         ];
 
         try {
-            const finalQuery = buildQuery(query, params);
-            /** @type {SqlQueryResult} */
-            const result = await sendToAsync(SQL_INSTANCE, 'query', finalQuery);
-            
-            if (result && result.result && result.result.length > 0) {
+            const zeilen = await db.abfrage(query, params);
+
+            if (zeilen.length > 0) {
+                const zeile = zeilen[0];
                 return {
-                    offset: result.result[0].offset_erfolg,      // Wird als String zurückgegeben
-                    vertrauen: result.result[0].nutzungs_zaehler
+                    offset: zeile.offset_erfolg,
+                    vertrauen: zeile.nutzungs_zaehler,
+                    quelle: 'buckets',
+                    kontexte: [{
+                        temp_bereich: kontext.temp_bereich,
+                        solar_level: kontext.solar_level,
+                        wind_level: kontext.wind_level,
+                        tageszeit: kontext.tageszeit,
+                        offset: zeile.offset_erfolg,
+                        zaehler: zeile.nutzungs_zaehler,
+                        abstand: 0
+                    }]
                 };
             }
-            return { offset: "0.0", vertrauen: 0 }; // Keine Erfahrung gefunden, gebe String zurück für Konsistenz
+            if (NACHBARN.aktiv) return await getNachbarErfahrung(kontext);
+            return KEINE_EMPFEHLUNG;
         } catch (e) {
             log(`[Fehler] SQL-Fehler beim Abrufen der Erfahrung: ${e.message}`, 'error');
-            return { offset: "0.0", vertrauen: 0 };
+            return KEINE_EMPFEHLUNG;
         }
     }
 
+    /**
+     * Rueckfall ohne exakten Treffer (NEU in V1.9): mittelt die Offsets der naechsten
+     * Kontexte des Raums, gewichtet mit nutzungs_zaehler * abklingFaktor ^ Abstand.
+     * @returns {Promise<Empfehlung>}
+     */
+    async function getNachbarErfahrung(kontext) {
+        const query = `
+            SELECT temp_bereich, solar_level, wind_level, tageszeit, offset_erfolg, nutzungs_zaehler
+            FROM ${db.tabelle('heizungs_erfahrung')}
+            WHERE raum = ?;
+        `;
+
+        try {
+            const kandidaten = (await db.abfrage(query, [kontext.raum]))
+                .map((zeile) => ({ zeile, abstand: kontextAbstand(kontext, zeile) }))
+                .filter((k) => k.abstand !== null && k.abstand > 0 && k.abstand <= NACHBARN.maxAbstand)
+                .map((k) => ({ ...k, gewicht: k.zeile.nutzungs_zaehler * Math.pow(NACHBARN.abklingFaktor, k.abstand) }))
+                .sort((a, b) => a.abstand - b.abstand || b.gewicht - a.gewicht)
+                .slice(0, NACHBARN.maxKontexte);
+
+            const summeGewichte = kandidaten.reduce((summe, k) => summe + k.gewicht, 0);
+            if (kandidaten.length === 0 || summeGewichte <= 0) {
+                return KEINE_EMPFEHLUNG;
+            }
+
+            const offset = kandidaten.reduce((summe, k) => summe + k.zeile.offset_erfolg * k.gewicht, 0) / summeGewichte;
+            return {
+                offset: parseFloat(offset.toFixed(2)),
+                vertrauen: Math.max(1, Math.round(summeGewichte)),
+                quelle: 'nachbarn',
+                kontexte: kandidaten.map((k) => ({
+                    temp_bereich: k.zeile.temp_bereich,
+                    solar_level: k.zeile.solar_level,
+                    wind_level: k.zeile.wind_level,
+                    tageszeit: k.zeile.tageszeit,
+                    offset: k.zeile.offset_erfolg,
+                    zaehler: k.zeile.nutzungs_zaehler,
+                    abstand: k.abstand,
+                    gewicht: parseFloat(k.gewicht.toFixed(2))
+                }))
+            };
+        } catch (e) {
+            log(`[Fehler] SQL-Fehler bei der Nachbarsuche für ${kontext.raum}: ${e.message}`, 'error');
+            return KEINE_EMPFEHLUNG;
+        }
+    }
+
+    /**
+     * Wertet das Regressionsmodell des Raums fuer den aktuellen Kontext aus (NEU in V1.8).
+     * Merkmale und Standardisierung muessen zu passeModellAn() im Heizungs-Lerner passen.
+     * @returns {Promise<Empfehlung>}
+     */
+    async function getModellEmpfehlung(kontext) {
+        const query = `
+            SELECT achsenabschnitt, merkmale, anzahl, rmse
+            FROM ${db.tabelle('heizungs_modell')}
+            WHERE raum = ?
+            LIMIT 1;
+        `;
+
+        try {
+            const zeilen = await db.abfrage(query, [kontext.raum]);
+            if (zeilen.length === 0) return KEINE_EMPFEHLUNG;
+
+            const zeile = zeilen[0];
+            const merkmale = JSON.parse(zeile.merkmale);
+            const winkel = (2 * Math.PI * kontext.stunde) / 24;
+            const werte = {
+                aussen_temp: kontext.aussenTemp,
+                solar: kontext.maxSolar,
+                wind: kontext.maxWind,
+                stunde_sin: Math.sin(winkel),
+                stunde_cos: Math.cos(winkel),
+                feuchte: kontext.feuchte
+            };
+
+            let offset = zeile.achsenabschnitt;
+            let extrapoliert = false;
+            for (const m of merkmale) {
+                const x = werte[m.name];
+                if (x === null || typeof x === 'undefined') continue; // fehlender Wert = Mittelwert (z = 0)
+                offset += m.koeffizient * (x - m.mittel) / m.skala;
+                if (m.min !== null && m.max !== null && m.koeffizient !== 0 && (x < m.min || x > m.max)) extrapoliert = true;
+            }
+
+            const anzahl = zeile.anzahl || 0;
+            const rmse = Math.max(zeile.rmse || 0, 0.001);
+            let vertrauen = MODELL_VERTRAUEN.voll * (anzahl / (anzahl + MODELL_VERTRAUEN.nHalbwert)) * Math.min(1, MODELL_VERTRAUEN.rmseZiel / rmse);
+            if (extrapoliert) vertrauen *= MODELL_VERTRAUEN.extrapolationFaktor;
+
+            return { offset: parseFloat(offset.toFixed(2)), vertrauen: Math.round(vertrauen), quelle: 'regression' };
+        } catch (e) {
+            log(`[Fehler] Regressionsmodell für ${kontext.raum} nicht auswertbar: ${e.message}`, 'error');
+            return KEINE_EMPFEHLUNG;
+        }
+    }
+
+    /**
+     * Waehlt die Empfehlung gemaess STRATEGIE.quelle (NEU in V1.8).
+     * @returns {Promise<Empfehlung>}
+     */
+    async function ermittleEmpfehlung(kontext) {
+        if (STRATEGIE.quelle === 'buckets') return getErfahrung(kontext);
+        if (STRATEGIE.quelle === 'regression') return getModellEmpfehlung(kontext);
+
+        const erfahrung = await getErfahrung(kontext);
+        const modell = await getModellEmpfehlung(kontext);
+        return modell.vertrauen > erfahrung.vertrauen ? modell : erfahrung;
+    }
+
 
     // -------------------------------------------------------------------------------------
     // 4. HAUPTFUNKTION & ZEITPLANUNG
@@ -204,19 +429,21 @@
         for (const raum of DATENPUNKTE.raeume) {
             const kontext = await getAktuellenKontext(raum);
             if (kontext) {
-                const erfahrung = await getErfahrung(kontext);
+                const erfahrung = await ermittleEmpfehlung(kontext);
                 
                 const offsetDp = `${BASIS_PFAD_PROGNOSE}.${raum.name}.Empfohlener_Offset`;
                 const vertrauenDp = `${BASIS_PFAD_PROGNOSE}.${raum.name}.Empfohlener_Offset_Vertrauen`;
+                const quelleDp = `${BASIS_PFAD_PROGNOSE}.${raum.name}.Empfehlung_Quelle`;
+                const kontexteDp = `${BASIS_PFAD_PROGNOSE}.${raum.name}.Empfehlung_Kontexte`;
+                const aktuellerKontextDp = `${BASIS_PFAD_PROGNOSE}.${raum.name}.Aktueller_Kontext`;
 
-                // Der 'offset' von der Datenbank ist ein String, also müssen wir ihn parsen.
-                const offsetAsNumber = parseFloat(erfahrung.offset);
-
-                await setStateAsync(offsetDp, offsetAsNumber, true);
+                await setStateAsync(offsetDp, erfahrung.offset, true);
                 await setStateAsync(vertrauenDp, erfahrung.vertrauen, true);
+                await setStateAsync(quelleDp, erfahrung.quelle, true);
+                await setStateAsync(kontexteDp, JSON.stringify(erfahrung.kontexte || []), true);
+                await setStateAsync(aktuellerKontextDp, [kontext.temp_bereich, kontext.solar_level, kontext.wind_level, kontext.tageszeit].join('/'), true);
 
-                // Für die Log-Ausgabe verwenden wir die geparste Zahl.
-                log(`[Stratege] Empfehlung für ${raum.name}: ${offsetAsNumber.toFixed(2)}°C (Vertrauen: ${erfahrung.vertrauen}) | Kontext: Temp=${kontext.temp_bereich}, Solar=${kontext.solar_level}, Wind=${kontext.wind_level}, Zeit=${kontext.tageszeit}`);
+                log(`[Stratege] Empfehlung für ${raum.name}: ${erfahrung.offset.toFixed(2)}°C (Vertrauen: ${erfahrung.vertrauen}, Quelle: ${erfahrung.quelle}${erfahrung.quelle === 'nachbarn' ? ` aus ${erfahrung.kontexte.length} Kontexten` : ''}) | Kontext: Temp=${kontext.temp_bereich}, Solar=${kontext.solar_level}, Wind=${kontext.wind_level}, Zeit=${kontext.tageszeit}`);
             }
         }
         log('[Stratege] Empfehlungs-Lauf abgeschlossen.');
@@ -224,7 +451,7 @@
 
     (async () => {
         await initialisiereDatenpunkte();
-        log(`[Skript] Heizungs-Stratege V1.7 gestartet. Nächster Lauf: In 1 Minute, dann alle 15 Minuten.`);
+        log(`[Skript] Heizungs-Stratege V2.0 gestartet. Nächster Lauf: In 1 Minute, dann alle 15 Minuten.`);
         schedule(SCHEDULE, main);
         setTimeout(main, 60000);
     })();
@@ -0,0 +1,334 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout, HeizungWaermemodell */
+
+/**
+ * @fileoverview Waermemodell-Lerner (RC-Modell je Raum)
+ * @version 1.0 - Initialversion
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Schaetzt je Raum ein einfaches thermisches Modell (1R1C) aus der
+ * InfluxDB-Historie:
+ *
+ *   dT/dt = a * (T_aussen - T) + b * ventil + c * solar      [°C/h]
+ *
+ * Daten im Raster ANALYSE.rasterMinuten: Raumtemperatur und Ventil-LEVEL der
+ * Thermostate, Aussentemperatur, Solar-Einstrahlung der Fensterseiten (wie im
+ * Heizungs-Lerner das Maximum der Ausrichtungen). Geschaetzt wird per
+ * kleinsten Quadraten auf den Temperaturaenderungen je Rasterschritt.
+ * Negative Heiz- oder Solarwirkung ist physikalisch unplausibel: der Term
+ * entfaellt dann (Koeffizient 0) und es wird ohne ihn neu angepasst.
+ * Die Wandsensoren gehen nicht ein (ein Speicherknoten genuegt fuer die
+ * Vorhersage ueber einige Stunden).
+ *
+ * Veroeffentlicht je Raum unter 0_userdata.0.Heizung.Waermemodell.{raum}:
+ *   Zeitkonstante       tau = 1/a in Stunden (Auskuehlen auf 37 % der Differenz)
+ *   Verlustkoeffizient  Ventilstellung in % je °C Innen-Aussen-Differenz, die
+ *                       den Raum stationaer haelt (100 * a / b)
+ *   Solargewinn         stationaere Erwaermung bei voller Sonne in °C (c / a)
+ *   Heizleistung        Aufheizrate bei voll offenem Ventil ohne Verluste (b, °C/h)
+ *   Modell              JSON fuer HeizungWaermemodell (global/heizung_waermemodell.js)
+ *
+ * Die Vorhersage "Raumtemperatur in N Stunden" stellt das globale Skript
+ * HeizungWaermemodell.vorhersage(raum, stunden, eingaben) bereit.
+ *
+ * DATENFLUSS:
+ *   InfluxDB (Raumtemperatur, Ventil, Aussentemperatur, Solar)
+ *     -> Waermemodell-Lerner (taeglich + beim Start)
+ *     -> 0_userdata.0.Heizung.Waermemodell.{raum}.*
+ *     -> HeizungWaermemodell (Raumsteuerung, Vorheizen, Sollwert-Planer)
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    // ADAPTER
+    const INFLUXDB_INSTANCE = 'influxdb.0';
+    const SCHEDULE = '45 4 * * *';
+
+    // SCHALTER
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = HeizungWaermemodell.MODELL_PFAD;
+
+    // ANALYSE
+    const ANALYSE = {
+        zeitraumTage: 14,
+        rasterMinuten: 15,
+        maxPunkte: 5000,
+        maxSprungJeSchritt: 1.5,   // °C je Raster, groessere Spruenge (Fenster, Sensor) verwerfen
+    };
+
+    // MODELL
+    const MODELL = {
+        minPunkte: 96,             // ein Tag im 15-Minuten-Raster
+        minZeitkonstanteStunden: 1,
+        maxZeitkonstanteStunden: 500,
+        lambda: 1e-6,              // minimale Regularisierung gegen singulaere Systeme
+    };
+
+    const DATENPUNKTE = {
+        raeume: [
+            { name: 'Wohnzimmer',   thermostatId: 'hm-rpc.2.INT0000005.1', wetterAusrichtung: ['Sued', 'West'] },
+            { name: 'Schlafzimmer', thermostatId: 'hm-rpc.2.INT0000001.1', wetterAusrichtung: ['Sued', 'West'] },
+            { name: 'Badezimmer',   thermostatId: 'hm-rpc.2.INT0000002.1', wetterAusrichtung: ['Nord', 'Ost']  },
+            { name: 'Kueche',       thermostatId: 'hm-rpc.2.INT0000003.1', wetterAusrichtung: ['Nord', 'Ost']  },
+            { name: 'Esszimmer',    thermostatId: 'hm-rpc.2.INT0000004.1', wetterAusrichtung: ['Nord', 'Ost']  },
+        ],
+        basisPfadSolar: '0_userdata.0.Heizung.Analyse.Wetter_Heizunterstuetzung_Solar',
+        aussenTemp: 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE',
+    };
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    async function holeHistorie(id, start, end) {
+        try {
+            const raw = await sendToAsync(INFLUXDB_INSTANCE, 'getHistory', {
+                id,
+                options: { start, end, count: ANALYSE.maxPunkte, aggregate: 'average', step: ANALYSE.rasterMinuten * 60000 },
+            });
+            // @ts-ignore — sendToAsync-Rueckgabetyp ist fuer InfluxDB-getHistory unterspezifiziert (hat zur Laufzeit ein .result-Array)
+            const punkte = (raw && raw.result) || [];
+            return punkte
+                .filter(p => p && typeof p.val === 'number' && !isNaN(p.val))
+                .sort((a, b) => a.ts - b.ts);
+        } catch (e) {
+            log(`[Fehler] InfluxDB-Abfrage fuer ${id} fehlgeschlagen: ${e.message || e}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Letzter Wert <= ts, der hoechstens maxAlterMs alt ist (Reihe sortiert).
+     * @returns {number|null}
+     */
+    function wertAn(series, ts, maxAlterMs = Infinity) {
+        let bester = null;
+        for (const p of series) {
+            if (p.ts > ts) break;
+            bester = p;
+        }
+        return bester && ts - bester.ts <= maxAlterMs ? bester.val : null;
+    }
+
+    /**
+     * Loest A * x = b per Gauss-Elimination mit Spaltenpivotsuche.
+     * @returns {number[]|null} Loesung oder null bei singulaerer Matrix.
+     */
+    function loeseLinearesSystem(A, b) {
+        const n = b.length;
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(A[i][k]) > Math.abs(A[pivot][k])) pivot = i;
+            }
+            if (Math.abs(A[pivot][k]) < 1e-12) return null;
+            [A[k], A[pivot]] = [A[pivot], A[k]];
+            [b[k], b[pivot]] = [b[pivot], b[k]];
+            for (let i = k + 1; i < n; i++) {
+                const faktor = A[i][k] / A[k][k];
+                for (let j = k; j < n; j++) A[i][j] -= faktor * A[k][j];
+                b[i] -= faktor * b[k];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let summe = b[i];
+            for (let j = i + 1; j < n; j++) summe -= A[i][j] * x[j];
+            x[i] = summe / A[i][i];
+        }
+        return x;
+    }
+
+    async function initialisiereDatenpunkte() {
+        for (const raum of DATENPUNKTE.raeume) {
+            const pfad = `${BASIS_PFAD}.${raum.name}`;
+            const datenpunkte = [
+                { id: `${pfad}.Zeitkonstante`, def: 0, common: { name: `Zeitkonstante ${raum.name}`, type: 'number', role: 'value', unit: 'h' } },
+                { id: `${pfad}.Verlustkoeffizient`, def: 0, common: { name: `Ventilbedarf je °C Innen-Aussen-Differenz ${raum.name}`, type: 'number', role: 'value', unit: '%/K' } },
+                { id: `${pfad}.Solargewinn`, def: 0, common: { name: `Stationaere Erwaermung bei voller Sonne ${raum.name}`, type: 'number', role: 'value', unit: '°C' } },
+                { id: `${pfad}.Heizleistung`, def: 0, common: { name: `Aufheizrate bei offenem Ventil ohne Verluste ${raum.name}`, type: 'number', role: 'value', unit: '°C/h' } },
+                { id: `${pfad}.Modell`, def: '', common: { name: `RC-Modell ${raum.name} (JSON)`, type: 'string', role: 'json' } },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, write: false, def: dp.def });
+                    log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+                }
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. KERNLOGIK: STICHPROBEN & ANPASSUNG
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Bildet Stichproben (T, T_naechster Schritt, Aussen, Ventil, Solar) im Raster.
+     * Raumtemperatur muss zu beiden Zeitpunkten frisch (<= 1 Raster alt) sein.
+     * Die Eingaben werden ueber Anfang und Ende des Schritts gemittelt
+     * (Trapezregel), das passt auch zu den Rastermittelwerten der InfluxDB.
+     */
+    function bildeStichproben(reihen, start, end) {
+        const schrittMs = ANALYSE.rasterMinuten * 60000;
+        const mittel = (series, t) => {
+            const w0 = wertAn(series, t);
+            const w1 = wertAn(series, t + schrittMs);
+            if (w0 === null || w1 === null) return w0 ?? w1;
+            return (w0 + w1) / 2;
+        };
+        const proben = [];
+        for (let t = start; t + schrittMs <= end; t += schrittMs) {
+            const temp = wertAn(reihen.ist, t, schrittMs);
+            const tempNaechste = wertAn(reihen.ist, t + schrittMs, schrittMs);
+            const aussen = mittel(reihen.aussen, t);
+            const ventil = mittel(reihen.ventil, t);
+            if (temp === null || tempNaechste === null || aussen === null || ventil === null) continue;
+            if (Math.abs(tempNaechste - temp) > ANALYSE.maxSprungJeSchritt) continue;
+            const solar = reihen.solar.reduce((max, s) => Math.max(max, mittel(s, t) || 0), 0);
+            proben.push({ temp, tempNaechste, aussen, ventil: Math.max(0, Math.min(1, ventil)), solar });
+        }
+        return proben;
+    }
+
+    /**
+     * Kleinste Quadrate fuer dT/dt = a*(Ta - T) + b*ventil + c*solar.
+     * Terme mit negativem Koeffizienten (ausser a) werden entfernt und neu angepasst.
+     * @returns {{a: number, b: number, c: number, rmse: number, anzahl: number}|null}
+     */
+    function passeModellAn(proben) {
+        const dtStunden = ANALYSE.rasterMinuten / 60;
+        const zeilen = proben.map(p => ({
+            x: [p.aussen - (p.temp + p.tempNaechste) / 2, p.ventil, p.solar],
+            y: (p.tempNaechste - p.temp) / dtStunden,
+        }));
+
+        let aktiv = [0, 1, 2];
+        let koeffizienten = null;
+        while (aktiv.length > 0) {
+            const m = aktiv.length;
+            const A = Array.from({ length: m }, () => new Array(m).fill(0));
+            const b = new Array(m).fill(0);
+            for (const z of zeilen) {
+                for (let i = 0; i < m; i++) {
+                    b[i] += z.x[aktiv[i]] * z.y;
+                    for (let j = 0; j < m; j++) A[i][j] += z.x[aktiv[i]] * z.x[aktiv[j]];
+                }
+            }
+            for (let i = 0; i < m; i++) A[i][i] += MODELL.lambda * zeilen.length;
+            const loesung = loeseLinearesSystem(A, b);
+            if (!loesung) return null;
+
+            koeffizienten = [0, 0, 0];
+            aktiv.forEach((j, i) => { koeffizienten[j] = loesung[i]; });
+            const negativ = aktiv.filter(j => j > 0 && koeffizienten[j] < 0);
+            if (negativ.length === 0) break;
+            aktiv = aktiv.filter(j => !negativ.includes(j));
+        }
+        if (!koeffizienten) return null;
+
+        const [a, b, c] = koeffizienten;
+        let sse = 0;
+        for (const z of zeilen) {
+            const vorhersage = a * z.x[0] + b * z.x[1] + c * z.x[2];
+            sse += ((z.y - vorhersage) * dtStunden) ** 2;
+        }
+        return { a, b, c, rmse: Math.sqrt(sse / zeilen.length), anzahl: zeilen.length };
+    }
+
+    async function analysiereRaum(raum, start, end) {
+        const [ist, ventil, aussen, ...solar] = await Promise.all([
+            holeHistorie(`${raum.thermostatId}.ACTUAL_TEMPERATURE`, start, end),
+            holeHistorie(`${raum.thermostatId}.LEVEL`, start, end),
+            holeHistorie(DATENPUNKTE.aussenTemp, start, end),
+            ...raum.wetterAusrichtung.map(r => holeHistorie(`${DATENPUNKTE.basisPfadSolar}_${r}`, start, end)),
+        ]);
+        if (!ist || !ventil || !aussen) {
+            log(`[Waermemodell] ${raum.name}: Historie unvollstaendig, Modell bleibt unveraendert.`, 'warn');
+            return;
+        }
+
+        const proben = bildeStichproben({ ist, ventil, aussen, solar: solar.map(s => s || []) }, start, end);
+        if (proben.length < MODELL.minPunkte) {
+            log(`[Waermemodell] ${raum.name}: nur ${proben.length} Stichproben (min. ${MODELL.minPunkte}), Modell bleibt unveraendert.`, 'info');
+            return;
+        }
+
+        const modell = passeModellAn(proben);
+        const tau = modell && modell.a > 0 ? 1 / modell.a : null;
+        if (!modell || tau === null || tau < MODELL.minZeitkonstanteStunden || tau > MODELL.maxZeitkonstanteStunden || modell.b <= 0) {
+            log(`[Waermemodell] ${raum.name}: keine plausible Anpassung (a=${modell ? modell.a.toFixed(4) : '-'}, b=${modell ? modell.b.toFixed(3) : '-'}), Modell bleibt unveraendert.`, 'warn');
+            return;
+        }
+
+        const pfad = `${BASIS_PFAD}.${raum.name}`;
+        const json = {
+            a: parseFloat(modell.a.toFixed(5)),
+            b: parseFloat(modell.b.toFixed(4)),
+            c: parseFloat(modell.c.toFixed(4)),
+            rmse: parseFloat(modell.rmse.toFixed(3)),
+            anzahl: modell.anzahl,
+            rasterMinuten: ANALYSE.rasterMinuten,
+            zeitpunkt: end,
+            ids: {
+                raumTemp: `${raum.thermostatId}.ACTUAL_TEMPERATURE`,
+                ventil: `${raum.thermostatId}.LEVEL`,
+                aussenTemp: DATENPUNKTE.aussenTemp,
+            },
+        };
+        await setStateAsync(`${pfad}.Modell`, JSON.stringify(json), true);
+        await setStateAsync(`${pfad}.Zeitkonstante`, parseFloat(tau.toFixed(1)), true);
+        await setStateAsync(`${pfad}.Verlustkoeffizient`, parseFloat(((100 * modell.a) / modell.b).toFixed(2)), true);
+        await setStateAsync(`${pfad}.Solargewinn`, parseFloat((modell.c / modell.a).toFixed(2)), true);
+        await setStateAsync(`${pfad}.Heizleistung`, parseFloat(modell.b.toFixed(2)), true);
+
+        log(`[Waermemodell] ${raum.name}: tau=${tau.toFixed(1)} h, Heizleistung=${modell.b.toFixed(2)}°C/h, Solargewinn=${(modell.c / modell.a).toFixed(1)}°C, RMSE=${modell.rmse.toFixed(3)}°C je ${ANALYSE.rasterMinuten} Min (${modell.anzahl} Stichproben).`, 'info');
+        if (DEBUG_LOG_AKTIV) {
+            log(`[Waermemodell] ${raum.name}: ${JSON.stringify(json)}`, 'info');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    async function main() {
+        log('[Start] Starte Waermemodell-Anpassung V1.0...', 'info');
+        const end = new Date().getTime();
+        const start = end - ANALYSE.zeitraumTage * 24 * 3600 * 1000;
+        for (const raum of DATENPUNKTE.raeume) {
+            try {
+                await analysiereRaum(raum, start, end);
+            } catch (e) {
+                log(`[Fehler] Waermemodell fuer ${raum.name} fehlgeschlagen: ${e.message || e}`, 'error');
+            }
+        }
+        log('[Ende] Waermemodell-Anpassung V1.0 abgeschlossen.', 'info');
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+        log('[Skript] Waermemodell-Lerner V1.0 gestartet. Naechster Lauf: In 90 Sekunden, dann taeglich 04:45 Uhr.', 'info');
+        schedule(SCHEDULE, main);
+        setTimeout(main, 90000);
+    })();
+
+})();
@@ -0,0 +1,361 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout */
+
+/**
+ * @fileoverview Heizungs-Waechter (Frost-/Ueberhitzungsschutz ueber alle Raeume)
+ * @version 1.1
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Unabhaengige Sicherheitsueberwachung neben raum_steuerung_generisch.js. Laeuft
+ * als eigenes Skript, damit ein Absturz der Raumsteuerung auffaellt, bevor es
+ * jemand an der Raumtemperatur merkt. Minuetlich je Raum geprueft:
+ *   - FROST:        Isttemperatur unter GRENZEN.frostUnter (immer)
+ *   - UEBERHITZUNG: Isttemperatur ueber GRENZEN.ueberhitzungUeber (nur Heizperiode)
+ *   - VERALTET:     ACTUAL_TEMPERATURE seit GRENZEN.veraltetNachMinuten ohne Update
+ *   - SOLLWERT:     Raumsteuerung.{dbRaum}.Sollwert_Fehler nicht leer
+ *                   (Rueckmeldung nach setStateAsync, ab Raumsteuerung V9.8)
+ *   - STEUERUNG:    Raumsteuerung.{dbRaum}.Entscheidung seit
+ *                   GRENZEN.steuerungStillNachMinuten nicht aktualisiert
+ *
+ * ESKALATION:
+ *   Jeder Alarm wird sofort per Pushover/Telegram gemeldet und alle
+ *   ESKALATION.wiederholungMinuten wiederholt, bis er ueber
+ *   Heizung.Waechter.Quittieren bestaetigt wird oder verschwindet. Ab der
+ *   ESKALATION.eskalierenAbMeldung-ten Meldung mit hoher Prioritaet.
+ *   Ein quittierter Alarm, der verschwindet und wiederkommt, gilt als neu.
+ *
+ * NEU in V1.1 (Raeume aus der Laufzeit-Konfiguration):
+ * - Raeume und Thermostate (alle Zonen) kommen bei jeder Pruefung aus
+ *   Raumsteuerung.Konfiguration, sofern die Raumsteuerung sie als gueltig
+ *   bestaetigt hat (Konfiguration_Status 'OK'), sonst aus
+ *   Raumsteuerung.Konfiguration_Letzte_Gueltige.
+ * - RAEUME in diesem Skript ist nur noch Rueckfall, wenn keiner der beiden
+ *   Datenpunkte eine brauchbare ROOMS_CONFIG enthaelt. Ein Wechsel der
+ *   Quelle wird einmalig geloggt.
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SCHEDULE = '* * * * *';
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = '0_userdata.0.Heizung.Waechter';
+    const RAUMSTEUERUNG_PFAD = '0_userdata.0.Heizung.Raumsteuerung';
+    const HEIZPERIODE_ID = '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv';
+
+    const GRENZEN = {
+        frostUnter: 8.0,                // °C
+        ueberhitzungUeber: 28.0,        // °C
+        veraltetNachMinuten: 60,        // HmIP-eTRV senden sonst alle paar Minuten
+        steuerungStillNachMinuten: 35,  // Raumsteuerung rechnet mindestens alle 15 Min.
+    };
+
+    const ESKALATION = {
+        wiederholungMinuten: 30,
+        prioritaet: 0,
+        prioritaetEskaliert: 1,
+        eskalierenAbMeldung: 3,
+    };
+
+    const BENACHRICHTIGUNG = {
+        pushover: { aktiviert: true, instanz: 'pushover.0' },
+        telegram: { aktiviert: false, instanz: 'telegram.0' },
+    };
+
+    // Laufzeit-Konfiguration der Raumsteuerung (NEU in V1.1)
+    const KONFIGURATION_IDS = {
+        datenpunkt: `${RAUMSTEUERUNG_PFAD}.Konfiguration`,
+        letzteGueltige: `${RAUMSTEUERUNG_PFAD}.Konfiguration_Letzte_Gueltige`,
+        status: `${RAUMSTEUERUNG_PFAD}.Konfiguration_Status`,
+    };
+
+    // RAEUME: nur Rueckfall, wenn die Laufzeit-Konfiguration nicht lesbar ist
+    // (Thermostate wie in ROOMS_CONFIG von raum_steuerung_generisch.js)
+    const RAEUME = [
+        { roomName: 'Bad', dbRaum: 'Badezimmer', thermostate: ['hm-rpc.2.INT0000002.1.SET_POINT_TEMPERATURE'] },
+        { roomName: 'Esszimmer', dbRaum: 'Esszimmer', thermostate: ['hm-rpc.2.INT0000004.1.SET_POINT_TEMPERATURE'] },
+        { roomName: 'Küche', dbRaum: 'Kueche', thermostate: ['hm-rpc.2.INT0000003.1.SET_POINT_TEMPERATURE'] },
+        { roomName: 'Schlafzimmer', dbRaum: 'Schlafzimmer', thermostate: ['hm-rpc.2.INT0000001.1.SET_POINT_TEMPERATURE'] },
+        { roomName: 'Wohnzimmer', dbRaum: 'Wohnzimmer', thermostate: ['hm-rpc.2.INT0000005.1.SET_POINT_TEMPERATURE'] },
+    ];
+
+    const IDS = {
+        alarmAktiv: `${BASIS_PFAD}.Alarm_Aktiv`,
+        alarme: `${BASIS_PFAD}.Alarme`,
+        unquittiert: `${BASIS_PFAD}.Anzahl_Unquittiert`,
+        quittieren: `${BASIS_PFAD}.Quittieren`,
+        letztePruefung: `${BASIS_PFAD}.Letzte_Pruefung`,
+    };
+
+    /**
+     * Aktive Alarme, Schluessel '{dbRaum}:{typ}', nur im RAM.
+     * @type {Map<string, {raum: string, typ: string, text: string, seit: number, meldungen: number, letzteMeldung: number, quittiert: boolean}>}
+     */
+    const alarme = new Map();
+
+    /** Quelle der zuletzt verwendeten Raumliste, nur fuer das Log beim Wechsel. */
+    let raumQuelle = '';
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    function istZahl(wert) {
+        return typeof wert === 'number' && !isNaN(wert);
+    }
+
+    function minutenSeit(ts) {
+        return Math.round((Date.now() - ts) / 60000);
+    }
+
+    /**
+     * Sendet an alle aktivierten Kanaele; ein fehlerhafter Kanal blockiert die anderen nicht.
+     */
+    async function sendeBenachrichtigung(titel, text, prioritaet) {
+        const { pushover, telegram } = BENACHRICHTIGUNG;
+        if (pushover.aktiviert) {
+            try {
+                await sendToAsync(pushover.instanz, 'send', { message: text, title: titel, priority: prioritaet });
+            } catch (e) {
+                log(`[Waechter] Pushover fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+        if (telegram.aktiviert) {
+            try {
+                await sendToAsync(telegram.instanz, 'send', { text: `${titel}\n${text}` });
+            } catch (e) {
+                log(`[Waechter] Telegram fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+    }
+
+    /**
+     * Liest die Raumliste aus einem Konfigurations-Datenpunkt der Raumsteuerung.
+     * @param {string} id
+     * @returns {Promise<Array<{roomName: string, dbRaum: string, thermostate: string[]}> | null>}
+     *          null, wenn der Datenpunkt fehlt oder keine brauchbare ROOMS_CONFIG enthaelt
+     */
+    async function leseRaeumeAus(id) {
+        const state = await getStateAsync(id);
+        if (!state || typeof state.val !== 'string' || !state.val) return null;
+        let konfiguration;
+        try {
+            konfiguration = JSON.parse(state.val);
+        } catch (e) {
+            return null;
+        }
+        const raeume = konfiguration?.ROOMS_CONFIG;
+        if (!Array.isArray(raeume) || raeume.length === 0) return null;
+        const brauchbar = raeume.every(r => r && typeof r.roomName === 'string' && typeof r.dbRaum === 'string'
+            && Array.isArray(r.devices?.thermostate) && r.devices.thermostate.length > 0
+            && r.devices.thermostate.every(t => typeof t === 'string'));
+        if (!brauchbar) return null;
+        return raeume.map(r => ({ roomName: r.roomName, dbRaum: r.dbRaum, thermostate: [...r.devices.thermostate] }));
+    }
+
+    /**
+     * Raumliste fuer die naechste Pruefung (NEU in V1.1): bestaetigte
+     * Konfiguration, sonst letzte gueltige, sonst RAEUME aus dem Skript.
+     */
+    async function ladeRaeume() {
+        const status = await getStateAsync(KONFIGURATION_IDS.status);
+        const bestaetigt = typeof status?.val === 'string' && status.val.startsWith('OK');
+
+        let quelle = 'Skript (RAEUME)';
+        let raeume = bestaetigt ? await leseRaeumeAus(KONFIGURATION_IDS.datenpunkt) : null;
+        if (raeume) {
+            quelle = KONFIGURATION_IDS.datenpunkt;
+        } else {
+            raeume = await leseRaeumeAus(KONFIGURATION_IDS.letzteGueltige);
+            if (raeume) quelle = KONFIGURATION_IDS.letzteGueltige;
+        }
+
+        if (quelle !== raumQuelle) {
+            const stufe = raeume ? 'info' : 'warn';
+            log(`[Waechter] Raumliste aus ${quelle}: ${(raeume || RAEUME).length} Raeume.`, stufe);
+            raumQuelle = quelle;
+        }
+        return raeume || RAEUME;
+    }
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: IDS.alarmAktiv, def: false, common: { name: 'Heizungs-Waechter: mindestens ein Alarm aktiv', type: 'boolean', role: 'indicator.alarm', read: true, write: false } },
+            { id: IDS.alarme, def: '[]', common: { name: 'Heizungs-Waechter: aktive Alarme', type: 'string', role: 'json', read: true, write: false } },
+            { id: IDS.unquittiert, def: 0, common: { name: 'Heizungs-Waechter: unquittierte Alarme', type: 'number', role: 'value', read: true, write: false } },
+            { id: IDS.quittieren, def: false, common: { name: 'Heizungs-Waechter: alle Alarme quittieren', type: 'boolean', role: 'button', read: true, write: true } },
+            { id: IDS.letztePruefung, def: 0, common: { name: 'Heizungs-Waechter: letzte Pruefung', type: 'number', role: 'date', read: true, write: false } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. PRUEFUNGEN
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Liefert die aktuell anstehenden Befunde eines Raums.
+     * @returns {Promise<Array<{typ: string, text: string}>>}
+     */
+    async function pruefeRaum(raum, heizPeriode) {
+        const befunde = [];
+        const jetzt = Date.now();
+
+        for (const thermostatId of raum.thermostate) {
+            const istId = thermostatId.replace('SET_POINT_TEMPERATURE', 'ACTUAL_TEMPERATURE');
+            const ist = await getStateAsync(istId);
+            if (!ist || !istZahl(ist.val)) {
+                befunde.push({ typ: 'VERALTET', text: `${istId} liefert keinen Wert` });
+                continue;
+            }
+            if (jetzt - ist.ts > GRENZEN.veraltetNachMinuten * 60000) {
+                befunde.push({ typ: 'VERALTET', text: `Isttemperatur seit ${minutenSeit(ist.ts)} Min. nicht aktualisiert (${istId})` });
+            }
+            if (ist.val < GRENZEN.frostUnter) {
+                befunde.push({ typ: 'FROST', text: `Frostgefahr: ${ist.val.toFixed(1)}°C (Grenze ${GRENZEN.frostUnter.toFixed(1)}°C)` });
+            } else if (heizPeriode && ist.val > GRENZEN.ueberhitzungUeber) {
+                befunde.push({ typ: 'UEBERHITZUNG', text: `Ueberhitzung: ${ist.val.toFixed(1)}°C (Grenze ${GRENZEN.ueberhitzungUeber.toFixed(1)}°C)` });
+            }
+        }
+
+        const pfad = `${RAUMSTEUERUNG_PFAD}.${raum.dbRaum}`;
+        const sollwertFehler = await getStateAsync(`${pfad}.Sollwert_Fehler`);
+        if (sollwertFehler && sollwertFehler.val) {
+            befunde.push({ typ: 'SOLLWERT', text: `Sollwert nicht uebernommen: ${sollwertFehler.val}` });
+        }
+
+        // Ohne Entscheidungsprotokoll (Raumsteuerung < V9.6) keine Lebenszeichen-Pruefung
+        const entscheidung = await getStateAsync(`${pfad}.Entscheidung`);
+        if (entscheidung && entscheidung.ts && jetzt - entscheidung.ts > GRENZEN.steuerungStillNachMinuten * 60000) {
+            befunde.push({ typ: 'STEUERUNG', text: `Raumsteuerung seit ${minutenSeit(entscheidung.ts)} Min. ohne Entscheidung (Skript gestoppt?)` });
+        }
+
+        // Mehrere Thermostate: je Typ nur ein Alarm, Texte zusammengefasst
+        const jeTyp = new Map();
+        for (const befund of befunde) {
+            jeTyp.set(befund.typ, jeTyp.has(befund.typ) ? `${jeTyp.get(befund.typ)}; ${befund.text}` : befund.text);
+        }
+        return [...jeTyp].map(([typ, text]) => ({ typ, text }));
+    }
+
+    async function meldeAlarm(alarm) {
+        alarm.meldungen++;
+        alarm.letzteMeldung = Date.now();
+        const eskaliert = alarm.meldungen >= ESKALATION.eskalierenAbMeldung;
+        const prioritaet = eskaliert ? ESKALATION.prioritaetEskaliert : ESKALATION.prioritaet;
+        const wiederholung = alarm.meldungen > 1 ? ` (Meldung ${alarm.meldungen}, seit ${minutenSeit(alarm.seit)} Min.)` : '';
+        const text = `${alarm.raum}: ${alarm.text}${wiederholung}. Quittieren ueber ${IDS.quittieren}.`;
+        log(`[Waechter] ALARM ${alarm.typ} ${text}`, 'warn');
+        await sendeBenachrichtigung(`Heizung ${alarm.typ}`, text, prioritaet);
+    }
+
+    async function veroeffentliche() {
+        const liste = [...alarme.values()];
+        await setStateAsync(IDS.alarme, JSON.stringify(liste), true);
+        await setStateAsync(IDS.alarmAktiv, liste.length > 0, true);
+        await setStateAsync(IDS.unquittiert, liste.filter(a => !a.quittiert).length, true);
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    async function main() {
+        try {
+            const heizPeriode = !!(await getStateAsync(HEIZPERIODE_ID))?.val;
+            const jetzt = Date.now();
+            const aktuell = new Set();
+
+            for (const raum of await ladeRaeume()) {
+                for (const befund of await pruefeRaum(raum, heizPeriode)) {
+                    const schluessel = `${raum.dbRaum}:${befund.typ}`;
+                    aktuell.add(schluessel);
+                    const alarm = alarme.get(schluessel);
+                    if (alarm) {
+                        alarm.text = befund.text;
+                    } else {
+                        alarme.set(schluessel, {
+                            raum: raum.roomName, typ: befund.typ, text: befund.text,
+                            seit: jetzt, meldungen: 0, letzteMeldung: 0, quittiert: false,
+                        });
+                    }
+                }
+            }
+
+            for (const [schluessel, alarm] of alarme) {
+                if (aktuell.has(schluessel)) continue;
+                alarme.delete(schluessel);
+                log(`[Waechter] Entwarnung ${alarm.typ} ${alarm.raum} nach ${minutenSeit(alarm.seit)} Min.`, 'info');
+                if (alarm.meldungen > 0 && !alarm.quittiert) {
+                    await sendeBenachrichtigung(`Heizung ${alarm.typ} behoben`, `${alarm.raum}: ${alarm.text} – nicht mehr aktiv.`, ESKALATION.prioritaet);
+                }
+            }
+
+            for (const alarm of alarme.values()) {
+                if (alarm.quittiert) continue;
+                if (alarm.meldungen === 0 || jetzt - alarm.letzteMeldung >= ESKALATION.wiederholungMinuten * 60000) {
+                    await meldeAlarm(alarm);
+                }
+            }
+
+            await veroeffentliche();
+            await setStateAsync(IDS.letztePruefung, jetzt, true);
+            if (DEBUG_LOG_AKTIV) {
+                log(`[Waechter] Pruefung abgeschlossen: ${alarme.size} Alarm(e) aktiv.`, 'info');
+            }
+        } catch (e) {
+            log(`[Waechter] FEHLER in Hauptfunktion: ${e.message}`, 'error');
+        }
+    }
+
+    async function quittiereAlle() {
+        let anzahl = 0;
+        for (const alarm of alarme.values()) {
+            if (!alarm.quittiert) {
+                alarm.quittiert = true;
+                anzahl++;
+            }
+        }
+        log(`[Waechter] ${anzahl} Alarm(e) quittiert.`, 'info');
+        await veroeffentliche();
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+
+        on({ id: IDS.quittieren, change: 'any', ack: false }, async obj => {
+            if (!obj.state.val) return;
+            await quittiereAlle();
+            await setStateAsync(IDS.quittieren, false, true);
+        });
+
+        const raeume = await ladeRaeume();
+        log(`[Skript] Heizungs-Waechter V1.1 gestartet (${raeume.length} Raeume, Frost < ${GRENZEN.frostUnter}°C, Ueberhitzung > ${GRENZEN.ueberhitzungUeber}°C).`, 'info');
+        schedule(SCHEDULE, main);
+        setTimeout(main, 5000);
+    })().catch(e => log(`[Waechter] Start fehlgeschlagen: ${e.message}`, 'error'));
+
+})();
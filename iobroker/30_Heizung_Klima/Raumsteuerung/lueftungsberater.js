@@ -0,0 +1,330 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout */
+
+/**
+ * @fileoverview Lueftungsberater (absolute Feuchte innen/aussen, Schimmelrisiko)
+ * @version 1.0
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Vergleicht pro Raum die absolute Luftfeuchte innen mit der absoluten
+ * Luftfeuchte aussen (EcoWitt: 0_userdata.0.Wetter.temp / .humidity) und
+ * veroeffentlicht:
+ *   - Lueften_Sinnvoll / Empfehlung ("lüften sinnvoll" / "lüften nicht sinnvoll")
+ *   - Lueftungsdauer_Minuten (Stosslueften, abhaengig von der Aussentemperatur)
+ *   - Schimmelrisiko (0-100) aus der relativen Feuchte an der Wandoberflaeche
+ *
+ * Optional erfolgt eine Alexa-Ansage, wenn das Schimmelrisiko hoch ist, Lueften
+ * sinnvoll ist und das Fenster des Raums schon lange geschlossen ist.
+ *
+ * PHYSIK:
+ *   Saettigungsdampfdruck nach Magnus (wie Schimmelschutz in
+ *   raum_steuerung_generisch.js): E(T) = 6.1078 * 10^(7.5*T / (237.3+T)) hPa
+ *   Absolute Feuchte: AF = 216.7 * (rF/100 * E(T)) / (273.15 + T) g/m³
+ *   Oberflaechenfeuchte: rF_Wand = AF_innen / AF_saett(T_Wand) * 100
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SCHEDULE = '*/5 * * * *';
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = '0_userdata.0.Heizung.Lueftung';
+
+    const AUSSEN = {
+        temp: '0_userdata.0.Wetter.temp',
+        feuchte: '0_userdata.0.Wetter.humidity',
+    };
+
+    // BEWERTUNG
+    const BEWERTUNG = {
+        minDifferenzAbsFeuchte: 1.0,   // g/m³, innen muss um so viel feuchter sein als aussen
+        minRelFeuchteInnen: 50.0,      // %, darunter ist Lueften zur Entfeuchtung unnoetig
+        oberflaecheUnkritisch: 60.0,   // % rF an der Wand -> Risiko 0
+        oberflaecheKritisch: 80.0,     // % rF an der Wand -> Risiko 100
+    };
+
+    // LUEFTUNGSDAUER (Stosslueften) nach Aussentemperatur
+    const LUEFTUNGSDAUER = [
+        { bisAussenTemp: 0, minuten: 5 },
+        { bisAussenTemp: 10, minuten: 10 },
+        { bisAussenTemp: 15, minuten: 15 },
+        { bisAussenTemp: 20, minuten: 20 },
+        { bisAussenTemp: Infinity, minuten: 25 },
+    ];
+    const ZUSATZ_MINUTEN_HOHES_RISIKO = 5;
+
+    // ALEXA-ANSAGE (optional)
+    const ALEXA = {
+        aktiviert: false,
+        speak: 'alexa2.0.Echo-Devices.G0911M10020400F5.Commands.speak',
+        volume: 'alexa2.0.Echo-Devices.G0911M10020400F5.Commands.speak-volume',
+        lautstaerke: 30,
+        risikoSchwelle: 70,
+        fensterGeschlossenMinuten: 240,
+        wiederholungMinuten: 180,
+        ruhezeit: { von: 22, bis: 7 },  // volle Stunden, keine Ansage
+    };
+
+    // RAEUME (Sensoren wie in ROOMS_CONFIG von raum_steuerung_generisch.js)
+    const RAEUME = [
+        {
+            roomName: 'Bad',
+            dbRaum: 'Badezimmer',
+            tempId: 'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE',
+            feuchteId: 'hm-rpc.2.INT0000002.1.HUMIDITY',
+            wandOberflaecheId: 'hm-rpc.0.002822699B7E86.2.ACTUAL_TEMPERATURE',
+            fensterKontakte: ['hm-rpc.0.0023DA49A3CC62.1.STATE'],
+        },
+        {
+            roomName: 'Esszimmer',
+            dbRaum: 'Esszimmer',
+            tempId: 'hm-rpc.2.INT0000004.1.ACTUAL_TEMPERATURE',
+            feuchteId: 'hm-rpc.2.INT0000004.1.HUMIDITY',
+            wandOberflaecheId: 'hm-rpc.0.002822699B7E86.1.ACTUAL_TEMPERATURE',
+            fensterKontakte: ['hm-rpc.0.0023DA49A3B05C.1.STATE'],
+        },
+        {
+            roomName: 'Küche',
+            dbRaum: 'Kueche',
+            tempId: 'hm-rpc.2.INT0000003.1.ACTUAL_TEMPERATURE',
+            feuchteId: 'hm-rpc.2.INT0000003.1.HUMIDITY',
+            wandOberflaecheId: 'hm-rpc.0.002822699B7E86.1.ACTUAL_TEMPERATURE',
+            fensterKontakte: ['hm-rpc.0.0023DA49A3CC5A.1.STATE'],
+        },
+        {
+            roomName: 'Schlafzimmer',
+            dbRaum: 'Schlafzimmer',
+            tempId: 'hm-rpc.2.INT0000001.1.ACTUAL_TEMPERATURE',
+            feuchteId: 'hm-rpc.2.INT0000001.1.HUMIDITY',
+            wandOberflaecheId: 'hm-rpc.0.002822699B7D20.1.ACTUAL_TEMPERATURE',
+            fensterKontakte: ['hm-rpc.0.00109A49A438EA.1.STATE'],
+        },
+        {
+            roomName: 'Wohnzimmer',
+            dbRaum: 'Wohnzimmer',
+            tempId: 'hm-rpc.2.INT0000005.1.ACTUAL_TEMPERATURE',
+            feuchteId: 'hm-rpc.2.INT0000005.1.HUMIDITY',
+            wandOberflaecheId: 'hm-rpc.0.002822699B7D20.1.ACTUAL_TEMPERATURE',
+            fensterKontakte: ['hm-rpc.0.00109A49A44D25.1.STATE'],
+        },
+    ];
+
+    // Letzte Ansage je Raum (ms), nur im RAM
+    const letzteAnsage = {};
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN (PHYSIK)
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Saettigungsdampfdruck ueber Wasser (Magnus) in hPa.
+     * @param {number} temp Grad C
+     */
+    function saettigungsDampfdruck(temp) {
+        return 6.1078 * Math.pow(10, (7.5 * temp) / (237.3 + temp));
+    }
+
+    /**
+     * Absolute Luftfeuchte in g/m³.
+     * @param {number} temp Grad C
+     * @param {number} relFeuchte %
+     */
+    function absoluteFeuchte(temp, relFeuchte) {
+        return (216.7 * (relFeuchte / 100) * saettigungsDampfdruck(temp)) / (273.15 + temp);
+    }
+
+    /**
+     * Relative Feuchte, die sich bei gleicher absoluter Feuchte an einer
+     * Oberflaeche mit der Temperatur tempOberflaeche einstellt (max. 100 %).
+     * @param {number} absFeuchte g/m³
+     * @param {number} tempOberflaeche Grad C
+     */
+    function relativeFeuchteBei(absFeuchte, tempOberflaeche) {
+        const saettigung = absoluteFeuchte(tempOberflaeche, 100);
+        return Math.min(100, (absFeuchte / saettigung) * 100);
+    }
+
+    /**
+     * Schimmelrisiko 0-100, linear zwischen unkritischer und kritischer
+     * Oberflaechenfeuchte.
+     * @param {number} oberflaechenFeuchte %
+     */
+    function berechneSchimmelrisiko(oberflaechenFeuchte) {
+        const anteil = (oberflaechenFeuchte - BEWERTUNG.oberflaecheUnkritisch) /
+            (BEWERTUNG.oberflaecheKritisch - BEWERTUNG.oberflaecheUnkritisch);
+        return Math.round(Math.max(0, Math.min(1, anteil)) * 100);
+    }
+
+    /**
+     * @param {number} aussenTemp Grad C
+     */
+    function lueftungsdauerMinuten(aussenTemp) {
+        const stufe = LUEFTUNGSDAUER.find(s => aussenTemp < s.bisAussenTemp);
+        return stufe ? stufe.minuten : LUEFTUNGSDAUER[LUEFTUNGSDAUER.length - 1].minuten;
+    }
+
+    function istZahl(wert) {
+        return typeof wert === 'number' && !isNaN(wert);
+    }
+
+    function istRuhezeit() {
+        const stunde = new Date().getHours();
+        const { von, bis } = ALEXA.ruhezeit;
+        return von > bis ? (stunde >= von || stunde < bis) : (stunde >= von && stunde < bis);
+    }
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: `${BASIS_PFAD}.AbsFeuchte_Aussen`, def: 0, common: { name: 'Absolute Feuchte aussen', type: 'number', role: 'value.humidity', unit: 'g/m³' } },
+        ];
+        for (const raum of RAEUME) {
+            const pfad = `${BASIS_PFAD}.${raum.dbRaum}`;
+            datenpunkte.push(
+                { id: `${pfad}.Lueften_Sinnvoll`, def: false, common: { name: `Lueften sinnvoll (${raum.roomName})`, type: 'boolean', role: 'indicator' } },
+                { id: `${pfad}.Empfehlung`, def: '', common: { name: `Lueftungsempfehlung (${raum.roomName})`, type: 'string', role: 'text' } },
+                { id: `${pfad}.Lueftungsdauer_Minuten`, def: 0, common: { name: `Empfohlene Lueftungsdauer (${raum.roomName})`, type: 'number', role: 'value', unit: 'min' } },
+                { id: `${pfad}.Schimmelrisiko`, def: 0, common: { name: `Schimmelrisiko 0-100 (${raum.roomName})`, type: 'number', role: 'value', unit: '%' } },
+                { id: `${pfad}.AbsFeuchte_Innen`, def: 0, common: { name: `Absolute Feuchte innen (${raum.roomName})`, type: 'number', role: 'value.humidity', unit: 'g/m³' } },
+                { id: `${pfad}.Oberflaechenfeuchte`, def: 0, common: { name: `Relative Feuchte an der Wandoberflaeche (${raum.roomName})`, type: 'number', role: 'value.humidity', unit: '%' } },
+            );
+        }
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, write: false, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. KERNLOGIK
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Minuten seit dem letzten Schliessen aller Fenster des Raums
+     * (0, wenn ein Fenster offen ist oder keine Kontakte konfiguriert sind).
+     */
+    async function fensterGeschlossenSeitMinuten(raum) {
+        if (!raum.fensterKontakte || raum.fensterKontakte.length === 0) return 0;
+        let letzteAenderung = 0;
+        for (const id of raum.fensterKontakte) {
+            const state = await getStateAsync(id);
+            if (!state) return 0;
+            if (state.val === true || state.val === 1 || state.val === 'true' || state.val === '1') return 0;
+            letzteAenderung = Math.max(letzteAenderung, state.lc || state.ts || 0);
+        }
+        return letzteAenderung > 0 ? (Date.now() - letzteAenderung) / 60000 : 0;
+    }
+
+    async function kuendigeAn(raum, dauer, risiko) {
+        const jetzt = Date.now();
+        if ((letzteAnsage[raum.dbRaum] || 0) + ALEXA.wiederholungMinuten * 60000 > jetzt) return;
+        if (istRuhezeit()) return;
+
+        letzteAnsage[raum.dbRaum] = jetzt;
+        const text = `Im Raum ${raum.roomName} ist das Schimmelrisiko hoch. Bitte etwa ${dauer} Minuten lüften.`;
+        await setStateAsync(ALEXA.volume, ALEXA.lautstaerke);
+        setTimeout(() => setState(ALEXA.speak, text), 250);
+        log(`[Lueftung] Alexa-Ansage fuer ${raum.roomName} (Risiko ${risiko}): "${text}"`, 'info');
+    }
+
+    async function bewerteRaum(raum, aussenTemp, absAussen) {
+        const pfad = `${BASIS_PFAD}.${raum.dbRaum}`;
+        const temp = (await getStateAsync(raum.tempId))?.val;
+        const feuchte = (await getStateAsync(raum.feuchteId))?.val;
+        if (!istZahl(temp) || !istZahl(feuchte) || feuchte <= 0 || feuchte > 100) {
+            await setStateAsync(`${pfad}.Empfehlung`, 'keine Bewertung (Raumsensor ohne gueltige Werte)', true);
+            return;
+        }
+
+        const absInnen = absoluteFeuchte(temp, feuchte);
+        const wandTemp = raum.wandOberflaecheId ? (await getStateAsync(raum.wandOberflaecheId))?.val : null;
+        // Ohne Wandsensor wird die Raumfeuchte selbst bewertet
+        const oberflaechenFeuchte = istZahl(wandTemp) && wandTemp < 90
+            ? relativeFeuchteBei(absInnen, wandTemp)
+            : feuchte;
+        const risiko = berechneSchimmelrisiko(oberflaechenFeuchte);
+
+        const differenz = absInnen - absAussen;
+        const sinnvoll = differenz >= BEWERTUNG.minDifferenzAbsFeuchte && feuchte >= BEWERTUNG.minRelFeuchteInnen;
+
+        let dauer = 0;
+        let empfehlung;
+        if (sinnvoll) {
+            dauer = lueftungsdauerMinuten(aussenTemp) + (risiko >= ALEXA.risikoSchwelle ? ZUSATZ_MINUTEN_HOHES_RISIKO : 0);
+            empfehlung = `lüften sinnvoll (innen ${absInnen.toFixed(1)} g/m³, aussen ${absAussen.toFixed(1)} g/m³, ca. ${dauer} Min)`;
+        } else if (differenz < BEWERTUNG.minDifferenzAbsFeuchte) {
+            empfehlung = `lüften nicht sinnvoll (aussen ${absAussen.toFixed(1)} g/m³ nicht trockener als innen ${absInnen.toFixed(1)} g/m³)`;
+        } else {
+            empfehlung = `lüften nicht sinnvoll (Raumfeuchte ${feuchte.toFixed(0)}% bereits niedrig)`;
+        }
+
+        await setStateAsync(`${pfad}.Lueften_Sinnvoll`, sinnvoll, true);
+        await setStateAsync(`${pfad}.Empfehlung`, empfehlung, true);
+        await setStateAsync(`${pfad}.Lueftungsdauer_Minuten`, dauer, true);
+        await setStateAsync(`${pfad}.Schimmelrisiko`, risiko, true);
+        await setStateAsync(`${pfad}.AbsFeuchte_Innen`, parseFloat(absInnen.toFixed(2)), true);
+        await setStateAsync(`${pfad}.Oberflaechenfeuchte`, parseFloat(oberflaechenFeuchte.toFixed(1)), true);
+
+        if (DEBUG_LOG_AKTIV) {
+            log(`[Lueftung] ${raum.roomName}: ${empfehlung}, Oberflaeche ${oberflaechenFeuchte.toFixed(1)}%, Risiko ${risiko}`, 'info');
+        }
+
+        if (ALEXA.aktiviert && sinnvoll && risiko >= ALEXA.risikoSchwelle) {
+            const geschlossenMinuten = await fensterGeschlossenSeitMinuten(raum);
+            if (geschlossenMinuten >= ALEXA.fensterGeschlossenMinuten) {
+                await kuendigeAn(raum, dauer, risiko);
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    async function main() {
+        try {
+            const aussenTemp = (await getStateAsync(AUSSEN.temp))?.val;
+            const aussenFeuchte = (await getStateAsync(AUSSEN.feuchte))?.val;
+            if (!istZahl(aussenTemp) || !istZahl(aussenFeuchte)) {
+                log('[Lueftung] Keine gueltigen Aussenwerte (EcoWitt) verfuegbar, Bewertung uebersprungen.', 'warn');
+                return;
+            }
+
+            const absAussen = absoluteFeuchte(aussenTemp, aussenFeuchte);
+            await setStateAsync(`${BASIS_PFAD}.AbsFeuchte_Aussen`, parseFloat(absAussen.toFixed(2)), true);
+
+            for (const raum of RAEUME) {
+                await bewerteRaum(raum, aussenTemp, absAussen);
+            }
+        } catch (e) {
+            log(`[Lueftung] FEHLER in Hauptfunktion: ${e.message}`, 'error');
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+        log(`[Skript] Lueftungsberater V1.0 gestartet (${RAEUME.length} Raeume, Alexa=${ALEXA.aktiviert}).`, 'info');
+        schedule(SCHEDULE, main);
+        setTimeout(main, 5000);
+    })();
+
+})();
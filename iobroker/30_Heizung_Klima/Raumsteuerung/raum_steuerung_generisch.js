@@ -3,11 +3,11 @@
    createStateAsync, existsState, existsStateAsync, getObjectAsync,
    getState, getStateAsync, log, on, onStop, require, schedule,
    sendTo, sendToAsync, setInterval, setObjectAsync, setState,
-   setStateAsync, setTimeout */
+   setStateAsync, setTimeout, unsubscribe */
 
 /**
  * @fileoverview Generische Einzelraum-Heizungssteuerung fuer ioBroker
- * @version 9.0 (Paket 4: Solar/Wind-Multiplikator entfernt)
+ * @version 9.13 (Sollwert-Plan)
  * @author Sanweb
  * @license MIT
  *
@@ -22,7 +22,95 @@
  * eigenstaendige Instanz mit eigenem Closure, eigenem Debounce-Manager,
  * eigenen Triggern und eigener Haupt-Logik aufgebaut.
  *
- * NEU in V9.0 (Paket 4 — Entfernung System A / multiplikative Lernwerte):
+ * NEU in V9.13 (Sollwert-Plan):
+ * - sollwert_planer.js plant je Raum die Sollwerte der naechsten 24 h aus
+ *   Wettervorhersage und RC-Modell (Heizung.Plan.{dbRaum}.Plan).
+ * - Mit plan.aktiviert ersetzt der Plan-Sollwert des laufenden Rasters bei
+ *   Anwesenheit Zeitplan-Slot bzw. sollTempAnwesend; er enthaelt das
+ *   Vorheizen, das regelbasierte Vorheizen (V9.2) entfaellt dann.
+ *   Tuer zu und Nachtschaltung ausserhalb von Slots haben weiter Vorrang,
+ *   ein Komfortprofil hebt den Plan-Sollwert hoechstens an.
+ * - Veraltete Plaene (PLAN_CONFIG.maxAlterMinuten) werden ignoriert.
+ *
+ * UEBERNOMMEN aus V9.12 (Urlaubsmodus):
+ * - Ist 0_userdata.0.Urlaub.Aktiv gesetzt (urlaubsmodus.js), gehen alle Raeume
+ *   als Sonderfall auf Urlaub.EcoTemp. Fenster offen und Override haben Vorrang.
+ * - Vor der Rueckkehr meldet urlaubsmodus.js die erwartete Ankunft; das
+ *   Vorheizen (V9.2) uebernimmt dann das Aufheizen.
+ * - GLOBAL_IDS.urlaub / urlaubEcoTemp; fehlen sie in einer gespeicherten
+ *   Konfiguration, werden sie aus dem Skript ergaenzt.
+ *
+ * UEBERNOMMEN aus V9.11 (Komfortprofile):
+ * - KOMFORT_PROFILE: Wunschtemperaturen je Person und Raum ersetzen bei deren
+ *   Anwesenheit sollTempAnwesend (Regel 'max' oder 'prioritaet').
+ *
+ * UEBERNOMMEN aus V9.10 (Mehrzonen-Raeume):
+ * - Feuchte-/Wandsensoren als Listen mit Aggregation (min/max/mittel/median,
+ *   veraltete Werte verworfen), Zonen-Offset je Thermostat, 'sensoren' im Protokoll.
+ *
+ * UEBERNOMMEN aus V9.9 (Laufzeit-Konfiguration):
+ * - ROOMS_CONFIG, GLOBAL_IDS und TRIGGER_SCHWELLEN aus Raumsteuerung.Konfiguration
+ *   mit Schema-Pruefung, Hot-Reload und Rueckfall auf die letzte gueltige.
+ *
+ * UEBERNOMMEN aus V9.8 (Sollwert-Rueckmeldung):
+ * - Geschriebene Sollwerte werden zurueckgelesen, Befund in
+ *   Raumsteuerung.{dbRaum}.Sollwert_Fehler (fuer heizungs_waechter.js).
+ *
+ * UEBERNOMMEN aus V9.7 (Heizkoerper-Diagnose):
+ * - Ventil-LEVEL der HmIP-eTRV: VOLL_OFFEN / KLEMMT_ZU unter Soll, Status unter
+ *   Raumsteuerung.{dbRaum}.Heizkoerper_Diagnose, Meldung nach meldenNachMinuten.
+ *
+ * UEBERNOMMEN aus V9.6 (Entscheidungsprotokoll):
+ * - Strukturiertes JSON je Lauf in Raumsteuerung.{dbRaum}.Entscheidung
+ *   (optional Kennzahlen per storeState in die InfluxDB).
+ *
+ * UEBERNOMMEN aus V9.5 (Simulationsmodus):
+ * - Pro Raum zur Laufzeit schaltbar ueber
+ *   0_userdata.0.Heizung.Raumsteuerung.{dbRaum}.Simulation_Aktiv
+ * - main() berechnet alles wie gewohnt, schreibt aber weder
+ *   SET_POINT_TEMPERATURE noch CONTROL_MODE. Stattdessen landet die
+ *   Entscheidung (Sollwert, Kandidaten A-D, Strategen-Offset, Gruende) als
+ *   JSON in 0_userdata.0.Heizung.Raumsteuerung.{dbRaum}.Simulation.
+ *
+ * UEBERNOMMEN aus V9.4 (Virtuelle Fenster-offen-Erkennung):
+ * - Starker Abfall von Raum-/Wandtemperatur (optional gestuetzt durch einen
+ *   Feuchteabfall) gilt als "virtuelles Fenster offen" und wirkt in 3.1.3
+ *   wie ein echter Fensterkontakt.
+ * - Haltedauer und anschliessende Sperrzeit verhindern ein Flattern.
+ * - devices.fensterKontakte ist jetzt optional (Raeume ohne Kontakt).
+ * - Neue Datenpunkte je Raum unter 0_userdata.0.Heizung.FensterVirtuell.{dbRaum}:
+ *   Offen, Letzte_Erkennung, Grund.
+ *
+ * UEBERNOMMEN aus V9.3 (Manuelle Uebersteuerung):
+ * - Fremde Schreibzugriffe (ack=false) auf SET_POINT_TEMPERATURE, die nicht
+ *   vom Skript stammen (z.B. VIS, App, CCU-Oberflaeche), gelten als manuelle
+ *   Uebersteuerung. Sie wird fuer eine konfigurierbare Dauer oder bis zum
+ *   naechsten Zeitplan-Slot respektiert.
+ * - Neue Datenpunkte je Raum unter 0_userdata.0.Heizung.Override.{dbRaum}:
+ *   Boost (30 Min), Party_Bis ('HH:MM') sowie Status Typ / Soll / Bis.
+ * - Nach Ablauf wird automatisch wieder der berechnete Sollwert gesetzt.
+ *
+ * UEBERNOMMEN aus V9.2 (Optimum-Start):
+ * - Vorheizen auf den naechsten Zeitplan-Slot (bei Anwesenheit) bzw. auf die
+ *   erwartete Ankunft (0_userdata.0.Heizung.Vorheizen.Erwartete_Ankunft).
+ * - Startzeitpunkt = Zielzeit - (Soll - Ist) / Aufheizrate * Sicherheitsfaktor.
+ *   Die Aufheizrate (°C/h abhaengig von der Aussentemperatur) lernt
+ *   aufheiz_lerner.js aus der InfluxDB-Historie.
+ * - Neue Datenpunkte je Raum unter 0_userdata.0.Heizung.Vorheizen.{dbRaum}:
+ *   Vorheizstart (Prognose), Vorheizen_Aktiv, Vorheizen_Ziel.
+ *
+ * UEBERNOMMEN aus V9.1 (Wochen-Zeitplaene):
+ * - ROOMS_CONFIG.zeitplan: Zeitfenster mit Solltemperatur, getrennt nach
+ *   Werktag- und Wochenend-Profil (z.B. "Bad 23 °C 06:00-07:30 werktags").
+ * - Feiertage (global, JSON-Datenpunkt) verwenden das Wochenend-Profil.
+ * - Der aktive Slot ersetzt bei Anwesenheit in 3.1.3 die Basistemperatur
+ *   (sollTempAnwesend / Tuer-Logik / Nachtschaltung).
+ * - Laufzeit-Pflege ohne Skript-Neustart ueber
+ *   0_userdata.0.Heizung.Zeitplan.{dbRaum}.Aktiv / Profil_Werktag / Profil_Wochenende
+ *   (ungueltiges JSON wird verworfen, das letzte gueltige Profil bleibt aktiv).
+ * - Minuetliche Slot-Pruefung loest bei Slotwechsel eine Neuberechnung aus.
+ *
+ * UEBERNOMMEN aus V9.0 (Paket 4 — Entfernung System A / multiplikative Lernwerte):
  * - Das alte Lern-System (lern_skript.js V2.2) ist in Paket 4 durch das
  *   Strategen-System (heizungs_lerner.js V4.0 + stratege.js) vollstaendig
  *   abgeloest. Der multiplikative Solar-/Wind-Korrekturfaktor ist damit
@@ -77,12 +165,17 @@
     // 1. GLOBALE KONSTANTEN (gelten fuer ALLE Raeume)
     // =====================================================================================
 
-    const GLOBAL_IDS = {
+    // GEAENDERT in V9.9: GLOBAL_IDS, TRIGGER_SCHWELLEN und ROOMS_CONFIG (ab V9.11
+    // auch KOMFORT_PROFILE) sind 'let', da sie zur Laufzeit aus
+    // Raumsteuerung.Konfiguration ersetzt werden.
+    let GLOBAL_IDS = {
         heizPeriode: '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv',
         anwesenheit: '0_userdata.0.Anwesenheit.Status',
         nachtschaltung: '0_userdata.0.System.Nachtschaltung.Aktiv',
         sollTempAnwesend: '0_userdata.0.Heizung.sollTempAnwesend',
         sollTempAbwesend: '0_userdata.0.Heizung.sollTempAbwesend',
+        urlaub: '0_userdata.0.Urlaub.Aktiv',              // NEU in V9.12
+        urlaubEcoTemp: '0_userdata.0.Urlaub.EcoTemp',     // NEU in V9.12
     };
 
     const WETTER_PFADE = {
@@ -96,16 +189,136 @@
         delayLowPriority: 1000,
     };
 
-    const TRIGGER_SCHWELLEN = {
+    let TRIGGER_SCHWELLEN = {
         aussenTempTriggerThreshold: 1.0,
         raumTempTriggerThreshold: 0.3,
         luftfeuchteTriggerThreshold: 5.0,
     };
 
+    // Komfortprofile je Person (NEU in V9.11). Anwesenheit je Person aus
+    // anwesenheitserkennung.js ({personenPfad}.{name}), raeume: dbRaum -> Grad C.
+    // Ohne anwesende Person mit Wunsch fuer den Raum gilt sollTempAnwesend;
+    // Raeume, die nicht in ROOMS_CONFIG stehen, werden ignoriert.
+    let KOMFORT_PROFILE = {
+        aktiviert: false,
+        regel: 'max',            // 'max' | 'prioritaet' (kleinste Zahl gewinnt)
+        personenPfad: '0_userdata.0.Anwesenheit',
+        personen: [
+            { name: 'Alex', prioritaet: 1, raeume: { Wohnzimmer: 21.5, Badezimmer: 23.0 } },
+            { name: 'Rosie', prioritaet: 2, raeume: { Wohnzimmer: 22.0, Schlafzimmer: 19.0 } },
+            { name: 'Ramona', prioritaet: 3, raeume: { Kueche: 20.5 } },
+        ],
+    };
+
     // Globale Grenze fuer den Prognose-Offset VOR der Vertrauensgewichtung.
     // Schutz vor DB-Ausreissern (z.B. fehlerhaft gelernter Extremwert).
     const PROGNOSE_OFFSET_CLIP = 2.0;
 
+    // Wochen-Zeitplaene (NEU in V9.1). Raumbezogene Datenpunkte liegen unter
+    // {basisPfad}.{dbRaum}, die Feiertage gelten fuer alle Raeume.
+    // Feiertags-Format: 'YYYY-MM-DD' (einmalig) oder 'MM-DD' (jaehrlich).
+    const ZEITPLAN_CONFIG = {
+        basisPfad: '0_userdata.0.Heizung.Zeitplan',
+        feiertageId: '0_userdata.0.Heizung.Zeitplan.Feiertage',
+        feiertageStandard: ['01-01', '05-01', '10-03', '12-25', '12-26'],
+        minSlotTemp: 5.0,
+        maxSlotTemp: 30.0,
+    };
+
+    // Optimum-Start (NEU in V9.2). Das Aufheizmodell je Raum liefert
+    // aufheiz_lerner.js unter {basisPfad}.{dbRaum}.Aufheizmodell.
+    // Erwartete_Ankunft: Zeitstempel in ms (0 = unbekannt), z.B. von einer
+    // Geofence- oder Kalender-Automation geschrieben.
+    const VORHEIZEN_CONFIG = {
+        basisPfad: '0_userdata.0.Heizung.Vorheizen',
+        erwarteteAnkunftId: '0_userdata.0.Heizung.Vorheizen.Erwartete_Ankunft',
+        standardRate: 1.0,       // °C/h, solange noch kein Modell gelernt ist
+        minRate: 0.3,
+        maxRate: 6.0,
+        sicherheitsFaktor: 1.2,  // Vorlauf wird um 20% verlaengert
+        maxVorlaufMinuten: 240,
+    };
+
+    // Sollwert-Plan (NEU in V9.13) von sollwert_planer.js unter {basisPfad}.{dbRaum}.Plan.
+    // Ein Plan, der laenger als maxAlterMinuten nicht erneuert wurde, gilt nicht mehr.
+    const PLAN_CONFIG = {
+        basisPfad: '0_userdata.0.Heizung.Plan',
+        maxAlterMinuten: 120,
+    };
+
+    // Urlaubsmodus (NEU in V9.12): Rueckfall, falls Urlaub.EcoTemp (noch) fehlt
+    const URLAUB_ECO_TEMP_STANDARD = 15.0;
+
+    // Manuelle Uebersteuerung / Boost / Party (NEU in V9.3). Ein Schreibzugriff
+    // mit dem zuletzt vom Skript gesetzten Wert innerhalb von
+    // eigenerSchreibzugriffMs gilt als eigener und loest keinen Override aus.
+    const OVERRIDE_CONFIG = {
+        basisPfad: '0_userdata.0.Heizung.Override',
+        eigenerSchreibzugriffMs: 10000,
+    };
+
+    // Virtuelle Fenster-offen-Erkennung (NEU in V9.4). Ausgewertet wird der
+    // Abfall innerhalb der letzten fensterMinuten gegenueber dem Hoechstwert.
+    const FENSTER_VIRTUELL_CONFIG = {
+        basisPfad: '0_userdata.0.Heizung.FensterVirtuell',
+        fensterMinuten: 6,
+        tempAbfall: 0.8,         // °C Abfall Raum- oder Wandtemperatur -> offen
+        feuchteAbfall: 6.0,      // %rF Abfall, zaehlt nur zusammen mit halbem tempAbfall
+        haltedauerMinuten: 15,   // so lange bleibt das virtuelle Fenster "offen"
+        sperrzeitMinuten: 30,    // danach keine neue Erkennung (Abkuehlphase)
+    };
+
+    // Raumbezogene Steuer- und Diagnose-Datenpunkte (NEU in V9.5)
+    const RAUMSTEUERUNG_PFAD = '0_userdata.0.Heizung.Raumsteuerung';
+
+    // Laufzeit-Konfiguration (NEU in V9.9). Die Werte in diesem Skript sind nur
+    // Startwerte fuer das erstmalige Anlegen und letzte Rueckfallebene.
+    const KONFIGURATION_CONFIG = {
+        datenpunkt: `${RAUMSTEUERUNG_PFAD}.Konfiguration`,
+        letzteGueltige: `${RAUMSTEUERUNG_PFAD}.Konfiguration_Letzte_Gueltige`,
+        status: `${RAUMSTEUERUNG_PFAD}.Konfiguration_Status`,
+    };
+
+    // Entscheidungsprotokoll (NEU in V9.6)
+    const ENTSCHEIDUNG_CONFIG = {
+        influxAktiv: false,          // Kennzahlen zusaetzlich per storeState in die InfluxDB
+        influxInstanz: 'influxdb.0',
+    };
+
+    // Heizkoerper-Diagnose ueber den Ventil-LEVEL (NEU in V9.7).
+    // LEVEL liefert das eTRV als Anteil 0..1 (0.1 = 10 %).
+    const HEIZKOERPER_DIAGNOSE_CONFIG = {
+        aktiv: true,
+        vollOffenAb: 0.95,
+        geschlossenBis: 0.05,
+        untertemperatur: 0.5,    // so weit (°C) muss der Raum unter Soll liegen
+        meldenNachMinuten: 120,  // Befund muss so lange ununterbrochen anstehen
+    };
+
+    // Rueckmeldung geschriebener Sollwerte (NEU in V9.8). HmIP bestaetigt per
+    // ack=true; bis dahin bleibt ein schlafendes/ueberlastetes Thermostat offen.
+    const SOLLWERT_RUECKMELDUNG_CONFIG = {
+        pruefenNachSekunden: 180,
+        toleranz: 0.1,           // °C
+    };
+
+    // Sensor-Aggregation je Raum (NEU in V9.10), ueberschreibbar per
+    // roomConfig.aggregation. Feuchte 'max' und Wandoberflaeche 'min' bewerten
+    // den Schimmelschutz nach der ungünstigsten Stelle.
+    const AGGREGATION_STANDARD = {
+        raumTemp: 'mittel',
+        feuchte: 'max',
+        wandOberflaeche: 'min',
+        wandKern: 'mittel',
+        maxAlterMinuten: 120,
+    };
+
+    // Benachrichtigungskanaele (NEU in V9.7)
+    const BENACHRICHTIGUNG_CONFIG = {
+        pushover: { aktiviert: true, instanz: 'pushover.0' },
+        telegram: { aktiviert: false, instanz: 'telegram.0' },
+    };
+
     const DEBUG_LOG_AKTIV = true;
 
     // =====================================================================================
@@ -121,10 +334,45 @@
     //               vertrauenId   — Datenpunkt vom Strategen (nutzungs_zaehler)
     //               maxVertrauen  — Schwelle fuer Vollvertrauen (50 = "reifer" Datensatz)
     //               aktiviert     — pro Raum abschaltbar
+    //   zeitplan  = Wochen-Zeitplan (NEU in V9.1), nur STARTWERTE:
+    //               aktiviert     — Startwert fuer Zeitplan.{dbRaum}.Aktiv
+    //               werktag       — Slots Mo-Fr: [{ von: 'HH:MM', bis: 'HH:MM', soll: Grad C }]
+    //               wochenende    — Slots Sa, So und Feiertage
+    //               Nach dem ersten Start gelten die Datenpunkte unter
+    //               0_userdata.0.Heizung.Zeitplan.{dbRaum}; Aenderungen hier
+    //               wirken erst nach Loeschen dieser Datenpunkte.
+    //               Slots ueber Mitternacht (von > bis) sind erlaubt, bei
+    //               Ueberschneidungen gewinnt der zuerst eingetragene Slot.
+    //   vorheizen = Optimum-Start (NEU in V9.2):
+    //               aktiviert     — Vorheizen auf Zeitplan-Slot / erwartete Ankunft
+    //   plan      = Sollwert-Plan (NEU in V9.13), optional:
+    //               aktiviert     — bei Anwesenheit dem Plan von sollwert_planer.js folgen
+    //   override  = Manuelle Uebersteuerung / Boost / Party (NEU in V9.3):
+    //               manuellEnde          — 'dauer' oder 'naechsterSlot' (Fallback: Dauer)
+    //               manuellDauerMinuten  — Haltedauer eines manuellen Sollwerts
+    //               boostDauerMinuten    — Dauer von Override.{dbRaum}.Boost
+    //               boostSollTemp        — Sollwert waehrend Boost
+    //               partySollTemp        — Sollwert bis Party_Bis (null = sollTempAnwesend)
+    //   fensterVirtuell = Virtuelle Fenster-offen-Erkennung (NEU in V9.4):
+    //               aktiviert     — Abfall-Erkennung ueber Thermostat-, Wand- und Feuchtesensor
+    //   devices.fensterKontakte ist seit V9.4 optional (leeres Array oder weglassen).
+    //   simulationAktiv = Startwert fuer Raumsteuerung.{dbRaum}.Simulation_Aktiv (NEU in V9.5)
+    //   devices.feuchteSensor / wandSensorOberflaeche / wandSensorKern = eine ID
+    //               oder eine Liste von IDs (NEU in V9.10)
+    //   aggregation = optional (NEU in V9.10), Standard siehe AGGREGATION_STANDARD:
+    //               raumTemp / feuchte / wandOberflaeche / wandKern
+    //                             — 'min' | 'max' | 'mittel' | 'median'
+    //               maxAlterMinuten — aeltere Werte werden verworfen (0 = aus)
+    //   thermostatOffsets = optional (NEU in V9.10): { '<SET_POINT_TEMPERATURE-ID>': Grad C }
+    //
+    // GEAENDERT in V9.9: Diese Liste ist nur noch der Startwert fuer den
+    // Datenpunkt Raumsteuerung.Konfiguration. Danach dort bearbeiten; das Schema
+    // (KONFIGURATION_SCHEMA, Abschnitt 2.5) prueft Typen, Wertebereiche und
+    // unbekannte Felder.
     //
     // ENTFERNT in V9.0: Feld 'lernwerte' (siehe Migrations-Hinweis im Header).
     //
-    const ROOMS_CONFIG = [
+    let ROOMS_CONFIG = [
         // -----------------------------------------------------------------------------
         // RAUM 1: BAD
         // -----------------------------------------------------------------------------
@@ -155,6 +403,34 @@
                 maxVertrauen: 50,
                 aktiviert: true,
             },
+            zeitplan: {
+                aktiviert: true,
+                werktag: [
+                    { von: '06:00', bis: '07:30', soll: 23.0 },
+                    { von: '18:30', bis: '21:00', soll: 22.0 },
+                ],
+                wochenende: [
+                    { von: '08:00', bis: '10:00', soll: 23.0 },
+                    { von: '18:30', bis: '21:00', soll: 22.0 },
+                ],
+            },
+            vorheizen: {
+                aktiviert: true,
+            },
+            plan: {
+                aktiviert: false,
+            },
+            fensterVirtuell: {
+                aktiviert: true,
+            },
+            simulationAktiv: false,
+            override: {
+                manuellEnde: 'naechsterSlot',
+                manuellDauerMinuten: 120,
+                boostDauerMinuten: 30,
+                boostSollTemp: 25.0,
+                partySollTemp: null,
+            },
             basisRegelung: {
                 aussenTempNeutral: 12.0,
                 heizkurvenfaktor: 0.1,
@@ -203,6 +479,28 @@
                 maxVertrauen: 50,
                 aktiviert: true,
             },
+            zeitplan: {
+                aktiviert: false,
+                werktag: [],
+                wochenende: [],
+            },
+            vorheizen: {
+                aktiviert: true,
+            },
+            plan: {
+                aktiviert: false,
+            },
+            fensterVirtuell: {
+                aktiviert: true,
+            },
+            simulationAktiv: false,
+            override: {
+                manuellEnde: 'naechsterSlot',
+                manuellDauerMinuten: 120,
+                boostDauerMinuten: 30,
+                boostSollTemp: 25.0,
+                partySollTemp: null,
+            },
             basisRegelung: {
                 aussenTempNeutral: 12.0,
                 heizkurvenfaktor: 0.1,
@@ -251,6 +549,28 @@
                 maxVertrauen: 50,
                 aktiviert: true,
             },
+            zeitplan: {
+                aktiviert: false,
+                werktag: [],
+                wochenende: [],
+            },
+            vorheizen: {
+                aktiviert: true,
+            },
+            plan: {
+                aktiviert: false,
+            },
+            fensterVirtuell: {
+                aktiviert: true,
+            },
+            simulationAktiv: false,
+            override: {
+                manuellEnde: 'naechsterSlot',
+                manuellDauerMinuten: 120,
+                boostDauerMinuten: 30,
+                boostSollTemp: 25.0,
+                partySollTemp: null,
+            },
             basisRegelung: {
                 aussenTempNeutral: 12.0,
                 heizkurvenfaktor: 0.1,
@@ -299,6 +619,28 @@
                 maxVertrauen: 50,
                 aktiviert: true,
             },
+            zeitplan: {
+                aktiviert: false,
+                werktag: [],
+                wochenende: [],
+            },
+            vorheizen: {
+                aktiviert: true,
+            },
+            plan: {
+                aktiviert: false,
+            },
+            fensterVirtuell: {
+                aktiviert: true,
+            },
+            simulationAktiv: false,
+            override: {
+                manuellEnde: 'naechsterSlot',
+                manuellDauerMinuten: 120,
+                boostDauerMinuten: 30,
+                boostSollTemp: 25.0,
+                partySollTemp: null,
+            },
             basisRegelung: {
                 aussenTempNeutral: 12.0,
                 heizkurvenfaktor: 0.1,
@@ -347,6 +689,28 @@
                 maxVertrauen: 50,
                 aktiviert: true,
             },
+            zeitplan: {
+                aktiviert: false,
+                werktag: [],
+                wochenende: [],
+            },
+            vorheizen: {
+                aktiviert: true,
+            },
+            plan: {
+                aktiviert: false,
+            },
+            fensterVirtuell: {
+                aktiviert: true,
+            },
+            simulationAktiv: false,
+            override: {
+                manuellEnde: 'naechsterSlot',
+                manuellDauerMinuten: 120,
+                boostDauerMinuten: 30,
+                boostSollTemp: 25.0,
+                partySollTemp: null,
+            },
             basisRegelung: {
                 aussenTempNeutral: 12.0,
                 heizkurvenfaktor: 0.1,
@@ -366,6 +730,657 @@
         },
     ];
 
+    // =====================================================================================
+    // 2.1 ZEITPLAN-HILFSFUNKTIONEN (NEU in V9.1)
+    // =====================================================================================
+
+    // Gemeinsame Feiertagsliste aller Raeume (wird in Abschnitt 4 aus dem
+    // Datenpunkt ZEITPLAN_CONFIG.feiertageId geladen und aktuell gehalten).
+    let zeitplanFeiertage = [...ZEITPLAN_CONFIG.feiertageStandard];
+
+    /**
+     * Wandelt eine Uhrzeit 'HH:MM' in Minuten seit Mitternacht um.
+     * '24:00' ist als Tagesende zulaessig.
+     * @param {any} zeit
+     * @returns {number|null} null bei ungueltigem Format
+     */
+    function zeitInMinuten(zeit) {
+        const treffer = /^(\d{1,2}):(\d{2})$/.exec(String(zeit).trim());
+        if (!treffer) return null;
+        const stunden = Number(treffer[1]);
+        const minuten = Number(treffer[2]);
+        if (minuten > 59 || stunden > 24 || (stunden === 24 && minuten > 0)) return null;
+        return stunden * 60 + minuten;
+    }
+
+    /**
+     * Naechster Zeitpunkt (heute oder morgen) zur angegebenen Uhrzeit.
+     * @param {number} minutenSeitMitternacht
+     * @param {Date} datum
+     * @returns {number} Zeitstempel in ms
+     */
+    function naechsteUhrzeit(minutenSeitMitternacht, datum) {
+        const ziel = new Date(datum.getTime());
+        ziel.setHours(0, 0, 0, 0);
+        ziel.setMinutes(minutenSeitMitternacht);
+        if (ziel.getTime() <= datum.getTime()) ziel.setDate(ziel.getDate() + 1);
+        return ziel.getTime();
+    }
+
+    /**
+     * Prueft eine Slot-Liste (aus ROOMS_CONFIG oder aus einem JSON-Datenpunkt)
+     * und ergaenzt die Zeiten in Minuten fuer die spaetere Auswertung.
+     * @param {any} slots
+     * @returns {{slots: Array<{von: string, bis: string, soll: number, vonMin: number, bisMin: number}>, fehler: string|null}}
+     */
+    function pruefeZeitplanSlots(slots) {
+        if (!Array.isArray(slots)) {
+            return { slots: [], fehler: 'Profil muss ein Array von Slots sein' };
+        }
+        const geprueft = [];
+        for (let i = 0; i < slots.length; i++) {
+            const slot = slots[i] || {};
+            const vonMin = zeitInMinuten(slot.von);
+            const bisMin = zeitInMinuten(slot.bis);
+            if (vonMin === null || bisMin === null || vonMin === bisMin) {
+                return { slots: [], fehler: `Slot ${i + 1}: ungueltige Zeiten (von='${slot.von}', bis='${slot.bis}')` };
+            }
+            if (
+                typeof slot.soll !== 'number' ||
+                slot.soll < ZEITPLAN_CONFIG.minSlotTemp ||
+                slot.soll > ZEITPLAN_CONFIG.maxSlotTemp
+            ) {
+                return {
+                    slots: [],
+                    fehler: `Slot ${i + 1}: 'soll' muss eine Zahl zwischen ${ZEITPLAN_CONFIG.minSlotTemp} und ${ZEITPLAN_CONFIG.maxSlotTemp} sein`,
+                };
+            }
+            geprueft.push({ von: slot.von, bis: slot.bis, soll: slot.soll, vonMin, bisMin });
+        }
+        return { slots: geprueft, fehler: null };
+    }
+
+    /**
+     * @param {Date} datum
+     * @param {string[]} feiertage - 'YYYY-MM-DD' oder 'MM-DD'
+     * @returns {boolean}
+     */
+    function istFeiertag(datum, feiertage) {
+        const monatTag =
+            `${String(datum.getMonth() + 1).padStart(2, '0')}-${String(datum.getDate()).padStart(2, '0')}`;
+        return feiertage.includes(monatTag) || feiertage.includes(`${datum.getFullYear()}-${monatTag}`);
+    }
+
+    /**
+     * Liefert das fuer einen Kalendertag gueltige Profil.
+     * Samstag, Sonntag und Feiertage verwenden das Wochenend-Profil.
+     * @param {{werktag: Array<any>, wochenende: Array<any>}} profile
+     * @param {string[]} feiertage
+     * @param {Date} datum
+     * @returns {{name: string, slots: Array<any>}}
+     */
+    function profilFuerTag(profile, feiertage, datum) {
+        const wochentag = datum.getDay();
+        if (wochentag === 0 || wochentag === 6 || istFeiertag(datum, feiertage)) {
+            return { name: 'Wochenende', slots: profile.wochenende };
+        }
+        return { name: 'Werktag', slots: profile.werktag };
+    }
+
+    /**
+     * Ermittelt den zum Zeitpunkt 'datum' aktiven Slot.
+     * Ein Slot ueber Mitternacht gehoert zum Profil seines Starttages, der
+     * Teil nach Mitternacht wird daher im Profil des Vortages gesucht.
+     * @param {{werktag: Array<any>, wochenende: Array<any>}} profile
+     * @param {string[]} feiertage
+     * @param {Date} datum
+     * @returns {{von: string, bis: string, soll: number, profil: string}|null}
+     */
+    function ermittleZeitplanSlot(profile, feiertage, datum) {
+        const minute = datum.getHours() * 60 + datum.getMinutes();
+
+        const heute = profilFuerTag(profile, feiertage, datum);
+        for (const slot of heute.slots) {
+            const aktiv = slot.vonMin < slot.bisMin
+                ? minute >= slot.vonMin && minute < slot.bisMin
+                : minute >= slot.vonMin;
+            if (aktiv) return { von: slot.von, bis: slot.bis, soll: slot.soll, profil: heute.name };
+        }
+
+        const vortag = new Date(datum.getTime());
+        vortag.setDate(vortag.getDate() - 1);
+        const gestern = profilFuerTag(profile, feiertage, vortag);
+        for (const slot of gestern.slots) {
+            if (slot.vonMin > slot.bisMin && minute < slot.bisMin) {
+                return { von: slot.von, bis: slot.bis, soll: slot.soll, profil: gestern.name };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Kurzbeschreibung eines Slots fuer Log und Datenpunkt.
+     * @param {{von: string, bis: string, soll: number, profil: string}|null} slot
+     * @returns {string}
+     */
+    function beschreibeZeitplanSlot(slot) {
+        return slot ? `${slot.profil} ${slot.von}-${slot.bis} (${slot.soll.toFixed(1)}°C)` : 'kein Slot';
+    }
+
+    /**
+     * Sucht den naechsten Slot-Beginn nach 'datum' (heute oder morgen)
+     * innerhalb des Horizonts.
+     * @param {{werktag: Array<any>, wochenende: Array<any>}} profile
+     * @param {string[]} feiertage
+     * @param {Date} datum
+     * @param {number} horizontMinuten
+     * @returns {{slot: {von: string, bis: string, soll: number, profil: string}, beginn: number}|null}
+     */
+    function ermittleNaechstenZeitplanSlot(profile, feiertage, datum, horizontMinuten) {
+        let naechster = null;
+        for (let tagVersatz = 0; tagVersatz <= 1; tagVersatz++) {
+            const tag = new Date(datum.getTime());
+            tag.setDate(tag.getDate() + tagVersatz);
+            tag.setHours(0, 0, 0, 0);
+            const profil = profilFuerTag(profile, feiertage, tag);
+            for (const slot of profil.slots) {
+                const beginn = tag.getTime() + slot.vonMin * 60000;
+                const abstandMinuten = (beginn - datum.getTime()) / 60000;
+                if (abstandMinuten <= 0 || abstandMinuten > horizontMinuten) continue;
+                if (!naechster || beginn < naechster.beginn) {
+                    naechster = {
+                        slot: { von: slot.von, bis: slot.bis, soll: slot.soll, profil: profil.name },
+                        beginn,
+                    };
+                }
+            }
+        }
+        return naechster;
+    }
+
+    // =====================================================================================
+    // 2.2 VORHEIZ-HILFSFUNKTIONEN (NEU in V9.2)
+    // =====================================================================================
+
+    /**
+     * Aufheizrate aus dem gelernten Modell (rate = a + b * aussenTemp). Die
+     * Aussentemperatur wird auf den gelernten Bereich begrenzt.
+     * @param {{achsenabschnitt: number, steigung: number, aussenMin: number, aussenMax: number}|null} modell
+     * @param {number|null} aussenTemp
+     * @returns {number} °C/h
+     */
+    function berechneAufheizrate(modell, aussenTemp) {
+        if (!modell || typeof modell.achsenabschnitt !== 'number') return VORHEIZEN_CONFIG.standardRate;
+        const t = typeof aussenTemp === 'number'
+            ? Math.max(modell.aussenMin, Math.min(modell.aussenMax, aussenTemp))
+            : (modell.aussenMin + modell.aussenMax) / 2;
+        const rate = modell.achsenabschnitt + (modell.steigung || 0) * t;
+        return Math.max(VORHEIZEN_CONFIG.minRate, Math.min(VORHEIZEN_CONFIG.maxRate, rate));
+    }
+
+    /**
+     * Benoetigte Vorlaufzeit in Minuten (0, wenn das Ziel schon erreicht ist).
+     * @param {number} zielTemp
+     * @param {number} istTemp
+     * @param {number} rate °C/h
+     * @returns {number}
+     */
+    function berechneVorlaufMinuten(zielTemp, istTemp, rate) {
+        const differenz = zielTemp - istTemp;
+        if (differenz <= 0) return 0;
+        return Math.min(
+            VORHEIZEN_CONFIG.maxVorlaufMinuten,
+            (differenz / rate) * 60 * VORHEIZEN_CONFIG.sicherheitsFaktor
+        );
+    }
+
+    // =====================================================================================
+    // 2.3 FENSTER-HILFSFUNKTIONEN (NEU in V9.4)
+    // =====================================================================================
+
+    /**
+     * Abfall des letzten Messwerts gegenueber dem Hoechstwert im Zeitfenster.
+     * @param {Array<{ts: number, val: number}>} verlauf aufsteigend nach ts
+     * @param {number} fensterMs
+     * @returns {number} Abfall (>= 0)
+     */
+    function berechneAbfall(verlauf, fensterMs) {
+        if (!verlauf || verlauf.length < 2) return 0;
+        const letzter = verlauf[verlauf.length - 1];
+        let hoechstwert = letzter.val;
+        for (const punkt of verlauf) {
+            if (letzter.ts - punkt.ts <= fensterMs && punkt.val > hoechstwert) hoechstwert = punkt.val;
+        }
+        return hoechstwert - letzter.val;
+    }
+
+    // =====================================================================================
+    // 2.4 BENACHRICHTIGUNGEN (NEU in V9.7)
+    // =====================================================================================
+
+    /**
+     * Sendet eine Nachricht an alle aktivierten Kanaele. Fehler eines Kanals
+     * werden nur geloggt und blockieren die anderen nicht.
+     * @param {string} titel
+     * @param {string} text
+     * @param {number} [prioritaet] Pushover-Prioritaet (-2..2)
+     */
+    async function sendeBenachrichtigung(titel, text, prioritaet = 0) {
+        const { pushover, telegram } = BENACHRICHTIGUNG_CONFIG;
+        if (pushover.aktiviert) {
+            try {
+                await sendToAsync(pushover.instanz, 'send', { message: text, title: titel, priority: prioritaet });
+            } catch (e) {
+                log(`[Benachrichtigung] Pushover fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+        if (telegram.aktiviert) {
+            try {
+                await sendToAsync(telegram.instanz, 'send', { text: `${titel}\n${text}` });
+            } catch (e) {
+                log(`[Benachrichtigung] Telegram fehlgeschlagen: ${e.message || e}`, 'warn');
+            }
+        }
+    }
+
+    // =====================================================================================
+    // 2.5 LAUFZEIT-KONFIGURATION & SCHEMA (NEU in V9.9)
+    // =====================================================================================
+
+    /**
+     * Tiefe Kopie ueber JSON (die Konfiguration enthaelt nur JSON-Werte).
+     * @param {any} konfiguration
+     */
+    function kopiereKonfiguration(konfiguration) {
+        return JSON.parse(JSON.stringify(konfiguration));
+    }
+
+    // Stand aus diesem Skript, vor jeder Aenderung aus dem Datenpunkt
+    const SKRIPT_KONFIGURATION = kopiereKonfiguration({ GLOBAL_IDS, TRIGGER_SCHWELLEN, ROOMS_CONFIG, KOMFORT_PROFILE });
+
+    const SCHEMA_TYPNAMEN = {
+        string: 'Text',
+        number: 'Zahl',
+        boolean: 'true/false',
+        object: 'Objekt',
+        array: 'Liste',
+    };
+
+    /**
+     * Schema-Baustein fuer Pflicht-Zahlen mit Wertebereich.
+     * @param {number} min
+     * @param {number} max
+     * @param {object} [zusatz]
+     */
+    function schemaZahl(min, max, zusatz = {}) {
+        return { typ: 'number', pflicht: true, min, max, ...zusatz };
+    }
+
+    const SCHEMA_ID = { typ: 'string', pflicht: true, muster: /^\S+$/ };
+    const SCHEMA_ID_ODER_LISTE = { ...SCHEMA_ID, einzelOderListe: true };
+    const SCHEMA_STRATEGIE = { typ: 'string', erlaubt: ['min', 'max', 'mittel', 'median'] };
+    const SCHEMA_SCHALTER = { typ: 'boolean', pflicht: true };
+    const SCHEMA_ZEITPLAN_PROFIL = { typ: 'array', pflicht: true, pruefe: slots => pruefeZeitplanSlots(slots).fehler };
+
+    const SCHEMA_RAUM = {
+        typ: 'object',
+        pflicht: true,
+        felder: {
+            roomName: { typ: 'string', pflicht: true, muster: /\S/ },
+            dbRaum: { typ: 'string', pflicht: true, muster: /^[A-Za-z0-9_]+$/ },
+            nachtschaltungNutzen: SCHEMA_SCHALTER,
+            tuerSensorNutzen: SCHEMA_SCHALTER,
+            hysterese: schemaZahl(0, 3),
+            tempFensterOffen: schemaZahl(4.5, 30),
+            tempHeizperiodeAus: schemaZahl(4.5, 30),
+            temperaturOffset: schemaZahl(-5, 5),
+            minSollTemp: schemaZahl(4.5, 30),
+            maxSollTemp: schemaZahl(4.5, 30),
+            ausrichtungFenster: {
+                typ: 'array',
+                pflicht: true,
+                elemente: { typ: 'string', pflicht: true, erlaubt: ['Nord', 'Ost', 'Sued', 'West'] },
+            },
+            devices: {
+                typ: 'object',
+                pflicht: true,
+                felder: {
+                    thermostate: {
+                        typ: 'array',
+                        pflicht: true,
+                        minLaenge: 1,
+                        elemente: { typ: 'string', pflicht: true, muster: /^\S+\.SET_POINT_TEMPERATURE$/ },
+                    },
+                    fensterKontakte: { typ: 'array', elemente: SCHEMA_ID },
+                    tuerSensor: { typ: 'string' },
+                    aussenTempSensor: SCHEMA_ID,
+                    feuchteSensor: SCHEMA_ID_ODER_LISTE,
+                    wandSensorOberflaeche: SCHEMA_ID_ODER_LISTE,
+                    wandSensorKern: SCHEMA_ID_ODER_LISTE,
+                },
+            },
+            aggregation: {
+                typ: 'object',
+                felder: {
+                    raumTemp: SCHEMA_STRATEGIE,
+                    feuchte: SCHEMA_STRATEGIE,
+                    wandOberflaeche: SCHEMA_STRATEGIE,
+                    wandKern: SCHEMA_STRATEGIE,
+                    maxAlterMinuten: { typ: 'number', min: 0, max: 1440 },
+                },
+            },
+            thermostatOffsets: { typ: 'object', werte: schemaZahl(-3, 3) },
+            prognose: {
+                typ: 'object',
+                felder: {
+                    offsetId: { typ: 'string' },
+                    vertrauenId: { typ: 'string' },
+                    maxVertrauen: schemaZahl(1, 10000),
+                    aktiviert: SCHEMA_SCHALTER,
+                },
+            },
+            zeitplan: {
+                typ: 'object',
+                felder: {
+                    aktiviert: SCHEMA_SCHALTER,
+                    werktag: SCHEMA_ZEITPLAN_PROFIL,
+                    wochenende: SCHEMA_ZEITPLAN_PROFIL,
+                },
+            },
+            vorheizen: { typ: 'object', felder: { aktiviert: SCHEMA_SCHALTER } },
+            plan: { typ: 'object', felder: { aktiviert: SCHEMA_SCHALTER } },
+            fensterVirtuell: { typ: 'object', felder: { aktiviert: SCHEMA_SCHALTER } },
+            simulationAktiv: { typ: 'boolean' },
+            override: {
+                typ: 'object',
+                felder: {
+                    manuellEnde: { typ: 'string', pflicht: true, erlaubt: ['dauer', 'naechsterSlot'] },
+                    manuellDauerMinuten: schemaZahl(1, 1440),
+                    boostDauerMinuten: schemaZahl(1, 1440),
+                    boostSollTemp: schemaZahl(4.5, 30),
+                    partySollTemp: schemaZahl(4.5, 30, { nullErlaubt: true }),
+                },
+            },
+            basisRegelung: {
+                typ: 'object',
+                pflicht: true,
+                felder: {
+                    aussenTempNeutral: schemaZahl(-10, 30),
+                    heizkurvenfaktor: schemaZahl(0, 1),
+                    luftfeuchteOptimal: schemaZahl(0, 100),
+                    feuchteKorrekturfaktor: schemaZahl(0, 1),
+                },
+            },
+            module: {
+                typ: 'object',
+                pflicht: true,
+                felder: {
+                    schimmelSchutzAktiv: SCHEMA_SCHALTER,
+                    sicherheitsabstandTaupunkt: schemaZahl(0, 10),
+                    offsetSchimmelSchutz: schemaZahl(0, 5),
+                    behaglichkeitAktiv: SCHEMA_SCHALTER,
+                    maxTempDifferenzWand: schemaZahl(0, 15),
+                    offsetBehaglichkeit: schemaZahl(0, 5),
+                    heizlastAktiv: SCHEMA_SCHALTER,
+                    heizlastKorrekturfaktor: schemaZahl(0, 1),
+                },
+            },
+        },
+        pruefe: raum => {
+            if (raum.minSollTemp > raum.maxSollTemp) {
+                return `minSollTemp (${raum.minSollTemp}) liegt ueber maxSollTemp (${raum.maxSollTemp})`;
+            }
+            if (raum.tuerSensorNutzen && !(raum.devices && raum.devices.tuerSensor)) {
+                return 'tuerSensorNutzen verlangt devices.tuerSensor';
+            }
+            const fremd = Object.keys(raum.thermostatOffsets || {}).find(id => !raum.devices.thermostate.includes(id));
+            if (fremd) {
+                return `thermostatOffsets: '${fremd}' ist nicht in devices.thermostate eingetragen`;
+            }
+            return null;
+        },
+    };
+
+    const KONFIGURATION_SCHEMA = {
+        typ: 'object',
+        pflicht: true,
+        felder: {
+            GLOBAL_IDS: {
+                typ: 'object',
+                felder: {
+                    heizPeriode: SCHEMA_ID,
+                    anwesenheit: SCHEMA_ID,
+                    nachtschaltung: SCHEMA_ID,
+                    sollTempAnwesend: SCHEMA_ID,
+                    sollTempAbwesend: SCHEMA_ID,
+                    urlaub: { ...SCHEMA_ID, pflicht: false },
+                    urlaubEcoTemp: { ...SCHEMA_ID, pflicht: false },
+                },
+            },
+            TRIGGER_SCHWELLEN: {
+                typ: 'object',
+                felder: {
+                    aussenTempTriggerThreshold: schemaZahl(0, 10),
+                    raumTempTriggerThreshold: schemaZahl(0, 5),
+                    luftfeuchteTriggerThreshold: schemaZahl(0, 50),
+                },
+            },
+            KOMFORT_PROFILE: {
+                typ: 'object',
+                felder: {
+                    aktiviert: SCHEMA_SCHALTER,
+                    regel: { typ: 'string', pflicht: true, erlaubt: ['max', 'prioritaet'] },
+                    personenPfad: SCHEMA_ID,
+                    personen: {
+                        typ: 'array',
+                        pflicht: true,
+                        elemente: {
+                            typ: 'object',
+                            pflicht: true,
+                            felder: {
+                                name: { typ: 'string', pflicht: true, muster: /^[^.\s]+$/ },
+                                prioritaet: schemaZahl(0, 100),
+                                raeume: { typ: 'object', pflicht: true, werte: schemaZahl(4.5, 30) },
+                            },
+                        },
+                        pruefe: personen => {
+                            const namen = personen.map(person => person.name);
+                            const doppelt = namen.find((name, i) => namen.indexOf(name) !== i);
+                            return doppelt ? `Person '${doppelt}' ist mehrfach eingetragen` : null;
+                        },
+                    },
+                },
+            },
+            ROOMS_CONFIG: {
+                typ: 'array',
+                minLaenge: 1,
+                elemente: SCHEMA_RAUM,
+                pruefe: raeume => {
+                    const gesehen = new Set();
+                    for (const raum of raeume) {
+                        if (gesehen.has(raum.dbRaum)) return `dbRaum '${raum.dbRaum}' ist mehrfach vergeben`;
+                        gesehen.add(raum.dbRaum);
+                    }
+                    return null;
+                },
+            },
+        },
+    };
+
+    /**
+     * Prueft einen Wert gegen eine Schema-Beschreibung und sammelt die Fehler.
+     * Schema-Felder: typ, pflicht, nullErlaubt, min/max (Zahl), muster/erlaubt
+     * (Text), einzelOderListe (Wert oder Liste solcher Werte), minLaenge/elemente
+     * (Liste), felder (Objekt, unbekannte Felder sind Fehler), werte (Objekt mit
+     * freien Schluesseln) und pruefe (eigene Regel, liefert Fehlertext oder null).
+     * @param {any} wert
+     * @param {any} schema
+     * @param {string} pfad - z. B. 'ROOMS_CONFIG[1].hysterese'
+     * @param {string[]} fehler
+     */
+    function pruefeSchema(wert, schema, pfad, fehler) {
+        const anzeige = pfad || 'Konfiguration';
+        if (wert === undefined) {
+            if (schema.pflicht) fehler.push(`${anzeige}: Pflichtfeld fehlt`);
+            return;
+        }
+        if (wert === null) {
+            if (!schema.nullErlaubt) fehler.push(`${anzeige}: null ist nicht erlaubt`);
+            return;
+        }
+        if (schema.einzelOderListe && Array.isArray(wert)) {
+            if (wert.length === 0) fehler.push(`${anzeige}: mindestens 1 Eintrag erforderlich`);
+            const einzeln = { ...schema, einzelOderListe: false };
+            wert.forEach((element, i) => pruefeSchema(element, einzeln, `${pfad}[${i}]`, fehler));
+            return;
+        }
+
+        let typOk;
+        if (schema.typ === 'array') typOk = Array.isArray(wert);
+        else if (schema.typ === 'object') typOk = typeof wert === 'object' && !Array.isArray(wert);
+        else if (schema.typ === 'number') typOk = typeof wert === 'number' && isFinite(wert);
+        else typOk = typeof wert === schema.typ;
+        if (!typOk) {
+            fehler.push(`${anzeige}: ${SCHEMA_TYPNAMEN[schema.typ]} erwartet, erhalten ${JSON.stringify(wert)}`);
+            return;
+        }
+
+        const anzahlVorher = fehler.length;
+        if (schema.typ === 'number') {
+            if (schema.min !== undefined && wert < schema.min) fehler.push(`${anzeige}: ${wert} liegt unter dem Minimum ${schema.min}`);
+            if (schema.max !== undefined && wert > schema.max) fehler.push(`${anzeige}: ${wert} liegt ueber dem Maximum ${schema.max}`);
+        } else if (schema.typ === 'string') {
+            if (schema.muster && !schema.muster.test(wert)) fehler.push(`${anzeige}: '${wert}' hat kein gueltiges Format`);
+            if (schema.erlaubt && !schema.erlaubt.includes(wert)) fehler.push(`${anzeige}: '${wert}' ist nicht erlaubt (${schema.erlaubt.join(', ')})`);
+        } else if (schema.typ === 'array') {
+            if (schema.minLaenge && wert.length < schema.minLaenge) fehler.push(`${anzeige}: mindestens ${schema.minLaenge} Eintrag erforderlich`);
+            if (schema.elemente) wert.forEach((element, i) => pruefeSchema(element, schema.elemente, `${pfad}[${i}]`, fehler));
+        } else if (schema.typ === 'object' && schema.felder) {
+            for (const [name, feldSchema] of Object.entries(schema.felder)) {
+                pruefeSchema(wert[name], feldSchema, pfad ? `${pfad}.${name}` : name, fehler);
+            }
+            for (const name of Object.keys(wert)) {
+                if (!(name in schema.felder)) fehler.push(`${pfad ? `${pfad}.${name}` : name}: unbekanntes Feld`);
+            }
+        } else if (schema.typ === 'object' && schema.werte) {
+            for (const [name, element] of Object.entries(wert)) {
+                pruefeSchema(element, schema.werte, `${pfad}['${name}']`, fehler);
+            }
+        }
+
+        // Eigene Regeln erst, wenn die Struktur darunter stimmt
+        if (schema.pruefe && fehler.length === anzahlVorher) {
+            const text = schema.pruefe(wert);
+            if (text) fehler.push(`${anzeige}: ${text}`);
+        }
+    }
+
+    /**
+     * Parst und prueft die Laufzeit-Konfiguration. Fehlende Hauptschluessel
+     * (GLOBAL_IDS, TRIGGER_SCHWELLEN, ROOMS_CONFIG, KOMFORT_PROFILE) kommen aus
+     * diesem Skript.
+     * @param {any} rohwert - JSON-Text aus dem Datenpunkt
+     * @returns {{konfiguration: any, fehler: string[]}} konfiguration null bei Fehlern
+     */
+    function pruefeKonfiguration(rohwert) {
+        let daten;
+        try {
+            daten = typeof rohwert === 'string' ? JSON.parse(rohwert) : rohwert;
+        } catch (e) {
+            return { konfiguration: null, fehler: [`kein gueltiges JSON (${e.message})`] };
+        }
+        const fehler = [];
+        pruefeSchema(daten, KONFIGURATION_SCHEMA, '', fehler);
+        if (fehler.length > 0) return { konfiguration: null, fehler };
+        const standard = kopiereKonfiguration(SKRIPT_KONFIGURATION);
+        const konfiguration = { ...standard, ...daten };
+        // NEU in V9.12: spaeter hinzugekommene IDs (urlaub, urlaubEcoTemp) ergaenzen
+        konfiguration.GLOBAL_IDS = { ...standard.GLOBAL_IDS, ...konfiguration.GLOBAL_IDS };
+        return { konfiguration, fehler };
+    }
+
+    /**
+     * Setzt die geprueften Werte als aktive Konfiguration.
+     * @param {any} konfiguration
+     */
+    function uebernehmeKonfiguration(konfiguration) {
+        GLOBAL_IDS = konfiguration.GLOBAL_IDS;
+        TRIGGER_SCHWELLEN = konfiguration.TRIGGER_SCHWELLEN;
+        ROOMS_CONFIG = konfiguration.ROOMS_CONFIG;
+        KOMFORT_PROFILE = konfiguration.KOMFORT_PROFILE;
+    }
+
+    // =====================================================================================
+    // 2.6 SENSOR-AGGREGATION (NEU in V9.10)
+    // =====================================================================================
+
+    // Plausibilitaet je Groesse, wie die Validierung in 3.1.2
+    const SENSOR_PLAUSIBEL = {
+        raumTemp: wert => wert > -30.0 && wert < 60.0,
+        feuchte: wert => wert >= 0.0 && wert <= 100.0,
+        wand: wert => wert < 90.0,
+    };
+
+    /**
+     * Einzelne ID oder Liste von IDs als Liste (leer, wenn nicht konfiguriert).
+     * @param {string|string[]|undefined} ids
+     * @returns {string[]}
+     */
+    function alsIdListe(ids) {
+        if (!ids) return [];
+        return Array.isArray(ids) ? ids : [ids];
+    }
+
+    /**
+     * @param {number[]} werte - nicht leer
+     * @param {string} strategie - 'min' | 'max' | 'mittel' | 'median'
+     * @returns {number}
+     */
+    function aggregiereWerte(werte, strategie) {
+        switch (strategie) {
+            case 'min':
+                return Math.min(...werte);
+            case 'max':
+                return Math.max(...werte);
+            case 'median': {
+                const sortiert = [...werte].sort((a, b) => a - b);
+                const mitte = Math.floor(sortiert.length / 2);
+                return sortiert.length % 2 ? sortiert[mitte] : (sortiert[mitte - 1] + sortiert[mitte]) / 2;
+            }
+            default:
+                return werte.reduce((summe, wert) => summe + wert, 0) / werte.length;
+        }
+    }
+
+    /**
+     * Liest eine Sensorgruppe, verwirft fehlende, unplausible und veraltete
+     * Werte und fasst die uebrigen zusammen.
+     * @param {string[]} ids
+     * @param {string} strategie
+     * @param {number} maxAlterMinuten - 0 = keine Alterspruefung
+     * @param {(wert: number) => boolean} plausibel
+     * @returns {Promise<{wert: number|null, strategie: string, verwendet: Array<{id: string, wert: number}>, verworfen: Array<{id: string, grund: string}>}>}
+     */
+    async function leseSensorgruppe(ids, strategie, maxAlterMinuten, plausibel) {
+        const verwendet = [];
+        const verworfen = [];
+        const jetzt = Date.now();
+        for (const id of ids) {
+            const state = await getStateAsync(id);
+            if (!state || typeof state.val !== 'number') {
+                verworfen.push({ id, grund: 'kein Wert' });
+            } else if (!plausibel(state.val)) {
+                verworfen.push({ id, grund: `unplausibel (${state.val})` });
+            } else if (maxAlterMinuten > 0 && jetzt - state.ts > maxAlterMinuten * 60000) {
+                verworfen.push({ id, grund: `veraltet (${Math.round((jetzt - state.ts) / 60000)} Min.)` });
+            } else {
+                verwendet.push({ id, wert: state.val });
+            }
+        }
+        const wert = verwendet.length > 0 ? aggregiereWerte(verwendet.map(v => v.wert), strategie) : null;
+        return { wert, strategie, verwendet, verworfen };
+    }
+
     // =====================================================================================
     // 3. FABRIK-FUNKTION: createRoomController(roomConfig)
     //    Erzeugt pro Raum einen eigenen Closure mit Debounce-Manager,
@@ -374,15 +1389,200 @@
     // =====================================================================================
     function createRoomController(roomConfig) {
 
+        // --- Lebenszyklus (NEU in V9.9): alle Trigger fuer stoppe() merken ---
+        const abos = [];
+        let gestoppt = false;
+
+        /**
+         * Wie on(), merkt sich aber das Abo fuer stoppe().
+         * @param {any} muster
+         * @param {Function} callback
+         */
+        function abonniere(muster, callback) {
+            abos.push(on(muster, callback));
+        }
+
         let debounceTimerHighPriority = null;
         let debounceTimerLowPriority = null;
 
+        // GEAENDERT in V9.4: Fensterkontakte sind optional
+        const fensterKontaktIds = roomConfig.devices.fensterKontakte || [];
+
+        // --- Simulationsmodus (NEU in V9.5) ---
+        const SIMULATION_IDS = {
+            aktiv: `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Simulation_Aktiv`,
+            ergebnis: `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Simulation`,
+        };
+        const ENTSCHEIDUNG_ID = `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Entscheidung`;
+
+        // --- Heizkoerper-Diagnose (NEU in V9.7) ---
+        const DIAGNOSE_IDS = {
+            status: `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Heizkoerper_Diagnose`,
+            details: `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Heizkoerper_Diagnose_Details`,
+        };
+        const ventilLevelIds = roomConfig.devices.thermostate.map(id =>
+            id.replace('SET_POINT_TEMPERATURE', 'LEVEL')
+        );
+        /** @type {Record<string, {befund: string, seit: number, gemeldet: boolean}>} */
+        const heizkoerperBefunde = {};
+        let diagnoseVeroeffentlicht = { status: '', details: '' };
+
+        // --- Sollwert-Rueckmeldung (NEU in V9.8) ---
+        const SOLLWERT_FEHLER_ID = `${RAUMSTEUERUNG_PFAD}.${roomConfig.dbRaum}.Sollwert_Fehler`;
+        /** @type {Object<string, any>} Ruecklese-Timer je Thermostat */
+        const rueckleseTimer = {};
+        /** @type {Object<string, string>} Befund je Thermostat, '' = uebernommen */
+        const sollwertFehler = {};
+        let simulationAktiv = !!roomConfig.simulationAktiv;
+
+        // --- Zustand virtuelles Fenster (NEU in V9.4) ---
+        const fensterVirtuellPfad = `${FENSTER_VIRTUELL_CONFIG.basisPfad}.${roomConfig.dbRaum}`;
+        const FENSTER_VIRTUELL_IDS = {
+            offen: `${fensterVirtuellPfad}.Offen`,
+            letzteErkennung: `${fensterVirtuellPfad}.Letzte_Erkennung`,
+            grund: `${fensterVirtuellPfad}.Grund`,
+        };
+        const fensterVirtuell = {
+            offen: false,
+            gesperrtBis: 0,
+            timer: null,
+            /** @type {Object<string, Array<{ts: number, val: number}>>} Messwerte je Sensor */
+            verlauf: {},
+        };
+
+        // --- Zeitplan-Zustand (NEU in V9.1) ---
+        const zeitplanPfad = `${ZEITPLAN_CONFIG.basisPfad}.${roomConfig.dbRaum}`;
+        const ZEITPLAN_IDS = {
+            aktiv: `${zeitplanPfad}.Aktiv`,
+            werktag: `${zeitplanPfad}.Profil_Werktag`,
+            wochenende: `${zeitplanPfad}.Profil_Wochenende`,
+            aktuellerSlot: `${zeitplanPfad}.Aktueller_Slot`,
+            aktuelleSolltemp: `${zeitplanPfad}.Aktuelle_Solltemp`,
+        };
+        const zeitplan = {
+            aktiv: false,
+            profile: { werktag: [], wochenende: [] },
+            veroeffentlicht: null, // zuletzt geschriebene Slot-Beschreibung
+        };
+
+        // --- Vorheiz-Zustand (NEU in V9.2) ---
+        const vorheizPfad = `${VORHEIZEN_CONFIG.basisPfad}.${roomConfig.dbRaum}`;
+        const VORHEIZEN_IDS = {
+            aufheizmodell: `${vorheizPfad}.Aufheizmodell`,
+            vorheizstart: `${vorheizPfad}.Vorheizstart`,
+            aktiv: `${vorheizPfad}.Vorheizen_Aktiv`,
+            ziel: `${vorheizPfad}.Vorheizen_Ziel`,
+        };
+        const vorheizen = {
+            start: 0,              // geplanter Startzeitpunkt (ms), 0 = keiner
+            aktiv: false,
+            veroeffentlicht: null, // zuletzt geschriebener Stand 'aktiv|beschreibung'
+        };
+        const raumTempIds = roomConfig.devices.thermostate.map(id =>
+            id.replace('SET_POINT_TEMPERATURE', 'ACTUAL_TEMPERATURE')
+        );
+
+        // --- Sollwert-Plan (NEU in V9.13) ---
+        const planAktiv = !!(roomConfig.plan && roomConfig.plan.aktiviert);
+        const PLAN_ID = `${PLAN_CONFIG.basisPfad}.${roomConfig.dbRaum}.Plan`;
+
+        /**
+         * Raster des Sollwert-Plans, das den aktuellen Zeitpunkt enthaelt.
+         * @returns {Promise<{soll: number, komfortMin: number, beginn: number, quelle: string}|null>} null = kein gueltiger Plan
+         */
+        async function lesePlanSchritt() {
+            const roh = (await getStateAsync(PLAN_ID))?.val;
+            if (!roh) return null;
+            let plan;
+            try {
+                plan = JSON.parse(String(roh));
+            } catch (e) {
+                log(`[${roomConfig.roomName}] Sollwert-Plan nicht lesbar: ${e.message}`, 'warn');
+                return null;
+            }
+            const jetzt = Date.now();
+            if (!plan || !Array.isArray(plan.schritte) || jetzt - plan.erstellt > PLAN_CONFIG.maxAlterMinuten * 60000) return null;
+            const rasterMs = (plan.rasterMinuten || 15) * 60000;
+            const schritt = plan.schritte.find(s => s.beginn <= jetzt && jetzt < s.beginn + rasterMs);
+            if (!schritt || typeof schritt.soll !== 'number') return null;
+            return { soll: schritt.soll, komfortMin: schritt.komfortMin, beginn: schritt.beginn, quelle: plan.quelle || '' };
+        }
+
+        function beschreibePlanSchritt(schritt) {
+            return `${schritt.soll.toFixed(1)}°C (Komfort ${Number(schritt.komfortMin).toFixed(1)}°C, ${schritt.quelle})`;
+        }
+
+        // --- Sensorgruppen und Zonen (NEU in V9.10) ---
+        const aggregation = { ...AGGREGATION_STANDARD, ...(roomConfig.aggregation || {}) };
+        const feuchteIds = alsIdListe(roomConfig.devices.feuchteSensor);
+        const wandOberflaecheIds = alsIdListe(roomConfig.devices.wandSensorOberflaeche);
+        const wandKernIds = alsIdListe(roomConfig.devices.wandSensorKern);
+        const thermostatOffsets = roomConfig.thermostatOffsets || {};
+
+        /** @param {string} thermostatId */
+        function thermostatOffset(thermostatId) {
+            return thermostatOffsets[thermostatId] || 0;
+        }
+
+        // --- Komfortprofile (NEU in V9.11): nur Personen mit Wunsch fuer diesen Raum ---
+        const komfortPersonen = KOMFORT_PROFILE.aktiviert
+            ? KOMFORT_PROFILE.personen.filter(person => typeof person.raeume[roomConfig.dbRaum] === 'number')
+            : [];
+        const komfortPersonenIds = komfortPersonen.map(person => `${KOMFORT_PROFILE.personenPfad}.${person.name}`);
+        const komfortRegel = KOMFORT_PROFILE.regel;
+
+        /**
+         * Wunschtemperatur der anwesenden Personen fuer diesen Raum.
+         * @returns {Promise<{temp: number, personen: string[], regel: string}|null>} null = kein Wunsch
+         */
+        async function ermittleKomfortTemp() {
+            const anwesend = [];
+            for (let i = 0; i < komfortPersonen.length; i++) {
+                if ((await getStateAsync(komfortPersonenIds[i]))?.val === true) anwesend.push(komfortPersonen[i]);
+            }
+            if (anwesend.length === 0) return null;
+
+            const wunsch = person => person.raeume[roomConfig.dbRaum];
+            const temp = komfortRegel === 'prioritaet'
+                ? wunsch(anwesend.reduce((erste, person) => (person.prioritaet < erste.prioritaet ? person : erste)))
+                : Math.max(...anwesend.map(wunsch));
+            return { temp, personen: anwesend.map(person => person.name), regel: komfortRegel };
+        }
+
+        function beschreibeKomfort(komfort) {
+            return `${komfort.personen.join('+')} (${komfort.regel}) ${komfort.temp.toFixed(1)}°C`;
+        }
+
+        // --- Override-Zustand (NEU in V9.3) ---
+        const overridePfad = `${OVERRIDE_CONFIG.basisPfad}.${roomConfig.dbRaum}`;
+        const OVERRIDE_IDS = {
+            boost: `${overridePfad}.Boost`,
+            partyBis: `${overridePfad}.Party_Bis`,
+            typ: `${overridePfad}.Typ`,
+            soll: `${overridePfad}.Soll`,
+            bis: `${overridePfad}.Bis`,
+        };
+        /** @type {{typ: string, soll: number|null, bis: number}} typ '' = kein Override */
+        const override = { typ: '', soll: null, bis: 0 };
+        /** @type {Object<string, {wert: number, ts: number}>} letzter Skript-Sollwert je Thermostat */
+        const eigeneSchreibzugriffe = {};
+
         // =================================================================================
         // 3.1 HAUPTFUNKTION
         // =================================================================================
         async function main() {
+            if (gestoppt) return;
             try {
                 // --- 3.1.1 Alle Zustaende sammeln ---
+                // GEAENDERT in V9.10: Raumtemperatur, Feuchte und Wand als Sensorgruppen
+                const { maxAlterMinuten } = aggregation;
+                const sensoren = {
+                    raumTemp: await leseSensorgruppe(raumTempIds, aggregation.raumTemp, maxAlterMinuten, SENSOR_PLAUSIBEL.raumTemp),
+                    feuchte: await leseSensorgruppe(feuchteIds, aggregation.feuchte, maxAlterMinuten, SENSOR_PLAUSIBEL.feuchte),
+                    wandOberflaeche: await leseSensorgruppe(wandOberflaecheIds, aggregation.wandOberflaeche, maxAlterMinuten, SENSOR_PLAUSIBEL.wand),
+                    wandKern: await leseSensorgruppe(wandKernIds, aggregation.wandKern, maxAlterMinuten, SENSOR_PLAUSIBEL.wand),
+                };
+
                 // ENTFERNT in V9.0: solarKorrekturId / windKorrekturId
                 const states = {
                     heizPeriode: (await getStateAsync(GLOBAL_IDS.heizPeriode))?.val,
@@ -390,20 +1590,25 @@
                     nachtschaltung: (await getStateAsync(GLOBAL_IDS.nachtschaltung))?.val,
                     sollTempAnwesend: (await getStateAsync(GLOBAL_IDS.sollTempAnwesend))?.val,
                     sollTempAbwesend: (await getStateAsync(GLOBAL_IDS.sollTempAbwesend))?.val,
+                    urlaub: (await getStateAsync(GLOBAL_IDS.urlaub))?.val,
+                    urlaubEcoTemp: (await getStateAsync(GLOBAL_IDS.urlaubEcoTemp))?.val,
                     tuerSensor: roomConfig.tuerSensorNutzen
                         ? (await getStateAsync(roomConfig.devices.tuerSensor))?.val
                         : null,
                     aussenTempSensor: (await getStateAsync(roomConfig.devices.aussenTempSensor))?.val,
-                    feuchteSensor: (await getStateAsync(roomConfig.devices.feuchteSensor))?.val,
-                    wandSensorOberflaeche: (await getStateAsync(roomConfig.devices.wandSensorOberflaeche))?.val,
-                    wandSensorKern: (await getStateAsync(roomConfig.devices.wandSensorKern))?.val,
+                    feuchteSensor: sensoren.feuchte.wert,
+                    wandSensorOberflaeche: sensoren.wandOberflaeche.wert,
+                    wandSensorKern: sensoren.wandKern.wert,
                     fensterKontakte: []
                 };
 
-                for (const subId of roomConfig.devices.fensterKontakte) {
+                for (const subId of fensterKontaktIds) {
                     states.fensterKontakte.push((await getStateAsync(subId))?.val);
                 }
 
+                // Raum-Isttemperatur (aggregation.raumTemp ueber alle Thermostate) fuer das Vorheizen
+                const raumIstTemp = sensoren.raumTemp.wert;
+
                 // --- 3.1.2 Validierung ---
                 const aussenSensorOK =
                     typeof states.aussenTempSensor === 'number' &&
@@ -413,6 +1618,11 @@
                     typeof states.feuchteSensor === 'number' &&
                     states.feuchteSensor >= 0.0 &&
                     states.feuchteSensor <= 100.0;
+                const wandSensorOberflaecheOK =
+                    typeof states.wandSensorOberflaeche === 'number' &&
+                    states.wandSensorOberflaeche < 90.0;
+                const wandSensorKernOK =
+                    typeof states.wandSensorKern === 'number' && states.wandSensorKern < 90.0;
 
                 let sollTempAnwesend = states.sollTempAnwesend || 21.0;
                 const sollTempAbwesend = states.sollTempAbwesend || 16.0;
@@ -421,41 +1631,115 @@
                     sollTempAnwesend = sollTempAbwesend;
                 }
 
+                // NEU in V9.11: Wunsch der anwesenden Personen (null = globaler Sollwert)
+                const komfort = komfortPersonen.length > 0 ? await ermittleKomfortTemp() : null;
+
                 const isDoorPhysicallyClosed =
                     states.tuerSensor === 0 ||
                     states.tuerSensor === false ||
                     states.tuerSensor === '0' ||
                     states.tuerSensor === 'false';
 
-                const fensterIstOffen = states.fensterKontakte.some(
+                const fensterKontaktOffen = states.fensterKontakte.some(
                     state => state === true || state === 1 || state === 'true' || state === '1'
                 );
+                // NEU in V9.4: virtuelles Fenster wirkt wie ein echter Kontakt
+                const fensterIstOffen = fensterKontaktOffen || fensterVirtuell.offen;
+
+                // Zeitplan (NEU in V9.1): aktiver Slot zum aktuellen Zeitpunkt
+                const zeitplanSlot = zeitplan.aktiv
+                    ? ermittleZeitplanSlot(zeitplan.profile, zeitplanFeiertage, new Date())
+                    : null;
+                await veroeffentlicheZeitplanSlot(zeitplanSlot);
+
+                // Vorheizen (NEU in V9.2): Ziel und Startzeitpunkt bestimmen
+                const vorheizPlan = states.heizPeriode && !fensterIstOffen
+                    ? await berechneVorheizPlan(states, zeitplanSlot, sollTempAnwesend, raumIstTemp, aussenSensorOK)
+                    : null;
+                await veroeffentlicheVorheizPlan(vorheizPlan);
+
+                // Sollwert-Plan (NEU in V9.13): Raster zum aktuellen Zeitpunkt
+                const planSchritt = planAktiv && states.heizPeriode ? await lesePlanSchritt() : null;
+                let basisAusPlan = false;
 
                 let logModuleAction = '';
                 let logWetter = '';
                 let logPrognose = '';
 
+                // Nachvollziehbare Entscheidung (NEU in V9.5, Protokoll ab V9.6)
+                let basisGrund = '';
+                const gruende = [];
+                const kandidaten = { A_Wetter: 0, B_Schimmel: 0, C_Behaglichkeit: 0, D_Heizlast: 0 };
+                let physikGewinner = null;
+                let physikAufschlag = 0;
+                let prognoseErgebnis = null;
+
                 // --- 3.1.3 Basistemperatur ---
+                // GEAENDERT in V9.1: Bei Anwesenheit hat ein aktiver Zeitplan-Slot
+                // Vorrang vor Tuer-Logik und Nachtschaltung. Fenster offen und
+                // Heizperiode aus bleiben Sonderfaelle.
+                // GEAENDERT in V9.3: Ein aktiver Override (Manuell/Boost/Party)
+                // wird wie ein Sonderfall unveraendert uebernommen.
+                // NEU in V9.12: Urlaub ist ein Sonderfall nach dem Override.
                 let neueSollTemp;
                 let istSonderfall = false;
+                let istOverride = false;
 
                 if (states.heizPeriode) {
                     if (fensterIstOffen) {
                         neueSollTemp = roomConfig.tempFensterOffen;
                         istSonderfall = true;
+                        basisGrund = fensterKontaktOffen ? 'Fenster offen' : 'Virtuelles Fenster offen';
+                    } else if (override.typ) {
+                        neueSollTemp = override.soll !== null ? override.soll : sollTempAnwesend;
+                        istSonderfall = true;
+                        istOverride = true;
+                        basisGrund = `Override ${beschreibeOverride()}`;
+                    } else if (states.urlaub) {
+                        neueSollTemp = typeof states.urlaubEcoTemp === 'number' ? states.urlaubEcoTemp : URLAUB_ECO_TEMP_STANDARD;
+                        istSonderfall = true;
+                        basisGrund = 'Urlaub';
                     } else if (states.anwesenheit) {
-                        if (roomConfig.tuerSensorNutzen && isDoorPhysicallyClosed) {
+                        // NEU in V9.13: Plan statt Slot/sollTempAnwesend, ausser bei
+                        // Tuer zu oder Nachtschaltung ausserhalb eines Slots
+                        const tuerOderNacht = (roomConfig.tuerSensorNutzen && isDoorPhysicallyClosed) ||
+                            (roomConfig.nachtschaltungNutzen && states.nachtschaltung);
+                        if (planSchritt && (zeitplanSlot || !tuerOderNacht)) {
+                            neueSollTemp = komfort && !zeitplanSlot ? Math.max(planSchritt.soll, komfort.temp) : planSchritt.soll;
+                            basisGrund = `Plan ${beschreibePlanSchritt(planSchritt)}`;
+                            basisAusPlan = true;
+                        } else if (zeitplanSlot) {
+                            neueSollTemp = zeitplanSlot.soll;
+                            basisGrund = `Zeitplan ${beschreibeZeitplanSlot(zeitplanSlot)}`;
+                        } else if (roomConfig.tuerSensorNutzen && isDoorPhysicallyClosed) {
                             neueSollTemp = sollTempAbwesend;
+                            basisGrund = 'Anwesend, Tuer zu';
+                        } else if (komfort && !(roomConfig.nachtschaltungNutzen && states.nachtschaltung)) {
+                            neueSollTemp = komfort.temp;
+                            basisGrund = `Anwesend, Komfortprofil ${beschreibeKomfort(komfort)}`;
                         } else {
                             neueSollTemp = sollTempAnwesend;
+                            basisGrund = roomConfig.nachtschaltungNutzen && states.nachtschaltung
+                                ? 'Anwesend, Nachtschaltung'
+                                : 'Anwesend';
                         }
                     } else {
                         neueSollTemp = sollTempAbwesend;
+                        basisGrund = 'Abwesend';
+                    }
+
+                    // NEU in V9.2: Vorheizen hebt die Basis nur an, senkt sie nie
+                    // GEAENDERT in V9.13: nicht, wenn die Basis aus dem Plan stammt
+                    if (!istSonderfall && !basisAusPlan && vorheizPlan && vorheizPlan.aktiv && vorheizPlan.ziel > neueSollTemp) {
+                        neueSollTemp = vorheizPlan.ziel;
+                        basisGrund = `Vorheizen ${vorheizPlan.beschreibung}`;
                     }
                 } else {
                     neueSollTemp = roomConfig.tempHeizperiodeAus;
                     istSonderfall = true;
+                    basisGrund = 'Heizperiode aus';
                 }
+                gruende.push(`Basis ${neueSollTemp.toFixed(1)}°C: ${basisGrund}`);
 
                 const basisSollTemp = neueSollTemp;
 
@@ -464,9 +1748,11 @@
 
                     // --- 3.1.4.1 Feuchtekorrektur ---
                     if (feuchteSensorOK && !states.anwesenheit) {
-                        neueSollTemp +=
+                        const feuchteKorrektur =
                             (roomConfig.basisRegelung.luftfeuchteOptimal - states.feuchteSensor) *
                             roomConfig.basisRegelung.feuchteKorrekturfaktor;
+                        neueSollTemp += feuchteKorrektur;
+                        gruende.push(`Feuchtekorrektur ${feuchteKorrektur.toFixed(2)}`);
                     }
 
                     // --- 3.1.4.2 Wetter-Analyse (Solar/Wind) ---
@@ -493,12 +1779,14 @@
                         const solarOffset = -1.0 * maxSolarFaktor;
                         neueSollTemp += solarOffset;
                         logWetter += `, Solar=${solarOffset.toFixed(2)} (F:${maxSolarFaktor.toFixed(2)})`;
+                        gruende.push(`Solar ${solarOffset.toFixed(2)}`);
                     }
 
                     if (maxWindFaktor > 1.0) {
                         const windOffset = 1.0 * (maxWindFaktor - 1.0);
                         neueSollTemp += windOffset;
                         logWetter += `, Wind=+${windOffset.toFixed(2)} (F:${maxWindFaktor.toFixed(2)})`;
+                        gruende.push(`Wind +${windOffset.toFixed(2)}`);
                     }
 
                     // --- 3.1.4.3 PHYSIK-MODULE & WETTERFUEHRUNG (Maximum-Prinzip) ---
@@ -514,10 +1802,6 @@
                             roomConfig.basisRegelung.heizkurvenfaktor;
                     }
 
-                    const wandSensorOberflaecheOK =
-                        typeof states.wandSensorOberflaeche === 'number' &&
-                        states.wandSensorOberflaeche < 90.0;
-
                     // Kandidat B: Schimmelschutz — Math.log10() (Bugfix Paket 1)
                     if (roomConfig.module.schimmelSchutzAktiv && feuchteSensorOK && wandSensorOberflaecheOK) {
                         const MAGNUS_A = 7.5;
@@ -539,8 +1823,6 @@
                     }
 
                     // Kandidat D: Heizlast
-                    const wandSensorKernOK =
-                        typeof states.wandSensorKern === 'number' && states.wandSensorKern < 90.0;
                     if (roomConfig.module.heizlastAktiv && wandSensorOberflaecheOK && wandSensorKernOK) {
                         const tempDifferenz = states.wandSensorKern - states.wandSensorOberflaeche;
                         if (tempDifferenz > 0) {
@@ -556,7 +1838,15 @@
                         aufschlagHeizlast,
                     );
 
+                    kandidaten.A_Wetter = aufschlagWetter;
+                    kandidaten.B_Schimmel = aufschlagSchimmel;
+                    kandidaten.C_Behaglichkeit = aufschlagBehaglichkeit;
+                    kandidaten.D_Heizlast = aufschlagHeizlast;
+
                     if (finalerPhysikAufschlag > 0) {
+                        physikGewinner = Object.keys(kandidaten).find(k => kandidaten[k] === finalerPhysikAufschlag);
+                        physikAufschlag = finalerPhysikAufschlag;
+                        gruende.push(`Physik-Maximum ${physikGewinner} +${finalerPhysikAufschlag.toFixed(2)}`);
                         neueSollTemp += finalerPhysikAufschlag;
                         logModuleAction += `, PhysikMax:+${finalerPhysikAufschlag.toFixed(2)} (Wetter(Kurve):${aufschlagWetter.toFixed(2)}|M1_Schimmel:${aufschlagSchimmel}|M2_Behag:${aufschlagBehaglichkeit}|M3_Last:${aufschlagHeizlast.toFixed(2)})`;
                     }
@@ -590,6 +1880,14 @@
                             const gewichteterOffset = geklammerterOffset * vertrauensGewicht;
 
                             neueSollTemp += gewichteterOffset;
+                            prognoseErgebnis = {
+                                rohOffset: rawOffset,
+                                geklammert: geklammerterOffset,
+                                vertrauen: rawVertrauen,
+                                gewicht: vertrauensGewicht,
+                                angewendet: gewichteterOffset,
+                            };
+                            gruende.push(`Strategen-Offset ${gewichteterOffset >= 0 ? '+' : ''}${gewichteterOffset.toFixed(2)}`);
 
                             logPrognose =
                                 `, Prognose=${gewichteterOffset >= 0 ? '+' : ''}${gewichteterOffset.toFixed(2)}` +
@@ -598,6 +1896,7 @@
                                 `, Vtr:${rawVertrauen}/${roomConfig.prognose.maxVertrauen}` +
                                 `, Gew:${Math.round(vertrauensGewicht * 100)}%)`;
                         } else {
+                            prognoseErgebnis = { rohOffset: rawOffset, vertrauen: rawVertrauen, angewendet: 0 };
                             if (DEBUG_LOG_AKTIV) {
                                 logPrognose = `, Prognose=ignoriert (Offset=${rawOffset}, Vtr=${rawVertrauen})`;
                             }
@@ -606,6 +1905,7 @@
                 }
 
                 // --- 3.1.5 Finalisierung & Ausfuehrung ---
+                const rohSollTemp = neueSollTemp;
                 if (!istSonderfall) {
                     neueSollTemp = Math.max(
                         roomConfig.minSollTemp,
@@ -614,35 +1914,69 @@
                 }
 
                 neueSollTemp = Math.round(neueSollTemp * 2) / 2;
+                gruende.push(`Final ${neueSollTemp.toFixed(1)}°C (begrenzt/gerundet)`);
 
+                const thermostatErgebnisse = [];
                 for (const thermostatId of roomConfig.devices.thermostate) {
+                    // NEU in V9.10: Zonen-Offset je Thermostat (nicht in Sonderfaellen).
+                    // Ein Override ist ohne Offset gespeichert und bekommt ihn hier zurueck.
+                    const zonenOffset = istSonderfall && !istOverride ? 0 : thermostatOffset(thermostatId);
+                    const zielTemp = zonenOffset === 0
+                        ? neueSollTemp
+                        : Math.round(Math.max(roomConfig.minSollTemp, Math.min(roomConfig.maxSollTemp, neueSollTemp + zonenOffset)) * 2) / 2;
                     const aktuellEingestellteTemp = (await getStateAsync(thermostatId))?.val || 4.5;
                     const sollwertGeaendert =
-                        Math.abs(neueSollTemp - aktuellEingestellteTemp) > roomConfig.hysterese;
-
-                    if (sollwertGeaendert) {
-                        await setStateAsync(thermostatId, neueSollTemp);
+                        Math.abs(zielTemp - aktuellEingestellteTemp) > roomConfig.hysterese;
+                    thermostatErgebnisse.push({
+                        id: thermostatId,
+                        aktuell: aktuellEingestellteTemp,
+                        offset: zonenOffset,
+                        ziel: zielTemp,
+                        schreiben: sollwertGeaendert,
+                        geschrieben: sollwertGeaendert && !simulationAktiv,
+                    });
+
+                    // NEU in V9.5: im Simulationsmodus keine Schreibzugriffe auf das Thermostat
+                    if (sollwertGeaendert && !simulationAktiv) {
+                        eigeneSchreibzugriffe[thermostatId] = { wert: zielTemp, ts: Date.now() };
+                        await setStateAsync(thermostatId, zielTemp);
+                        planeRuecklesen(thermostatId, zielTemp);
                         const controlModeId = thermostatId.replace('SET_POINT_TEMPERATURE', 'CONTROL_MODE');
                         await setStateAsync(controlModeId, 1, true);
                     }
 
                     if (DEBUG_LOG_AKTIV) {
                         let logMessage;
-                        if (sollwertGeaendert) {
-                            logMessage = `[${roomConfig.roomName}] Setze Soll von ${aktuellEingestellteTemp.toFixed(1)}°C auf ${neueSollTemp.toFixed(1)}°C (Basis=${basisSollTemp.toFixed(1)}°C)`;
+                        if (simulationAktiv) {
+                            logMessage = `[${roomConfig.roomName}] SIMULATION: Ziel ${zielTemp.toFixed(1)}°C (Ist=${aktuellEingestellteTemp.toFixed(1)}°C, wuerde ${sollwertGeaendert ? '' : 'nicht '}schreiben, Basis=${basisSollTemp.toFixed(1)}°C)`;
+                        } else if (sollwertGeaendert) {
+                            logMessage = `[${roomConfig.roomName}] Setze Soll von ${aktuellEingestellteTemp.toFixed(1)}°C auf ${zielTemp.toFixed(1)}°C (Basis=${basisSollTemp.toFixed(1)}°C)`;
                         } else {
-                            logMessage = `[${roomConfig.roomName}] Keine Aenderung (Ist=${aktuellEingestellteTemp.toFixed(1)}°C ~ Ziel=${neueSollTemp.toFixed(1)}°C (Basis=${basisSollTemp.toFixed(1)}°C), Hyst=${roomConfig.hysterese}°C)`;
+                            logMessage = `[${roomConfig.roomName}] Keine Aenderung (Ist=${aktuellEingestellteTemp.toFixed(1)}°C ~ Ziel=${zielTemp.toFixed(1)}°C (Basis=${basisSollTemp.toFixed(1)}°C), Hyst=${roomConfig.hysterese}°C)`;
                         }
 
                         const details = [
                             `HeizP=${!!states.heizPeriode}`,
                             `Anw=${!!states.anwesenheit}`,
-                            `Win=${fensterIstOffen}`,
+                            `Win=${fensterKontaktOffen}`,
                         ];
+                        if (fensterVirtuell.offen) details.push('WinVirt=true');
                         if (roomConfig.tuerSensorNutzen) {
                             details.push(`TuerZu=${isDoorPhysicallyClosed}`);
                         }
                         details.push(`NachtSch=${!!states.nachtschaltung}`);
+                        if (zeitplan.aktiv) {
+                            details.push(`Zeitplan=${beschreibeZeitplanSlot(zeitplanSlot)}`);
+                        }
+                        if (override.typ) {
+                            details.push(`Override=${beschreibeOverride()}`);
+                        }
+                        if (planSchritt) {
+                            details.push(`Plan=${planSchritt.soll.toFixed(1)}${basisAusPlan ? '' : ' (nicht angewendet)'}`);
+                        }
+                        if (vorheizPlan) {
+                            details.push(`Vorheizen=${vorheizPlan.aktiv ? 'AKTIV' : 'geplant'} ${vorheizPlan.beschreibung}`);
+                        }
                         if (istSonderfall) details.push(`SONDERFALL`);
                         details.push(`Offset=${roomConfig.temperaturOffset}`);
                         details.push(`Mod1=${roomConfig.module.schimmelSchutzAktiv}`);
@@ -657,6 +1991,52 @@
                         log(`${logMessage} ${logDetails}${logActions}`);
                     }
                 }
+
+                // --- 3.1.6 Entscheidungsprotokoll (NEU in V9.6) ---
+                const entscheidung = {
+                    zeitpunkt: Date.now(),
+                    raum: roomConfig.dbRaum,
+                    simulation: simulationAktiv,
+                    eingaben: {
+                        heizPeriode: !!states.heizPeriode,
+                        anwesenheit: !!states.anwesenheit,
+                        urlaub: !!states.urlaub,
+                        nachtschaltung: !!states.nachtschaltung,
+                        fensterKontaktOffen,
+                        fensterVirtuellOffen: fensterVirtuell.offen,
+                        tuerZu: roomConfig.tuerSensorNutzen ? isDoorPhysicallyClosed : null,
+                        raumIstTemp,
+                        aussenTemp: states.aussenTempSensor ?? null,
+                        feuchte: states.feuchteSensor ?? null,
+                        wandOberflaeche: states.wandSensorOberflaeche ?? null,
+                        wandKern: states.wandSensorKern ?? null,
+                        sollTempAnwesend,
+                        sollTempAbwesend,
+                        zeitplanSlot: zeitplan.aktiv ? beschreibeZeitplanSlot(zeitplanSlot) : null,
+                        override: override.typ ? beschreibeOverride() : null,
+                        komfortProfil: komfort,
+                        vorheizen: vorheizPlan ? vorheizPlan.beschreibung : null,
+                        plan: planSchritt ? { ...planSchritt, angewendet: basisAusPlan } : null,
+                    },
+                    validierung: {
+                        aussenSensorOK,
+                        feuchteSensorOK,
+                        wandSensorOberflaecheOK,
+                        wandSensorKernOK,
+                    },
+                    basis: { temp: basisSollTemp, grund: basisGrund, sonderfall: istSonderfall },
+                    kandidaten,
+                    physik: { gewinner: physikGewinner, aufschlag: physikAufschlag },
+                    temperaturOffset: istSonderfall ? 0 : roomConfig.temperaturOffset,
+                    prognose: prognoseErgebnis,
+                    rohSollTemp,
+                    sollTemp: neueSollTemp,
+                    geschrieben: thermostatErgebnisse.some(t => t.geschrieben),
+                    thermostate: thermostatErgebnisse,
+                    sensoren,
+                    gruende,
+                };
+                await veroeffentlicheEntscheidung(entscheidung);
             } catch (e) {
                 log(`[${roomConfig.roomName}] FEHLER in Hauptfunktion: ${e.message}`, 'error');
             }
@@ -666,6 +2046,7 @@
         // 3.2 PRIORISIERTER DEBOUNCE-MANAGER
         // =================================================================================
         function triggerCalculation(isHighPriority) {
+            if (gestoppt) return;
             if (!DEBOUNCE_CONFIG.aktiv) {
                 main();
                 return;
@@ -717,28 +2098,38 @@
         // --- High-Priority-Trigger ---
         const highPriorityTriggerIds = [
             GLOBAL_IDS.anwesenheit,
-            ...roomConfig.devices.fensterKontakte,
+            GLOBAL_IDS.urlaub,
+            ...fensterKontaktIds,
+            ...komfortPersonenIds,
         ];
         if (roomConfig.tuerSensorNutzen && roomConfig.devices.tuerSensor) {
             highPriorityTriggerIds.push(roomConfig.devices.tuerSensor);
         }
-        on(highPriorityTriggerIds, () => triggerCalculation(true));
+        abonniere(highPriorityTriggerIds, () => triggerCalculation(true));
 
         // --- Low-Priority-Trigger ---
         // ENTFERNT in V9.0: solarKorrekturId / windKorrekturId
         const lowPriorityTriggerIds = [
             GLOBAL_IDS.heizPeriode,
             GLOBAL_IDS.nachtschaltung,
+            GLOBAL_IDS.urlaubEcoTemp,
         ];
         for (const richtung of roomConfig.ausrichtungFenster) {
             lowPriorityTriggerIds.push(WETTER_PFADE.basisPfadSolar + richtung);
             lowPriorityTriggerIds.push(WETTER_PFADE.basisPfadWind + richtung);
         }
-        const raumTempIds = roomConfig.devices.thermostate.map(id =>
-            id.replace('SET_POINT_TEMPERATURE', 'ACTUAL_TEMPERATURE')
-        );
         lowPriorityTriggerIds.push(...raumTempIds);
 
+        // --- Vorheizen als Low-Priority-Trigger (NEU in V9.2) ---
+        if (roomConfig.vorheizen && roomConfig.vorheizen.aktiviert) {
+            lowPriorityTriggerIds.push(VORHEIZEN_CONFIG.erwarteteAnkunftId, VORHEIZEN_IDS.aufheizmodell);
+        }
+
+        // --- Sollwert-Plan als Low-Priority-Trigger (NEU in V9.13) ---
+        if (planAktiv) {
+            lowPriorityTriggerIds.push(PLAN_ID);
+        }
+
         // --- Strategen-Prognose als Low-Priority-Trigger ---
         if (roomConfig.prognose && roomConfig.prognose.aktiviert) {
             if (roomConfig.prognose.offsetId) {
@@ -766,9 +2157,797 @@
             }
         }
 
-        on(lowPriorityTriggerIds, handleLowPriorityTrigger);
+        abonniere(lowPriorityTriggerIds, handleLowPriorityTrigger);
+
+        // =================================================================================
+        // 3.4 ZEITPLAN (NEU in V9.1)
+        // =================================================================================
+
+        /**
+         * Parst und prueft ein Profil aus dem JSON-Datenpunkt und uebernimmt es.
+         * Bei Fehlern bleibt das bisherige Profil aktiv.
+         * @param {'werktag'|'wochenende'} profilName
+         * @param {any} rohwert
+         * @returns {boolean} true, wenn das Profil uebernommen wurde
+         */
+        function uebernehmeZeitplanProfil(profilName, rohwert) {
+            let slots;
+            try {
+                slots = typeof rohwert === 'string' ? JSON.parse(rohwert || '[]') : rohwert;
+            } catch (e) {
+                log(`[${roomConfig.roomName}] Zeitplan-Profil '${profilName}' verworfen: kein gueltiges JSON (${e.message})`, 'warn');
+                return false;
+            }
+            const ergebnis = pruefeZeitplanSlots(slots);
+            if (ergebnis.fehler) {
+                log(`[${roomConfig.roomName}] Zeitplan-Profil '${profilName}' verworfen: ${ergebnis.fehler}`, 'warn');
+                return false;
+            }
+            zeitplan.profile[profilName] = ergebnis.slots;
+            return true;
+        }
+
+        /**
+         * Gibt ein Profil ohne die intern ergaenzten Minutenwerte als JSON zurueck.
+         * @param {'werktag'|'wochenende'} profilName
+         * @returns {string}
+         */
+        function zeitplanProfilAlsJson(profilName) {
+            return JSON.stringify(zeitplan.profile[profilName].map(({ von, bis, soll }) => ({ von, bis, soll })));
+        }
+
+        async function initialisiereZeitplan() {
+            const startwerte = roomConfig.zeitplan || { aktiviert: false, werktag: [], wochenende: [] };
+            const datenpunkte = [
+                {
+                    id: ZEITPLAN_IDS.aktiv,
+                    def: !!startwerte.aktiviert,
+                    common: { name: `Zeitplan aktiv (${roomConfig.roomName})`, type: 'boolean', role: 'switch', read: true, write: true },
+                },
+                {
+                    id: ZEITPLAN_IDS.werktag,
+                    def: JSON.stringify(startwerte.werktag || []),
+                    common: { name: `Zeitplan Werktag (${roomConfig.roomName})`, type: 'string', role: 'json', read: true, write: true },
+                },
+                {
+                    id: ZEITPLAN_IDS.wochenende,
+                    def: JSON.stringify(startwerte.wochenende || []),
+                    common: { name: `Zeitplan Wochenende/Feiertag (${roomConfig.roomName})`, type: 'string', role: 'json', read: true, write: true },
+                },
+                {
+                    id: ZEITPLAN_IDS.aktuellerSlot,
+                    def: '',
+                    common: { name: `Aktiver Zeitplan-Slot (${roomConfig.roomName})`, type: 'string', role: 'text', read: true, write: false },
+                },
+                {
+                    id: ZEITPLAN_IDS.aktuelleSolltemp,
+                    def: 0,
+                    common: { name: `Zeitplan-Solltemperatur, 0 = kein Slot (${roomConfig.roomName})`, type: 'number', role: 'value.temperature', unit: '°C', read: true, write: false },
+                },
+            ];
+
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                }
+            }
+
+            zeitplan.aktiv = !!(await getStateAsync(ZEITPLAN_IDS.aktiv))?.val;
+            for (const profilName of /** @type {const} */ (['werktag', 'wochenende'])) {
+                const gespeichert = (await getStateAsync(ZEITPLAN_IDS[profilName]))?.val;
+                if (!uebernehmeZeitplanProfil(profilName, gespeichert)) {
+                    // Datenpunkt unbrauchbar -> Startwerte aus ROOMS_CONFIG
+                    uebernehmeZeitplanProfil(profilName, startwerte[profilName] || []);
+                }
+            }
+        }
+
+        /**
+         * Schreibt den aktiven Slot in die Status-Datenpunkte (nur bei Aenderung).
+         * @param {{von: string, bis: string, soll: number, profil: string}|null} slot
+         */
+        async function veroeffentlicheZeitplanSlot(slot) {
+            const beschreibung = zeitplan.aktiv ? beschreibeZeitplanSlot(slot) : 'Zeitplan inaktiv';
+            if (beschreibung === zeitplan.veroeffentlicht) return;
+            zeitplan.veroeffentlicht = beschreibung;
+            await setStateAsync(ZEITPLAN_IDS.aktuellerSlot, beschreibung, true);
+            await setStateAsync(ZEITPLAN_IDS.aktuelleSolltemp, slot ? slot.soll : 0, true);
+        }
+
+        /**
+         * Wird minuetlich aus Abschnitt 5 aufgerufen. Loest nur dann eine
+         * Neuberechnung aus, wenn sich der aktive Slot geaendert hat, der
+         * geplante Vorheizstart erreicht ist (GEAENDERT in V9.2) oder ein
+         * Override abgelaufen ist (GEAENDERT in V9.3).
+         */
+        function pruefeZeitereignisse() {
+            if (override.typ && Date.now() >= override.bis) {
+                beendeOverride('abgelaufen')
+                    .catch(e => log(`[${roomConfig.roomName}] Override konnte nicht beendet werden: ${e.message}`, 'warn'));
+                return;
+            }
+            if (vorheizen.start > 0 && !vorheizen.aktiv && Date.now() >= vorheizen.start) {
+                if (DEBUG_LOG_AKTIV) {
+                    log(`[${roomConfig.roomName}] Vorheizen: Startzeitpunkt erreicht.`, 'info');
+                }
+                triggerCalculation(false);
+                return;
+            }
+            if (!zeitplan.aktiv) return;
+            const slot = ermittleZeitplanSlot(zeitplan.profile, zeitplanFeiertage, new Date());
+            if (beschreibeZeitplanSlot(slot) !== zeitplan.veroeffentlicht) {
+                if (DEBUG_LOG_AKTIV) {
+                    log(`[${roomConfig.roomName}] Zeitplan: Slotwechsel auf '${beschreibeZeitplanSlot(slot)}'.`, 'info');
+                }
+                triggerCalculation(false);
+            }
+        }
+
+        // Laufzeit-Aenderungen an Aktiv / Profilen (nur Benutzer-Schreibzugriffe)
+        abonniere({ id: [ZEITPLAN_IDS.aktiv, ZEITPLAN_IDS.werktag, ZEITPLAN_IDS.wochenende], change: 'ne', ack: false }, async obj => {
+            if (obj.id === ZEITPLAN_IDS.aktiv) {
+                zeitplan.aktiv = !!obj.state.val;
+                await setStateAsync(obj.id, zeitplan.aktiv, true);
+                log(`[${roomConfig.roomName}] Zeitplan ${zeitplan.aktiv ? 'aktiviert' : 'deaktiviert'}.`, 'info');
+            } else {
+                const profilName = obj.id === ZEITPLAN_IDS.werktag ? 'werktag' : 'wochenende';
+                if (uebernehmeZeitplanProfil(profilName, obj.state.val)) {
+                    await setStateAsync(obj.id, obj.state.val, true);
+                    log(`[${roomConfig.roomName}] Zeitplan-Profil '${profilName}' uebernommen (${zeitplan.profile[profilName].length} Slots).`, 'info');
+                } else {
+                    // Letztes gueltiges Profil zurueckschreiben
+                    await setStateAsync(obj.id, zeitplanProfilAlsJson(profilName), true);
+                }
+            }
+            triggerCalculation(false);
+        });
+
+        // =================================================================================
+        // 3.5 VORHEIZEN / OPTIMUM-START (NEU in V9.2)
+        // =================================================================================
+
+        /**
+         * Bestimmt das naechste Vorheiz-Ziel und den Startzeitpunkt.
+         * - Anwesend: naechster Zeitplan-Slot, sofern waermer als jetzt gefordert.
+         * - Abwesend: erwartete Ankunft; Ziel ist der dann aktive Slot oder
+         *   sollTempAnwesend.
+         * @returns {Promise<{ziel: number, beginn: number, start: number, rate: number, aktiv: boolean, beschreibung: string}|null>}
+         */
+        async function berechneVorheizPlan(states, zeitplanSlot, sollTempAnwesend, raumIstTemp, aussenSensorOK) {
+            if (!roomConfig.vorheizen || !roomConfig.vorheizen.aktiviert || raumIstTemp === null) return null;
+
+            const jetzt = new Date();
+            let ziel = null;
+            let beginn = 0;
+            let quelle = '';
+
+            if (states.anwesenheit) {
+                if (!zeitplan.aktiv) return null;
+                const naechster = ermittleNaechstenZeitplanSlot(
+                    zeitplan.profile, zeitplanFeiertage, jetzt, VORHEIZEN_CONFIG.maxVorlaufMinuten
+                );
+                if (!naechster || (zeitplanSlot && naechster.slot.soll <= zeitplanSlot.soll)) return null;
+                ziel = naechster.slot.soll;
+                beginn = naechster.beginn;
+                quelle = 'Zeitplan';
+            } else {
+                const ankunft = Number((await getStateAsync(VORHEIZEN_CONFIG.erwarteteAnkunftId))?.val) || 0;
+                const abstandMinuten = (ankunft - jetzt.getTime()) / 60000;
+                if (abstandMinuten <= 0 || abstandMinuten > VORHEIZEN_CONFIG.maxVorlaufMinuten) return null;
+                const slotBeiAnkunft = zeitplan.aktiv
+                    ? ermittleZeitplanSlot(zeitplan.profile, zeitplanFeiertage, new Date(ankunft))
+                    : null;
+                ziel = slotBeiAnkunft ? slotBeiAnkunft.soll : sollTempAnwesend;
+                beginn = ankunft;
+                quelle = 'Ankunft';
+            }
+
+            let modell = null;
+            const rohModell = (await getStateAsync(VORHEIZEN_IDS.aufheizmodell))?.val;
+            if (rohModell) {
+                try {
+                    modell = JSON.parse(String(rohModell));
+                } catch (e) {
+                    log(`[${roomConfig.roomName}] Aufheizmodell nicht lesbar, verwende Standardrate: ${e.message}`, 'warn');
+                }
+            }
+            const rate = berechneAufheizrate(modell, aussenSensorOK ? states.aussenTempSensor : null);
+            const vorlaufMinuten = berechneVorlaufMinuten(ziel, raumIstTemp, rate);
+            const start = beginn - Math.round(vorlaufMinuten) * 60000;
+            const uhrzeit = ts => new Date(ts).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+
+            return {
+                ziel,
+                beginn,
+                start,
+                rate,
+                aktiv: jetzt.getTime() >= start,
+                beschreibung: `${ziel.toFixed(1)}°C um ${uhrzeit(beginn)} (${quelle}), Start ${uhrzeit(start)}, Rate ${rate.toFixed(2)}°C/h${modell ? '' : ' (Standard)'}`,
+            };
+        }
+
+        /**
+         * Schreibt den Vorheiz-Plan in die Status-Datenpunkte (nur bei Aenderung).
+         * @param {{start: number, aktiv: boolean, beschreibung: string}|null} plan
+         */
+        async function veroeffentlicheVorheizPlan(plan) {
+            vorheizen.start = plan ? plan.start : 0;
+            vorheizen.aktiv = !!(plan && plan.aktiv);
+            const beschreibung = plan ? plan.beschreibung : 'kein Vorheizen geplant';
+            // Beim Start des Vorheizens bleibt die Beschreibung gleich, nur aktiv wechselt
+            const stand = `${vorheizen.aktiv}|${beschreibung}`;
+            if (stand === vorheizen.veroeffentlicht) return;
+            vorheizen.veroeffentlicht = stand;
+            await setStateAsync(VORHEIZEN_IDS.vorheizstart, vorheizen.start, true);
+            await setStateAsync(VORHEIZEN_IDS.aktiv, vorheizen.aktiv, true);
+            await setStateAsync(VORHEIZEN_IDS.ziel, beschreibung, true);
+        }
+
+        async function initialisiereVorheizen() {
+            const datenpunkte = [
+                {
+                    id: VORHEIZEN_IDS.vorheizstart,
+                    def: 0,
+                    common: { name: `Prognostizierter Vorheizstart, 0 = keiner (${roomConfig.roomName})`, type: 'number', role: 'date', read: true, write: false },
+                },
+                {
+                    id: VORHEIZEN_IDS.aktiv,
+                    def: false,
+                    common: { name: `Vorheizen aktiv (${roomConfig.roomName})`, type: 'boolean', role: 'indicator', read: true, write: false },
+                },
+                {
+                    id: VORHEIZEN_IDS.ziel,
+                    def: '',
+                    common: { name: `Vorheiz-Ziel (${roomConfig.roomName})`, type: 'string', role: 'text', read: true, write: false },
+                },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                }
+            }
+        }
+
+        // =================================================================================
+        // 3.6 MANUELLE UEBERSTEUERUNG / BOOST / PARTY (NEU in V9.3)
+        // =================================================================================
+        const overrideOptionen = roomConfig.override || {};
+
+        function beschreibeOverride() {
+            if (!override.typ) return 'kein Override';
+            const bis = new Date(override.bis).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+            const soll = override.soll !== null ? `${override.soll.toFixed(1)}°C` : 'sollTempAnwesend';
+            return `${override.typ} ${soll} bis ${bis}`;
+        }
+
+        async function schreibeOverrideStatus() {
+            await setStateAsync(OVERRIDE_IDS.typ, override.typ, true);
+            await setStateAsync(OVERRIDE_IDS.soll, override.soll !== null ? override.soll : 0, true);
+            await setStateAsync(OVERRIDE_IDS.bis, override.bis, true);
+        }
+
+        /**
+         * @param {'Manuell'|'Boost'|'Party'} typ
+         * @param {number|null} soll null = sollTempAnwesend
+         * @param {number} bis Zeitstempel in ms
+         */
+        async function setzeOverride(typ, soll, bis) {
+            // Boost und Party schliessen sich gegenseitig aus
+            if (override.typ === 'Boost' && typ !== 'Boost') await setStateAsync(OVERRIDE_IDS.boost, false, true);
+            if (override.typ === 'Party' && typ !== 'Party') await setStateAsync(OVERRIDE_IDS.partyBis, '', true);
+            override.typ = typ;
+            override.soll = soll;
+            override.bis = bis;
+            await schreibeOverrideStatus();
+            log(`[${roomConfig.roomName}] Override gesetzt: ${beschreibeOverride()}.`, 'info');
+            triggerCalculation(false);
+        }
+
+        /**
+         * @param {string} grund fuer das Log
+         */
+        async function beendeOverride(grund) {
+            if (!override.typ) return;
+            const typ = override.typ;
+            override.typ = '';
+            override.soll = null;
+            override.bis = 0;
+            if (typ === 'Boost') await setStateAsync(OVERRIDE_IDS.boost, false, true);
+            if (typ === 'Party') await setStateAsync(OVERRIDE_IDS.partyBis, '', true);
+            await schreibeOverrideStatus();
+            log(`[${roomConfig.roomName}] Override '${typ}' beendet (${grund}), zurueck zur Automatik.`, 'info');
+            triggerCalculation(false);
+        }
+
+        /**
+         * Ende eines manuellen Overrides: feste Dauer oder naechster Zeitplan-Slot.
+         * @returns {number} Zeitstempel in ms
+         */
+        function berechneManuellesEnde() {
+            const jetzt = new Date();
+            const dauerEnde = jetzt.getTime() + (overrideOptionen.manuellDauerMinuten || 120) * 60000;
+            if (overrideOptionen.manuellEnde === 'naechsterSlot' && zeitplan.aktiv) {
+                const naechster = ermittleNaechstenZeitplanSlot(zeitplan.profile, zeitplanFeiertage, jetzt, 24 * 60);
+                if (naechster) return naechster.beginn;
+            }
+            return dauerEnde;
+        }
+
+        // Fremde Sollwert-Aenderungen am Thermostat
+        abonniere({ id: roomConfig.devices.thermostate, change: 'ne', ack: false }, obj => {
+            const wert = obj.state.val;
+            const eigener = eigeneSchreibzugriffe[obj.id];
+            if (
+                eigener &&
+                eigener.wert === wert &&
+                Date.now() - eigener.ts < OVERRIDE_CONFIG.eigenerSchreibzugriffMs
+            ) {
+                return;
+            }
+            if (typeof wert !== 'number') return;
+            // GEAENDERT in V9.10: Override gilt fuer den Raum, der Zonen-Offset wird herausgerechnet
+            setzeOverride('Manuell', wert - thermostatOffset(obj.id), berechneManuellesEnde())
+                .catch(e => log(`[${roomConfig.roomName}] Override konnte nicht gesetzt werden: ${e.message}`, 'warn'));
+        });
+
+        abonniere({ id: OVERRIDE_IDS.boost, change: 'any', ack: false }, async obj => {
+            if (obj.state.val) {
+                const dauer = (overrideOptionen.boostDauerMinuten || 30) * 60000;
+                await setStateAsync(obj.id, true, true);
+                await setzeOverride('Boost', overrideOptionen.boostSollTemp || roomConfig.maxSollTemp, Date.now() + dauer);
+            } else if (override.typ === 'Boost') {
+                await beendeOverride('Boost abgeschaltet');
+            } else {
+                await setStateAsync(obj.id, false, true);
+            }
+        });
+
+        abonniere({ id: OVERRIDE_IDS.partyBis, change: 'any', ack: false }, async obj => {
+            const text = String(obj.state.val || '').trim();
+            if (!text) {
+                if (override.typ === 'Party') {
+                    await beendeOverride('Party abgeschaltet');
+                } else {
+                    await setStateAsync(obj.id, '', true);
+                }
+                return;
+            }
+            const minuten = zeitInMinuten(text);
+            if (minuten === null) {
+                log(`[${roomConfig.roomName}] Party_Bis '${text}' ungueltig, erwartet 'HH:MM'.`, 'warn');
+                await setStateAsync(obj.id, override.typ === 'Party' && obj.oldState ? obj.oldState.val : '', true);
+                return;
+            }
+            await setStateAsync(obj.id, text, true);
+            const partySoll = typeof overrideOptionen.partySollTemp === 'number' ? overrideOptionen.partySollTemp : null;
+            await setzeOverride('Party', partySoll, naechsteUhrzeit(minuten, new Date()));
+        });
+
+        async function initialisiereOverride() {
+            const datenpunkte = [
+                {
+                    id: OVERRIDE_IDS.boost,
+                    def: false,
+                    common: { name: `Boost ${overrideOptionen.boostDauerMinuten || 30} Min (${roomConfig.roomName})`, type: 'boolean', role: 'switch', read: true, write: true },
+                },
+                {
+                    id: OVERRIDE_IDS.partyBis,
+                    def: '',
+                    common: { name: `Party bis HH:MM, leer = aus (${roomConfig.roomName})`, type: 'string', role: 'text', read: true, write: true },
+                },
+                {
+                    id: OVERRIDE_IDS.typ,
+                    def: '',
+                    common: { name: `Aktiver Override: Manuell/Boost/Party, leer = keiner (${roomConfig.roomName})`, type: 'string', role: 'text', read: true, write: false },
+                },
+                {
+                    id: OVERRIDE_IDS.soll,
+                    def: 0,
+                    common: { name: `Override-Sollwert, 0 = sollTempAnwesend (${roomConfig.roomName})`, type: 'number', role: 'value.temperature', unit: '°C', read: true, write: false },
+                },
+                {
+                    id: OVERRIDE_IDS.bis,
+                    def: 0,
+                    common: { name: `Override-Ende (${roomConfig.roomName})`, type: 'number', role: 'date', read: true, write: false },
+                },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                }
+            }
+
+            // Laufenden Override nach Skript-Neustart uebernehmen
+            const typ = String((await getStateAsync(OVERRIDE_IDS.typ))?.val || '');
+            if (!typ) return;
+            const soll = Number((await getStateAsync(OVERRIDE_IDS.soll))?.val) || 0;
+            override.typ = typ;
+            override.soll = soll > 0 ? soll : null;
+            override.bis = Number((await getStateAsync(OVERRIDE_IDS.bis))?.val) || 0;
+            if (override.bis > Date.now()) {
+                log(`[${roomConfig.roomName}] Override uebernommen: ${beschreibeOverride()}.`, 'info');
+            } else {
+                await beendeOverride('waehrend Skript-Stopp abgelaufen');
+            }
+        }
+
+        // =================================================================================
+        // 3.7 VIRTUELLE FENSTER-OFFEN-ERKENNUNG (NEU in V9.4)
+        // =================================================================================
+        const fensterTempIds = [...raumTempIds];
+        fensterTempIds.push(...wandOberflaecheIds);
+        const fensterFeuchteIds = [...feuchteIds];
+
+        /**
+         * @param {boolean} offen
+         * @param {string} grund
+         */
+        async function setzeFensterVirtuell(offen, grund) {
+            fensterVirtuell.offen = offen;
+            await setStateAsync(FENSTER_VIRTUELL_IDS.offen, offen, true);
+            await setStateAsync(FENSTER_VIRTUELL_IDS.grund, grund, true);
+            if (offen) await setStateAsync(FENSTER_VIRTUELL_IDS.letzteErkennung, Date.now(), true);
+            log(`[${roomConfig.roomName}] Virtuelles Fenster ${offen ? 'OFFEN' : 'geschlossen'} (${grund}).`, 'info');
+            triggerCalculation(true);
+        }
+
+        /**
+         * Nimmt einen Messwert auf und prueft auf einen sprunghaften Abfall.
+         * @param {string} id
+         * @param {any} wert
+         */
+        function pruefeFensterVirtuell(id, wert) {
+            if (typeof wert !== 'number') return;
+            const jetzt = Date.now();
+            const fensterMs = FENSTER_VIRTUELL_CONFIG.fensterMinuten * 60000;
+            const verlauf = fensterVirtuell.verlauf[id] || (fensterVirtuell.verlauf[id] = []);
+            verlauf.push({ ts: jetzt, val: wert });
+            while (verlauf.length > 0 && jetzt - verlauf[0].ts > fensterMs) verlauf.shift();
+
+            if (fensterVirtuell.offen || jetzt < fensterVirtuell.gesperrtBis) return;
+
+            const tempAbfall = Math.max(0, ...fensterTempIds.map(tid => berechneAbfall(fensterVirtuell.verlauf[tid], fensterMs)));
+            const feuchteAbfall = Math.max(0, ...fensterFeuchteIds.map(fid => berechneAbfall(fensterVirtuell.verlauf[fid], fensterMs)));
+
+            let grund = '';
+            if (tempAbfall >= FENSTER_VIRTUELL_CONFIG.tempAbfall) {
+                grund = `Temperaturabfall ${tempAbfall.toFixed(1)}°C in ${FENSTER_VIRTUELL_CONFIG.fensterMinuten} Min`;
+            } else if (
+                feuchteAbfall >= FENSTER_VIRTUELL_CONFIG.feuchteAbfall &&
+                tempAbfall >= FENSTER_VIRTUELL_CONFIG.tempAbfall / 2
+            ) {
+                grund = `Feuchteabfall ${feuchteAbfall.toFixed(0)}% und Temperaturabfall ${tempAbfall.toFixed(1)}°C`;
+            }
+            if (!grund) return;
+
+            setzeFensterVirtuell(true, grund)
+                .catch(e => log(`[${roomConfig.roomName}] Virtuelles Fenster: ${e.message}`, 'warn'));
+            fensterVirtuell.timer = setTimeout(() => {
+                fensterVirtuell.timer = null;
+                fensterVirtuell.gesperrtBis = Date.now() + FENSTER_VIRTUELL_CONFIG.sperrzeitMinuten * 60000;
+                fensterVirtuell.verlauf = {};
+                setzeFensterVirtuell(false, `Haltedauer abgelaufen, Sperrzeit ${FENSTER_VIRTUELL_CONFIG.sperrzeitMinuten} Min`)
+                    .catch(e => log(`[${roomConfig.roomName}] Virtuelles Fenster: ${e.message}`, 'warn'));
+            }, FENSTER_VIRTUELL_CONFIG.haltedauerMinuten * 60000);
+        }
+
+        async function initialisiereFensterVirtuell() {
+            const datenpunkte = [
+                {
+                    id: FENSTER_VIRTUELL_IDS.offen,
+                    def: false,
+                    common: { name: `Virtuelles Fenster offen (${roomConfig.roomName})`, type: 'boolean', role: 'sensor.window', read: true, write: false },
+                },
+                {
+                    id: FENSTER_VIRTUELL_IDS.letzteErkennung,
+                    def: 0,
+                    common: { name: `Letzte virtuelle Fenster-Erkennung (${roomConfig.roomName})`, type: 'number', role: 'date', read: true, write: false },
+                },
+                {
+                    id: FENSTER_VIRTUELL_IDS.grund,
+                    def: '',
+                    common: { name: `Grund der letzten Aenderung (${roomConfig.roomName})`, type: 'string', role: 'text', read: true, write: false },
+                },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                }
+            }
+            // Nach Neustart immer geschlossen beginnen (Verlauf ist leer)
+            await setStateAsync(FENSTER_VIRTUELL_IDS.offen, false, true);
+        }
+
+        if (roomConfig.fensterVirtuell && roomConfig.fensterVirtuell.aktiviert) {
+            abonniere({ id: [...fensterTempIds, ...fensterFeuchteIds], change: 'ne' }, obj => pruefeFensterVirtuell(obj.id, obj.state.val));
+        }
 
-        setTimeout(() => triggerCalculation(true), 1500);
+        // =================================================================================
+        // 3.8 SIMULATIONSMODUS (NEU in V9.5)
+        // =================================================================================
+        /**
+         * Legt die Simulations-Datenpunkte an und uebernimmt den gespeicherten Schalter.
+         * Ein bestehender Datenpunkt hat Vorrang vor roomConfig.simulationAktiv.
+         */
+        async function initialisiereSimulation() {
+            if (await existsStateAsync(SIMULATION_IDS.aktiv)) {
+                const gespeichert = await getStateAsync(SIMULATION_IDS.aktiv);
+                if (gespeichert && typeof gespeichert.val === 'boolean') simulationAktiv = gespeichert.val;
+            } else {
+                await createStateAsync(SIMULATION_IDS.aktiv, simulationAktiv, {
+                    name: `Simulationsmodus aktiv (${roomConfig.roomName})`,
+                    type: 'boolean', role: 'switch', read: true, write: true, def: simulationAktiv,
+                });
+            }
+            if (!(await existsStateAsync(SIMULATION_IDS.ergebnis))) {
+                await createStateAsync(SIMULATION_IDS.ergebnis, '{}', {
+                    name: `Simulierte Entscheidung (${roomConfig.roomName})`,
+                    type: 'string', role: 'json', read: true, write: false, def: '{}',
+                });
+            }
+            if (simulationAktiv) {
+                log(`[${roomConfig.roomName}] Simulationsmodus aktiv - Thermostate werden nicht beschrieben.`, 'warn');
+            }
+        }
+
+        abonniere({ id: SIMULATION_IDS.aktiv, change: 'ne', ack: false }, async obj => {
+            simulationAktiv = !!obj.state.val;
+            await setStateAsync(SIMULATION_IDS.aktiv, simulationAktiv, true);
+            log(`[${roomConfig.roomName}] Simulationsmodus ${simulationAktiv ? 'EIN - Thermostate werden nicht beschrieben' : 'AUS - Regelung schreibt wieder'}.`);
+            triggerCalculation(true);
+        });
+
+        // =================================================================================
+        // 3.9 ENTSCHEIDUNGSPROTOKOLL (NEU in V9.6)
+        // =================================================================================
+        /**
+         * Schreibt das Protokoll eines main()-Laufs in den Entscheidungs-Datenpunkt,
+         * im Simulationsmodus zusaetzlich in den Simulations-Datenpunkt und optional
+         * die Kennzahlen in die InfluxDB.
+         * @param {object} entscheidung
+         */
+        async function veroeffentlicheEntscheidung(entscheidung) {
+            const json = JSON.stringify(entscheidung);
+            await setStateAsync(ENTSCHEIDUNG_ID, json, true);
+            if (entscheidung.simulation) {
+                await setStateAsync(SIMULATION_IDS.ergebnis, json, true);
+            }
+            if (!ENTSCHEIDUNG_CONFIG.influxAktiv) return;
+
+            const kennzahlen = {
+                SollTemp: entscheidung.sollTemp,
+                RohSollTemp: entscheidung.rohSollTemp,
+                BasisTemp: entscheidung.basis.temp,
+                Kandidat_A_Wetter: entscheidung.kandidaten.A_Wetter,
+                Kandidat_B_Schimmel: entscheidung.kandidaten.B_Schimmel,
+                Kandidat_C_Behaglichkeit: entscheidung.kandidaten.C_Behaglichkeit,
+                Kandidat_D_Heizlast: entscheidung.kandidaten.D_Heizlast,
+                Physik_Aufschlag: entscheidung.physik.aufschlag,
+                Prognose_Offset: entscheidung.prognose ? entscheidung.prognose.angewendet : 0,
+                Geschrieben: entscheidung.geschrieben,
+            };
+            const eintraege = Object.keys(kennzahlen).map(name => ({
+                id: `${ENTSCHEIDUNG_ID}.${name}`,
+                state: { val: kennzahlen[name], ts: entscheidung.zeitpunkt, ack: true, from: 'raum_steuerung_generisch' },
+            }));
+            try {
+                const ergebnis = await sendToAsync(ENTSCHEIDUNG_CONFIG.influxInstanz, 'storeState', eintraege);
+                if (ergebnis && ergebnis.error) {
+                    log(`[${roomConfig.roomName}] InfluxDB-Protokoll fehlgeschlagen: ${ergebnis.error}`, 'warn');
+                }
+            } catch (e) {
+                log(`[${roomConfig.roomName}] InfluxDB-Protokoll fehlgeschlagen: ${e.message}`, 'warn');
+            }
+        }
+
+        async function initialisiereEntscheidung() {
+            if (!(await existsStateAsync(ENTSCHEIDUNG_ID))) {
+                await createStateAsync(ENTSCHEIDUNG_ID, '{}', {
+                    name: `Entscheidungsprotokoll (${roomConfig.roomName})`,
+                    type: 'string', role: 'json', read: true, write: false, def: '{}',
+                });
+            }
+        }
+
+        // =================================================================================
+        // 3.10 HEIZKOERPER-DIAGNOSE (NEU in V9.7)
+        // =================================================================================
+        // Rangfolge fuer den Raumstatus: der schwerste Befund eines Thermostats gewinnt
+        const DIAGNOSE_RANG = { INAKTIV: 0, OK: 1, KEINE_DATEN: 2, VOLL_OFFEN: 3, KLEMMT_ZU: 4 };
+
+        /**
+         * Bewertet ein Thermostat anhand von Soll, Ist und Ventil-LEVEL.
+         * @returns {string} Befund (Schluessel aus DIAGNOSE_RANG)
+         */
+        function bewerteVentil(soll, ist, level) {
+            if (typeof soll !== 'number' || typeof ist !== 'number' || typeof level !== 'number') {
+                return 'KEINE_DATEN';
+            }
+            if (ist >= soll - HEIZKOERPER_DIAGNOSE_CONFIG.untertemperatur) return 'OK';
+            if (level >= HEIZKOERPER_DIAGNOSE_CONFIG.vollOffenAb) return 'VOLL_OFFEN';
+            if (level <= HEIZKOERPER_DIAGNOSE_CONFIG.geschlossenBis) return 'KLEMMT_ZU';
+            return 'OK';
+        }
+
+        function beschreibeBefund(befund, eintrag) {
+            const minuten = Math.round((Date.now() - eintrag.seit) / 60000);
+            const werte = `Ist ${eintrag.ist.toFixed(1)}°C, Soll ${eintrag.soll.toFixed(1)}°C, Ventil ${Math.round(eintrag.level * 100)} %`;
+            if (befund === 'VOLL_OFFEN') {
+                return `Ventil seit ${minuten} Min. voll offen, Raum erreicht den Sollwert nicht (${werte}). Heizkoerper zu klein oder Sollwert unerreichbar?`;
+            }
+            return `Ventil seit ${minuten} Min. geschlossen, obwohl der Raum unter Soll liegt (${werte}). Ventilstift klemmt?`;
+        }
+
+        async function pruefeHeizkoerper() {
+            if (!HEIZKOERPER_DIAGNOSE_CONFIG.aktiv) return;
+            try {
+                const heizPeriode = (await getStateAsync(GLOBAL_IDS.heizPeriode))?.val;
+                const jetzt = Date.now();
+                const details = [];
+                let raumBefund = 'INAKTIV';
+
+                for (let i = 0; i < roomConfig.devices.thermostate.length; i++) {
+                    const thermostatId = roomConfig.devices.thermostate[i];
+                    const soll = (await getStateAsync(thermostatId))?.val;
+                    const ist = (await getStateAsync(raumTempIds[i]))?.val;
+                    const level = (await getStateAsync(ventilLevelIds[i]))?.val;
+                    const befund = heizPeriode ? bewerteVentil(soll, ist, level) : 'INAKTIV';
+
+                    let eintrag = heizkoerperBefunde[thermostatId];
+                    if (!eintrag || eintrag.befund !== befund) {
+                        if (eintrag && eintrag.gemeldet) {
+                            log(`[${roomConfig.roomName}] Heizkoerper-Diagnose: Befund ${eintrag.befund} behoben (jetzt ${befund}).`, 'info');
+                        }
+                        eintrag = { befund, seit: jetzt, gemeldet: false };
+                        heizkoerperBefunde[thermostatId] = eintrag;
+                    }
+
+                    const problem = befund === 'VOLL_OFFEN' || befund === 'KLEMMT_ZU';
+                    const dauerMs = jetzt - eintrag.seit;
+                    if (problem && !eintrag.gemeldet && dauerMs >= HEIZKOERPER_DIAGNOSE_CONFIG.meldenNachMinuten * 60000) {
+                        eintrag.gemeldet = true;
+                        const text = `${roomConfig.roomName}: ${beschreibeBefund(befund, { seit: eintrag.seit, soll, ist, level })}`;
+                        log(`[${roomConfig.roomName}] Heizkoerper-Diagnose: ${text}`, 'warn');
+                        await sendeBenachrichtigung('Heizkoerper-Diagnose', text);
+                    }
+
+                    details.push({ thermostat: thermostatId, befund, seit: eintrag.seit, gemeldet: eintrag.gemeldet, soll, ist, level });
+                    if (DIAGNOSE_RANG[befund] > DIAGNOSE_RANG[raumBefund]) raumBefund = befund;
+                }
+
+                if (raumBefund !== diagnoseVeroeffentlicht.status) {
+                    diagnoseVeroeffentlicht.status = raumBefund;
+                    await setStateAsync(DIAGNOSE_IDS.status, raumBefund, true);
+                }
+                const detailsJson = JSON.stringify(details);
+                if (detailsJson !== diagnoseVeroeffentlicht.details) {
+                    diagnoseVeroeffentlicht.details = detailsJson;
+                    await setStateAsync(DIAGNOSE_IDS.details, detailsJson, true);
+                }
+            } catch (e) {
+                log(`[${roomConfig.roomName}] Heizkoerper-Diagnose fehlgeschlagen: ${e.message}`, 'warn');
+            }
+        }
+
+        async function initialisiereHeizkoerperDiagnose() {
+            const datenpunkte = [
+                {
+                    id: DIAGNOSE_IDS.status,
+                    def: 'INAKTIV',
+                    common: {
+                        name: `Heizkoerper-Diagnose (${roomConfig.roomName})`,
+                        type: 'string', role: 'text', read: true, write: false,
+                        states: {
+                            INAKTIV: 'Keine Heizperiode',
+                            OK: 'OK',
+                            KEINE_DATEN: 'Keine Daten (LEVEL/Ist/Soll fehlt)',
+                            VOLL_OFFEN: 'Ventil dauerhaft voll offen',
+                            KLEMMT_ZU: 'Ventil zu trotz Untertemperatur',
+                        },
+                    },
+                },
+                {
+                    id: DIAGNOSE_IDS.details,
+                    def: '[]',
+                    common: { name: `Heizkoerper-Diagnose Details (${roomConfig.roomName})`, type: 'string', role: 'json', read: true, write: false },
+                },
+            ];
+            for (const dp of datenpunkte) {
+                if (!(await existsStateAsync(dp.id))) {
+                    await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+                }
+            }
+        }
+
+        // =================================================================================
+        // 3.11 SOLLWERT-RUECKMELDUNG (NEU in V9.8)
+        // =================================================================================
+        function planeRuecklesen(thermostatId, soll) {
+            if (rueckleseTimer[thermostatId]) clearTimeout(rueckleseTimer[thermostatId]);
+            rueckleseTimer[thermostatId] = setTimeout(() => {
+                delete rueckleseTimer[thermostatId];
+                pruefeRueckmeldung(thermostatId, soll)
+                    .catch(e => log(`[${roomConfig.roomName}] Sollwert-Rueckmeldung fehlgeschlagen: ${e.message}`, 'warn'));
+            }, SOLLWERT_RUECKMELDUNG_CONFIG.pruefenNachSekunden * 1000);
+        }
+
+        async function pruefeRueckmeldung(thermostatId, soll) {
+            const state = await getStateAsync(thermostatId);
+            let befund = '';
+            // Eine zwischenzeitliche manuelle Aenderung ist ein Override, kein Fehler
+            if (override.typ !== 'Manuell') {
+                const wert = state ? state.val : null;
+                if (typeof wert !== 'number' || Math.abs(wert - soll) > SOLLWERT_RUECKMELDUNG_CONFIG.toleranz) {
+                    befund = `${thermostatId}: ${soll.toFixed(1)}°C geschrieben, ${typeof wert === 'number' ? wert.toFixed(1) + '°C' : 'kein Wert'} gelesen`;
+                } else if (!state.ack) {
+                    befund = `${thermostatId}: ${soll.toFixed(1)}°C vom Thermostat nicht bestaetigt`;
+                }
+            }
+
+            if (befund && !sollwertFehler[thermostatId]) {
+                log(`[${roomConfig.roomName}] Sollwert nicht uebernommen: ${befund}`, 'warn');
+            } else if (!befund && sollwertFehler[thermostatId]) {
+                log(`[${roomConfig.roomName}] Sollwert wieder uebernommen (${thermostatId}).`, 'info');
+            }
+            sollwertFehler[thermostatId] = befund;
+            const text = Object.values(sollwertFehler).filter(Boolean).join('; ');
+            await setStateAsync(SOLLWERT_FEHLER_ID, text, true);
+        }
+
+        async function initialisiereSollwertRueckmeldung() {
+            if (!(await existsStateAsync(SOLLWERT_FEHLER_ID))) {
+                await createStateAsync(SOLLWERT_FEHLER_ID, '', {
+                    name: `Nicht uebernommene Sollwerte, leer = OK (${roomConfig.roomName})`,
+                    type: 'string', role: 'text', read: true, write: false, def: '',
+                });
+            }
+            // Befunde vor dem Neustart sind nicht mehr pruefbar, der naechste Schreibzugriff bewertet neu
+            await setStateAsync(SOLLWERT_FEHLER_ID, '', true);
+        }
+
+        // =================================================================================
+        // 3.12 LEBENSZYKLUS (NEU in V9.9)
+        // =================================================================================
+        /**
+         * Beendet den Controller vor dem Neuaufbau mit geaenderter Konfiguration:
+         * Trigger abmelden, Timer stoppen, spaete Callbacks laufen ins Leere.
+         * Override, Zeitplan usw. liegen in Datenpunkten und werden vom neuen
+         * Controller wie nach einem Skript-Neustart uebernommen.
+         */
+        function stoppe() {
+            gestoppt = true;
+            abos.forEach(abo => unsubscribe(abo));
+            abos.length = 0;
+            const timer = [
+                debounceTimerHighPriority,
+                debounceTimerLowPriority,
+                fensterVirtuell.timer,
+                ...Object.values(rueckleseTimer),
+            ];
+            timer.forEach(t => {
+                if (t) clearTimeout(t);
+            });
+            if (DEBUG_LOG_AKTIV) {
+                log(`[${roomConfig.roomName}] Raum-Controller gestoppt.`, 'info');
+            }
+        }
+
+        // Erste Berechnung erst nach dem Anlegen/Laden aller Zusatz-Datenpunkte
+        (async () => {
+            try {
+                await initialisiereZeitplan();
+                await initialisiereVorheizen();
+                await initialisiereOverride();
+                await initialisiereFensterVirtuell();
+                await initialisiereSimulation();
+                await initialisiereEntscheidung();
+                await initialisiereHeizkoerperDiagnose();
+                await initialisiereSollwertRueckmeldung();
+            } catch (e) {
+                log(`[${roomConfig.roomName}] Zusatz-Datenpunkte konnten nicht initialisiert werden: ${e.message}`, 'warn');
+            }
+            setTimeout(() => triggerCalculation(true), 1500);
+        })();
 
         if (DEBUG_LOG_AKTIV) {
             log(`[${roomConfig.roomName}] Raum-Controller initialisiert (dbRaum='${roomConfig.dbRaum}', Prognose=${!!(roomConfig.prognose && roomConfig.prognose.aktiviert)}).`, 'info');
@@ -777,6 +2956,9 @@
         return {
             main,
             triggerCalculation,
+            pruefeZeitereignisse,
+            pruefeHeizkoerper,
+            stoppe,
             config: roomConfig,
         };
     }
@@ -786,13 +2968,168 @@
     // =====================================================================================
     const roomControllers = [];
 
-    ROOMS_CONFIG.forEach((config, index) => {
-        setTimeout(() => {
-            const controller = createRoomController(config);
-            roomControllers.push(controller);
-        }, index * 500);
+    /**
+     * Prueft die Feiertagsliste aus dem JSON-Datenpunkt.
+     * @param {any} rohwert
+     * @returns {string[]|null} null bei ungueltigem Inhalt
+     */
+    function parseFeiertage(rohwert) {
+        try {
+            const liste = JSON.parse(rohwert || '[]');
+            if (Array.isArray(liste) && liste.every(eintrag => /^(\d{4}-)?\d{2}-\d{2}$/.test(String(eintrag)))) {
+                return liste.map(String);
+            }
+        } catch (e) {
+            // unten als ungueltig gemeldet
+        }
+        return null;
+    }
+
+    // Feiertage (NEU in V9.1): einmalig anlegen/laden, danach zur Laufzeit aenderbar
+    (async () => {
+        const id = ZEITPLAN_CONFIG.feiertageId;
+        if (!(await existsStateAsync(id))) {
+            const def = JSON.stringify(ZEITPLAN_CONFIG.feiertageStandard);
+            await createStateAsync(id, def, {
+                name: "Feiertage fuer Heizungs-Zeitplaene (JSON: 'YYYY-MM-DD' oder 'MM-DD')",
+                type: 'string', role: 'json', read: true, write: true, def,
+            });
+        }
+        const liste = parseFeiertage((await getStateAsync(id))?.val);
+        if (liste) {
+            zeitplanFeiertage = liste;
+        } else {
+            log(`[Zeitplan] Feiertage unter '${id}' ungueltig, verwende Standardliste.`, 'warn');
+        }
+    })().catch(e => log(`[Zeitplan] Feiertage konnten nicht geladen werden: ${e.message}`, 'warn'));
+
+    on({ id: ZEITPLAN_CONFIG.feiertageId, change: 'ne', ack: false }, async obj => {
+        const liste = parseFeiertage(obj.state.val);
+        if (!liste) {
+            log(`[Zeitplan] Feiertage verworfen: erwartet JSON-Array aus 'YYYY-MM-DD' / 'MM-DD'.`, 'warn');
+            await setStateAsync(obj.id, JSON.stringify(zeitplanFeiertage), true);
+            return;
+        }
+        zeitplanFeiertage = liste;
+        await setStateAsync(obj.id, obj.state.val, true);
+        log(`[Zeitplan] Feiertage uebernommen (${liste.length} Eintraege).`, 'info');
+        roomControllers.forEach(controller => controller.pruefeZeitereignisse());
+    });
+
+    // Erwartete Ankunft fuer das Vorheizen (NEU in V9.2)
+    (async () => {
+        const id = VORHEIZEN_CONFIG.erwarteteAnkunftId;
+        if (!(await existsStateAsync(id))) {
+            await createStateAsync(id, 0, {
+                name: 'Erwartete Ankunft (Zeitstempel, 0 = unbekannt)',
+                type: 'number', role: 'date', read: true, write: true, def: 0,
+            });
+        }
+    })().catch(e => log(`[Vorheizen] Datenpunkt Erwartete_Ankunft konnte nicht angelegt werden: ${e.message}`, 'warn'));
+
+    // Laufzeit-Konfiguration (NEU in V9.9)
+    let aufbauTimer = [];
+
+    /**
+     * Stoppt alle laufenden Raum-Controller und erzeugt sie aus ROOMS_CONFIG neu
+     * (gestaffelt mit 500 ms Versatz wie beim Skript-Start).
+     */
+    function baueController() {
+        aufbauTimer.forEach(timer => clearTimeout(timer));
+        aufbauTimer = [];
+        roomControllers.splice(0).forEach(controller => controller.stoppe());
+        ROOMS_CONFIG.forEach((config, index) => {
+            aufbauTimer.push(setTimeout(() => {
+                roomControllers.push(createRoomController(config));
+            }, index * 500));
+        });
+    }
+
+    async function schreibeKonfigurationStatus(text) {
+        await setStateAsync(KONFIGURATION_CONFIG.status, text, true);
+    }
+
+    /**
+     * Loggt alle Schemafehler einzeln und fasst sie im Status-Datenpunkt zusammen.
+     * @param {string[]} fehler
+     * @param {string} aktiv - welche Konfiguration stattdessen gilt
+     */
+    async function meldeKonfigurationFehler(fehler, aktiv) {
+        fehler.forEach(text => log(`[Konfiguration] ${text}`, 'warn'));
+        log(`[Konfiguration] ${fehler.length} Fehler, verwende ${aktiv}.`, 'warn');
+        await schreibeKonfigurationStatus(`FEHLER (${fehler.length}): ${fehler.join('; ')} | aktiv: ${aktiv}`);
+    }
+
+    /**
+     * Laedt die Konfiguration beim Start: Datenpunkt, sonst letzte gueltige,
+     * sonst die Werte aus diesem Skript.
+     */
+    async function ladeKonfiguration() {
+        const skriptJson = JSON.stringify(SKRIPT_KONFIGURATION, null, 2);
+        const datenpunkte = [
+            {
+                id: KONFIGURATION_CONFIG.datenpunkt,
+                def: skriptJson,
+                common: { name: 'Raumsteuerung: Konfiguration (JSON mit GLOBAL_IDS, TRIGGER_SCHWELLEN, ROOMS_CONFIG, KOMFORT_PROFILE)', type: 'string', role: 'json', read: true, write: true },
+            },
+            {
+                id: KONFIGURATION_CONFIG.letzteGueltige,
+                def: skriptJson,
+                common: { name: 'Raumsteuerung: letzte gueltige Konfiguration', type: 'string', role: 'json', read: true, write: false },
+            },
+            {
+                id: KONFIGURATION_CONFIG.status,
+                def: '',
+                common: { name: 'Raumsteuerung: Pruefergebnis der Konfiguration', type: 'string', role: 'text', read: true, write: false },
+            },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, def: dp.def });
+            }
+        }
+
+        const ergebnis = pruefeKonfiguration((await getStateAsync(KONFIGURATION_CONFIG.datenpunkt))?.val);
+        if (ergebnis.konfiguration) {
+            uebernehmeKonfiguration(ergebnis.konfiguration);
+            await setStateAsync(KONFIGURATION_CONFIG.letzteGueltige, JSON.stringify(ergebnis.konfiguration, null, 2), true);
+            await schreibeKonfigurationStatus(`OK: ${ROOMS_CONFIG.length} Raeume aktiv`);
+            return;
+        }
+
+        const rueckfall = pruefeKonfiguration((await getStateAsync(KONFIGURATION_CONFIG.letzteGueltige))?.val);
+        if (rueckfall.konfiguration) {
+            uebernehmeKonfiguration(rueckfall.konfiguration);
+            await meldeKonfigurationFehler(ergebnis.fehler, 'letzte gueltige Konfiguration');
+        } else {
+            await meldeKonfigurationFehler(ergebnis.fehler, 'Konfiguration aus dem Skript');
+        }
+    }
+
+    on({ id: KONFIGURATION_CONFIG.datenpunkt, change: 'ne', ack: false }, async obj => {
+        const ergebnis = pruefeKonfiguration(obj.state.val);
+        if (!ergebnis.konfiguration) {
+            // Eingabe bleibt zur Korrektur stehen (ack=false), die Regelung laeuft weiter
+            await meldeKonfigurationFehler(ergebnis.fehler, 'bisherige Konfiguration');
+            return;
+        }
+        uebernehmeKonfiguration(ergebnis.konfiguration);
+        await setStateAsync(obj.id, obj.state.val, true);
+        await setStateAsync(KONFIGURATION_CONFIG.letzteGueltige, JSON.stringify(ergebnis.konfiguration, null, 2), true);
+        await schreibeKonfigurationStatus(`OK: ${ROOMS_CONFIG.length} Raeume aktiv (neu geladen)`);
+        log(`[Konfiguration] Neue Konfiguration uebernommen, baue ${ROOMS_CONFIG.length} Raum-Controller neu auf.`, 'info');
+        baueController();
     });
 
+    (async () => {
+        try {
+            await ladeKonfiguration();
+        } catch (e) {
+            log(`[Konfiguration] Laden fehlgeschlagen, verwende Konfiguration aus dem Skript: ${e.message}`, 'error');
+        }
+        baueController();
+    })();
+
     // =====================================================================================
     // 5. GEMEINSAMER SCHEDULE (alle 15 Minuten)
     // =====================================================================================
@@ -804,6 +3141,20 @@
         });
     });
 
+    // Zeitplan-Slotwechsel (NEU in V9.1) und Vorheizstart (NEU in V9.2):
+    // minuetliche Pruefung, Neuberechnung nur bei tatsaechlichem Ereignis.
+    // Heizkoerper-Diagnose (NEU in V9.7) laeuft im selben Takt.
+    schedule('* * * * *', () => {
+        roomControllers.forEach(controller => {
+            if (controller && typeof controller.pruefeZeitereignisse === 'function') {
+                controller.pruefeZeitereignisse();
+            }
+            if (controller && typeof controller.pruefeHeizkoerper === 'function') {
+                controller.pruefeHeizkoerper();
+            }
+        });
+    });
+
     if (DEBUG_LOG_AKTIV) {
         log(`[Raumsteuerung] Skript geladen — ${ROOMS_CONFIG.length} Raeume konfiguriert, Schedule '*/15 * * * *' registriert.`, 'info');
     }
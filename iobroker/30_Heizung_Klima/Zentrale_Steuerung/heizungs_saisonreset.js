@@ -3,76 +3,117 @@
    createStateAsync, existsState, existsStateAsync, getObjectAsync,
    getState, getStateAsync, log, on, onStop, require, schedule,
    sendTo, sendToAsync, setInterval, setObjectAsync, setState,
-   setStateAsync, setTimeout */
+   setStateAsync, setTimeout, HeizungSql */
 
 /**
  * @fileoverview Saisonaler Reset des Nutzungszaehlers (Paket 4)
- * @version 1.0 - Initialversion
+ * @version 1.2 - Strategien, Ausloeser Heizperiode, Vorschau und Rueckgaengig
  * @author Sanweb
  * @license MIT
  *
  * -------------------------------------------------------------------------------------
  * ZWECK DES SKRIPTS:
  * -------------------------------------------------------------------------------------
- * Setzt am 1. Oktober um 03:00 Uhr den Nutzungszaehler aller alten Kontexte
- * moderat zurueck (LEAST auf 20), damit neue Beobachtungen am Saisonbeginn
- * im zeitgewichteten Lernalgorithmus mehr Gewicht bekommen.
+ * Setzt zu Beginn der Heizperiode den Nutzungszaehler alter Kontexte
+ * moderat zurueck, damit neue Beobachtungen am Saisonbeginn im
+ * zeitgewichteten Lernalgorithmus mehr Gewicht bekommen.
  *
  * Der offset_erfolg-Wert selbst wird NICHT zurueckgesetzt. Er bleibt als
  * Startwert fuer die neue Saison erhalten. Alle 288 (und mehr) Datensaetze
  * bleiben vollstaendig als Erfahrungsbasis erhalten.
  *
- * Nur Kontexte die laenger als 6 Monate nicht genutzt wurden werden
- * zurueckgesetzt — damit bleiben frische Beobachtungen aus der Uebergangszeit
- * mit ihrem aktuellen Gewicht bestehen.
+ * NEU in V1.2:
+ * - Ausloeser: HeizperiodeAktiv wechselt auf true (heizperiode.js) statt
+ *   fest am 1. Oktober. Flattert die Heizperiode in der Uebergangszeit, laeuft
+ *   der Reset erst wieder nach AUSLOESER.mindestAbstandTage. Der Kalender
+ *   bleibt als AUSLOESER.art = 'kalender' fuer Systeme ohne heizperiode.js.
+ * - Strategien (STRATEGIEN, Auswahl ueber Datenpunkt Saisonreset.Strategie):
+ *     'deckeln'       n = MIN(n, zaehlerMax) fuer Kontexte aelter als
+ *                     mindestAlterMonate (Verhalten bis V1.1)
+ *     'proportional'  n = n * faktor fuer Kontexte aelter als mindestAlterMonate
+ *     'exponentiell'  n = n * 0.5 ^ (Alter / halbwertszeitTage), Alter aus
+ *                     letzte_nutzung - alte Kontexte verlieren mehr Gewicht
+ *   Der Zaehler sinkt nie unter 1 und steigt nie.
+ * - Vorschau (Trockenlauf): betroffene Kontexte mit Zaehler alt/neu als JSON
+ *   in Saisonreset.Vorschau_Ergebnis, ohne die Tabelle zu aendern.
+ *   Mit AUSLOESER.nurVorschau erstellt der automatische Ausloeser nur die
+ *   Vorschau, ausgefuehrt wird dann per Button Saisonreset.Ausfuehren.
+ * - Protokoll: jeder Lauf steht in heizungs_saisonreset_lauf, jeder geaenderte
+ *   Kontext mit Zaehler alt/neu in heizungs_saisonreset_protokoll.
+ *   Button Saisonreset.Rueckgaengig macht den letzten Lauf rueckgaengig: die
+ *   Differenz alt - neu wird wieder addiert, seitdem gelernte Beobachtungen
+ *   bleiben also erhalten. Die Zuordnung erfolgt ueber den Kontext, nicht ueber
+ *   die id (die nach einer Backfill-Uebernahme eine andere ist).
+ *   Rueckgaengig gilt nur fuer abgeschlossene Laeufe (Spalte abgeschlossen):
+ *   bricht das UPDATE ab, waeren sonst nie gesenkte Zaehler erhoeht worden.
+ *
+ * GEAENDERT in V1.2:
+ * - Das UPDATE setzt letzte_nutzung = letzte_nutzung. Bisher setzte
+ *   ON UPDATE CURRENT_TIMESTAMP bei jedem gekuerzten Kontext den Reset-Zeitpunkt
+ *   als letzte Nutzung.
+ *
+ * UEBERNOMMEN aus V1.1:
+ * - SQL-Zugriff ueber die gemeinsame SQL-Schicht (global/heizung_sql.js)
  *
  * Dieses Skript ist BEWUSST eigenstaendig (nicht im Lerner enthalten):
  *   - unabhaengige Ausfuehrung
- *   - manuelles Nachholen moeglich (Skript neu starten -> ausfuehren)
+ *   - manuelles Nachholen moeglich (Button Saisonreset.Ausfuehren)
  *   - keine Interferenz mit der 30-Minuten-Lern-Schleife
  *
  * DATENFLUSS:
- *   ioBroker-Schedule (01.10. 03:00)
- *     -> sendTo('sql.0', 'query', UPDATE heizungs_erfahrung ...)
+ *   HeizperiodeAktiv false -> true (bzw. Kalender, Button Ausfuehren)
+ *     -> HeizungSql (global/heizung_sql.js): SELECT heizungs_erfahrung
+ *     -> Strategie berechnet neue Zaehler
+ *     -> INSERT heizungs_saisonreset_lauf / heizungs_saisonreset_protokoll
+ *     -> UPDATE heizungs_erfahrung, danach Lauf als abgeschlossen markieren
  *     -> Status-Datenpunkte aktualisieren
+ *   Button Vorschau -> Vorschau_Ergebnis (JSON), keine Aenderung
+ *   Button Rueckgaengig -> UPDATE heizungs_erfahrung JOIN Protokoll des letzten Laufs
  * -------------------------------------------------------------------------------------
  */
 
 (function () {
     'use strict';
 
-    // HILFSTYPEN
-    /**
-     * @typedef {object} SqlUpdateResultRow
-     * @property {number} [affectedRows]
-     */
-    /**
-     * @typedef {object} SqlUpdateResult
-     * @property {SqlUpdateResultRow[]} result
-     * @property {number} [affectedRows]
-     */
-
     // -------------------------------------------------------------------------------------
     // 1. KONFIGURATION
     // -------------------------------------------------------------------------------------
 
     const SQL_INSTANCE = 'sql.0';
     const DB_NAME = 'iobroker_heizung';
+    const db = HeizungSql.erstelle({ instanz: SQL_INSTANCE, datenbank: DB_NAME });
 
-    // Cron: Minute 0, Stunde 3, Tag 1, Monat 10 (Oktober), jeder Wochentag
-    // -> 1. Oktober, 03:00 Uhr jedes Jahres
-    const SCHEDULE_RESET = '0 3 1 10 *';
+    // AUSLOESER (NEU in V1.2)
+    // 'heizperiode' = HeizperiodeAktiv wechselt auf true
+    // 'kalender'    = fest nach kalenderSchedule (Verhalten bis V1.1)
+    const AUSLOESER = {
+        art: 'heizperiode',
+        heizperiodeId: '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv',
+        // Cron: Minute 0, Stunde 3, Tag 1, Monat 10 (Oktober) -> 1. Oktober, 03:00 Uhr
+        kalenderSchedule: '0 3 1 10 *',
+        mindestAbstandTage: 60,
+        nurVorschau: false,
+    };
 
-    // Maximalwert auf den der Nutzungszaehler reduziert wird.
-    // Bei 20 Beobachtungen hat eine neue Beobachtung ca. 3-5% Gewicht
-    // (je nach Lernalgorithmus) — ausreichend um nicht zu dominieren,
-    // aber hoch genug damit neue Saisons schnell Einfluss gewinnen.
-    const RESET_ZAEHLER_MAX = 20;
+    // STRATEGIEN (NEU in V1.2)
+    const STRATEGIEN = {
+        // Bei 20 Beobachtungen hat eine neue Beobachtung ca. 3-5% Gewicht
+        // (je nach Lernalgorithmus) — ausreichend um nicht zu dominieren,
+        // aber hoch genug damit neue Saisons schnell Einfluss gewinnen.
+        // 6 Monate = Kontexte aus der letzten Heizperiode, die in der
+        // Uebergangszeit nicht wieder aktiviert wurden.
+        deckeln: { zaehlerMax: 20, mindestAlterMonate: 6 },
+        proportional: { faktor: 0.5, mindestAlterMonate: 6 },
+        // Nach einer Halbwertszeit zaehlt ein Kontext halb so viel, nach
+        // zwei Saisons ohne Nutzung (~730 Tage) noch ca. 6%.
+        exponentiell: { halbwertszeitTage: 180 },
+    };
+    const STRATEGIE_STANDARD = 'deckeln';
 
-    // Nur Kontexte zuruecksetzen die laenger als X Monate nicht genutzt wurden.
-    // 6 Monate = Kontexte aus der letzten Heizperiode, die in der Uebergangszeit
-    // nicht wieder aktiviert wurden.
-    const RESET_MINDEST_ALTER_MONATE = 6;
+    const VORSCHAU = {
+        maxZeilen: 25,      // groesste Aenderungen im Vorschau-JSON
+    };
+    const BLOCK_GROESSE = 100;
 
     // Status-Datenpunkte
     const DATENPUNKTE_STATUS = {
@@ -80,12 +121,66 @@
         letzterResetAffectedRows: '0_userdata.0.Heizung.Lernsystem.Saisonreset_Betroffene_Zeilen',
     };
 
+    // Bedienung (NEU in V1.2)
+    const PFAD = '0_userdata.0.Heizung.Lernsystem.Saisonreset';
+    const IDS = {
+        strategie: `${PFAD}.Strategie`,
+        vorschau: `${PFAD}.Vorschau`,
+        vorschauErgebnis: `${PFAD}.Vorschau_Ergebnis`,
+        ausfuehren: `${PFAD}.Ausfuehren`,
+        rueckgaengig: `${PFAD}.Rueckgaengig`,
+        status: `${PFAD}.Status`,
+    };
+
     const DEBUG_LOG_AKTIV = true;
 
     // -------------------------------------------------------------------------------------
     // 2. HILFSFUNKTIONEN
     // -------------------------------------------------------------------------------------
 
+    // Schema-Migrationen (NEU in V1.2). Neue Tabellen/Spalten nur als neue Version anhaengen.
+    const DB_OPTIONEN = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+    const MIGRATIONEN = [
+        {
+            version: 1,
+            beschreibung: 'Protokoll der Saisonresets',
+            sql: [
+                `CREATE TABLE IF NOT EXISTS ${db.tabelle('heizungs_saisonreset_lauf')} (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    zeitpunkt DATETIME NOT NULL,
+                    ausloeser VARCHAR(20) NOT NULL,
+                    strategie VARCHAR(20) NOT NULL,
+                    parameter TEXT NOT NULL,
+                    zeilen INT NOT NULL,
+                    abgeschlossen DATETIME NULL,
+                    rueckgaengig DATETIME NULL
+                ) ${DB_OPTIONEN};`,
+                `CREATE TABLE IF NOT EXISTS ${db.tabelle('heizungs_saisonreset_protokoll')} (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    lauf_id INT NOT NULL,
+                    raum VARCHAR(50) NOT NULL,
+                    temp_bereich VARCHAR(20) NOT NULL,
+                    solar_level VARCHAR(20) NOT NULL,
+                    wind_level VARCHAR(20) NOT NULL,
+                    tageszeit VARCHAR(20) NOT NULL,
+                    zaehler_alt INT NOT NULL,
+                    zaehler_neu INT NOT NULL,
+                    letzte_nutzung DATETIME NULL,
+                    INDEX lauf_index (lauf_id)
+                ) ${DB_OPTIONEN};`,
+            ],
+        },
+    ];
+
+    async function initialisiereDatenbank() {
+        try {
+            const version = await db.migriere('heizungs_saisonreset', MIGRATIONEN);
+            log(`[Init] SQL-Schema heizungs_saisonreset auf Version ${version}.`, 'info');
+        } catch (e) {
+            log(`[Fehler] Datenbank-Schema konnte nicht migriert werden: ${e.message || e}`, 'error');
+        }
+    }
+
     async function initialisiereStatusDatenpunkte() {
         if (!(await existsStateAsync(DATENPUNKTE_STATUS.letzterReset))) {
             await createStateAsync(DATENPUNKTE_STATUS.letzterReset, 0, {
@@ -110,80 +205,290 @@
             });
             log(`[Init] Datenpunkt ${DATENPUNKTE_STATUS.letzterResetAffectedRows} erstellt.`, 'info');
         }
+
+        const strategieStates = Object.fromEntries(Object.keys(STRATEGIEN).map((name) => [name, name]));
+        const datenpunkte = [
+            { id: IDS.strategie, def: STRATEGIE_STANDARD, common: { name: 'Saisonreset: Strategie', type: 'string', role: 'text', write: true, states: strategieStates } },
+            { id: IDS.vorschau, def: false, common: { name: 'Saisonreset: Vorschau erstellen (keine Aenderung)', type: 'boolean', role: 'button', write: true } },
+            { id: IDS.vorschauErgebnis, def: '{}', common: { name: 'Saisonreset: betroffene Kontexte der letzten Vorschau', type: 'string', role: 'json', write: false } },
+            { id: IDS.ausfuehren, def: false, common: { name: 'Saisonreset: jetzt ausfuehren', type: 'boolean', role: 'button', write: true } },
+            { id: IDS.rueckgaengig, def: false, common: { name: 'Saisonreset: letzten Lauf rueckgaengig machen', type: 'boolean', role: 'button', write: true } },
+            { id: IDS.status, def: 'bereit', common: { name: 'Saisonreset: Status', type: 'string', role: 'text', write: false } },
+        ];
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    async function setzeStatus(text) {
+        try {
+            await setStateAsync(IDS.status, text, true);
+        } catch (e) {
+            log(`[Saisonreset] Status nicht schreibbar: ${e.message || e}`, 'warn');
+        }
+    }
+
+    /**
+     * TIMESTAMP-Spalte (je nach Adapter Date oder String) -> Millisekunden, sonst null.
+     * @returns {number|null}
+     */
+    function zeitstempel(wert) {
+        if (wert === null || typeof wert === 'undefined' || wert === '') return null;
+        const ts = wert instanceof Date ? wert.getTime() : new Date(wert).getTime();
+        return Number.isFinite(ts) ? ts : null;
+    }
+
+    function monateZurueck(ts, monate) {
+        const d = new Date(ts);
+        d.setMonth(d.getMonth() - monate);
+        return d.getTime();
+    }
+
+    function kontextSchluessel(z) {
+        return `${z.raum}|${z.temp_bereich}/${z.solar_level}/${z.wind_level}/${z.tageszeit}`;
+    }
+
+    /**
+     * Strategie aus dem Datenpunkt, null bei unbekanntem Namen.
+     * @returns {Promise<string|null>}
+     */
+    async function leseStrategie() {
+        const name = String((await getStateAsync(IDS.strategie))?.val || STRATEGIE_STANDARD);
+        if (!Object.prototype.hasOwnProperty.call(STRATEGIEN, name)) {
+            log(`[Saisonreset] Unbekannte Strategie '${name}', erwartet ${Object.keys(STRATEGIEN).join(', ')}.`, 'warn');
+            await setzeStatus(`Fehler: Strategie '${name}' unbekannt`);
+            return null;
+        }
+        return name;
     }
 
     // -------------------------------------------------------------------------------------
-    // 3. KERNLOGIK: RESET
+    // 3. STRATEGIEN (NEU in V1.2)
     // -------------------------------------------------------------------------------------
 
     /**
-     * Fuehrt den saisonalen Reset durch.
-     * @returns {Promise<number>} Anzahl der betroffenen Zeilen, -1 bei Fehler.
+     * Neuer Nutzungszaehler eines Kontexts nach der Strategie.
+     * @returns {number} neuer Zaehler (>= 1, nie groesser als der alte)
      */
-    async function fuehreSaisonresetAus() {
-        log('[Saisonreset] ===== START Saisonreset =====', 'info');
-        log(`[Saisonreset] Setze Nutzungszaehler > ${RESET_ZAEHLER_MAX} auf ${RESET_ZAEHLER_MAX} fuer alle Kontexte aelter als ${RESET_MINDEST_ALTER_MONATE} Monate.`, 'info');
+    function neuerZaehler(strategie, zaehler, letzteNutzung, jetzt) {
+        const p = STRATEGIEN[strategie];
+        let neu = zaehler;
+        if (strategie === 'deckeln') {
+            if (letzteNutzung < monateZurueck(jetzt, p.mindestAlterMonate)) neu = Math.min(zaehler, p.zaehlerMax);
+        } else if (strategie === 'proportional') {
+            if (letzteNutzung < monateZurueck(jetzt, p.mindestAlterMonate)) neu = Math.round(zaehler * p.faktor);
+        } else if (strategie === 'exponentiell') {
+            const alterTage = Math.max(0, (jetzt - letzteNutzung) / (24 * 3600 * 1000));
+            neu = Math.round(zaehler * Math.pow(0.5, alterTage / p.halbwertszeitTage));
+        }
+        return Math.min(zaehler, Math.max(1, neu));
+    }
+
+    /**
+     * Liest alle Kontexte und berechnet, welche die Strategie aendert.
+     * Kontexte ohne letzte_nutzung bleiben unveraendert.
+     */
+    async function ermittleAenderungen(strategie) {
+        const jetzt = new Date().getTime();
+        const zeilen = await db.abfrage(`
+            SELECT id, raum, temp_bereich, solar_level, wind_level, tageszeit, nutzungs_zaehler, letzte_nutzung
+            FROM ${db.tabelle('heizungs_erfahrung')};
+        `);
+        const aenderungen = [];
+        for (const z of zeilen) {
+            const letzteNutzung = zeitstempel(z.letzte_nutzung);
+            if (letzteNutzung === null) continue;
+            const neu = neuerZaehler(strategie, z.nutzungs_zaehler, letzteNutzung, jetzt);
+            if (neu < z.nutzungs_zaehler) {
+                aenderungen.push({ ...z, letzte_nutzung: letzteNutzung, zaehler_alt: z.nutzungs_zaehler, zaehler_neu: neu });
+            }
+        }
+        return { kontexte: zeilen.length, aenderungen };
+    }
 
-        // Schritt 1: Vorher-Zaehlung fuer Log-Transparenz
-        const countQuery = `
-            SELECT COUNT(*) AS anzahl
-            FROM ${DB_NAME}.heizungs_erfahrung
-            WHERE letzte_nutzung < DATE_SUB(NOW(), INTERVAL ${RESET_MINDEST_ALTER_MONATE} MONTH)
-              AND nutzungs_zaehler > ${RESET_ZAEHLER_MAX};
-        `;
+    // -------------------------------------------------------------------------------------
+    // 4. VORSCHAU (TROCKENLAUF)
+    // -------------------------------------------------------------------------------------
 
+    async function erstelleVorschau() {
+        const strategie = await leseStrategie();
+        if (!strategie) return;
         try {
-            /** @type {any} */
-            const countResult = await sendToAsync(SQL_INSTANCE, 'query', countQuery);
-            if (countResult && countResult.result && countResult.result.length > 0) {
-                const anzahl = countResult.result[0].anzahl;
-                log(`[Saisonreset] ${anzahl} Kontexte werden zurueckgesetzt.`, 'info');
-            }
+            const { kontexte, aenderungen } = await ermittleAenderungen(strategie);
+            const raeume = {};
+            for (const a of aenderungen) raeume[a.raum] = (raeume[a.raum] || 0) + 1;
+            const vorschau = {
+                erstellt: new Date().getTime(),
+                strategie,
+                parameter: STRATEGIEN[strategie],
+                kontexte,
+                betroffen: aenderungen.length,
+                zaehler_summe_alt: aenderungen.reduce((s, a) => s + a.zaehler_alt, 0),
+                zaehler_summe_neu: aenderungen.reduce((s, a) => s + a.zaehler_neu, 0),
+                raeume,
+                groesste_aenderungen: aenderungen
+                    .slice()
+                    .sort((a, b) => (b.zaehler_alt - b.zaehler_neu) - (a.zaehler_alt - a.zaehler_neu))
+                    .slice(0, VORSCHAU.maxZeilen)
+                    .map((a) => ({ kontext: kontextSchluessel(a), letzte_nutzung: a.letzte_nutzung, alt: a.zaehler_alt, neu: a.zaehler_neu })),
+            };
+            await setStateAsync(IDS.vorschauErgebnis, JSON.stringify(vorschau), true);
+            await setzeStatus(`Vorschau '${strategie}': ${aenderungen.length} von ${kontexte} Kontexten betroffen`);
+            log(`[Saisonreset] Vorschau '${strategie}': ${aenderungen.length} von ${kontexte} Kontexten betroffen (Zaehler ${vorschau.zaehler_summe_alt} -> ${vorschau.zaehler_summe_neu}).`, 'info');
         } catch (e) {
-            log(`[Saisonreset] Vorher-Zaehlung fehlgeschlagen (nicht kritisch): ${e.message || e}`, 'warn');
+            log(`[Saisonreset] Vorschau fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeStatus(`Fehler bei Vorschau: ${e.message || e}`);
         }
+    }
 
-        // Schritt 2: Eigentliches UPDATE
-        const updateQuery = `
-            UPDATE ${DB_NAME}.heizungs_erfahrung
-            SET nutzungs_zaehler = LEAST(nutzungs_zaehler, ${RESET_ZAEHLER_MAX})
-            WHERE letzte_nutzung < DATE_SUB(NOW(), INTERVAL ${RESET_MINDEST_ALTER_MONATE} MONTH);
-        `;
+    // -------------------------------------------------------------------------------------
+    // 5. KERNLOGIK: RESET & RUECKGAENGIG
+    // -------------------------------------------------------------------------------------
 
+    /**
+     * Fuehrt den saisonalen Reset durch und protokolliert jeden geaenderten Kontext.
+     * @param {string} strategie
+     * @param {string} ausloeser 'heizperiode', 'kalender' oder 'manuell'
+     * @returns {Promise<number>} Anzahl der betroffenen Zeilen, -1 bei Fehler.
+     */
+    async function fuehreSaisonresetAus(strategie, ausloeser) {
+        log('[Saisonreset] ===== START Saisonreset =====', 'info');
+        log(`[Saisonreset] Strategie '${strategie}' ${JSON.stringify(STRATEGIEN[strategie])}, Ausloeser '${ausloeser}'.`, 'info');
+
+        let laufId = null;
         try {
-            if (DEBUG_LOG_AKTIV) {
-                log(`[Saisonreset] Sende SQL: ${updateQuery.replace(/\s\s+/g, ' ')}`, 'info');
+            const { kontexte, aenderungen } = await ermittleAenderungen(strategie);
+            log(`[Saisonreset] ${aenderungen.length} von ${kontexte} Kontexten werden zurueckgesetzt.`, 'info');
+
+            // Protokoll zuerst: ein Lauf ohne Protokoll liesse sich nicht rueckgaengig machen
+            ({ einfuegeId: laufId } = await db.ausfuehren(`
+                INSERT INTO ${db.tabelle('heizungs_saisonreset_lauf')} (zeitpunkt, ausloeser, strategie, parameter, zeilen)
+                VALUES (?, ?, ?, ?, ?);
+            `, [new Date(), ausloeser, strategie, JSON.stringify(STRATEGIEN[strategie]), aenderungen.length], { wiederholen: false }));
+            if (laufId === null) throw new Error('Lauf-ID fehlt in der Antwort des SQL-Adapters');
+
+            for (let i = 0; i < aenderungen.length; i += BLOCK_GROESSE) {
+                const block = aenderungen.slice(i, i + BLOCK_GROESSE);
+                await db.ausfuehren(`
+                    INSERT INTO ${db.tabelle('heizungs_saisonreset_protokoll')}
+                        (lauf_id, raum, temp_bereich, solar_level, wind_level, tageszeit, zaehler_alt, zaehler_neu, letzte_nutzung)
+                    VALUES ${block.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')};
+                `, block.flatMap((a) => [
+                    laufId, a.raum, a.temp_bereich, a.solar_level, a.wind_level, a.tageszeit,
+                    a.zaehler_alt, a.zaehler_neu, new Date(a.letzte_nutzung),
+                ]), { wiederholen: false });
             }
-            /** @type {any} */
-            const result = await sendToAsync(SQL_INSTANCE, 'query', updateQuery);
-            log(`[Saisonreset] SQL-Antwort: ${JSON.stringify(result)}`, 'info');
 
-            // affectedRows kann je nach SQL-Adapter-Version an unterschiedlicher Stelle liegen
+            // Ein UPDATE je neuem Zaehlerwert. Feste Werte -> idempotent, Wiederholung unkritisch.
+            const jeWert = new Map();
+            for (const a of aenderungen) {
+                if (!jeWert.has(a.zaehler_neu)) jeWert.set(a.zaehler_neu, []);
+                jeWert.get(a.zaehler_neu).push(a.id);
+            }
             let affectedRows = 0;
-            if (result && typeof result.affectedRows === 'number') {
-                affectedRows = result.affectedRows;
-            } else if (result && result.result && typeof result.result.affectedRows === 'number') {
-                affectedRows = result.result.affectedRows;
+            for (const [zaehler, ids] of jeWert) {
+                for (let i = 0; i < ids.length; i += BLOCK_GROESSE) {
+                    const updateQuery = `
+                        UPDATE ${db.tabelle('heizungs_erfahrung')}
+                        SET nutzungs_zaehler = ?, letzte_nutzung = letzte_nutzung
+                        WHERE id IN (?);
+                    `;
+                    const updateParams = [zaehler, ids.slice(i, i + BLOCK_GROESSE)];
+                    if (DEBUG_LOG_AKTIV) {
+                        log(`[Saisonreset] Sende SQL: ${db.binde(updateQuery, updateParams).replace(/\s\s+/g, ' ')}`, 'info');
+                    }
+                    affectedRows += (await db.ausfuehren(updateQuery, updateParams)).betroffen;
+                }
             }
+            // Erst jetzt darf der Lauf rueckgaengig gemacht werden
+            await db.ausfuehren(`
+                UPDATE ${db.tabelle('heizungs_saisonreset_lauf')} SET abgeschlossen = ? WHERE id = ?;
+            `, [new Date(), laufId]);
 
-            log(`[Saisonreset] Erfolgreich — ${affectedRows} Zeilen angepasst.`, 'info');
+            log(`[Saisonreset] Erfolgreich — ${affectedRows} Zeilen angepasst (Lauf ${laufId}).`, 'info');
+            await setzeStatus(`Lauf ${laufId} '${strategie}': ${affectedRows} Kontexte angepasst`);
             return affectedRows;
         } catch (e) {
-            log(`[Saisonreset] FEHLER beim UPDATE: ${e.message || e}`, 'error');
+            log(`[Saisonreset] FEHLER beim Reset: ${e.message || e}`, 'error');
+            if (laufId !== null) {
+                log(`[Saisonreset] Lauf ${laufId} nicht abgeschlossen, Zaehler evtl. teilweise gesenkt (siehe Protokoll). Rueckgaengig ist fuer diesen Lauf gesperrt.`, 'warn');
+            }
+            await setzeStatus(`Fehler beim Reset: ${e.message || e}`);
             return -1;
         }
     }
 
+    /**
+     * Macht den letzten abgeschlossenen, noch nicht zurueckgenommenen Lauf rueckgaengig.
+     * Addiert die protokollierte Differenz je Kontext, damit seit dem Reset
+     * gelernte Beobachtungen (nutzungs_zaehler + 1) erhalten bleiben.
+     */
+    async function macheRueckgaengig() {
+        try {
+            const laeufe = await db.abfrage(`
+                SELECT id, strategie, zeilen
+                FROM ${db.tabelle('heizungs_saisonreset_lauf')}
+                WHERE abgeschlossen IS NOT NULL AND rueckgaengig IS NULL
+                ORDER BY id DESC
+                LIMIT 1;
+            `);
+            if (laeufe.length === 0) {
+                log('[Saisonreset] Kein Lauf vorhanden, der rueckgaengig gemacht werden kann.', 'warn');
+                await setzeStatus('Fehler: kein Lauf zum Rueckgaengigmachen');
+                return;
+            }
+            const lauf = laeufe[0];
+            const { betroffen } = await db.ausfuehren(`
+                UPDATE ${db.tabelle('heizungs_erfahrung')} e
+                JOIN ${db.tabelle('heizungs_saisonreset_protokoll')} p
+                  ON p.raum = e.raum AND p.temp_bereich = e.temp_bereich AND p.solar_level = e.solar_level
+                 AND p.wind_level = e.wind_level AND p.tageszeit = e.tageszeit
+                SET e.nutzungs_zaehler = e.nutzungs_zaehler + (p.zaehler_alt - p.zaehler_neu),
+                    e.letzte_nutzung = e.letzte_nutzung
+                WHERE p.lauf_id = ?;
+            `, [lauf.id], { wiederholen: false });
+            await db.ausfuehren(`
+                UPDATE ${db.tabelle('heizungs_saisonreset_lauf')} SET rueckgaengig = ? WHERE id = ?;
+            `, [new Date(), lauf.id]);
+
+            log(`[Saisonreset] Lauf ${lauf.id} ('${lauf.strategie}') rueckgaengig gemacht: ${betroffen} von ${lauf.zeilen} Kontexten wiederhergestellt.`, 'info');
+            await setzeStatus(`Lauf ${lauf.id} rueckgaengig gemacht (${betroffen} Kontexte)`);
+        } catch (e) {
+            log(`[Saisonreset] Rueckgaengig fehlgeschlagen: ${e.message || e}`, 'error');
+            await setzeStatus(`Fehler bei Rueckgaengig: ${e.message || e}`);
+        }
+    }
+
     /**
      * Haupt-Runner: fuehrt Reset durch und aktualisiert Status-Datenpunkte.
+     * @param {string} ausloeser 'heizperiode', 'kalender' oder 'manuell'
      */
-    async function main() {
+    async function main(ausloeser) {
         const jetzt = new Date().getTime();
 
-        const affectedRows = await fuehreSaisonresetAus();
+        if (ausloeser !== 'manuell') {
+            const letzter = Number((await getStateAsync(DATENPUNKTE_STATUS.letzterReset))?.val) || 0;
+            if (jetzt - letzter < AUSLOESER.mindestAbstandTage * 24 * 3600 * 1000) {
+                log(`[Saisonreset] Letzter Reset am ${new Date(letzter).toLocaleDateString('de-DE')}, weniger als ${AUSLOESER.mindestAbstandTage} Tage her - uebersprungen.`, 'info');
+                return;
+            }
+            if (AUSLOESER.nurVorschau) {
+                log('[Saisonreset] nurVorschau aktiv: erstelle Vorschau, Ausfuehrung per Button Ausfuehren.', 'info');
+                await erstelleVorschau();
+                return;
+            }
+        }
+
+        const strategie = await leseStrategie();
+        if (!strategie) return;
+
+        const affectedRows = await fuehreSaisonresetAus(strategie, ausloeser);
 
         try {
-            await setStateAsync(DATENPUNKTE_STATUS.letzterReset, jetzt, true);
+            if (affectedRows >= 0) await setStateAsync(DATENPUNKTE_STATUS.letzterReset, jetzt, true);
             await setStateAsync(DATENPUNKTE_STATUS.letzterResetAffectedRows, affectedRows, true);
         } catch (e) {
             log(`[Saisonreset] Status-Datenpunkt-Update fehlgeschlagen: ${e.message || e}`, 'warn');
@@ -197,16 +502,58 @@
     }
 
     // -------------------------------------------------------------------------------------
-    // 4. SKRIPT-START
+    // 6. SKRIPT-START
     // -------------------------------------------------------------------------------------
 
+    // Reset, Vorschau und Rueckgaengig nie gleichzeitig
+    let laeuft = false;
+
+    async function exklusiv(name, fn) {
+        if (laeuft) {
+            log(`[Saisonreset] ${name} abgelehnt, es laeuft bereits eine Aktion.`, 'warn');
+            return;
+        }
+        laeuft = true;
+        try {
+            await fn();
+        } finally {
+            laeuft = false;
+        }
+    }
+
     (async () => {
+        await initialisiereDatenbank();
         await initialisiereStatusDatenpunkte();
-        log(`[Skript] Heizungs-Saisonreset V1.0 gestartet. Naechster Lauf: ${SCHEDULE_RESET} (01. Okt 03:00).`, 'info');
-        schedule(SCHEDULE_RESET, main);
-        // Kein setTimeout-Start — das Reset darf nur einmal jaehrlich laufen.
-        // Manuelle Ausfuehrung: Skript stoppen, setTimeout(main, 5000) temporaer einfuegen,
-        // speichern, starten, danach wieder entfernen.
+
+        if (AUSLOESER.art === 'kalender') {
+            log(`[Skript] Heizungs-Saisonreset V1.2 gestartet. Naechster Lauf: ${AUSLOESER.kalenderSchedule}.`, 'info');
+            schedule(AUSLOESER.kalenderSchedule, () => exklusiv('Reset', () => main('kalender')));
+        } else {
+            log(`[Skript] Heizungs-Saisonreset V1.2 gestartet. Naechster Lauf: Beginn der Heizperiode (${AUSLOESER.heizperiodeId}).`, 'info');
+            on({ id: AUSLOESER.heizperiodeId, change: 'ne' }, async (obj) => {
+                if (obj.state.val !== true || obj.oldState?.val === true) return;
+                log('[Saisonreset] Heizperiode beginnt.', 'info');
+                await exklusiv('Reset', () => main('heizperiode'));
+            });
+        }
+        // Kein Start beim Skriptstart — der Reset darf nur einmal je Saison laufen.
+        // Manuelle Ausfuehrung: Button Saisonreset.Ausfuehren (vorher Vorschau pruefen).
+
+        on({ id: IDS.vorschau, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.vorschau, false, true);
+            await exklusiv('Vorschau', erstelleVorschau);
+        });
+        on({ id: IDS.ausfuehren, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.ausfuehren, false, true);
+            await exklusiv('Reset', () => main('manuell'));
+        });
+        on({ id: IDS.rueckgaengig, change: 'any', ack: false }, async (obj) => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.rueckgaengig, false, true);
+            await exklusiv('Rueckgaengig', macheRueckgaengig);
+        });
     })();
 
 })();
@@ -0,0 +1,607 @@
+// @ts-check
+/* global clearInterval, clearSchedule, clearTimeout, createState,
+   createStateAsync, existsState, existsStateAsync, getObjectAsync,
+   getState, getStateAsync, log, on, onStop, require, schedule,
+   sendTo, sendToAsync, setInterval, setObjectAsync, setState,
+   setStateAsync, setTimeout, HeizungWaermemodell */
+
+/**
+ * @fileoverview Vorausschauender Sollwert-Planer (Wettervorhersage + RC-Modell)
+ * @version 1.1 - Abgestimmte Planung ueber alle Raeume (Brennerlaufzeit)
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * wetter_analyse.js und die Raumsteuerung reagieren nur auf das aktuelle Wetter
+ * der Wetterstation. Dieses Skript plant je Raum die Sollwerte der naechsten
+ * 24 Stunden im Voraus (modellpraediktiv):
+ *
+ *   - Wettervorhersage stuendlich (Aussentemperatur, Globalstrahlung, Wind)
+ *     aus einem beliebigen Adapter ODER aus einem lokalen JSON-Datenpunkt
+ *   - Raumverhalten aus dem RC-Modell von waermemodell_lerner.js
+ *     (HeizungWaermemodell, global/heizung_waermemodell.js)
+ *   - Komfortgrenzen je Raster aus Zeitplan.{raum} (Slot-Sollwert) bzw.
+ *     sollTempAnwesend ausserhalb der Slots, so wie die Raumsteuerung sie
+ *     bei Anwesenheit verwendet
+ *
+ * Ziel ist die geringste Brennerlaufzeit bei eingehaltener Untergrenze. Zuerst
+ * wird je Raum die geringste Ventil-Laufzeit (Waermebedarf) geplant:
+ *   1. Rueckwaerts: je Raster die Temperatur, die mindestens anliegen muss,
+ *      damit alle spaeteren Komfortgrenzen mit voll offenem Ventil noch
+ *      erreichbar sind (Aufheizleistung mit Sicherheitsfaktor).
+ *   2. Vorwaerts: ab der aktuellen Raumtemperatur nur so viel Ventil, wie
+ *      diese Mindesttemperatur verlangt.
+ * Da die Verluste mit der Raumtemperatur steigen, ist der niedrigste zulaessige
+ * Verlauf auch der sparsamste: geheizt wird so spaet wie moeglich, Sonne und
+ * milde Stunden der Vorhersage ersetzen Heizzeit. Die Obergrenze
+ * (Komfort + maxUeberhoehung) deckelt die Sollwerte beim Vorheizen.
+ *
+ * NEU in V1.1 (Abstimmung ueber alle Raeume):
+ * Der Brenner laeuft, sobald irgendein Raum heizt. Die Einzelplaene sparen
+ * Ventilstunden, legen die Heizzeiten der Raeume aber unabhaengig voneinander
+ * und damit oft hintereinander. Ein zweiter Vorwaerts-Durchlauf rechnet alle
+ * Raeume im Gleichschritt: laeuft der Brenner in einem Raster wegen eines
+ * anderen Raums ohnehin und muss ein Raum laut Einzelplan in den naechsten
+ * PLANUNG.abstimmung.vorziehenStunden selbst heizen, heizt er schon jetzt bis
+ * zu seiner Obergrenze vor (sein Spielraum). Waermere Raeume brauchen spaeter
+ * nie mehr Ventil, der abgestimmte Plan hat daher nie mehr Brenner-Raster als
+ * die Einzelplaene. Er wird nur verwendet, wenn er Brennerlaufzeit spart; die
+ * Ventilstunden steigen dabei leicht (hoehere Verluste beim Vorheizen).
+ *
+ * Wind fehlt im RC-Modell; die Vorhersage erhoeht stattdessen den
+ * Verlustkoeffizienten a um bis zu WIND.verlustZuschlag. Die Strahlung wird wie
+ * in wetter_analyse.js normiert und mit SOLAR.anteilFenster abgeschwaecht, da
+ * die Vorhersage keine Fensterausrichtung kennt.
+ *
+ * Veroeffentlicht unter 0_userdata.0.Heizung.Plan:
+ *   {raum}.Plan                 JSON mit allen Rastern (beginn, soll, komfortMin,
+ *                               temp, ventil), Grundlage fuer die Raumsteuerung
+ *   {raum}.Aktueller_Sollwert   Plan-Sollwert des laufenden Rasters
+ *   {raum}.Ventilstunden        geplante Summe Ventil * Zeit (24 h)
+ *   Brennerlaufzeit             Stunden, in denen mindestens ein Raum heizt
+ *   Brennerlaufzeit_Ohne_Abstimmung  dasselbe fuer die Einzelplaene (NEU in V1.1)
+ *   Vorhersage_Quelle / Status / Letzter_Lauf / Neu_Berechnen (Button)
+ *
+ * Die Raumsteuerung (ab V9.13) folgt dem Plan je Raum, wenn dort
+ * plan.aktiviert gesetzt ist.
+ *
+ * DATENFLUSS:
+ *   Wetter-Adapter (stuendlich) bzw. 0_userdata.0.Heizung.Wettervorhersage.Stuendlich
+ *   + 0_userdata.0.Heizung.Waermemodell.{raum}.Modell
+ *   + 0_userdata.0.Heizung.Zeitplan.{raum}.* / sollTempAnwesend
+ *     -> Sollwert-Planer (alle 15 Minuten, bei neuer Vorhersage, per Button)
+ *     -> 0_userdata.0.Heizung.Plan.{raum}.*
+ *     -> Raumsteuerung (raum_steuerung_generisch.js, plan.aktiviert)
+ * -------------------------------------------------------------------------------------
+ */
+
+(function () {
+    'use strict';
+
+    // -------------------------------------------------------------------------------------
+    // 1. KONFIGURATION
+    // -------------------------------------------------------------------------------------
+
+    const SCHEDULE = '3,18,33,48 * * * *';   // kurz vor den 15-Minuten-Laeufen der Raumsteuerung
+    const DEBUG_LOG_AKTIV = false;
+
+    const BASIS_PFAD = '0_userdata.0.Heizung.Plan';
+
+    const PLANUNG = {
+        horizontStunden: 24,
+        rasterMinuten: 15,
+        sicherheitsFaktor: 1.2,    // Aufheizleistung fuer die Rueckwaertsrechnung / 1.2 (wie Vorheizen V9.2)
+        ventilSchwelle: 0.05,      // ab diesem Ventil gilt ein Raum als heizend (Brennerlaufzeit)
+        // Abstimmung ueber alle Raeume (NEU in V1.1)
+        abstimmung: {
+            aktiviert: true,
+            vorziehenStunden: 2,   // Heizbedarf des Einzelplans hoechstens so weit vorziehen
+        },
+    };
+
+    const KOMFORT = {
+        sollTempAnwesend: '0_userdata.0.Heizung.sollTempAnwesend',
+        sollTempAnwesendStandard: 21.0,
+        zeitplanPfad: '0_userdata.0.Heizung.Zeitplan',
+        feiertageId: '0_userdata.0.Heizung.Zeitplan.Feiertage',
+        maxUeberhoehung: 2.0,      // Plan-Sollwert hoechstens so weit ueber der Komfortgrenze
+        minSoll: 4.5,
+        maxSoll: 30.0,
+    };
+
+    // Vorhersage: Adapter-Datenpunkte (Platzhalter {h} = Stunde ab jetzt) haben
+    // Vorrang; sonst der lokale JSON-Datenpunkt, z.B. per Blockly/Skript aus einer
+    // Wetter-API befuellt oder zum Testen von Hand:
+    //   [{ "zeit": "2026-01-14T05:00:00", "aussenTemp": -2.5, "solar": 0, "wind": 12 }, ...]
+    //   zeit: ISO-Text oder ms, solar: Globalstrahlung W/m², wind: km/h
+    const VORHERSAGE = {
+        adapter: {
+            aktiviert: false,
+            stunden: 24,
+            // Beispiel-IDs, an den verwendeten Wetter-Adapter anpassen
+            zeit: 'wetter.0.stuendlich.{h}.zeit',           // optional, leer = volle Stunde + h
+            aussenTemp: 'wetter.0.stuendlich.{h}.temperatur',
+            solar: 'wetter.0.stuendlich.{h}.globalstrahlung',
+            wind: 'wetter.0.stuendlich.{h}.windgeschwindigkeit',
+        },
+        jsonId: '0_userdata.0.Heizung.Wettervorhersage.Stuendlich',
+        minStunden: 6,             // kuerzere Vorhersagen werden verworfen
+        aussenTempAktuell: 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE', // Rueckfall ohne Vorhersage
+    };
+
+    // Normierung wie wetter_analyse.js (schwellwerte)
+    const SOLAR = { minStrahlung: 50, maxStrahlung: 1000, anteilFenster: 0.6 };
+    const WIND = { minGeschwindigkeit: 5, maxGeschwindigkeit: 65, verlustZuschlag: 0.3 };
+
+    const RAEUME = ['Wohnzimmer', 'Schlafzimmer', 'Badezimmer', 'Kueche', 'Esszimmer'];
+
+    const IDS = {
+        brennerlaufzeit: `${BASIS_PFAD}.Brennerlaufzeit`,
+        brennerlaufzeitEinzeln: `${BASIS_PFAD}.Brennerlaufzeit_Ohne_Abstimmung`,
+        quelle: `${BASIS_PFAD}.Vorhersage_Quelle`,
+        status: `${BASIS_PFAD}.Status`,
+        letzterLauf: `${BASIS_PFAD}.Letzter_Lauf`,
+        neuBerechnen: `${BASIS_PFAD}.Neu_Berechnen`,
+    };
+
+    // -------------------------------------------------------------------------------------
+    // 2. HILFSFUNKTIONEN
+    // -------------------------------------------------------------------------------------
+
+    const begrenze = (wert, min, max) => Math.max(min, Math.min(max, wert));
+    const runde = (wert, stellen) => parseFloat(wert.toFixed(stellen));
+
+    async function initialisiereDatenpunkte() {
+        const datenpunkte = [
+            { id: IDS.brennerlaufzeit, def: 0, common: { name: 'Plan: Stunden mit mindestens einem heizenden Raum (24 h)', type: 'number', role: 'value', unit: 'h', write: false } },
+            { id: IDS.brennerlaufzeitEinzeln, def: 0, common: { name: 'Plan: Brennerlaufzeit der unabgestimmten Einzelplaene (24 h)', type: 'number', role: 'value', unit: 'h', write: false } },
+            { id: IDS.quelle, def: '', common: { name: 'Plan: Quelle der Wettervorhersage', type: 'string', role: 'text', write: false } },
+            { id: IDS.status, def: '', common: { name: 'Plan: Status des letzten Laufs', type: 'string', role: 'text', write: false } },
+            { id: IDS.letzterLauf, def: 0, common: { name: 'Plan: Zeitstempel des letzten Laufs', type: 'number', role: 'date', write: false } },
+            { id: IDS.neuBerechnen, def: false, common: { name: 'Plan: sofort neu berechnen', type: 'boolean', role: 'button', write: true } },
+            { id: VORHERSAGE.jsonId, def: '[]', common: { name: 'Wettervorhersage stuendlich (JSON: zeit, aussenTemp, solar W/m², wind km/h)', type: 'string', role: 'json', write: true } },
+        ];
+        for (const raum of RAEUME) {
+            const pfad = `${BASIS_PFAD}.${raum}`;
+            datenpunkte.push(
+                { id: `${pfad}.Plan`, def: '', common: { name: `Sollwert-Plan 24 h ${raum} (JSON)`, type: 'string', role: 'json', write: false } },
+                { id: `${pfad}.Aktueller_Sollwert`, def: 0, common: { name: `Plan-Sollwert jetzt ${raum}, 0 = kein Plan`, type: 'number', role: 'value.temperature', unit: '°C', write: false } },
+                { id: `${pfad}.Ventilstunden`, def: 0, common: { name: `Geplante Ventilstunden 24 h ${raum}`, type: 'number', role: 'value', unit: 'h', write: false } },
+            );
+        }
+        for (const dp of datenpunkte) {
+            if (!(await existsStateAsync(dp.id))) {
+                await createStateAsync(dp.id, dp.def, { ...dp.common, read: true, def: dp.def });
+                log(`[Init] Datenpunkt ${dp.id} erstellt.`, 'info');
+            }
+        }
+    }
+
+    /**
+     * Zeitangabe der Vorhersage (ms, ISO-Text) in ms, null wenn ungueltig.
+     * @returns {number|null}
+     */
+    function alsZeitstempel(zeit) {
+        if (typeof zeit === 'number' && isFinite(zeit)) return zeit;
+        if (typeof zeit === 'string' && zeit.trim()) {
+            const ts = new Date(zeit).getTime();
+            return isNaN(ts) ? null : ts;
+        }
+        return null;
+    }
+
+    /**
+     * Prueft und sortiert Vorhersage-Eintraege. Ohne gueltige Aussentemperatur
+     * wird ein Eintrag verworfen, fehlende Strahlung/Wind zaehlen als 0.
+     * @returns {{punkte: Array<{ts: number, aussenTemp: number, solar: number, wind: number}>, verworfen: number}}
+     */
+    function pruefeVorhersage(eintraege) {
+        const punkte = [];
+        let verworfen = 0;
+        for (const eintrag of Array.isArray(eintraege) ? eintraege : []) {
+            const ts = alsZeitstempel(eintrag && eintrag.zeit);
+            const aussenTemp = eintrag && eintrag.aussenTemp;
+            if (ts === null || typeof aussenTemp !== 'number' || aussenTemp < -40 || aussenTemp > 50) {
+                verworfen++;
+                continue;
+            }
+            punkte.push({
+                ts,
+                aussenTemp,
+                solar: typeof eintrag.solar === 'number' && eintrag.solar > 0 ? eintrag.solar : 0,
+                wind: typeof eintrag.wind === 'number' && eintrag.wind > 0 ? eintrag.wind : 0,
+            });
+        }
+        punkte.sort((a, b) => a.ts - b.ts);
+        return { punkte, verworfen };
+    }
+
+    async function leseVorhersageAdapter(jetzt) {
+        const konfig = VORHERSAGE.adapter;
+        const volleStunde = Math.floor(jetzt / 3600000) * 3600000;
+        const id = (muster, h) => muster.replace('{h}', String(h));
+        const wert = async (muster, h) => (muster ? (await getStateAsync(id(muster, h)))?.val : undefined);
+        const eintraege = [];
+        for (let h = 0; h < konfig.stunden; h++) {
+            const zeit = await wert(konfig.zeit, h);
+            eintraege.push({
+                zeit: alsZeitstempel(zeit) ?? volleStunde + h * 3600000,
+                aussenTemp: await wert(konfig.aussenTemp, h),
+                solar: await wert(konfig.solar, h),
+                wind: await wert(konfig.wind, h),
+            });
+        }
+        return eintraege;
+    }
+
+    /**
+     * Laedt die Vorhersage (Adapter, sonst JSON-Datenpunkt). Sie muss den
+     * Planungsbeginn abdecken und mindestens VORHERSAGE.minStunden reichen.
+     * @returns {Promise<{punkte: Array<any>, quelle: string}|null>}
+     */
+    async function ladeVorhersage(beginn) {
+        let eintraege;
+        let quelle;
+        try {
+            if (VORHERSAGE.adapter.aktiviert) {
+                eintraege = await leseVorhersageAdapter(beginn);
+                quelle = 'Adapter';
+            } else {
+                eintraege = JSON.parse(String((await getStateAsync(VORHERSAGE.jsonId))?.val || '[]'));
+                quelle = 'JSON';
+            }
+        } catch (e) {
+            log(`[Planer] Wettervorhersage nicht lesbar: ${e.message || e}`, 'warn');
+            return null;
+        }
+
+        const { punkte, verworfen } = pruefeVorhersage(eintraege);
+        if (verworfen > 0) {
+            log(`[Planer] ${verworfen} Vorhersage-Eintraege ohne gueltige Zeit/Aussentemperatur verworfen.`, 'warn');
+        }
+        // ab dem letzten Eintrag vor dem Planungsbeginn (fuer die Interpolation)
+        const vorBeginn = punkte.filter(p => p.ts <= beginn).length;
+        const relevant = punkte.slice(Math.max(0, vorBeginn - 1));
+        if (relevant.length === 0 || relevant[0].ts > beginn + 3600000) return null;
+        const reichweite = (relevant[relevant.length - 1].ts - beginn) / 3600000;
+        if (reichweite < VORHERSAGE.minStunden - 1) {
+            log(`[Planer] Vorhersage reicht nur ${reichweite.toFixed(1)} h (min. ${VORHERSAGE.minStunden} h), verworfen.`, 'warn');
+            return null;
+        }
+        if (reichweite < PLANUNG.horizontStunden - 1) {
+            quelle += `, ab +${Math.round(reichweite)} h letzter Wert`;
+        }
+        return { punkte: relevant, quelle };
+    }
+
+    /**
+     * Linear interpolierte Vorhersage zum Zeitpunkt ts (vor dem ersten bzw.
+     * nach dem letzten Eintrag gilt dieser weiter).
+     */
+    function vorhersageBei(punkte, ts) {
+        if (ts <= punkte[0].ts) return punkte[0];
+        for (let i = 1; i < punkte.length; i++) {
+            if (ts <= punkte[i].ts) {
+                const p0 = punkte[i - 1];
+                const p1 = punkte[i];
+                const anteil = (ts - p0.ts) / (p1.ts - p0.ts);
+                const mische = feld => p0[feld] + anteil * (p1[feld] - p0[feld]);
+                return { ts, aussenTemp: mische('aussenTemp'), solar: mische('solar'), wind: mische('wind') };
+            }
+        }
+        return punkte[punkte.length - 1];
+    }
+
+    /** Globalstrahlung W/m² -> Solar-Eingang des RC-Modells (0..anteilFenster) */
+    function solarFaktor(strahlung) {
+        return begrenze((strahlung - SOLAR.minStrahlung) / (SOLAR.maxStrahlung - SOLAR.minStrahlung), 0, 1) * SOLAR.anteilFenster;
+    }
+
+    /** Wind km/h -> 0..1 */
+    function windFaktor(geschwindigkeit) {
+        return begrenze((geschwindigkeit - WIND.minGeschwindigkeit) / (WIND.maxGeschwindigkeit - WIND.minGeschwindigkeit), 0, 1);
+    }
+
+    // --- Komfortgrenzen aus den Zeitplan-Datenpunkten der Raumsteuerung ---
+
+    function zeitInMinuten(zeit) {
+        const treffer = /^(\d{1,2}):(\d{2})$/.exec(String(zeit).trim());
+        return treffer ? Number(treffer[1]) * 60 + Number(treffer[2]) : null;
+    }
+
+    function leseSlots(rohwert) {
+        try {
+            const slots = JSON.parse(String(rohwert || '[]'));
+            return (Array.isArray(slots) ? slots : [])
+                .map(slot => ({ soll: slot.soll, vonMin: zeitInMinuten(slot.von), bisMin: zeitInMinuten(slot.bis) }))
+                .filter(slot => typeof slot.soll === 'number' && slot.vonMin !== null && slot.bisMin !== null && slot.vonMin !== slot.bisMin);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function istWochenende(datum, feiertage) {
+        const monatTag = `${String(datum.getMonth() + 1).padStart(2, '0')}-${String(datum.getDate()).padStart(2, '0')}`;
+        return datum.getDay() === 0 || datum.getDay() === 6 ||
+            feiertage.includes(monatTag) || feiertage.includes(`${datum.getFullYear()}-${monatTag}`);
+    }
+
+    /**
+     * Slot-Sollwert zum Zeitpunkt ts wie ermittleZeitplanSlot() der Raumsteuerung
+     * (Slots ueber Mitternacht gehoeren zum Profil des Starttages).
+     * @returns {number|null}
+     */
+    function slotSollBei(zeitplan, ts) {
+        const datum = new Date(ts);
+        const minute = datum.getHours() * 60 + datum.getMinutes();
+        const profil = d => (istWochenende(d, zeitplan.feiertage) ? zeitplan.wochenende : zeitplan.werktag);
+        for (const slot of profil(datum)) {
+            const aktiv = slot.vonMin < slot.bisMin ? minute >= slot.vonMin && minute < slot.bisMin : minute >= slot.vonMin;
+            if (aktiv) return slot.soll;
+        }
+        const vortag = new Date(ts);
+        vortag.setDate(vortag.getDate() - 1);
+        for (const slot of profil(vortag)) {
+            if (slot.vonMin > slot.bisMin && minute < slot.bisMin) return slot.soll;
+        }
+        return null;
+    }
+
+    /**
+     * Komfort-Untergrenze je Raster fuer einen Raum.
+     * @returns {Promise<(ts: number) => number>}
+     */
+    async function ladeKomfort(raum, feiertage) {
+        const rohAnwesend = (await getStateAsync(KOMFORT.sollTempAnwesend))?.val;
+        const anwesend = typeof rohAnwesend === 'number' && rohAnwesend > 0 ? rohAnwesend : KOMFORT.sollTempAnwesendStandard;
+        const pfad = `${KOMFORT.zeitplanPfad}.${raum}`;
+        if (!(await getStateAsync(`${pfad}.Aktiv`))?.val) return () => anwesend;
+        const zeitplan = {
+            werktag: leseSlots((await getStateAsync(`${pfad}.Profil_Werktag`))?.val),
+            wochenende: leseSlots((await getStateAsync(`${pfad}.Profil_Wochenende`))?.val),
+            feiertage,
+        };
+        return ts => slotSollBei(zeitplan, ts) ?? anwesend;
+    }
+
+    async function ladeFeiertage() {
+        try {
+            const liste = JSON.parse(String((await getStateAsync(KOMFORT.feiertageId))?.val || '[]'));
+            return Array.isArray(liste) ? liste.map(String) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. KERNLOGIK: PLANUNG
+    // -------------------------------------------------------------------------------------
+
+    /**
+     * Bereitet die Planung eines Raums vor (Euler-Schritte wie HeizungWaermemodell.simuliere):
+     * Wetter und Komfortgrenze je Raster sowie rueckwaerts die Mindesttemperatur.
+     * @param {{a: number, b: number, c: number}} modell
+     * @param {{beginn: number, wetter: (ts: number) => any, komfortMin: (ts: number) => number}} eingaben
+     */
+    function bereiteRaumVor(modell, { beginn, wetter, komfortMin }) {
+        const rasterMs = PLANUNG.rasterMinuten * 60000;
+        const dt = PLANUNG.rasterMinuten / 60;
+        const n = Math.round(PLANUNG.horizontStunden / dt);
+
+        const schritt = [];
+        for (let k = 0; k <= n; k++) {
+            const ts = beginn + k * rasterMs;
+            const w = wetter(ts + rasterMs / 2);
+            schritt.push({
+                ts,
+                untergrenze: komfortMin(ts),
+                aussen: w.aussenTemp,
+                solar: solarFaktor(w.solar),
+                a: modell.a * (1 + WIND.verlustZuschlag * windFaktor(w.wind)),
+            });
+        }
+
+        // Rueckwaerts: T_k >= (T_k+1 - dt * (a*Ta + b/s + c*solar)) / (1 - a*dt)
+        const bVorsichtig = modell.b / PLANUNG.sicherheitsFaktor;
+        const mindestens = new Array(n + 1);
+        mindestens[n] = schritt[n].untergrenze;
+        for (let k = n - 1; k >= 0; k--) {
+            const s = schritt[k];
+            const erreichbarAb = (mindestens[k + 1] - dt * (s.a * s.aussen + bVorsichtig + modell.c * s.solar)) / (1 - s.a * dt);
+            mindestens[k] = Math.max(s.untergrenze, erreichbarAb);
+        }
+        return { modell, dt, n, schritt, mindestens };
+    }
+
+    /**
+     * Ein Raster vorwaerts: nur so viel Ventil, wie die Mindesttemperatur am
+     * Rasterende verlangt, beim Vorheizen bis zur Obergrenze.
+     * @returns {{beginn: number, soll: number, komfortMin: number, temp: number, ventil: number}}
+     */
+    function planeRaster(vorbereitung, k, temp, vorheizen) {
+        const { modell, dt, schritt, mindestens } = vorbereitung;
+        const s = schritt[k];
+        const obergrenze = Math.min(KOMFORT.maxSoll, s.untergrenze + KOMFORT.maxUeberhoehung);
+        const ziel = vorheizen ? Math.max(mindestens[k + 1], obergrenze) : mindestens[k + 1];
+        const ohneHeizung = temp * (1 - s.a * dt) + dt * (s.a * s.aussen + modell.c * s.solar);
+        const ventil = begrenze((ziel - ohneHeizung) / (dt * modell.b), 0, 1);
+        return {
+            beginn: s.ts,
+            soll: runde(begrenze(Math.max(ziel, s.untergrenze), KOMFORT.minSoll, obergrenze), 1),
+            komfortMin: s.untergrenze,
+            temp: ohneHeizung + dt * modell.b * ventil,
+            ventil,
+        };
+    }
+
+    /**
+     * Vorwaertsrechnung aller Raeume im Gleichschritt. Ohne vorziehen plant
+     * jeder Raum fuer sich (Einzelplan); mit vorziehen(i, k) = true heizt Raum i
+     * im Raster k vor, wenn ein anderer Raum dort ohnehin heizt.
+     * @param {Array<{vorbereitung: any, startTemp: number}>} raeume
+     * @param {((i: number, k: number) => boolean)|null} vorziehen
+     * @returns {Array<{schritte: Array<any>, ventilstunden: number, komfortDefizit: number}>}
+     */
+    function rechneVorwaerts(raeume, vorziehen) {
+        const temps = raeume.map(r => r.startTemp);
+        const ergebnisse = raeume.map(() => ({ schritte: [], ventilstunden: 0, komfortDefizit: 0 }));
+        const n = raeume.length > 0 ? raeume[0].vorbereitung.n : 0;
+        for (let k = 0; k < n; k++) {
+            const minimal = raeume.map((r, i) => planeRaster(r.vorbereitung, k, temps[i], false));
+            raeume.forEach((r, i) => {
+                const andererHeizt = minimal.some((m, j) => j !== i && m.ventil >= PLANUNG.ventilSchwelle);
+                const raster = vorziehen && andererHeizt && vorziehen(i, k) ? planeRaster(r.vorbereitung, k, temps[i], true) : minimal[i];
+                const ergebnis = ergebnisse[i];
+                temps[i] = raster.temp;
+                ergebnis.ventilstunden += raster.ventil * r.vorbereitung.dt;
+                ergebnis.komfortDefizit = Math.max(ergebnis.komfortDefizit, r.vorbereitung.schritt[k + 1].untergrenze - raster.temp);
+                ergebnis.schritte.push({ ...raster, temp: runde(raster.temp, 2), ventil: runde(raster.ventil, 3) });
+            });
+        }
+        return ergebnisse.map(e => ({ ...e, komfortDefizit: Math.max(0, e.komfortDefizit) }));
+    }
+
+    /** Stunden, in denen mindestens ein Raum heizt. */
+    function brennerStunden(plaene) {
+        const heizendeRaster = new Set();
+        for (const plan of plaene) {
+            plan.schritte.forEach((s, k) => { if (s.ventil >= PLANUNG.ventilSchwelle) heizendeRaster.add(k); });
+        }
+        return runde(heizendeRaster.size * PLANUNG.rasterMinuten / 60, 2);
+    }
+
+    /**
+     * Einzelplaene und, falls aktiviert, der abgestimmte Plan ueber alle Raeume.
+     * @returns {{plaene: Array<any>, abgestimmt: boolean, brennerlaufzeit: number, brennerlaufzeitEinzeln: number}}
+     */
+    function planeRaeume(raeume) {
+        const einzeln = rechneVorwaerts(raeume, null);
+        const brennerlaufzeitEinzeln = brennerStunden(einzeln);
+        const ergebnis = { plaene: einzeln, abgestimmt: false, brennerlaufzeit: brennerlaufzeitEinzeln, brennerlaufzeitEinzeln };
+        if (!PLANUNG.abstimmung.aktiviert || raeume.length < 2) return ergebnis;
+
+        const vorlauf = Math.round(PLANUNG.abstimmung.vorziehenStunden * 60 / PLANUNG.rasterMinuten);
+        const heiztBald = (i, k) => einzeln[i].schritte.slice(k + 1, k + 1 + vorlauf).some(s => s.ventil >= PLANUNG.ventilSchwelle);
+        const abgestimmt = rechneVorwaerts(raeume, heiztBald);
+        const brennerlaufzeit = brennerStunden(abgestimmt);
+        if (brennerlaufzeit >= brennerlaufzeitEinzeln) return ergebnis;
+        return { plaene: abgestimmt, abgestimmt: true, brennerlaufzeit, brennerlaufzeitEinzeln };
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 4. HAUPTFUNKTION & ZEITPLANUNG
+    // -------------------------------------------------------------------------------------
+
+    let laeuft = false;
+
+    async function main() {
+        if (laeuft) return;
+        laeuft = true;
+        try {
+            const jetzt = Date.now();
+            const rasterMs = PLANUNG.rasterMinuten * 60000;
+            const beginn = Math.floor(jetzt / rasterMs) * rasterMs;
+
+            let vorhersage = await ladeVorhersage(beginn);
+            if (!vorhersage) {
+                const aktuell = (await getStateAsync(VORHERSAGE.aussenTempAktuell))?.val;
+                if (typeof aktuell !== 'number') {
+                    await setStateAsync(IDS.status, 'FEHLER: keine Vorhersage und keine aktuelle Aussentemperatur', true);
+                    log('[Planer] Keine Vorhersage und keine aktuelle Aussentemperatur, Plan bleibt unveraendert.', 'warn');
+                    return;
+                }
+                vorhersage = { punkte: [{ ts: beginn, aussenTemp: aktuell, solar: 0, wind: 0 }], quelle: 'aktuelle Aussentemperatur (keine Vorhersage)' };
+                log('[Planer] Keine gueltige Vorhersage, plane mit der aktuellen Aussentemperatur.', 'warn');
+            }
+            const wetter = ts => vorhersageBei(vorhersage.punkte, ts);
+            const feiertage = await ladeFeiertage();
+
+            // Vorbereitung je Raum, Raeume ohne Modell/Raumtemperatur bekommen keinen Plan
+            const ergebnisse = [];
+            const planbar = [];
+            for (const raum of RAEUME) {
+                const pfad = `${BASIS_PFAD}.${raum}`;
+                try {
+                    const modell = await HeizungWaermemodell.ladeModell(raum);
+                    const startTemp = modell && modell.ids ? (await getStateAsync(modell.ids.raumTemp))?.val : null;
+                    if (!modell || typeof startTemp !== 'number') {
+                        await setStateAsync(`${pfad}.Plan`, '', true);
+                        await setStateAsync(`${pfad}.Aktueller_Sollwert`, 0, true);
+                        ergebnisse.push(`${raum}: ${modell ? 'keine Raumtemperatur' : 'kein Waermemodell'}`);
+                        continue;
+                    }
+
+                    const komfortMin = await ladeKomfort(raum, feiertage);
+                    planbar.push({ raum, startTemp, vorbereitung: bereiteRaumVor(modell, { beginn, wetter, komfortMin }) });
+                } catch (e) {
+                    log(`[Fehler] Planung fuer ${raum} fehlgeschlagen: ${e.message || e}`, 'error');
+                    ergebnisse.push(`${raum}: Fehler`);
+                }
+            }
+
+            const { plaene, abgestimmt, brennerlaufzeit, brennerlaufzeitEinzeln } = planeRaeume(planbar);
+            for (let i = 0; i < planbar.length; i++) {
+                const { raum } = planbar[i];
+                const pfad = `${BASIS_PFAD}.${raum}`;
+                const plan = plaene[i];
+                try {
+                    await setStateAsync(`${pfad}.Plan`, JSON.stringify({
+                        erstellt: jetzt,
+                        rasterMinuten: PLANUNG.rasterMinuten,
+                        quelle: vorhersage.quelle,
+                        abgestimmt,
+                        ventilstunden: runde(plan.ventilstunden, 2),
+                        komfortDefizit: runde(plan.komfortDefizit, 2),
+                        schritte: plan.schritte,
+                    }), true);
+                    await setStateAsync(`${pfad}.Aktueller_Sollwert`, plan.schritte[0].soll, true);
+                    await setStateAsync(`${pfad}.Ventilstunden`, runde(plan.ventilstunden, 2), true);
+
+                    if (plan.komfortDefizit > 0.2) {
+                        log(`[Planer] ${raum}: Komfortgrenze trotz voller Heizleistung um bis zu ${plan.komfortDefizit.toFixed(1)}°C unterschritten.`, 'warn');
+                    }
+                    ergebnisse.push(`${raum}: ${plan.ventilstunden.toFixed(1)} Ventil-h`);
+                    if (DEBUG_LOG_AKTIV) {
+                        log(`[Planer] ${raum}: ${plan.schritte.map(s => `${new Date(s.beginn).getHours()}:${String(new Date(s.beginn).getMinutes()).padStart(2, '0')}=${s.soll}`).join(' ')}`, 'info');
+                    }
+                } catch (e) {
+                    log(`[Fehler] Plan fuer ${raum} nicht gespeichert: ${e.message || e}`, 'error');
+                    ergebnisse.push(`${raum}: Fehler`);
+                }
+            }
+
+            await setStateAsync(IDS.brennerlaufzeit, brennerlaufzeit, true);
+            await setStateAsync(IDS.brennerlaufzeitEinzeln, brennerlaufzeitEinzeln, true);
+            await setStateAsync(IDS.quelle, vorhersage.quelle, true);
+            await setStateAsync(IDS.status, `OK: ${ergebnisse.join(', ')}`, true);
+            await setStateAsync(IDS.letzterLauf, jetzt, true);
+            log(`[Planer] Plan fuer ${PLANUNG.horizontStunden} h erstellt (${vorhersage.quelle}), Brennerlaufzeit ${brennerlaufzeit} h${abgestimmt ? ` (abgestimmt, einzeln ${brennerlaufzeitEinzeln} h)` : ''}. ${ergebnisse.join(', ')}.`, 'info');
+        } catch (e) {
+            log(`[Fehler] Sollwert-Planung fehlgeschlagen: ${e.message || e}`, 'error');
+        } finally {
+            laeuft = false;
+        }
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 5. SKRIPT-START
+    // -------------------------------------------------------------------------------------
+
+    (async () => {
+        await initialisiereDatenpunkte();
+
+        on({ id: IDS.neuBerechnen, change: 'any', ack: false }, async obj => {
+            if (!obj.state.val) return;
+            await setStateAsync(IDS.neuBerechnen, false, true);
+            await main();
+        });
+        on({ id: VORHERSAGE.jsonId, change: 'ne' }, () => main());
+
+        log(`[Skript] Sollwert-Planer V1.1 gestartet (${RAEUME.length} Raeume, ${PLANUNG.horizontStunden} h im ${PLANUNG.rasterMinuten}-Minuten-Raster). Erster Lauf in 60 Sekunden.`, 'info');
+        schedule(SCHEDULE, main);
+        setTimeout(main, 60000);
+    })();
+
+})();
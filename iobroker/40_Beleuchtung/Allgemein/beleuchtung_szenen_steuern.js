@@ -2,10 +2,12 @@
  * Script:       Astro Szenen Steuerung
  * Description:  Steuert Smart Home Szenen (Tag, Nacht, Aus) basierend auf 
  * dem Astro-Status und der aktuellen Uhrzeit.
- * Version:      1.3.0
+ * Version:      1.4.0
  * Author:       Sanweb
- * Datum:        2026-03-09
+ * Datum:        2026-10-19
  * * Changelog:
+ * 1.4.0  - Anwesenheitssimulation im Urlaubsmodus (0_userdata.0.Urlaub.Aktiv aus urlaubsmodus.js):
+ * abends wechseln Nacht- und Aus-Szene in zufälligen Abständen, das Abendende streut täglich.
  * 1.3.0  - Rollback auf Logik 1.1.1 (Verzicht auf Einzelprüfung/setIfChanged vor dem Schalten), 
  * Typen-Normalisierung als Hilfsfunktion für die Initialisierung beibehalten.
  * 1.2.1  - Typen-Normalisierung in setIfChanged hinzugefügt für sichereren Vergleich.
@@ -32,6 +34,13 @@ const CONFIG = {
     TIMES: {
         NIGHT_OFF: "22:30", // Ende Nachtlicht
         EARLIEST_START: 12  // Früheste Stunde für Nachtlicht
+    },
+    VACATION: {
+        ACTIVE_ID: "0_userdata.0.Urlaub.Aktiv",
+        MIN_MINUTES: 20,      // Kürzeste Phase (Licht an oder aus)
+        MAX_MINUTES: 75,      // Längste Phase
+        OFF_CHANCE: 0.3,      // Wahrscheinlichkeit für eine Aus-Phase am Abend
+        END_SPREAD: 60        // Abendende streut um +/- 60 Min. um NIGHT_OFF
     }
 };
 
@@ -65,6 +74,39 @@ function initializeLastScene() {
 // Dann aufrufen:
 initializeLastScene();
 
+// ==========================================
+// Anwesenheitssimulation (Urlaubsmodus)
+// ==========================================
+let simulation = { day: "", endOffset: 0, lightOn: true, nextChange: 0 };
+
+function randomMinutes(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function isVacationActive() {
+    return existsState(CONFIG.VACATION.ACTIVE_ID) && normalizeBool(getState(CONFIG.VACATION.ACTIVE_ID).val);
+}
+
+// Würfelt pro Tag ein neues Abendende und für jede Phase eine neue Dauer
+function simulatedScene(now, currentTimeVal, endTimeVal) {
+    const day = now.toDateString();
+    if (simulation.day !== day) {
+        simulation = {
+            day: day,
+            endOffset: randomMinutes(-CONFIG.VACATION.END_SPREAD, CONFIG.VACATION.END_SPREAD),
+            lightOn: true,
+            nextChange: 0
+        };
+    }
+    if (currentTimeVal >= endTimeVal + simulation.endOffset) return "Alles Aus";
+
+    if (now.getTime() >= simulation.nextChange) {
+        simulation.lightOn = simulation.nextChange === 0 || Math.random() >= CONFIG.VACATION.OFF_CHANCE;
+        simulation.nextChange = now.getTime() + randomMinutes(CONFIG.VACATION.MIN_MINUTES, CONFIG.VACATION.MAX_MINUTES) * 60000;
+    }
+    return simulation.lightOn ? "Nacht" : "Alles Aus";
+}
+
 // ==========================================
 // Hauptlogik
 // ==========================================
@@ -108,8 +150,13 @@ function checkAstroScene() {
         currentSceneName = "Tag";
         
     } else if (astroStatus === "Nacht") {
+        // Urlaub -> Abendlicht nach Zufall (Ende bis END_SPREAD nach 22:30 möglich)
+        if (isVacationActive() && currentTimeVal >= startTimeVal) {
+            currentSceneName = simulatedScene(now, currentTimeVal, endTimeVal);
+            valNacht = currentSceneName === "Nacht";
+            valAus = !valNacht;
         // Es ist Nacht -> Prüfen ob vor oder nach 22:30
-        if (currentTimeVal >= startTimeVal && currentTimeVal < endTimeVal) {
+        } else if (currentTimeVal >= startTimeVal && currentTimeVal < endTimeVal) {
             // Abend (Dunkel & vor 22:30) -> Szene Nacht aktivieren
             valNacht = true;
             currentSceneName = "Nacht";
@@ -148,14 +195,20 @@ on({ id: CONFIG.ASTRO_ID, change: "ne" }, function (obj) {
     checkAstroScene();
 });
 
-// 2. Trigger: Zeitplan alle 5 Minuten
+// 2. Trigger: Urlaubsmodus an/aus sofort übernehmen
+on({ id: CONFIG.VACATION.ACTIVE_ID, change: "ne" }, function (obj) {
+    log(`${CONFIG.LOG_PREFIX}Urlaubsmodus ${normalizeBool(obj.state.val) ? "aktiv: Anwesenheitssimulation an" : "beendet"}`);
+    checkAstroScene();
+});
+
+// 3. Trigger: Zeitplan alle 5 Minuten
 // Dieser Intervall-Check stellt sicher, dass zeitbasierte Wechsel (z.B. um 22:30 Uhr)
 // zuverlässig ausgelöst werden, auch wenn der Astro-Status ("Nacht") sich nicht ändert.
 schedule("*/5 * * * *", function () {
     checkAstroScene();
 });
 
-// 3. Beim Starten des Skripts einmalig prüfen
+// 4. Beim Starten des Skripts einmalig prüfen
 checkAstroScene();
 
 })();
\ No newline at end of file
@@ -0,0 +1,455 @@
+/**
+ * =============================================================================
+ * @file         heizkosten_raeume.js
+ * @description Schätzt Heizenergie und -kosten je Raum. Der Gasverbrauch
+ * (ebusd-Energiezähler oder Gaszähler in m³) wird anteilig nach
+ * einem Bedarfsindex auf die Räume verteilt, der minütlich aus
+ * Ventilöffnung, Soll-Ist-Abstand und Außentemperatur entsteht.
+ * Tages- und Monatswerte (kWh und €) je Raum, Aufbau wie beim
+ * Stromzähler (StromZaehlerManager).
+ * @version      1.0.0
+ * @date         2026-10-19
+ * @author       Sanweb
+ * =============================================================================
+ *
+ * Bedarfsindex je Raum und Minute (relative Heizleistung in W):
+ *   heizkoerperLeistungW × LEVEL × max(0, Ist − Außen) / auslegungsDeltaK
+ *                        × (1 + sollAbstandFaktor × max(0, Soll − Ist))
+ * Jeder Anstieg des Gaszählers wird im Verhältnis der seit dem letzten Anstieg
+ * aufsummierten Indizes verteilt. Ohne Bedarf (Warmwasser, Taktverluste)
+ * landet er unter "Nicht_zugeordnet".
+ */
+
+/**
+ * TypeScript Configuration Interface (optional, für IDEs)
+ * @typedef {Object} Config
+ * @property {string} basePath
+ * @property {{quelle: "ebusd" | "zaehler", ebusdEnergie: string, zaehlerM3: string, brennwertKwhProM3: number, zustandszahl: number}} gas
+ * @property {string} aussenTemp
+ * @property {number} arbeitspreisEuroProKwh
+ * @property {number} auslegungsDeltaK
+ * @property {number} sollAbstandFaktor
+ * @property {number} maxZulaessigerSprungKwh
+ * @property {Array<{name: string, thermostatId: string, heizkoerperLeistungW: number}>} raeume
+ * @property {boolean} debug
+ */
+
+/**
+ * =========================================================================
+ * KONFIGURATION
+ * =========================================================================
+ */
+
+(function() {
+    "use strict";
+
+const CONFIG = {
+    // Basis-Pfad neben dem Stromzähler (0_userdata.0.Haushalt.Strom.)
+    basePath: '0_userdata.0.Haushalt.Heizung.',
+
+    // Gasverbrauch: ebusd-Energiezähler der Therme (kWh) oder Gaszähler (m³)
+    gas: {
+        quelle: 'ebusd',
+        ebusdEnergie: 'mqtt.0.ebusd.bai.PrEnergySumHc1',   // Kumulierte Heizenergie in kWh
+        zaehlerM3: '0_userdata.0.Haushalt.Gas.Zaehlerstand', // Alternative: Gaszähler in m³
+        brennwertKwhProM3: 11.2,   // laut Gasrechnung
+        zustandszahl: 0.95         // laut Gasrechnung
+    },
+
+    aussenTemp: 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE',
+
+    // Startwert für den Datenpunkt Gas_Arbeitspreis (danach dort pflegen)
+    arbeitspreisEuroProKwh: 0.11,
+
+    // Bedarfsindex
+    auslegungsDeltaK: 20.0,        // Ist − Außen, bei dem der Heizkörper seine Nennleistung abgibt
+    sollAbstandFaktor: 0.5,        // +50 % Gewicht je Kelvin unter Soll (Aufheizen)
+    maxZulaessigerSprungKwh: 50.0, // Schützt vor Zählerfehlern
+
+    // Räume (Thermostat-Kanal wie in heizungs_lerner.js)
+    raeume: [
+        { name: 'Wohnzimmer',   thermostatId: 'hm-rpc.2.INT0000005.1', heizkoerperLeistungW: 1800 },
+        { name: 'Schlafzimmer', thermostatId: 'hm-rpc.2.INT0000001.1', heizkoerperLeistungW: 1000 },
+        { name: 'Badezimmer',   thermostatId: 'hm-rpc.2.INT0000002.1', heizkoerperLeistungW: 800 },
+        { name: 'Kueche',       thermostatId: 'hm-rpc.2.INT0000003.1', heizkoerperLeistungW: 900 },
+        { name: 'Esszimmer',    thermostatId: 'hm-rpc.2.INT0000004.1', heizkoerperLeistungW: 1200 },
+    ],
+
+    // Erweitertes Debug-Logging für die Fehlersuche
+    debug: false
+};
+
+const NICHT_ZUGEORDNET = 'Nicht_zugeordnet';
+const PERIODEN = ["heute", "gestern", "Monat", "letzter_Monat"];
+
+/**
+ * Definition der benötigten Datenpunkte (je Raum unter Raeume.{name}.)
+ */
+const DATENPUNKTE = [
+    { id: "Gas_Aktualisierung", name: "Gas Aktualisierung", type: "string", role: "text", unit: "", def: "YYYY-MM-DD 00:00:00" },
+    { id: "Gas_Letzter_Rohwert", name: "Gas Letzter Rohwert", type: "number", role: "value.energy", unit: "kWh" },
+    { id: "Gas_Arbeitspreis", name: "Gas Arbeitspreis", type: "number", role: "value", unit: "€/kWh", def: CONFIG.arbeitspreisEuroProKwh },
+    { id: "Gas_Letztes_Speicher_Datum", name: "Gas Letztes Speicher Datum", type: "string", role: "text", unit: "", def: "" },
+    ...PERIODEN.flatMap(p => [
+        { id: `Gas_Verbrauch_${p}`, name: `Heizgas Verbrauch ${p}`, type: "number", role: "value.energy", unit: "kWh" },
+        { id: `Gas_Kosten_${p}`, name: `Heizgas Kosten ${p}`, type: "number", role: "value", unit: "€" }
+    ]),
+    ...CONFIG.raeume.map(r => (
+        { id: `Raeume.${r.name}.Bedarfsindex`, name: `${r.name}: Bedarfsindex (relative Heizleistung)`, type: "number", role: "value.power", unit: "W" }
+    )),
+    ...[...CONFIG.raeume.map(r => r.name), NICHT_ZUGEORDNET].flatMap(raum => PERIODEN.flatMap(p => [
+        { id: `Raeume.${raum}.Verbrauch_${p}`, name: `${raum}: Heizenergie ${p}`, type: "number", role: "value.energy", unit: "kWh" },
+        { id: `Raeume.${raum}.Kosten_${p}`, name: `${raum}: Heizkosten ${p}`, type: "number", role: "value", unit: "€" },
+        { id: `Raeume.${raum}.Anteil_${p}`, name: `${raum}: Anteil ${p}`, type: "number", role: "value", unit: "%" }
+    ]))
+];
+
+/**
+ * =========================================================================
+ * UTILS (Ausgelagerte Hilfsfunktionen)
+ * =========================================================================
+ */
+const Utils = {
+    rundenKwh: (wert) => Number(Math.round(parseFloat(wert + 'e' + 3)) + 'e-' + 3),
+    rundenEuro: (wert) => Math.round(wert * 100) / 100,
+
+    formatiereDatum: (date) => {
+        const yyyy = date.getFullYear();
+        const mm = String(date.getMonth() + 1).padStart(2, '0');
+        const dd = String(date.getDate()).padStart(2, '0');
+        const hh = String(date.getHours()).padStart(2, '0');
+        const min = String(date.getMinutes()).padStart(2, '0');
+        const ss = String(date.getSeconds()).padStart(2, '0');
+        return `${yyyy}-${mm}-${dd} ${hh}:${min}:${ss}`;
+    },
+
+    datumIso: (date) => Utils.formatiereDatum(date).split(' ')[0],
+
+    istZahl: (wert) => typeof wert === "number" && !isNaN(wert)
+};
+
+/**
+ * =========================================================================
+ * HAUPTKLASSE
+ * =========================================================================
+ */
+class HeizkostenManager {
+    constructor(config, datenpunkte) {
+        this.config = config;
+        this.datenpunkte = datenpunkte;
+        this.subscriptions = [];
+        this.raumNamen = [...config.raeume.map(r => r.name), NICHT_ZUGEORDNET];
+
+        // Seit dem letzten Zähleranstieg aufsummierter Bedarf je Raum (W·min, nur im RAM)
+        this.bedarfSumme = new Map(config.raeume.map(r => [r.name, 0]));
+
+        // Mutex Lock zur Vermeidung von Race Conditions
+        this.processingLock = false;
+
+        // Cache für häufige State-Zugriffe
+        this.stateCache = new Map();
+        this.cacheTTL = 5000; // 5 Sekunden
+    }
+
+    get gasQuelle() {
+        return this.config.gas.quelle === 'zaehler' ? this.config.gas.zaehlerM3 : this.config.gas.ebusdEnergie;
+    }
+
+    async start() {
+        try {
+            log("Starte Initialisierung der Heizkosten-Aufteilung...", "info");
+
+            this.validiereConfig();
+            await this.erstelleDatenpunkte();
+            await this.pruefeVerpassteWechsel();
+            this.registriereTrigger();
+            this.registriereCronjobs();
+
+            const rohwert = await this.leseGasKwh();
+            // Erst-Start: Referenz setzen, sonst würde der ganze Zählerstand verteilt
+            if (rohwert !== null && !(await this.getStateCached(this.config.basePath + "Gas_Letzter_Rohwert"))) {
+                await this.schreibeWertAsync("Gas_Letzter_Rohwert", rohwert);
+            }
+            await this.erfasseBedarf();
+
+            log("Heizkosten-Skript erfolgreich gestartet.", "info");
+        } catch (error) {
+            log(`Kritischer Fehler beim Starten des Skripts: ${error.message}`, "error");
+        }
+    }
+
+    validiereConfig() {
+        if (!this.config.basePath.endsWith('.')) throw new Error("Konfigurationsfehler: basePath muss mit einem Punkt '.' enden.");
+        if (!['ebusd', 'zaehler'].includes(this.config.gas.quelle)) throw new Error("Konfigurationsfehler: gas.quelle muss 'ebusd' oder 'zaehler' sein.");
+        if (this.config.auslegungsDeltaK <= 0) throw new Error("Konfigurationsfehler: auslegungsDeltaK muss > 0 sein.");
+        if (!existsState(this.gasQuelle)) throw new Error(`Quell-Datenpunkt für Gas (${this.gasQuelle}) existiert nicht! Abbruch.`);
+    }
+
+    async erstelleDatenpunkte() {
+        for (const dp of this.datenpunkte) {
+            const fullId = this.config.basePath + dp.id;
+            let initialValue = dp.def !== undefined ? dp.def : (dp.type === "number" ? 0 : "");
+
+            await createStateAsync(fullId, initialValue, false, {
+                name: dp.name, desc: dp.name, type: dp.type, role: dp.role, unit: dp.unit, read: true, write: true
+            });
+        }
+    }
+
+    /**
+     * Holt States aus dem internen Memory-Cache (Reduziert DB-Abfragen).
+     */
+    async getStateCached(id) {
+        const now = Date.now();
+        if (this.stateCache.has(id) && (now - this.stateCache.get(id).timestamp < this.cacheTTL)) {
+            return this.stateCache.get(id).value;
+        }
+        const stateObj = await getStateAsync(id);
+        const value = (stateObj && stateObj.val !== null && stateObj.val !== undefined) ? stateObj.val : null;
+        this.stateCache.set(id, { value, timestamp: now });
+        return value;
+    }
+
+    /**
+     * Holt einen Wert synchron ab (hauptsächlich intern als Fallback genutzt).
+     */
+    holeWert(idSuffix) {
+        let state = getState(this.config.basePath + idSuffix);
+        if (!state || state.val === null || state.val === undefined || state.val === "") return null;
+        return state.val;
+    }
+
+    /**
+     * Asynchrones Schreiben mit Cache-Check (wie beim Stromzähler).
+     */
+    async schreibeWertAsync(idSuffix, wert, ack = true) {
+        const fullId = this.config.basePath + idSuffix;
+        const currentStateVal = await this.getStateCached(fullId);
+
+        if (currentStateVal !== wert) {
+            this.stateCache.set(fullId, { value: wert, timestamp: Date.now() });
+            await setStateAsync(fullId, wert, ack);
+        }
+    }
+
+    /**
+     * Liest den Gaszähler und rechnet m³ bei Bedarf in kWh um.
+     * @returns {Promise<number|null>}
+     */
+    async leseGasKwh() {
+        const roh = (await getStateAsync(this.gasQuelle))?.val;
+        if (!Utils.istZahl(roh)) return null;
+        if (this.config.gas.quelle === 'zaehler') {
+            return Utils.rundenKwh(roh * this.config.gas.brennwertKwhProM3 * this.config.gas.zustandszahl);
+        }
+        return roh;
+    }
+
+    /**
+     * Minütlich: Bedarfsindex je Raum berechnen und aufsummieren.
+     */
+    async erfasseBedarf() {
+        const aussen = (await getStateAsync(this.config.aussenTemp))?.val;
+        for (const raum of this.config.raeume) {
+            const level = (await getStateAsync(`${raum.thermostatId}.LEVEL`))?.val;
+            const ist = (await getStateAsync(`${raum.thermostatId}.ACTUAL_TEMPERATURE`))?.val;
+            const soll = (await getStateAsync(`${raum.thermostatId}.SET_POINT_TEMPERATURE`))?.val;
+
+            let index = 0;
+            if (Utils.istZahl(level) && Utils.istZahl(ist) && Utils.istZahl(aussen)) {
+                const temperaturFaktor = Math.max(0, ist - aussen) / this.config.auslegungsDeltaK;
+                const sollFaktor = 1 + this.config.sollAbstandFaktor * (Utils.istZahl(soll) ? Math.max(0, soll - ist) : 0);
+                index = raum.heizkoerperLeistungW * level * temperaturFaktor * sollFaktor;
+            } else if (this.config.debug) {
+                log(`[Heizkosten] ${raum.name}: Werte unvollständig (LEVEL=${level}, Ist=${ist}, Außen=${aussen}), Bedarf 0.`, "debug");
+            }
+
+            this.bedarfSumme.set(raum.name, this.bedarfSumme.get(raum.name) + index);
+            await this.schreibeWertAsync(`Raeume.${raum.name}.Bedarfsindex`, Math.round(index));
+        }
+    }
+
+    registriereTrigger() {
+        this.subscriptions.push(on({ id: this.gasQuelle, change: "ne" }, async () => {
+            try {
+                await this.verteileGasverbrauch();
+            } catch (error) {
+                log(`Fehler in Trigger: Gas: ${error.message}`, "error");
+            }
+        }));
+    }
+
+    registriereCronjobs() {
+        schedule("* * * * *", async () => {
+            try { await this.erfasseBedarf(); } catch(e) { log(`Fehler in Cron: Bedarf: ${e.message}`, "error"); }
+        });
+
+        schedule("59 59 23 * * *", async () => {
+            try { await this.schichteTagesWerteUm(new Date(Date.now() + 60000)); } catch(e) { log(`Fehler in Cron: Tageswechsel: ${e.message}`, "error"); }
+        });
+
+        schedule("59 59 23 28-31 * *", async () => {
+            try {
+                let morgen = new Date();
+                morgen.setDate(morgen.getDate() + 1);
+                if (morgen.getDate() === 1) await this.schichteMonatsWerteUm();
+            } catch(e) { log(`Fehler in Cron: Monatswechsel: ${e.message}`, "error"); }
+        });
+    }
+
+    /**
+     * Verteilt den Anstieg des Gaszählers auf die Räume.
+     */
+    async verteileGasverbrauch() {
+        if (this.processingLock) {
+            if (this.config.debug) log("Verteilung läuft bereits, ignoriere parallelen Aufruf (Mutex)", "debug");
+            return;
+        }
+        this.processingLock = true;
+
+        try {
+            const neuerWert = await this.leseGasKwh();
+            if (neuerWert === null) return;
+            const letzterWert = await this.getStateCached(this.config.basePath + "Gas_Letzter_Rohwert");
+            await this.schreibeWertAsync("Gas_Letzter_Rohwert", neuerWert);
+            if (!letzterWert) return;
+
+            const deltaKwh = Utils.rundenKwh(neuerWert - letzterWert);
+            // Zählerreset oder Sprung: der bisherige Bedarf gehört zu keinem verteilten Verbrauch.
+            // Bei unverändertem Zähler wird weiter gesammelt.
+            if (deltaKwh <= 0) {
+                if (deltaKwh < 0) {
+                    log(`Gaszähler gesunken (${letzterWert} -> ${neuerWert} kWh). Setze Referenz neu.`, "warn");
+                    this.setzeBedarfZurueck();
+                }
+                return;
+            }
+            if (deltaKwh > this.config.maxZulaessigerSprungKwh) {
+                log(`Unrealistischer Sprung des Gaszählers (+${deltaKwh} kWh). Wird nicht verteilt!`, "warn");
+                this.setzeBedarfZurueck();
+                return;
+            }
+
+            const preis = (await this.getStateCached(this.config.basePath + "Gas_Arbeitspreis")) ?? this.config.arbeitspreisEuroProKwh;
+            const gesamtBedarf = [...this.bedarfSumme.values()].reduce((a, b) => a + b, 0);
+            const anteile = new Map();
+            if (gesamtBedarf > 0) {
+                for (const [raum, bedarf] of this.bedarfSumme) anteile.set(raum, bedarf / gesamtBedarf);
+            } else {
+                anteile.set(NICHT_ZUGEORDNET, 1);
+            }
+
+            for (const [raum, anteil] of anteile) {
+                if (anteil > 0) await this.addiereVerbrauch(`Raeume.${raum}.`, deltaKwh * anteil, deltaKwh * anteil * preis);
+            }
+            await this.addiereVerbrauch("Gas_", deltaKwh, deltaKwh * preis);
+            await this.aktualisiereAnteile();
+            await this.schreibeWertAsync("Gas_Aktualisierung", Utils.formatiereDatum(new Date()));
+
+            if (this.config.debug) {
+                const text = [...anteile].map(([raum, anteil]) => `${raum} ${(anteil * 100).toFixed(0)}%`).join(", ");
+                log(`[Heizkosten] ${deltaKwh} kWh verteilt: ${text}`, "debug");
+            }
+            this.setzeBedarfZurueck();
+        } finally {
+            this.processingLock = false;
+        }
+    }
+
+    /**
+     * Startet die Bedarfssumme für den nächsten Zähleranstieg neu.
+     */
+    setzeBedarfZurueck() {
+        this.bedarfSumme.forEach((_, raum) => this.bedarfSumme.set(raum, 0));
+    }
+
+    /**
+     * Addiert kWh und € auf die laufenden Perioden (heute, Monat).
+     */
+    async addiereVerbrauch(prefix, kwh, euro) {
+        for (const p of ["heute", "Monat"]) {
+            const verbrauch = (await this.getStateCached(`${this.config.basePath}${prefix}Verbrauch_${p}`)) ?? 0;
+            const kosten = (await this.getStateCached(`${this.config.basePath}${prefix}Kosten_${p}`)) ?? 0;
+            await this.schreibeWertAsync(`${prefix}Verbrauch_${p}`, Utils.rundenKwh(verbrauch + kwh));
+            await this.schreibeWertAsync(`${prefix}Kosten_${p}`, Utils.rundenEuro(kosten + euro));
+        }
+    }
+
+    /**
+     * Anteil jedes Raums am Gesamtverbrauch der Periode in %.
+     */
+    async aktualisiereAnteile(perioden = ["heute", "Monat"]) {
+        for (const p of perioden) {
+            const gesamt = (await this.getStateCached(`${this.config.basePath}Gas_Verbrauch_${p}`)) ?? 0;
+            for (const raum of this.raumNamen) {
+                const verbrauch = (await this.getStateCached(`${this.config.basePath}Raeume.${raum}.Verbrauch_${p}`)) ?? 0;
+                await this.schreibeWertAsync(`Raeume.${raum}.Anteil_${p}`, gesamt > 0 ? Math.round(verbrauch / gesamt * 1000) / 10 : 0);
+            }
+        }
+    }
+
+    async pruefeVerpassteWechsel() {
+        const letztesSpeicherDatum = this.holeWert("Gas_Letztes_Speicher_Datum");
+        const heute = new Date();
+        if (!letztesSpeicherDatum) {
+            await this.schreibeWertAsync("Gas_Letztes_Speicher_Datum", Utils.datumIso(heute));
+            return;
+        }
+
+        if (letztesSpeicherDatum !== Utils.datumIso(heute)) {
+            log(`Verpasster Tageswechsel erkannt (Letzte Speicherung: ${letztesSpeicherDatum}). Hole Daten nach...`, "warn");
+            await this.schichteTagesWerteUm(heute);
+
+            const letztesDatumObj = new Date(letztesSpeicherDatum);
+            if (letztesDatumObj.getMonth() !== heute.getMonth() || letztesDatumObj.getFullYear() !== heute.getFullYear()) {
+                await this.schichteMonatsWerteUm();
+            }
+        }
+    }
+
+    /**
+     * Schiebt die laufende Periode in die abgeschlossene (heute -> gestern, Monat -> letzter_Monat).
+     */
+    async schichtePeriodeUm(laufend, abgeschlossen) {
+        for (const prefix of ["Gas_", ...this.raumNamen.map(raum => `Raeume.${raum}.`)]) {
+            for (const art of ["Verbrauch", "Kosten"]) {
+                const wert = this.holeWert(`${prefix}${art}_${laufend}`) || 0;
+                await this.schreibeWertAsync(`${prefix}${art}_${abgeschlossen}`, wert);
+                await this.schreibeWertAsync(`${prefix}${art}_${laufend}`, 0);
+            }
+        }
+        for (const raum of this.raumNamen) {
+            const anteil = this.holeWert(`Raeume.${raum}.Anteil_${laufend}`) || 0;
+            await this.schreibeWertAsync(`Raeume.${raum}.Anteil_${abgeschlossen}`, anteil);
+            await this.schreibeWertAsync(`Raeume.${raum}.Anteil_${laufend}`, 0);
+        }
+    }
+
+    /**
+     * @param {Date} neuerTag - Tag, zu dem "heute" ab jetzt gehört (Cron um 23:59:59: morgen)
+     */
+    async schichteTagesWerteUm(neuerTag) {
+        if (this.config.debug) log("Führe Tageswechsel aus...", "info");
+        await this.schichtePeriodeUm("heute", "gestern");
+        await this.schreibeWertAsync("Gas_Letztes_Speicher_Datum", Utils.datumIso(neuerTag));
+    }
+
+    async schichteMonatsWerteUm() {
+        if (this.config.debug) log("Führe Monatswechsel aus...", "info");
+        await this.schichtePeriodeUm("Monat", "letzter_Monat");
+    }
+
+    stop() {
+        this.subscriptions.forEach(sub => unsubscribe(sub));
+    }
+}
+
+// =========================================================================
+// START
+// =========================================================================
+const heizkosten = new HeizkostenManager(CONFIG, DATENPUNKTE);
+heizkosten.start();
+
+onStop(() => heizkosten.stop(), 1000);
+
+})();
@@ -0,0 +1,85 @@
+// @ts-check
+
+/**
+ * @fileoverview Kontext-Kategorien des Heizungs-Lernsystems (globales Skript)
+ * @version 1.0 - Initialversion
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Eine Erfahrung in heizungs_erfahrung gilt fuer einen Kontext aus
+ * Aussentemperatur, Sonne, Wind und Tageszeit. Lerner, Stratege und der
+ * Erfahrungs-Transfer muessen dieselben Kategoriegrenzen und Tageszeiten
+ * verwenden, sonst passen gelernte und abgefragte Kontexte nicht zusammen.
+ * Bisher war das je Skript kopiert ("identisch zu heizungs_lerner.js"), hier
+ * liegt die einzige Definition:
+ *   - GRENZEN      Untergrenzen der Kategorien kat_1..kat_n je Achse
+ *                  (darunter kat_0). Eine Aenderung macht bestehende
+ *                  Erfahrungen unpassend: danach den Backfill-Replay im
+ *                  Heizungs-Lerner laufen lassen.
+ *   - TAGESZEITEN  Vier-Stunden-Bloecke ab Mitternacht, zyklisch
+ *                  ('später Abend' grenzt an 'Nacht'). tageszeit() fuer einen
+ *                  Zeitpunkt, tageszeitZurStunde() fuer eine gespeicherte
+ *                  Dezimalstunde (heizungs_beobachtung.stunde).
+ *
+ * EINBINDUNG:
+ * Der javascript-Adapter stellt alle Skripte im Ordner "global" jedem anderen
+ * Skript voran. HeizungKontext steht deshalb ohne require() zur Verfuegung:
+ *
+ *   const kontext = {
+ *       temp_bereich: HeizungKontext.kategorie(aussenTemp, HeizungKontext.GRENZEN.temp),
+ *       tageszeit: HeizungKontext.tageszeit(Date.now()),
+ *   };
+ *
+ * Das Skript hat bewusst keine Seiteneffekte (keine Timer, keine Subscriptions),
+ * da es in jedes Skript eingefuegt wird. Die Werte sind eingefroren.
+ * -------------------------------------------------------------------------------------
+ */
+
+const HeizungKontext = (function () {
+    'use strict';
+
+    const GRENZEN = Object.freeze({
+        temp: Object.freeze([-25, -20, -15, -10, -5, 0, 5, 10, 15, 20]),
+        solar: Object.freeze([0.1, 0.4, 0.7]),
+        wind: Object.freeze([1.1, 1.3, 1.5]),
+    });
+
+    const TAGESZEITEN = Object.freeze(['Nacht', 'früher Morgen', 'Vormittag', 'Nachmittag', 'früher Abend', 'später Abend']);
+
+    /**
+     * Kategorie eines Messwerts, 'unbekannt' ohne Wert.
+     * @param {number|null|undefined} wert
+     * @param {ReadonlyArray<number>} grenzen - eine Achse aus GRENZEN
+     * @returns {string} 'kat_0' .. 'kat_n'
+     */
+    function kategorie(wert, grenzen) {
+        if (wert === null || typeof wert === 'undefined') return 'unbekannt';
+        for (let i = grenzen.length - 1; i >= 0; i--) {
+            if (wert >= grenzen[i]) return `kat_${i + 1}`;
+        }
+        return 'kat_0';
+    }
+
+    /**
+     * Tageszeit zu einer Dezimalstunde, 'Nacht' ausserhalb von 0..24.
+     * @param {number} stunde - z.B. 7.5 fuer 07:30
+     * @returns {string} Eintrag aus TAGESZEITEN
+     */
+    function tageszeitZurStunde(stunde) {
+        return TAGESZEITEN[Math.floor(stunde / 4)] || TAGESZEITEN[0];
+    }
+
+    /**
+     * Tageszeit zum Zeitpunkt ts (Ortszeit).
+     * @param {number} ts - ms
+     * @returns {string} Eintrag aus TAGESZEITEN
+     */
+    function tageszeit(ts) {
+        return tageszeitZurStunde(new Date(ts).getHours());
+    }
+
+    return { GRENZEN, TAGESZEITEN, kategorie, tageszeit, tageszeitZurStunde };
+})();
@@ -0,0 +1,313 @@
+// @ts-check
+/* global clearTimeout, log, sendToAsync, setTimeout */
+
+/**
+ * @fileoverview Gemeinsame SQL-Schicht fuer das Heizungs-Lernsystem (globales Skript)
+ * @version 1.0 - Initialversion
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Ersetzt die in Lerner, Stratege, Saisonreset usw. kopierten buildQuery()-
+ * Funktionen (nur '-Verdopplung, DB_NAME per String eingesetzt) durch einen
+ * gemeinsamen Zugriff auf den SQL-Adapter:
+ *   - Vorbereitete Anweisungen mit ?-Platzhaltern. Der SQL-Adapter nimmt per
+ *     sendTo nur SQL-Text an, gebunden wird deshalb hier - typgeprueft und mit
+ *     vollstaendigem Escaping (Anfuehrungszeichen UND Backslash). Platzhalter in
+ *     String-Literalen werden ignoriert, die Parameterzahl wird geprueft.
+ *   - Tabellennamen ueber tabelle('name'): Datenbank- und Tabellenname werden
+ *     gegen [A-Za-z0-9_] geprueft statt ungeprueft eingesetzt.
+ *   - DECIMAL-Spalten (vom Adapter als String geliefert) kommen als Zahl zurueck.
+ *   - Timeout je Anfrage und Wiederholung bei Verbindungsfehlern/Deadlocks.
+ *   - Schema-Migrationen mit Versionstabelle (schema_version) je Komponente.
+ *
+ * EINBINDUNG:
+ * Der javascript-Adapter stellt alle Skripte im Ordner "global" jedem anderen
+ * Skript voran. HeizungSql steht deshalb ohne require() zur Verfuegung:
+ *
+ *   const db = HeizungSql.erstelle({ instanz: 'sql.0', datenbank: 'iobroker_heizung' });
+ *   const zeilen = await db.abfrage(`SELECT offset_erfolg FROM ${db.tabelle('heizungs_erfahrung')} WHERE raum = ?`, ['Bad']);
+ *   const { betroffen } = await db.ausfuehren(`UPDATE ... WHERE raum = ?`, ['Bad']);
+ *   await db.migriere('heizungs_lerner', [{ version: 1, beschreibung: '...', sql: ['CREATE TABLE IF NOT EXISTS ...'] }]);
+ *
+ * Das Skript hat bewusst keine Seiteneffekte (keine Timer, keine Subscriptions),
+ * da es in jedes Skript eingefuegt wird.
+ * -------------------------------------------------------------------------------------
+ */
+
+const HeizungSql = (function () {
+    'use strict';
+
+    const STANDARD = {
+        instanz: 'sql.0',
+        datenbank: 'iobroker_heizung',
+        timeoutMs: 15000,
+        versuche: 3,
+        wartezeitMs: 2000,          // Wartezeit vor Versuch n: n * wartezeitMs
+        versionsTabelle: 'schema_version',
+    };
+
+    // Fehler, bei denen eine Wiederholung sinnvoll ist (Verbindung, Sperren, Timeout)
+    const WIEDERHOLBAR = /timeout|ECONNREFUSED|ECONNRESET|ETIMEDOUT|PROTOCOL_CONNECTION_LOST|ER_LOCK_DEADLOCK|ER_LOCK_WAIT_TIMEOUT|not connected/i;
+
+    // DECIMAL/BIGINT/SUM()/AVG() liefert der Adapter als String
+    const DEZIMAL = /^-?\d+(\.\d+)?$/;
+
+    const BEZEICHNER = /^[A-Za-z0-9_]+$/;
+
+    // -------------------------------------------------------------------------------------
+    // 1. BINDUNG & ESCAPING
+    // -------------------------------------------------------------------------------------
+
+    function pruefeBezeichner(name) {
+        if (typeof name !== 'string' || !BEZEICHNER.test(name)) {
+            throw new Error(`[HeizungSql] Ungueltiger Bezeichner: ${JSON.stringify(name)}`);
+        }
+        return name;
+    }
+
+    /**
+     * Formatiert ein Datum als lokale SQL-DATETIME ('JJJJ-MM-TT HH:MM:SS').
+     * @param {Date} d
+     */
+    function formatiereDatum(d) {
+        const zz = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${zz(d.getMonth() + 1)}-${zz(d.getDate())} ${zz(d.getHours())}:${zz(d.getMinutes())}:${zz(d.getSeconds())}`;
+    }
+
+    /**
+     * Wandelt einen Parameter in ein SQL-Literal.
+     * @param {any} wert
+     * @returns {string}
+     */
+    function escapeWert(wert) {
+        if (wert === null || typeof wert === 'undefined') return 'NULL';
+        if (typeof wert === 'number') {
+            if (!Number.isFinite(wert)) throw new Error(`[HeizungSql] Ungueltiger Zahlenwert: ${wert}`);
+            return String(wert);
+        }
+        if (typeof wert === 'boolean') return wert ? '1' : '0';
+        if (wert instanceof Date) {
+            if (isNaN(wert.getTime())) throw new Error('[HeizungSql] Ungueltiges Datum');
+            return `'${formatiereDatum(wert)}'`;
+        }
+        if (Array.isArray(wert)) {
+            if (wert.length === 0) throw new Error('[HeizungSql] Leere Liste als Parameter');
+            return wert.map(escapeWert).join(', ');
+        }
+        if (typeof wert === 'string') {
+            return `'${wert.replace(/\\/g, '\\\\').replace(/\0/g, '\\0').replace(/'/g, "''")}'`;
+        }
+        throw new Error(`[HeizungSql] Nicht unterstuetzter Parametertyp: ${typeof wert}`);
+    }
+
+    /**
+     * Zerlegt SQL an den ?-Platzhaltern ausserhalb von String-Literalen und Bezeichnern.
+     * @param {string} sql
+     * @returns {string[]} Textteile (Anzahl Platzhalter = Laenge - 1)
+     */
+    function zerlege(sql) {
+        const teile = [];
+        let aktuell = '';
+        let quote = null;
+        for (let i = 0; i < sql.length; i++) {
+            const z = sql[i];
+            if (quote) {
+                aktuell += z;
+                if (z === '\\' && quote !== '`' && i + 1 < sql.length) {
+                    aktuell += sql[++i];
+                } else if (z === quote) {
+                    quote = null;
+                }
+            } else if (z === "'" || z === '"' || z === '`') {
+                quote = z;
+                aktuell += z;
+            } else if (z === '?') {
+                teile.push(aktuell);
+                aktuell = '';
+            } else {
+                aktuell += z;
+            }
+        }
+        teile.push(aktuell);
+        return teile;
+    }
+
+    /**
+     * Vorbereitete Anweisung: einmal zerlegt, beliebig oft gebunden.
+     * @param {string} sql
+     */
+    function vorbereiten(sql) {
+        const teile = zerlege(sql);
+        const anzahl = teile.length - 1;
+        return {
+            anzahl,
+            /** @param {any[]} [params] */
+            binde(params = []) {
+                if (params.length !== anzahl) {
+                    throw new Error(`[HeizungSql] ${anzahl} Platzhalter, aber ${params.length} Parameter`);
+                }
+                let text = teile[0];
+                for (let i = 0; i < anzahl; i++) text += escapeWert(params[i]) + teile[i + 1];
+                return text;
+            },
+        };
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 2. ERGEBNISSE
+    // -------------------------------------------------------------------------------------
+
+    function konvertiereZeile(zeile) {
+        if (!zeile || typeof zeile !== 'object') return zeile;
+        const neu = {};
+        for (const [spalte, wert] of Object.entries(zeile)) {
+            neu[spalte] = typeof wert === 'string' && DEZIMAL.test(wert) ? Number(wert) : wert;
+        }
+        return neu;
+    }
+
+    // affectedRows/insertId liegen je nach Adapter-Version an unterschiedlicher Stelle
+    function schreibErgebnis(antwort) {
+        const quelle = antwort && antwort.result && !Array.isArray(antwort.result) ? antwort.result : antwort || {};
+        return {
+            betroffen: typeof quelle.affectedRows === 'number' ? quelle.affectedRows : 0,
+            einfuegeId: typeof quelle.insertId === 'number' ? quelle.insertId : null,
+        };
+    }
+
+    // -------------------------------------------------------------------------------------
+    // 3. CLIENT
+    // -------------------------------------------------------------------------------------
+
+    function warte(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    function mitTimeout(promise, ms) {
+        let timer = null;
+        const ablauf = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timeout nach ${ms} ms`)), ms);
+        });
+        return Promise.race([promise, ablauf]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Erstellt einen Zugriff auf eine Datenbank ueber den SQL-Adapter.
+     * @param {Partial<typeof STANDARD>} [optionen]
+     */
+    function erstelle(optionen = {}) {
+        const cfg = { ...STANDARD, ...optionen };
+        pruefeBezeichner(cfg.datenbank);
+        pruefeBezeichner(cfg.versionsTabelle);
+        const anweisungen = new Map();
+
+        function anweisung(sql) {
+            if (!anweisungen.has(sql)) anweisungen.set(sql, vorbereiten(sql));
+            return anweisungen.get(sql);
+        }
+
+        /**
+         * Sendet SQL-Text mit Timeout und Wiederholung.
+         * @param {string} text
+         * @param {boolean} wiederholen false fuer nicht idempotente Anweisungen
+         */
+        async function sende(text, wiederholen) {
+            const versuche = wiederholen ? Math.max(1, cfg.versuche) : 1;
+            for (let versuch = 1; ; versuch++) {
+                try {
+                    /** @type {any} */
+                    const antwort = await mitTimeout(sendToAsync(cfg.instanz, 'query', text), cfg.timeoutMs);
+                    if (antwort && antwort.error) throw new Error(String(antwort.error));
+                    return antwort;
+                } catch (e) {
+                    const meldung = (e && e.message) || String(e);
+                    if (versuch >= versuche || !WIEDERHOLBAR.test(meldung)) throw e instanceof Error ? e : new Error(meldung);
+                    log(`[HeizungSql] ${cfg.instanz}: ${meldung} - Versuch ${versuch + 1}/${versuche} in ${cfg.wartezeitMs * versuch} ms`, 'warn');
+                    await warte(cfg.wartezeitMs * versuch);
+                }
+            }
+        }
+
+        const client = {
+            datenbank: cfg.datenbank,
+
+            /** Voll qualifizierter, gepruefter Tabellenname ('datenbank.tabelle'). */
+            tabelle(name) {
+                return `${cfg.datenbank}.${pruefeBezeichner(name)}`;
+            },
+
+            /** Bindet Parameter ohne zu senden (z.B. fuer Debug-Logs). */
+            binde(sql, params = []) {
+                return anweisung(sql).binde(params);
+            },
+
+            /**
+             * SELECT: liefert die Zeilen, DECIMAL-Strings als Zahl.
+             * @param {string} sql
+             * @param {any[]} [params]
+             * @param {{wiederholen?: boolean}} [optionen]
+             * @returns {Promise<any[]>}
+             */
+            async abfrage(sql, params = [], optionen = {}) {
+                const antwort = await sende(anweisung(sql).binde(params), optionen.wiederholen !== false);
+                const zeilen = antwort && Array.isArray(antwort.result) ? antwort.result : [];
+                return zeilen.map(konvertiereZeile);
+            },
+
+            /**
+             * INSERT/UPDATE/DDL: liefert betroffene Zeilen und ggf. die neue ID.
+             * Nicht idempotente Anweisungen (z.B. zaehler = zaehler + 1) mit
+             * { wiederholen: false } senden - nach einem Timeout ist unklar, ob sie liefen.
+             * @param {string} sql
+             * @param {any[]} [params]
+             * @param {{wiederholen?: boolean}} [optionen]
+             * @returns {Promise<{betroffen: number, einfuegeId: number|null}>}
+             */
+            async ausfuehren(sql, params = [], optionen = {}) {
+                const antwort = await sende(anweisung(sql).binde(params), optionen.wiederholen !== false);
+                return schreibErgebnis(antwort);
+            },
+
+            /**
+             * Fuehrt alle noch nicht angewendeten Migrationen einer Komponente aus.
+             * MySQL-DDL ist nicht transaktional: Anweisungen idempotent halten
+             * (CREATE TABLE IF NOT EXISTS ...), die Version wird nach jeder
+             * vollstaendigen Migration gespeichert.
+             * @param {string} komponente z.B. 'heizungs_lerner'
+             * @param {{version: number, beschreibung: string, sql: string[]}[]} migrationen
+             * @returns {Promise<number>} erreichte Schema-Version
+             */
+            async migriere(komponente, migrationen) {
+                const versionen = this.tabelle(cfg.versionsTabelle);
+                await this.ausfuehren(`CREATE TABLE IF NOT EXISTS ${versionen} (
+                    komponente VARCHAR(50) PRIMARY KEY,
+                    version INT NOT NULL,
+                    aktualisiert TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`);
+
+                const zeilen = await this.abfrage(`SELECT version FROM ${versionen} WHERE komponente = ?;`, [komponente]);
+                let version = zeilen.length > 0 ? Number(zeilen[0].version) || 0 : 0;
+
+                const offen = [...migrationen].sort((a, b) => a.version - b.version).filter((m) => m.version > version);
+                for (const m of offen) {
+                    for (const sql of m.sql) {
+                        await this.ausfuehren(sql);
+                    }
+                    await this.ausfuehren(`
+                        INSERT INTO ${versionen} (komponente, version) VALUES (?, ?)
+                        ON DUPLICATE KEY UPDATE version = VALUES(version);
+                    `, [komponente, m.version]);
+                    version = m.version;
+                    log(`[HeizungSql] ${komponente}: Migration v${m.version} (${m.beschreibung}) ausgefuehrt.`, 'info');
+                }
+                return version;
+            },
+        };
+        return client;
+    }
+
+    return { erstelle, escapeWert, vorbereiten };
+})();
@@ -0,0 +1,151 @@
+// @ts-check
+/* global getStateAsync, log */
+
+/**
+ * @fileoverview Thermisches Raummodell (RC-Modell) - Vorhersage (globales Skript)
+ * @version 1.0 - Initialversion
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK DES SKRIPTS:
+ * -------------------------------------------------------------------------------------
+ * Wertet das von waermemodell_lerner.js je Raum angepasste RC-Modell aus
+ * (ein Widerstand zur Aussenluft, eine Waermekapazitaet):
+ *
+ *   dT/dt = a * (T_aussen - T) + b * ventil + c * solar      [°C/h]
+ *
+ *   a = 1 / tau      Kehrwert der Zeitkonstante (Auskuehlung)
+ *   b                Aufheizleistung bei voll offenem Ventil (°C/h)
+ *   c                Erwaermung durch Sonne bei solar = 1 (°C/h)
+ *
+ * Die Modelle liegen als JSON unter
+ *   0_userdata.0.Heizung.Waermemodell.{raum}.Modell
+ *
+ * EINBINDUNG:
+ * Der javascript-Adapter stellt alle Skripte im Ordner "global" jedem anderen
+ * Skript voran (Raumsteuerung, Vorheizen, Planer, ...):
+ *
+ *   // Raumtemperatur in 3 h mit aktuellen Werten (Raum, Aussen, Ventil) als Startwert
+ *   const t = await HeizungWaermemodell.vorhersage('Wohnzimmer', 3);
+ *   // Eigene Annahmen: Ventil zu, Aussentemperatur stuendlich aus einer Prognose
+ *   const t = await HeizungWaermemodell.vorhersage('Wohnzimmer', 6, { ventil: 0, aussenTemp: [2, 1, 1, 0, 0, -1] });
+ *   // Vorheizdauer bis 21 °C bei voll offenem Ventil
+ *   const h = HeizungWaermemodell.zeitBisZiel(modell, { startTemp: 18, zielTemp: 21, aussenTemp: 0 });
+ *
+ * Das Skript hat bewusst keine Seiteneffekte (keine Timer, keine Subscriptions),
+ * da es in jedes Skript eingefuegt wird.
+ * -------------------------------------------------------------------------------------
+ */
+
+const HeizungWaermemodell = (function () {
+    'use strict';
+
+    const MODELL_PFAD = '0_userdata.0.Heizung.Waermemodell';
+    const SCHRITT_MINUTEN = 15;
+
+    /**
+     * Eingabe zum Zeitpunkt t (Stunden ab Start): Zahl, stuendliche Liste
+     * (letzter Wert gilt weiter) oder Funktion t -> Wert.
+     */
+    function eingabeBei(eingabe, t) {
+        if (typeof eingabe === 'function') return Number(eingabe(t)) || 0;
+        if (Array.isArray(eingabe)) {
+            if (eingabe.length === 0) return 0;
+            return Number(eingabe[Math.min(eingabe.length - 1, Math.floor(t))]) || 0;
+        }
+        return Number(eingabe) || 0;
+    }
+
+    /**
+     * Simuliert die Raumtemperatur ueber `stunden` (explizites Euler-Verfahren).
+     * @param {{a: number, b: number, c: number}} modell
+     * @param {{startTemp: number, stunden: number, aussenTemp: any, ventil?: any, solar?: any, schrittMinuten?: number}} eingaben
+     * @returns {{temp: number, verlauf: {stunde: number, temp: number}[]}} Endtemperatur und Verlauf je Schritt
+     */
+    function simuliere(modell, eingaben) {
+        const dt = (eingaben.schrittMinuten || SCHRITT_MINUTEN) / 60;
+        const schritte = Math.max(0, Math.round(eingaben.stunden / dt));
+        let temp = eingaben.startTemp;
+        const verlauf = [{ stunde: 0, temp }];
+        for (let k = 0; k < schritte; k++) {
+            const t = k * dt;
+            const aussen = eingabeBei(eingaben.aussenTemp, t);
+            const ventil = Math.max(0, Math.min(1, eingabeBei(eingaben.ventil, t)));
+            const solar = Math.max(0, eingabeBei(eingaben.solar, t));
+            temp += dt * (modell.a * (aussen - temp) + modell.b * ventil + modell.c * solar);
+            verlauf.push({ stunde: parseFloat(((k + 1) * dt).toFixed(4)), temp });
+        }
+        return { temp, verlauf };
+    }
+
+    /**
+     * Temperatur, gegen die der Raum bei konstanten Bedingungen strebt.
+     */
+    function stationaer(modell, { aussenTemp, ventil = 0, solar = 0 }) {
+        return aussenTemp + (modell.b * ventil + modell.c * solar) / modell.a;
+    }
+
+    /**
+     * Dauer in Stunden, bis der Raum bei konstanten Bedingungen zielTemp erreicht
+     * (analytische Loesung). null, wenn das Ziel so nicht erreichbar ist.
+     * @returns {number|null}
+     */
+    function zeitBisZiel(modell, { startTemp, zielTemp, aussenTemp, ventil = 1, solar = 0 }) {
+        const grenze = stationaer(modell, { aussenTemp, ventil, solar });
+        if (startTemp === zielTemp) return 0;
+        const anteil = (zielTemp - grenze) / (startTemp - grenze);
+        if (!(anteil > 0 && anteil < 1)) return null;
+        return -Math.log(anteil) / modell.a;
+    }
+
+    /**
+     * Liest das Modell eines Raums aus dem Datenpunkt.
+     * @returns {Promise<object|null>}
+     */
+    async function ladeModell(raum) {
+        try {
+            const roh = (await getStateAsync(`${MODELL_PFAD}.${raum}.Modell`))?.val;
+            if (!roh) return null;
+            const modell = JSON.parse(String(roh));
+            return modell && modell.a > 0 ? modell : null;
+        } catch (e) {
+            log(`[Waermemodell] Modell fuer ${raum} nicht lesbar: ${e.message || e}`, 'warn');
+            return null;
+        }
+    }
+
+    async function leseZahl(id) {
+        if (!id) return null;
+        try {
+            const wert = (await getStateAsync(id))?.val;
+            return typeof wert === 'number' ? wert : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Sagt die Raumtemperatur in `stunden` Stunden voraus. Fehlende Eingaben
+     * werden mit den aktuellen Werten der im Modell hinterlegten Datenpunkte
+     * belegt (Raumtemperatur, Aussentemperatur, Ventil; Sonne = 0).
+     * @param {string} raum dbRaum, z.B. 'Wohnzimmer'
+     * @param {number} stunden
+     * @param {{startTemp?: number, aussenTemp?: any, ventil?: any, solar?: any}} [eingaben]
+     * @returns {Promise<number|null>} vorhergesagte Temperatur (0.1 °C) oder null ohne Modell/Startwert
+     */
+    async function vorhersage(raum, stunden, eingaben = {}) {
+        const modell = await ladeModell(raum);
+        if (!modell) return null;
+        const ids = modell.ids || {};
+        const startTemp = typeof eingaben.startTemp === 'number' ? eingaben.startTemp : await leseZahl(ids.raumTemp);
+        const aussenTemp = typeof eingaben.aussenTemp !== 'undefined' ? eingaben.aussenTemp : await leseZahl(ids.aussenTemp);
+        const ventil = typeof eingaben.ventil !== 'undefined' ? eingaben.ventil : await leseZahl(ids.ventil);
+        if (startTemp === null || aussenTemp === null) return null;
+
+        const { temp } = simuliere(modell, { startTemp, stunden, aussenTemp, ventil: ventil ?? 0, solar: eingaben.solar ?? 0 });
+        return parseFloat(temp.toFixed(1));
+    }
+
+    return { MODELL_PFAD, simuliere, stationaer, zeitBisZiel, ladeModell, vorhersage };
+})();
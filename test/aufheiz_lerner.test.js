@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess/aufheiz_lerner.js
+ * (Aufheizphasen aus der InfluxDB-Historie, Regression der Aufheizrate ueber
+ * der Aussentemperatur, Nachfuehren der Rate bei neuer Aussentemperatur).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/KI_Lernprozess/aufheiz_lerner.js';
+const WOHNZIMMER = 'hm-rpc.2.INT0000005.1';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const PFAD = '0_userdata.0.Heizung.Vorheizen.Wohnzimmer.';
+
+// Wahre Aufheizrate: 1.0 + 0.1 * T_aussen °C/h
+const TAGE = [
+    { datum: '2026-01-06', aussen: -5 },
+    { datum: '2026-01-07', aussen: 0 },
+    { datum: '2026-01-08', aussen: 5 },
+    { datum: '2026-01-09', aussen: 10 },
+];
+
+/**
+ * Je Tag Sollwert 17 -> 21 °C um 06:00 und zurueck um 22:00; der Raum steigt
+ * linear mit der wahren Rate (10-Minuten-Raster wie die Abfrage des Lerners).
+ */
+function historie() {
+    const reihen = { ist: [], soll: [], aussen: [] };
+    for (const { datum, aussen } of TAGE) {
+        const mitternacht = new Date(`${datum}T00:00:00`).getTime();
+        const heizStart = mitternacht + 6 * 3600000;
+        const rate = 1.0 + 0.1 * aussen;
+        reihen.soll.push({ ts: mitternacht, val: 17 }, { ts: heizStart, val: 21 }, { ts: mitternacht + 22 * 3600000, val: 17 });
+        for (let t = mitternacht; t < mitternacht + 24 * 3600000; t += 10 * 60000) {
+            const heizt = t >= heizStart && t < mitternacht + 22 * 3600000;
+            reihen.ist.push({ ts: t, val: heizt ? Math.min(21, 17 + rate * (t - heizStart) / 3600000) : 17 });
+            if (t % (30 * 60000) === 0) reihen.aussen.push({ ts: t, val: aussen });
+        }
+    }
+    return reihen;
+}
+
+test('Aufheizrate wird aus den Aufheizphasen gelernt und mit der Aussentemperatur nachgefuehrt', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T04:00:00', states: { [AUSSEN]: 2.0 } });
+    const reihen = historie();
+    const serien = {
+        [`${WOHNZIMMER}.ACTUAL_TEMPERATURE`]: reihen.ist,
+        [`${WOHNZIMMER}.SET_POINT_TEMPERATURE`]: reihen.soll,
+        [AUSSEN]: reihen.aussen,
+    };
+    sb.beantworte('influxdb.0', (befehl, { id, options }) => ({
+        result: (serien[id] || []).filter(p => p.ts >= options.start && p.ts <= options.end),
+    }));
+
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(61000);
+
+    const modell = JSON.parse(sb.wert(PFAD + 'Aufheizmodell'));
+    assert.strictEqual(modell.phasen, 4);
+    assert.ok(Math.abs(modell.achsenabschnitt - 1.0) < 0.01, `achsenabschnitt=${modell.achsenabschnitt}`);
+    assert.ok(Math.abs(modell.steigung - 0.1) < 0.001, `steigung=${modell.steigung}`);
+    assert.deepStrictEqual([modell.aussenMin, modell.aussenMax], [-5, 10]);
+    assert.strictEqual(sb.wert(PFAD + 'Aufheizrate'), 1.2);
+
+    // Raeume ohne Historie behalten ihr Modell
+    assert.strictEqual(sb.wert('0_userdata.0.Heizung.Vorheizen.Kueche.Aufheizmodell'), '');
+    assert.strictEqual(sb.logsMit('Kueche: zu wenig Historie').length, 1);
+
+    // Neue Aussentemperatur: Rate ohne InfluxDB-Abfrage, begrenzt auf den gelernten Bereich
+    const abfragen = sb.nachrichtenAn('influxdb').length;
+    await sb.setzeState(AUSSEN, 8.0);
+    await sb.leeren();
+    assert.strictEqual(sb.wert(PFAD + 'Aufheizrate'), 1.8);
+    await sb.setzeState(AUSSEN, 25.0);
+    await sb.leeren();
+    assert.strictEqual(sb.wert(PFAD + 'Aufheizrate'), 2.0);
+    assert.strictEqual(sb.nachrichtenAn('influxdb').length, abfragen);
+});
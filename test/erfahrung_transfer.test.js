@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess/erfahrung_transfer.js
+ * (Export in die Dateiablage, Import mit Zusammenfuehren/Ersetzen, Pruefung
+ * von Raumnamen und Kategoriegrenzen, wiederholter Import).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/KI_Lernprozess/erfahrung_transfer.js';
+const PFAD = '0_userdata.0.Heizung.Lernsystem.Transfer.';
+const ADAPTER = '0_userdata.0';
+const GRENZEN = {
+    temp: [-25, -20, -15, -10, -5, 0, 5, 10, 15, 20],
+    solar: [0.1, 0.4, 0.7],
+    wind: [1.1, 1.3, 1.5],
+};
+
+const BESTAND = [
+    { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht', offset_erfolg: '0.50', nutzungs_zaehler: 20, letzte_nutzung: '2026-01-10T08:00:00.000Z' },
+    { raum: 'Kueche', temp_bereich: 'kat_5', solar_level: 'kat_2', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: '-0.30', nutzungs_zaehler: 4, letzte_nutzung: '2025-12-01T10:00:00.000Z' },
+];
+
+/** SELECT liefert den Bestand, alle Anweisungen werden aufgezeichnet. */
+function sqlMitschnitt(sb, zeilen = BESTAND) {
+    const abfragen = [];
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql);
+        return { result: /^\s*SELECT/.test(sql) ? zeilen : { affectedRows: 1 } };
+    });
+    return abfragen;
+}
+
+function exportDatei(raeume, kopf = {}) {
+    return JSON.stringify({
+        format: 'heizungs_erfahrung',
+        version: 1,
+        erstellt: new Date('2026-03-01T12:00:00').getTime(),
+        grenzen: GRENZEN,
+        raeume,
+        ...kopf,
+    });
+}
+
+async function starte() {
+    const sb = erstelleSandbox({ zeit: '2026-10-19T09:30:00' });
+    const abfragen = sqlMitschnitt(sb);
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return { sb, abfragen };
+}
+
+async function druecke(sb, button) {
+    await sb.setzeState(PFAD + button, true, false);
+    await sb.leeren();
+}
+
+test('Export schreibt eine versionierte Datei je Raum und merkt sie fuer den Import vor', async () => {
+    const { sb } = await starte();
+    await druecke(sb, 'Exportieren');
+
+    const datei = 'heizung/erfahrung/heizungs_erfahrung_2026-10-19_0930.json';
+    assert.strictEqual(sb.wert(PFAD + 'Datei'), datei);
+    assert.strictEqual(sb.wert(PFAD + 'Exportieren'), false);
+    assert.strictEqual(sb.wert(PFAD + 'Letzter_Export'), sb.jetzt());
+    assert.match(sb.wert(PFAD + 'Status'), /exportiert: 2 Kontexte/);
+
+    const inhalt = JSON.parse(sb.datei(ADAPTER, datei));
+    assert.strictEqual(inhalt.format, 'heizungs_erfahrung');
+    assert.strictEqual(inhalt.version, 1);
+    assert.deepStrictEqual(inhalt.grenzen, GRENZEN);
+    assert.deepStrictEqual(Object.keys(inhalt.raeume), ['Wohnzimmer', 'Kueche']);
+    assert.deepStrictEqual(inhalt.raeume.Wohnzimmer[0], {
+        temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht',
+        offset_erfolg: 0.5, nutzungs_zaehler: 20, letzte_nutzung: Date.parse('2026-01-10T08:00:00.000Z'),
+    });
+});
+
+test('Import fuehrt nach Nutzungszaehler gewichtet zusammen und prueft Raeume und Eintraege', async () => {
+    const { sb, abfragen } = await starte();
+    sb.legeDateiAn(ADAPTER, 'heizung/erfahrung/alt.json', exportDatei({
+        Wohnzimmer: [
+            // bekannt: (0.5 * 20 + 1.0 * 20) / 40 = 0.75, Zaehler 40, spaetere Nutzung bleibt
+            { temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht', offset_erfolg: 1.0, nutzungs_zaehler: 20, letzte_nutzung: new Date('2025-12-24T18:00:00').getTime() },
+            { temp_bereich: 'kat_2', solar_level: 'kat_0', wind_level: 'kat_3', tageszeit: 'später Abend', offset_erfolg: 1.4, nutzungs_zaehler: 7, letzte_nutzung: new Date('2026-02-02T21:00:00').getTime() },
+            { temp_bereich: 'kat_11', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nacht', offset_erfolg: 0.2, nutzungs_zaehler: 1 },
+            { temp_bereich: 'kat_2', solar_level: 'kat_0', wind_level: 'kat_3', tageszeit: 'später Abend', offset_erfolg: 0.1, nutzungs_zaehler: 1 },
+        ],
+        Kueche: [
+            { temp_bereich: 'kat_5', solar_level: 'kat_2', wind_level: 'kat_0', tageszeit: 'Mittag', offset_erfolg: 0.3, nutzungs_zaehler: 3 },
+            { temp_bereich: 'kat_5', solar_level: 'kat_2', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: 25, nutzungs_zaehler: 3 },
+        ],
+        Gaestezimmer: [{ temp_bereich: 'kat_5', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nacht', offset_erfolg: 0.3, nutzungs_zaehler: 2 }],
+    }));
+    await sb.setzeState(PFAD + 'Datei', 'heizung/erfahrung/alt.json', false);
+    await druecke(sb, 'Importieren');
+
+    const insert = abfragen.find(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung'));
+    assert.ok(insert, 'kein INSERT');
+    assert.ok(insert.includes("('Wohnzimmer', 'kat_6', 'kat_0', 'kat_1', 'Nacht', 0.75, 40, "), insert);
+    assert.ok(insert.includes("('Wohnzimmer', 'kat_2', 'kat_0', 'kat_3', 'später Abend', 1.4, 7, '2026-02-02 21:00:00')"), insert);
+    assert.match(insert, /letzte_nutzung = VALUES\(letzte_nutzung\)/);
+    assert.ok(!insert.includes('Gaestezimmer') && !insert.includes('kat_11') && !insert.includes("'Kueche'"));
+
+    const bericht = JSON.parse(sb.wert(PFAD + 'Bericht'));
+    assert.strictEqual(bericht.modus, 'zusammenfuehren');
+    assert.deepStrictEqual(bericht.raeume.find(r => r.raum === 'Wohnzimmer'), { raum: 'Wohnzimmer', neu: 1, zusammengefuehrt: 1, ersetzt: 0, abgelehnt: 2 });
+    assert.deepStrictEqual(bericht.raeume.find(r => r.raum === 'Kueche'), { raum: 'Kueche', neu: 0, zusammengefuehrt: 0, ersetzt: 0, abgelehnt: 2 });
+    assert.deepStrictEqual(bericht.unbekannte_raeume, { Gaestezimmer: 1 });
+    assert.ok(bericht.abgelehnt.some(g => /kat_11.*temp_bereich 'kat_11' ungueltig/.test(g)));
+    assert.ok(bericht.abgelehnt.some(g => /Kontext doppelt/.test(g)));
+    assert.ok(bericht.abgelehnt.some(g => /Tageszeit 'Mittag' unbekannt/.test(g)));
+    assert.ok(bericht.abgelehnt.some(g => /Offset 25 unplausibel/.test(g)));
+    assert.strictEqual(sb.logsMit("Raum 'Gaestezimmer' ist hier nicht bekannt", 'warn').length, 1);
+
+    // Vor dem Import wird der Bestand gesichert
+    assert.strictEqual(bericht.sicherung, 'heizung/erfahrung/heizungs_erfahrung_2026-10-19_0930_vor_import.json');
+    assert.strictEqual(JSON.parse(sb.datei(ADAPTER, bericht.sicherung)).anzahl, 2);
+});
+
+test('Abweichende Kategoriegrenzen verhindern den Import, Modus ersetzen uebernimmt die Dateiwerte', async () => {
+    const { sb, abfragen } = await starte();
+    const eintrag = { temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht', offset_erfolg: 1.0, nutzungs_zaehler: 3, letzte_nutzung: new Date('2026-03-01T02:00:00').getTime() };
+    sb.legeDateiAn(ADAPTER, 'a.json', exportDatei({ Wohnzimmer: [eintrag] }, { grenzen: { ...GRENZEN, wind: [1.2, 1.4] } }));
+    await sb.setzeState(PFAD + 'Datei', 'a.json', false);
+    await druecke(sb, 'Importieren');
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler: Kategoriegrenzen 'wind' weichen ab/);
+    assert.ok(!abfragen.some(q => q.includes('INSERT')));
+
+    // Fehlende Datei
+    await sb.setzeState(PFAD + 'Datei', 'fehlt.json', false);
+    await druecke(sb, 'Importieren');
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler: Not exists/);
+
+    sb.legeDateiAn(ADAPTER, 'b.json', exportDatei({ Wohnzimmer: [eintrag] }));
+    await sb.setzeState(PFAD + 'Datei', 'b.json', false);
+    await sb.setzeState(PFAD + 'Modus', 'ersetzen', false);
+    await druecke(sb, 'Importieren');
+    const insert = abfragen.find(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung'));
+    assert.ok(insert.includes("('Wohnzimmer', 'kat_6', 'kat_0', 'kat_1', 'Nacht', 1, 3, '2026-03-01 02:00:00')"), insert);
+    assert.match(sb.wert(PFAD + 'Status'), /importiert \(ersetzen\): 0 neu, 0 zusammengefuehrt, 1 ersetzt, 0 abgelehnt/);
+});
+
+test('Ein bereits importierter Export wird beim Zusammenfuehren abgelehnt', async () => {
+    const { sb, abfragen } = await starte();
+    const eintrag = { temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht', offset_erfolg: 1.0, nutzungs_zaehler: 20 };
+    sb.legeDateiAn(ADAPTER, 'c.json', exportDatei({ Wohnzimmer: [eintrag] }));
+    await sb.setzeState(PFAD + 'Datei', 'c.json', false);
+    await druecke(sb, 'Importieren');
+    const inserts = () => abfragen.filter(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung')).length;
+    assert.strictEqual(inserts(), 1);
+    assert.deepStrictEqual(JSON.parse(sb.wert(PFAD + 'Importierte_Exporte')).map(i => [i.erstellt, i.datei, i.modus]),
+        [[new Date('2026-03-01T12:00:00').getTime(), 'c.json', 'zusammenfuehren']]);
+
+    // Dieselbe Datei unter anderem Namen: Zaehler wuerden sich verdoppeln
+    sb.legeDateiAn(ADAPTER, 'kopie.json', exportDatei({ Wohnzimmer: [eintrag] }));
+    await sb.setzeState(PFAD + 'Datei', 'kopie.json', false);
+    await druecke(sb, 'Importieren');
+    assert.strictEqual(inserts(), 1);
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler: Export vom .* bereits am .* importiert, nur Modus 'ersetzen' moeglich/);
+    assert.strictEqual(sb.logsMit('Zusammenfuehren wuerde die Zaehler verdoppeln', 'warn').length, 1);
+
+    // Ersetzen ist idempotent und bleibt erlaubt
+    await sb.setzeState(PFAD + 'Modus', 'ersetzen', false);
+    await druecke(sb, 'Importieren');
+    assert.strictEqual(inserts(), 2);
+    assert.strictEqual(sb.logsMit('ersetzen schreibt dieselben Werte erneut', 'warn').length, 1);
+    assert.strictEqual(JSON.parse(sb.wert(PFAD + 'Importierte_Exporte')).length, 2);
+});
@@ -0,0 +1,18 @@
+// Fixture fuer harness.test.js: protokolliert Timer- und Cron-Ausfuehrungen
+(function () {
+    'use strict';
+    const uhrzeit = () => new Date().toTimeString().slice(0, 8);
+    let zaehler = 0;
+
+    createState('0_userdata.0.Test.Zaehler', 0, { type: 'number' });
+
+    setTimeout(() => {
+        ergebnis.push(`timeout ${uhrzeit()}`);
+        setStateAsync('0_userdata.0.Test.Zaehler', ++zaehler, true);
+    }, 30000);
+
+    schedule('* * * * *', () => {
+        ergebnis.push(`cron ${uhrzeit()}`);
+        setStateAsync('0_userdata.0.Test.Zaehler', ++zaehler, true);
+    });
+})();
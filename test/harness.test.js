@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Selbsttests der Sandbox (Cron, virtuelle Uhr, Subscriptions, sendTo-Responder).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox, parseCron, naechsterCronZeitpunkt } = require('./harness/iobroker_sandbox');
+
+function naechster(ausdruck, ab) {
+    return new Date(naechsterCronZeitpunkt(parseCron(ausdruck), new Date(ab).getTime())).toString().slice(0, 24);
+}
+
+test('Cron: 5 und 6 Felder, Schritte, Bereiche und Wochentage', () => {
+    assert.strictEqual(naechster('*/15 * * * *', '2026-01-14T10:07:00'), 'Wed Jan 14 2026 10:15:00');
+    assert.strictEqual(naechster('50 2 * * *', '2026-01-14T10:00:00'), 'Thu Jan 15 2026 02:50:00');
+    assert.strictEqual(naechster('59 59 23 * * 0', '2026-01-14T10:00:00'), 'Sun Jan 18 2026 23:59:59');
+    assert.strictEqual(naechster('59 59 23 28-31 * *', '2026-02-01T00:00:00'), 'Sat Feb 28 2026 23:59:59');
+    assert.strictEqual(naechster('0 8 * * 1-5', '2026-01-16T09:00:00'), 'Mon Jan 19 2026 08:00:00');
+});
+
+test('virtuelle Uhr steuert Date, Timer und schedule()', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00' });
+    sb.kontext.ergebnis = [];
+    sb.ladeSkript(require('path').join(__dirname, 'fixtures', 'uhr.js'));
+    await sb.vorspulen(2 * 60 * 1000);
+
+    assert.deepStrictEqual(sb.kontext.ergebnis, ['timeout 10:00:30', 'cron 10:01:00', 'cron 10:02:00']);
+    assert.strictEqual(sb.wert('0_userdata.0.Test.Zaehler'), 3);
+});
+
+test('Subscriptions filtern nach change und ack', async () => {
+    const sb = erstelleSandbox();
+    const treffer = [];
+    sb.kontext.on({ id: 'a.b', change: 'ne', ack: false }, obj => treffer.push(obj.state.val));
+    await sb.setzeState('a.b', 1, false);
+    await sb.setzeState('a.b', 1, false);
+    await sb.setzeState('a.b', 2, true);
+    await sb.setzeState('a.b', 3, false);
+    assert.deepStrictEqual(treffer, [1, 3]);
+});
+
+test('sendTo-Responder beantworten Anfragen und protokollieren Nachrichten', async () => {
+    const sb = erstelleSandbox();
+    sb.beantworte('sql.0', (befehl, nachricht) => ({ result: [{ abfrage: nachricht }] }));
+
+    const antwort = await sb.kontext.sendToAsync('sql.0', 'query', 'SELECT 1');
+    assert.deepStrictEqual(antwort, { result: [{ abfrage: 'SELECT 1' }] });
+
+    let callbackAntwort = null;
+    sb.kontext.sendTo('pushover.0', { message: 'Test' }, res => {
+        callbackAntwort = res;
+    });
+    await sb.leeren();
+    assert.deepStrictEqual(callbackAntwort, {});
+    assert.strictEqual(sb.nachrichtenAn('pushover')[0].nachricht.message, 'Test');
+    assert.strictEqual(sb.gesendet.length, 2);
+});
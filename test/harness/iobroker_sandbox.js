@@ -0,0 +1,604 @@
+'use strict';
+
+/**
+ * @fileoverview Offline-Testumgebung fuer ioBroker-JavaScript-Skripte
+ * @version 1.0
+ * @author Sanweb
+ * @license MIT
+ *
+ * -------------------------------------------------------------------------------------
+ * ZWECK:
+ * -------------------------------------------------------------------------------------
+ * Laedt ein Skript aus iobroker/ in eine vm-Sandbox und stellt die Globals des
+ * javascript-Adapters nach:
+ * - In-Memory-State-Store (getState/setState/createState/existsState, sync + async)
+ * - Subscriptions ueber on()/subscribe() inkl. change/ack/val-Filter
+ * - Virtuelle Uhr: setTimeout/setInterval, Date und schedule() (Cron mit
+ *   5 oder 6 Feldern) laufen nur ueber vorspulen()
+ * - Scriptbare sendTo-Responder (sql, influxdb, pushover, telegram, ...),
+ *   alle Nachrichten werden in gesendet[] protokolliert
+ * - Globale Skripte (iobroker/global/*.js) laufen wie im Adapter vor dem
+ *   ersten geladenen Skript (einmal je Sandbox)
+ * - Dateiablage (readFile/writeFile, sync + async) im Speicher je Adapter
+ *
+ * ANWENDUNG:
+ *   const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+ *   const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00', states: { 'a.b': 1 } });
+ *   sb.ladeSkript('iobroker/10_System/Tageszeit_Jahreszeit/heizperiode.js');
+ *   await sb.vorspulen(60000);
+ *   sb.wert('0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv');
+ *
+ * Tests laufen mit dem eingebauten Runner: node --test test/*.test.js
+ * -------------------------------------------------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Cron-Ausdruecke und Date-Berechnungen der Skripte beziehen sich auf Ortszeit
+process.env.TZ = process.env.TZ || 'Europe/Berlin';
+
+const REPO_WURZEL = path.resolve(__dirname, '..', '..');
+const GLOBAL_ORDNER = path.join(REPO_WURZEL, 'iobroker', 'global');
+
+// =====================================================================================
+// 1. CRON
+// =====================================================================================
+
+/**
+ * Zerlegt ein Cron-Feld (z.B. '*', '5', '1-5', '0,30', '*\/15', '28-31') in eine Menge.
+ * @param {string} feld
+ * @param {number} min
+ * @param {number} max
+ * @returns {{werte: Set<number>, alle: boolean}}
+ */
+function parseCronFeld(feld, min, max) {
+    const werte = new Set();
+    for (const teil of feld.split(',')) {
+        const [bereich, schrittText] = teil.split('/');
+        const schritt = schrittText ? parseInt(schrittText, 10) : 1;
+        let von = min;
+        let bis = max;
+        if (bereich !== '*') {
+            const grenzen = bereich.split('-').map(w => parseInt(w, 10));
+            von = grenzen[0];
+            bis = grenzen.length > 1 ? grenzen[1] : (schrittText ? max : grenzen[0]);
+        }
+        if (isNaN(von) || isNaN(bis) || isNaN(schritt) || schritt < 1) {
+            throw new Error(`Ungueltiges Cron-Feld '${feld}'`);
+        }
+        for (let w = von; w <= bis; w += schritt) werte.add(w);
+    }
+    return { werte, alle: feld === '*' };
+}
+
+/**
+ * @param {string} ausdruck Cron mit 5 Feldern (Minute) oder 6 Feldern (Sekunde zuerst)
+ */
+function parseCron(ausdruck) {
+    const felder = ausdruck.trim().split(/\s+/);
+    if (felder.length === 5) felder.unshift('0');
+    if (felder.length !== 6) throw new Error(`Ungueltiger Cron-Ausdruck '${ausdruck}'`);
+    const wochentag = parseCronFeld(felder[5], 0, 7);
+    if (wochentag.werte.has(7)) wochentag.werte.add(0);
+    return {
+        sekunde: parseCronFeld(felder[0], 0, 59),
+        minute: parseCronFeld(felder[1], 0, 59),
+        stunde: parseCronFeld(felder[2], 0, 23),
+        tag: parseCronFeld(felder[3], 1, 31),
+        monat: parseCronFeld(felder[4], 1, 12),
+        wochentag,
+    };
+}
+
+/**
+ * Naechster Ausfuehrungszeitpunkt STRIKT nach abMs (Ortszeit).
+ * @returns {number|null}
+ */
+function naechsterCronZeitpunkt(cron, abMs) {
+    const d = new Date(abMs - (abMs % 1000) + 1000);
+    const grenze = abMs + 400 * 24 * 3600 * 1000;
+    while (d.getTime() < grenze) {
+        const tagOK = cron.tag.alle || cron.wochentag.alle
+            ? cron.tag.werte.has(d.getDate()) && cron.wochentag.werte.has(d.getDay())
+            : cron.tag.werte.has(d.getDate()) || cron.wochentag.werte.has(d.getDay());
+        if (!tagOK || !cron.monat.werte.has(d.getMonth() + 1)) {
+            d.setHours(24, 0, 0, 0);
+            continue;
+        }
+        if (!cron.stunde.werte.has(d.getHours())) {
+            d.setHours(d.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.werte.has(d.getMinutes())) {
+            d.setMinutes(d.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        if (!cron.sekunde.werte.has(d.getSeconds())) {
+            const naechste = [...cron.sekunde.werte].filter(s => s > d.getSeconds()).sort((a, b) => a - b)[0];
+            if (naechste === undefined) d.setMinutes(d.getMinutes() + 1, 0, 0);
+            else d.setSeconds(naechste, 0);
+            continue;
+        }
+        return d.getTime();
+    }
+    return null;
+}
+
+// =====================================================================================
+// 2. SANDBOX
+// =====================================================================================
+
+/**
+ * Standard-Responder, damit Skripte ohne eigene Konfiguration nicht haengen.
+ * Ueberschreibbar mit sb.beantworte(instanz, fn).
+ */
+const STANDARD_RESPONDER = {
+    sql: befehl => (befehl === 'query' ? { result: [] } : {}),
+    influxdb: befehl => {
+        if (befehl === 'query') return { result: [[]] };
+        if (befehl === 'getHistory') return { result: [] };
+        return { success: true };
+    },
+    pushover: () => ({}),
+    telegram: () => ({}),
+};
+
+/**
+ * @param {{zeit?: string|number, states?: Record<string, any>, objekte?: Record<string, any>}} [optionen]
+ */
+function erstelleSandbox(optionen = {}) {
+    const uhr = { jetzt: optionen.zeit !== undefined ? new Date(optionen.zeit).getTime() : Date.now() };
+
+    /** @type {Map<string, {val: any, ack: boolean, ts: number, lc: number, from: string}>} */
+    const states = new Map();
+    /** @type {Map<string, any>} */
+    const objekte = new Map();
+    const subscriptions = [];
+    const timer = new Map();
+    const cronJobs = new Map();
+    const stopHandler = [];
+    const offeneAufgaben = new Set();
+    const responder = {};
+    const logs = [];
+    const gesendet = [];
+    /** @type {Map<string, string>} Dateiablage, Schluessel '{adapter}/{datei}' */
+    const dateien = new Map();
+    let naechsteTimerId = 1;
+    let erledigt = 0;
+    let reihenfolge = 0;
+
+    // --- Hilfsfunktionen ---------------------------------------------------------------
+    function verfolge(ergebnis) {
+        if (ergebnis && typeof ergebnis.then === 'function') {
+            const aufgabe = Promise.resolve(ergebnis).catch(e => {
+                logs.push({ level: 'error', msg: `[Harness] Unbehandelter Fehler: ${e && e.stack ? e.stack : e}` });
+            });
+            offeneAufgaben.add(aufgabe);
+            aufgabe.finally(() => {
+                offeneAufgaben.delete(aufgabe);
+                erledigt++;
+            });
+        }
+    }
+
+    function rufeAuf(fn, ...args) {
+        try {
+            verfolge(fn(...args));
+        } catch (e) {
+            logs.push({ level: 'error', msg: `[Harness] Fehler im Callback: ${e && e.stack ? e.stack : e}` });
+        }
+    }
+
+    function istRegExp(wert) {
+        return Object.prototype.toString.call(wert) === '[object RegExp]';
+    }
+
+    function idPasst(muster, id) {
+        if (Array.isArray(muster)) return muster.some(m => idPasst(m, id));
+        if (istRegExp(muster)) return muster.test(id);
+        if (typeof muster === 'string' && muster.includes('*')) {
+            const regex = new RegExp('^' + muster.split('*').map(t => t.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+            return regex.test(id);
+        }
+        return muster === id;
+    }
+
+    function aenderungPasst(change, neu, alt) {
+        const altVal = alt ? alt.val : undefined;
+        switch (change || 'ne') {
+            case 'any': return true;
+            case 'ne': return !alt || altVal !== neu.val;
+            case 'eq': return !!alt && altVal === neu.val;
+            case 'gt': return !!alt && neu.val > altVal;
+            case 'ge': return !!alt && neu.val >= altVal;
+            case 'lt': return !!alt && neu.val < altVal;
+            case 'le': return !!alt && neu.val <= altVal;
+            default: return true;
+        }
+    }
+
+    function benachrichtige(id, neu, alt) {
+        for (const sub of [...subscriptions]) {
+            const m = sub.muster;
+            if (!idPasst(m.id, id)) continue;
+            if (!aenderungPasst(m.change, neu, alt)) continue;
+            if (m.ack !== undefined && m.ack !== neu.ack) continue;
+            if (m.val !== undefined && m.val !== neu.val) continue;
+            const obj = {
+                id,
+                state: { ...neu },
+                oldState: alt ? { ...alt } : { val: null, ack: false, ts: 0, lc: 0, from: '' },
+            };
+            // Wie im Adapter: Callbacks laufen entkoppelt vom setState-Aufruf
+            verfolge(Promise.resolve().then(() => rufeAuf(sub.callback, obj)));
+        }
+    }
+
+    function schreibe(id, wertOderState, ack, quelle) {
+        let val = wertOderState;
+        let bestaetigt = ack;
+        if (wertOderState !== null && typeof wertOderState === 'object' && 'val' in wertOderState) {
+            val = wertOderState.val;
+            if (bestaetigt === undefined) bestaetigt = wertOderState.ack;
+        }
+        const alt = states.get(id);
+        const neu = {
+            val,
+            ack: !!bestaetigt,
+            ts: uhr.jetzt,
+            lc: alt && alt.val === val ? alt.lc : uhr.jetzt,
+            from: quelle,
+        };
+        states.set(id, neu);
+        benachrichtige(id, neu, alt);
+    }
+
+    function lies(id) {
+        const s = states.get(id);
+        return s ? { ...s } : null;
+    }
+
+    function legeAn(id, argumente) {
+        // createState(id, initialValue, forceCreation?, common?, native?, callback?)
+        const args = [...argumente];
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const initial = args[0];
+        let erzwingen = false;
+        let common = {};
+        if (typeof args[1] === 'boolean') {
+            erzwingen = args[1];
+            common = args[2] || {};
+        } else {
+            common = args[1] || {};
+        }
+        if (!objekte.has(id) || erzwingen) {
+            objekte.set(id, { _id: id, type: 'state', common: { ...common }, native: {} });
+        }
+        if (!states.has(id) || erzwingen) {
+            const start = initial !== undefined ? initial : (common.def !== undefined ? common.def : null);
+            states.set(id, { val: start, ack: true, ts: uhr.jetzt, lc: uhr.jetzt, from: 'system.adapter.javascript.0' });
+        }
+        if (callback) rufeAuf(callback);
+    }
+
+    function findeResponder(instanz) {
+        if (responder[instanz]) return responder[instanz];
+        const adapter = instanz.split('.')[0];
+        return responder[adapter] || STANDARD_RESPONDER[adapter] || null;
+    }
+
+    async function sende(instanz, befehl, nachricht) {
+        if (typeof befehl !== 'string') {
+            nachricht = befehl;
+            befehl = 'send';
+        }
+        gesendet.push({ instanz, befehl, nachricht, zeit: uhr.jetzt });
+        const fn = findeResponder(instanz);
+        if (!fn) {
+            logs.push({ level: 'warn', msg: `[Harness] Kein Responder fuer ${instanz}/${befehl}` });
+            return undefined;
+        }
+        return fn(befehl, nachricht, instanz);
+    }
+
+    function planeTimer(fn, ms, args, intervall) {
+        const id = naechsteTimerId++;
+        const verzoegerung = Math.max(0, Number(ms) || 0);
+        timer.set(id, { fn, args, faellig: uhr.jetzt + verzoegerung, intervall: intervall ? Math.max(1, verzoegerung) : 0, reihe: reihenfolge++ });
+        return id;
+    }
+
+    // --- Virtuelles Date ---------------------------------------------------------------
+    const EchtesDate = Date;
+    class VirtuellesDate extends EchtesDate {
+        constructor(...args) {
+            if (args.length === 0) super(uhr.jetzt);
+            else super(...args);
+        }
+        static now() {
+            return uhr.jetzt;
+        }
+    }
+
+    // --- Globals des javascript-Adapters -----------------------------------------------
+    const globals = {
+        console,
+        Date: VirtuellesDate,
+        performance: { now: () => uhr.jetzt },
+        require: modul => require(modul),
+        log: (msg, level = 'info') => logs.push({ level, msg: String(msg) }),
+
+        existsState: id => states.has(id),
+        existsStateAsync: async id => states.has(id),
+        getState: id => lies(id) || { val: null, notExist: true },
+        getStateAsync: async id => lies(id),
+        setState: (id, wert, ack, callback) => {
+            if (typeof ack === 'function') {
+                callback = ack;
+                ack = undefined;
+            }
+            schreibe(id, wert, ack, 'system.adapter.javascript.0');
+            if (callback) rufeAuf(callback);
+        },
+        setStateAsync: async (id, wert, ack) => schreibe(id, wert, ack, 'system.adapter.javascript.0'),
+        createState: (id, ...args) => legeAn(id, args),
+        createStateAsync: async (id, ...args) => legeAn(id, args),
+        deleteStateAsync: async id => {
+            states.delete(id);
+            objekte.delete(id);
+        },
+
+        getObject: id => objekte.get(id) || null,
+        getObjectAsync: async id => objekte.get(id) || null,
+        existsObjectAsync: async id => objekte.has(id),
+        setObjectAsync: async (id, obj) => {
+            objekte.set(id, { ...obj, _id: id });
+        },
+        extendObjectAsync: async (id, obj) => {
+            const alt = objekte.get(id) || { _id: id, common: {}, native: {} };
+            objekte.set(id, { ...alt, ...obj, common: { ...alt.common, ...(obj.common || {}) } });
+        },
+
+        on: (muster, callback) => {
+            const normalisiert = typeof muster === 'string' || Array.isArray(muster) || istRegExp(muster)
+                ? { id: muster, change: 'ne' }
+                : muster;
+            const sub = { muster: normalisiert, callback };
+            subscriptions.push(sub);
+            return sub;
+        },
+        unsubscribe: sub => {
+            const index = subscriptions.indexOf(sub);
+            if (index >= 0) subscriptions.splice(index, 1);
+            return index >= 0;
+        },
+
+        schedule: (ausdruck, callback) => {
+            if (typeof ausdruck !== 'string') throw new Error('[Harness] schedule() unterstuetzt nur Cron-Strings');
+            const cron = parseCron(ausdruck);
+            const id = naechsteTimerId++;
+            cronJobs.set(id, { cron, ausdruck, callback, faellig: naechsterCronZeitpunkt(cron, uhr.jetzt), reihe: reihenfolge++ });
+            return id;
+        },
+        clearSchedule: id => cronJobs.delete(id),
+
+        setTimeout: (fn, ms, ...args) => planeTimer(fn, ms, args, false),
+        clearTimeout: id => timer.delete(id),
+        setInterval: (fn, ms, ...args) => planeTimer(fn, ms, args, true),
+        clearInterval: id => timer.delete(id),
+
+        sendTo: (instanz, befehl, nachricht, callback) => {
+            if (typeof nachricht === 'function') {
+                callback = nachricht;
+                nachricht = undefined;
+            }
+            verfolge(sende(instanz, befehl, nachricht).then(
+                ergebnis => callback && rufeAuf(callback, ergebnis),
+                e => callback && rufeAuf(callback, { error: e.message }),
+            ));
+        },
+        sendToAsync: (instanz, befehl, nachricht) => sende(instanz, befehl, nachricht),
+
+        // Wie im Adapter: readFileAsync liefert { file, mimeType }
+        writeFile: (adapter, datei, daten, callback) => {
+            dateien.set(`${adapter}/${datei}`, String(daten));
+            if (callback) rufeAuf(callback, null);
+        },
+        writeFileAsync: async (adapter, datei, daten) => {
+            dateien.set(`${adapter}/${datei}`, String(daten));
+        },
+        readFile: (adapter, datei, callback) => {
+            const schluessel = `${adapter}/${datei}`;
+            if (dateien.has(schluessel)) rufeAuf(callback, null, dateien.get(schluessel), 'application/json');
+            else rufeAuf(callback, new Error('Not exists'));
+        },
+        readFileAsync: async (adapter, datei) => {
+            const schluessel = `${adapter}/${datei}`;
+            if (!dateien.has(schluessel)) throw new Error('Not exists');
+            return { file: dateien.get(schluessel), mimeType: 'application/json' };
+        },
+
+        onStop: (fn, _timeout) => stopHandler.push(fn),
+    };
+    globals.subscribe = globals.on;
+
+    const kontext = vm.createContext(globals);
+    let globaleSkripteGeladen = false;
+
+    /**
+     * Der javascript-Adapter stellt globale Skripte jedem Skript voran. In der
+     * Sandbox teilen sich alle Skripte einen Kontext, daher genuegt ein Lauf.
+     */
+    function ladeGlobaleSkripte() {
+        if (globaleSkripteGeladen || !fs.existsSync(GLOBAL_ORDNER)) return;
+        globaleSkripteGeladen = true;
+        for (const datei of fs.readdirSync(GLOBAL_ORDNER).filter(d => d.endsWith('.js')).sort()) {
+            const voll = path.join(GLOBAL_ORDNER, datei);
+            new vm.Script(fs.readFileSync(voll, 'utf8'), { filename: voll }).runInContext(kontext);
+        }
+    }
+
+    for (const [id, wert] of Object.entries(optionen.states || {})) {
+        states.set(id, { val: wert, ack: true, ts: uhr.jetzt, lc: uhr.jetzt, from: 'test' });
+    }
+    for (const [id, obj] of Object.entries(optionen.objekte || {})) {
+        objekte.set(id, obj);
+    }
+
+    // --- Test-API ------------------------------------------------------------------------
+    /**
+     * Wartet, bis alle angestossenen Callbacks und Promise-Ketten abgearbeitet sind.
+     * Aufgaben, die auf einen virtuellen Timer warten, bleiben offen - sie laufen
+     * erst mit vorspulen() weiter.
+     */
+    async function leeren() {
+        let ruhigeRunden = 0;
+        let letzterStand = -1;
+        for (let runde = 0; runde < 10000; runde++) {
+            await new Promise(resolve => setImmediate(resolve));
+            const stand = erledigt + offeneAufgaben.size * 1e9;
+            ruhigeRunden = stand === letzterStand ? ruhigeRunden + 1 : 0;
+            letzterStand = stand;
+            if (ruhigeRunden >= 2) return;
+        }
+        throw new Error('[Harness] Sandbox kommt nicht zur Ruhe (Endlosschleife?)');
+    }
+
+    function naechstesEreignis(bis) {
+        let bestes = null;
+        for (const [id, t] of timer) {
+            if (t.faellig <= bis && (!bestes || t.faellig < bestes.faellig || (t.faellig === bestes.faellig && t.reihe < bestes.reihe))) {
+                bestes = { art: 'timer', id, faellig: t.faellig, reihe: t.reihe };
+            }
+        }
+        for (const [id, job] of cronJobs) {
+            if (job.faellig !== null && job.faellig <= bis && (!bestes || job.faellig < bestes.faellig || (job.faellig === bestes.faellig && job.reihe < bestes.reihe))) {
+                bestes = { art: 'cron', id, faellig: job.faellig, reihe: job.reihe };
+            }
+        }
+        return bestes;
+    }
+
+    /**
+     * Stellt die virtuelle Uhr um ms vor und fuehrt dabei faellige Timer und
+     * Cron-Jobs in zeitlicher Reihenfolge aus.
+     * @param {number} ms
+     */
+    async function vorspulen(ms) {
+        const ziel = uhr.jetzt + ms;
+        await leeren();
+        for (;;) {
+            const ereignis = naechstesEreignis(ziel);
+            if (!ereignis) break;
+            uhr.jetzt = Math.max(uhr.jetzt, ereignis.faellig);
+            if (ereignis.art === 'timer') {
+                const t = timer.get(ereignis.id);
+                if (t.intervall) {
+                    t.faellig += t.intervall;
+                    t.reihe = reihenfolge++;
+                } else {
+                    timer.delete(ereignis.id);
+                }
+                rufeAuf(t.fn, ...t.args);
+            } else {
+                const job = cronJobs.get(ereignis.id);
+                job.faellig = naechsterCronZeitpunkt(job.cron, uhr.jetzt);
+                job.reihe = reihenfolge++;
+                rufeAuf(job.callback);
+            }
+            await leeren();
+        }
+        uhr.jetzt = ziel;
+        await leeren();
+    }
+
+    /**
+     * Springt auf einen absoluten Zeitpunkt (nur vorwaerts).
+     * @param {string|number} zeitpunkt
+     */
+    async function vorspulenBis(zeitpunkt) {
+        const ziel = new Date(zeitpunkt).getTime();
+        if (ziel < uhr.jetzt) throw new Error('[Harness] Die virtuelle Uhr laeuft nur vorwaerts');
+        await vorspulen(ziel - uhr.jetzt);
+    }
+
+    return {
+        kontext,
+        logs,
+        gesendet,
+        states,
+
+        /**
+         * Fuehrt eine Skriptdatei (relativ zur Repo-Wurzel oder absolut) in der Sandbox aus.
+         * @param {string} datei
+         */
+        ladeSkript(datei) {
+            const voll = path.isAbsolute(datei) ? datei : path.join(REPO_WURZEL, datei);
+            if (path.dirname(voll) !== GLOBAL_ORDNER) ladeGlobaleSkripte();
+            const quelltext = fs.readFileSync(voll, 'utf8');
+            verfolge(new vm.Script(quelltext, { filename: voll }).runInContext(kontext));
+        },
+
+        /** Aktueller Wert eines States (undefined, wenn nicht vorhanden). */
+        wert(id) {
+            const s = states.get(id);
+            return s ? s.val : undefined;
+        },
+        state(id) {
+            return lies(id);
+        },
+
+        /**
+         * Schreibt einen State "von aussen" (Geraet, VIS, Benutzer) und wartet,
+         * bis alle dadurch ausgeloesten Callbacks fertig sind.
+         */
+        async setzeState(id, wert, ack = true) {
+            schreibe(id, wert, ack, ack ? 'system.adapter.test.0' : 'system.adapter.admin.0');
+            await leeren();
+        },
+
+        /**
+         * Registriert einen Responder fuer eine Instanz ('sql.0') oder einen Adapter ('sql').
+         * @param {string} instanz
+         * @param {(befehl: string, nachricht: any, instanz: string) => any} fn
+         */
+        beantworte(instanz, fn) {
+            responder[instanz] = fn;
+        },
+
+        /** Inhalt einer Datei der Dateiablage (undefined, wenn nicht vorhanden). */
+        datei(adapter, name) {
+            return dateien.get(`${adapter}/${name}`);
+        },
+        legeDateiAn(adapter, name, inhalt) {
+            dateien.set(`${adapter}/${name}`, String(inhalt));
+        },
+
+        /** Alle an einen Adapter/eine Instanz gesendeten Nachrichten. */
+        nachrichtenAn(instanz) {
+            return gesendet.filter(n => n.instanz === instanz || n.instanz.split('.')[0] === instanz);
+        },
+
+        logsMit(text, level) {
+            return logs.filter(l => l.msg.includes(text) && (!level || l.level === level));
+        },
+
+        jetzt: () => uhr.jetzt,
+        leeren,
+        vorspulen,
+        vorspulenBis,
+
+        /** Ruft alle onStop-Handler auf (Skript-Stopp). */
+        async stoppe() {
+            for (const fn of stopHandler) rufeAuf(fn, () => {});
+            await leeren();
+        },
+
+        anzahlTimer: () => timer.size,
+        anzahlCronJobs: () => cronJobs.size,
+    };
+}
+
+module.exports = { erstelleSandbox, parseCron, naechsterCronZeitpunkt };
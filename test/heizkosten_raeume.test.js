@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/50_Energie_Verbrauch/Heizkosten/heizkosten_raeume.js
+ * (Bedarfsindex, anteilige Verteilung des Gasverbrauchs, Kosten, nicht
+ * zugeordneter Verbrauch, Tages- und Monatswechsel).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/50_Energie_Verbrauch/Heizkosten/heizkosten_raeume.js';
+const GAS = 'mqtt.0.ebusd.bai.PrEnergySumHc1';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const PFAD = '0_userdata.0.Haushalt.Heizung.';
+const KANAL = {
+    Wohnzimmer: 'hm-rpc.2.INT0000005.1',
+    Schlafzimmer: 'hm-rpc.2.INT0000001.1',
+    Badezimmer: 'hm-rpc.2.INT0000002.1',
+    Kueche: 'hm-rpc.2.INT0000003.1',
+    Esszimmer: 'hm-rpc.2.INT0000004.1',
+};
+
+/** Alle Ventile zu, 20 °C innen, 0 °C aussen; einzelne Raeume ueber `ventile` oeffnen. */
+function raumStates(ventile = {}) {
+    const states = { [AUSSEN]: 0.0 };
+    for (const [raum, kanal] of Object.entries(KANAL)) {
+        states[`${kanal}.LEVEL`] = ventile[raum] ?? 0;
+        states[`${kanal}.ACTUAL_TEMPERATURE`] = 20.0;
+        states[`${kanal}.SET_POINT_TEMPERATURE`] = 20.0;
+    }
+    return states;
+}
+
+async function starte(zeit, states = {}) {
+    const sb = erstelleSandbox({ zeit, states: { [GAS]: 1000.0, ...raumStates(), ...states } });
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return sb;
+}
+
+/** Neuer Zaehlerstand; State-Cache (5 s) abwarten. */
+async function gas(sb, kwh) {
+    await sb.setzeState(GAS, kwh);
+    await sb.vorspulen(6000);
+}
+
+test('Erst-Start setzt die Referenz und verteilt nichts', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Letzter_Rohwert'), 1000.0);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Verbrauch_heute'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Arbeitspreis'), 0.11);
+    assert.strictEqual(sb.logsMit('erfolgreich gestartet').length, 1);
+});
+
+test('Gasverbrauch wird nach Bedarfsindex verteilt, Sollabstand erhoeht das Gewicht', async () => {
+    // Wohnzimmer 1800 W x 0.5, Bad 800 W x 1.0 mit 2 K unter Soll (x 2)
+    const sb = await starte('2026-01-14T10:00:00', {
+        [`${KANAL.Wohnzimmer}.LEVEL`]: 0.5,
+        [`${KANAL.Badezimmer}.LEVEL`]: 1.0,
+        [`${KANAL.Badezimmer}.SET_POINT_TEMPERATURE`]: 22.0,
+    });
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Wohnzimmer.Bedarfsindex'), 900);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Badezimmer.Bedarfsindex'), 1600);
+
+    await sb.vorspulen(3 * 60 * 1000);
+    await gas(sb, 1005.0);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Verbrauch_heute'), 5);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Kosten_heute'), 0.55);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Wohnzimmer.Verbrauch_heute'), 1.8);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Badezimmer.Verbrauch_heute'), 3.2);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Badezimmer.Kosten_Monat'), 0.35);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Badezimmer.Anteil_heute'), 64);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_heute'), 0);
+});
+
+test('ohne Bedarf landet der Verbrauch unter Nicht_zugeordnet, Spruenge werden verworfen', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    await sb.vorspulen(60 * 1000);
+    await gas(sb, 1002.0);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Nicht_zugeordnet.Verbrauch_heute'), 2);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Nicht_zugeordnet.Anteil_heute'), 100);
+
+    await gas(sb, 1500.0);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Verbrauch_heute'), 2);
+    assert.strictEqual(sb.logsMit('Unrealistischer Sprung', 'warn').length, 1);
+});
+
+test('nach einem verworfenen Sprung zaehlt nur der Bedarf seit dem Sprung', async () => {
+    const sb = await starte('2026-01-14T10:00:00', { [`${KANAL.Wohnzimmer}.LEVEL`]: 0.5 });
+    await sb.vorspulen(3 * 60 * 1000);
+    await gas(sb, 1500.0);
+    assert.strictEqual(sb.logsMit('Unrealistischer Sprung', 'warn').length, 1);
+
+    // Danach heizt nur noch das Bad
+    await sb.setzeState(`${KANAL.Wohnzimmer}.LEVEL`, 0);
+    await sb.setzeState(`${KANAL.Badezimmer}.LEVEL`, 1.0);
+    await sb.vorspulen(2 * 60 * 1000);
+    await gas(sb, 1503.0);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Verbrauch_heute'), 3);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Badezimmer.Verbrauch_heute'), 3);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Wohnzimmer.Verbrauch_heute'), 0);
+});
+
+test('Tages- und Monatswechsel schichten kWh und Kosten je Raum um', async () => {
+    const sb = await starte('2026-01-31T22:00:00', { [`${KANAL.Kueche}.LEVEL`]: 1.0 });
+    await sb.vorspulen(60 * 1000);
+    await gas(sb, 1010.0);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_heute'), 10);
+
+    await sb.vorspulenBis('2026-02-01T00:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_heute'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_gestern'), 10);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Kosten_gestern'), 1.1);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_Monat'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Verbrauch_letzter_Monat'), 10);
+    assert.strictEqual(sb.wert(PFAD + 'Raeume.Kueche.Anteil_letzter_Monat'), 100);
+    assert.strictEqual(sb.wert(PFAD + 'Gas_Letztes_Speicher_Datum'), '2026-02-01');
+    assert.strictEqual(sb.logsMit('Verpasster Tageswechsel').length, 0);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/10_System/Tageszeit_Jahreszeit/heizperiode.js
+ * (Tagesabschluss um 02:50, Fallback-Logik, Hot-Reload der Heizgrenze).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/10_System/Tageszeit_Jahreszeit/heizperiode.js';
+const SENSOR = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const PFAD = '0_userdata.0.Heizung.Allgemein.';
+const WARTUNG = '0_userdata.0.Heizung.Wartung.';
+
+async function starte(zeit, states = {}) {
+    const sb = erstelleSandbox({ zeit, states: { [SENSOR]: 5.0, ...states } });
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return sb;
+}
+
+async function messe(sb, werte) {
+    for (const wert of werte) {
+        await sb.setzeState(SENSOR, wert);
+        await sb.vorspulen(60 * 1000);
+    }
+}
+
+test('legt alle Datenpunkte an und startet ohne Fehler', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    for (const id of ['Tagesmittelwert', 'ZwischenspeicherSumme', 'MessungenZaehler', 'HeizperiodeAktiv']) {
+        assert.ok(sb.state(PFAD + id), `${id} fehlt`);
+    }
+    assert.strictEqual(sb.wert(WARTUNG + 'Heizgrenze'), 18.0);
+    assert.strictEqual(sb.logs.filter(l => l.level === 'error').length, 0);
+    assert.strictEqual(sb.logsMit('Skript v6.1 gestartet').length, 1);
+});
+
+test('Tagesabschluss im Winter: Mittel unter Heizgrenze -> Heizperiode aktiv', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    await messe(sb, [4.0, 6.0, 8.0]);
+    assert.strictEqual(sb.wert(PFAD + 'MessungenZaehler'), 3);
+    assert.strictEqual(sb.wert(PFAD + 'ZwischenspeicherSumme'), 18.0);
+
+    await sb.vorspulenBis('2026-01-15T02:51:00');
+
+    assert.strictEqual(sb.wert(PFAD + 'Tagesmittelwert'), 6.0);
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), true);
+    assert.strictEqual(sb.wert(PFAD + 'MessungenZaehler'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'ZwischenspeicherSumme'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'LetzterReset'), '15.1.2026');
+});
+
+test('Tagesabschluss im Sommer bleibt aus, auch wenn es kalt ist', async () => {
+    const sb = await starte('2026-07-14T10:00:00');
+    await messe(sb, [9.0, 11.0]);
+    await sb.vorspulenBis('2026-07-15T02:51:00');
+
+    assert.strictEqual(sb.wert(PFAD + 'Tagesmittelwert'), 10.0);
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), false);
+});
+
+test('Mittel ueber der Heizgrenze -> Heizperiode inaktiv', async () => {
+    const sb = await starte('2026-10-20T10:00:00');
+    await messe(sb, [19.0, 21.0]);
+    await sb.vorspulenBis('2026-10-21T02:51:00');
+
+    assert.strictEqual(sb.wert(PFAD + 'Tagesmittelwert'), 20.0);
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), false);
+});
+
+test('unplausibler Sensorwert wird durch den letzten gueltigen Wert ersetzt', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    await messe(sb, [6.0, 99.0]);
+
+    assert.strictEqual(sb.wert(PFAD + 'MessungenZaehler'), 2);
+    assert.strictEqual(sb.wert(PFAD + 'ZwischenspeicherSumme'), 12.0);
+    assert.strictEqual(sb.logsMit('Ungültiger Sensorwert. Nutze Fallback.', 'warn').length, 1);
+});
+
+test('ohne Messwerte wird der Vortageswert als Fallback genutzt', async () => {
+    const sb = await starte('2026-01-14T10:00:00', { [PFAD + 'Tagesmittelwert']: 3.5 });
+    await sb.vorspulenBis('2026-01-15T02:51:00');
+
+    assert.strictEqual(sb.wert(PFAD + 'Tagesmittelwert'), 3.5);
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), true);
+    assert.strictEqual(sb.logsMit('Keine Messwerte für heute!', 'warn').length, 1);
+});
+
+test('Hot-Reload der Heizgrenze bewertet den Status sofort neu', async () => {
+    const sb = await starte('2026-01-14T10:00:00', { [PFAD + 'Tagesmittelwert']: 15.0 });
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), true);
+
+    await sb.setzeState(WARTUNG + 'Heizgrenze', 14.0, false);
+
+    assert.strictEqual(sb.state(WARTUNG + 'Heizgrenze').ack, true);
+    assert.strictEqual(sb.wert(PFAD + 'HeizperiodeAktiv'), false);
+});
+
+test('manuelle Korrektur des Zaehlers laeuft durch die Queue und wird gekappt', async () => {
+    const sb = await starte('2026-01-14T10:00:00');
+    await sb.setzeState(PFAD + 'MessungenZaehler', 20000, false);
+
+    assert.strictEqual(sb.wert(PFAD + 'MessungenZaehler'), 10000);
+    assert.strictEqual(sb.state(PFAD + 'MessungenZaehler').ack, true);
+});
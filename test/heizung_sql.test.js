@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/global/heizung_sql.js
+ * (Bindung und Escaping, DECIMAL-Konvertierung, Wiederholung und Timeout,
+ * Schema-Migrationen mit Versionstabelle).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/global/heizung_sql.js';
+
+function starte(antwort = () => ({ result: [] })) {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00' });
+    const abfragen = [];
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql.replace(/\s\s+/g, ' ').trim());
+        return antwort(sql, abfragen.length);
+    });
+    sb.ladeSkript(SKRIPT);
+    const HeizungSql = vm.runInContext('HeizungSql', sb.kontext);
+    return { sb, abfragen, HeizungSql, db: HeizungSql.erstelle({ wartezeitMs: 1000, timeoutMs: 5000 }) };
+}
+
+test('Parameter werden typgerecht gebunden und vollstaendig escaped', () => {
+    const { sb, db, HeizungSql } = starte();
+    const datum = vm.runInContext("new Date('2026-01-14T08:05:09')", sb.kontext);
+
+    assert.strictEqual(
+        db.binde('SELECT * FROM t WHERE a = ? AND b = ? AND c = ? AND d IN (?) AND e = ? AND f = ?;', ["O'Brien\\", 1.5, null, ['x', 2], true, datum]),
+        "SELECT * FROM t WHERE a = 'O''Brien\\\\' AND b = 1.5 AND c = NULL AND d IN ('x', 2) AND e = 1 AND f = '2026-01-14 08:05:09';",
+    );
+    // Fragezeichen in Literalen sind keine Platzhalter
+    assert.strictEqual(db.binde("SELECT '?' AS q, `a?` FROM t WHERE x = ?;", ['it\'s?']), "SELECT '?' AS q, `a?` FROM t WHERE x = 'it''s?';");
+
+    assert.throws(() => db.binde('SELECT ? , ?;', [1]), /2 Platzhalter, aber 1 Parameter/);
+    assert.throws(() => HeizungSql.escapeWert(NaN), /Ungueltiger Zahlenwert/);
+    assert.throws(() => HeizungSql.escapeWert({}), /Nicht unterstuetzter Parametertyp/);
+    assert.throws(() => db.tabelle('erfahrung; DROP TABLE x'), /Ungueltiger Bezeichner/);
+    assert.strictEqual(db.tabelle('heizungs_erfahrung'), 'iobroker_heizung.heizungs_erfahrung');
+});
+
+test('DECIMAL-Strings kommen als Zahl, Texte bleiben unveraendert', async () => {
+    const { db } = starte(() => ({ result: [{ raum: 'Bad', offset_erfolg: '-0.50', anzahl: '12', tageszeit: 'Nacht', kat: 'kat_6', leer: null }] }));
+    const zeilen = await db.abfrage('SELECT * FROM t WHERE raum = ?;', ['Bad']);
+    assert.deepStrictEqual({ ...zeilen[0] }, { raum: 'Bad', offset_erfolg: -0.5, anzahl: 12, tageszeit: 'Nacht', kat: 'kat_6', leer: null });
+});
+
+test('Verbindungsfehler werden wiederholt, SQL-Fehler und nicht idempotente Anweisungen nicht', async () => {
+    const { sb, db, abfragen } = starte((sql, n) => {
+        if (sql.includes('t1') && n < 3) throw new Error('read ECONNRESET');
+        if (sql.includes('t2')) throw new Error('ER_PARSE_ERROR: You have an error in your SQL syntax');
+        if (sql.includes('t3')) throw new Error('connect ETIMEDOUT');
+        return { result: { affectedRows: 4, insertId: 0 } };
+    });
+
+    const ergebnis = db.ausfuehren('UPDATE t1 SET a = ?;', [1]);
+    await sb.vorspulen(3000);                  // Wartezeit 1 s, dann 2 s
+    assert.deepStrictEqual({ ...(await ergebnis) }, { betroffen: 4, einfuegeId: 0 });
+    assert.strictEqual(abfragen.length, 3);
+    assert.strictEqual(sb.logsMit('Versuch 2/3', 'warn').length, 1);
+
+    await assert.rejects(db.abfrage('SELECT x FROM t2;'), /ER_PARSE_ERROR/);
+    assert.strictEqual(abfragen.length, 4);
+
+    await assert.rejects(db.ausfuehren('UPDATE t3 SET a = a + 1;', [], { wiederholen: false }), /ETIMEDOUT/);
+    assert.strictEqual(abfragen.length, 5);
+});
+
+test('Antwortet der Adapter nicht, bricht die Anfrage nach dem Timeout ab', async () => {
+    const { sb, db, abfragen } = starte(() => new Promise(() => {}));
+    let fehler = null;
+    db.abfrage('SELECT 1;', [], { wiederholen: false }).catch((e) => { fehler = e; });
+    await sb.vorspulen(4999);
+    assert.strictEqual(fehler, null);
+    await sb.vorspulen(1);
+    assert.match(fehler.message, /Timeout nach 5000 ms/);
+    assert.strictEqual(abfragen.length, 1);
+});
+
+test('Migrationen laufen nur ab der gespeicherten Version und werden versioniert', async () => {
+    const { sb, db, abfragen } = starte((sql) => (sql.includes('SELECT version') ? { result: [{ version: 1 }] } : { result: [] }));
+    const migrationen = [
+        { version: 3, beschreibung: 'drei', sql: ['ALTER TABLE t ADD c INT;'] },
+        { version: 1, beschreibung: 'eins', sql: ['CREATE TABLE IF NOT EXISTS t (a INT);'] },
+        { version: 2, beschreibung: 'zwei', sql: ['ALTER TABLE t ADD b INT;', 'CREATE INDEX b_index ON t (b);'] },
+    ];
+
+    assert.strictEqual(await db.migriere('test_komponente', migrationen), 3);
+    assert.match(abfragen[0], /^CREATE TABLE IF NOT EXISTS iobroker_heizung\.schema_version \( komponente VARCHAR\(50\) PRIMARY KEY/);
+    assert.strictEqual(abfragen[1], "SELECT version FROM iobroker_heizung.schema_version WHERE komponente = 'test_komponente';");
+    assert.deepStrictEqual(abfragen.slice(2), [
+        'ALTER TABLE t ADD b INT;',
+        'CREATE INDEX b_index ON t (b);',
+        "INSERT INTO iobroker_heizung.schema_version (komponente, version) VALUES ('test_komponente', 2) ON DUPLICATE KEY UPDATE version = VALUES(version);",
+        'ALTER TABLE t ADD c INT;',
+        "INSERT INTO iobroker_heizung.schema_version (komponente, version) VALUES ('test_komponente', 3) ON DUPLICATE KEY UPDATE version = VALUES(version);",
+    ]);
+    assert.strictEqual(sb.logsMit('test_komponente: Migration v3 (drei) ausgefuehrt').length, 1);
+});
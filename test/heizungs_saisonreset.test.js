@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/Zentrale_Steuerung/heizungs_saisonreset.js
+ * (Strategien deckeln/proportional/exponentiell, Ausloeser Heizperiode,
+ * Vorschau ohne Aenderung, Protokoll und Rueckgaengig).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/Zentrale_Steuerung/heizungs_saisonreset.js';
+const HEIZPERIODE = '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv';
+const PFAD = '0_userdata.0.Heizung.Lernsystem.Saisonreset.';
+const LETZTER_LAUF = '0_userdata.0.Heizung.Lernsystem.Saisonreset_Letzter_Lauf';
+
+function kontext(id, raum, zaehler, letzteNutzung) {
+    return { id, raum, temp_bereich: 'kat_5', solar_level: 'kat_0', wind_level: 'kat_1', tageszeit: 'Nacht', nutzungs_zaehler: zaehler, letzte_nutzung: letzteNutzung };
+}
+
+// Stand 19.10.2026
+const BESTAND = [
+    kontext(1, 'Wohnzimmer', 50, '2026-01-15T08:00:00'),    // ~277 Tage alt
+    kontext(2, 'Wohnzimmer', 30, '2026-09-30T08:00:00'),    // 19 Tage alt
+    kontext(3, 'Kueche', 10, '2025-03-01T08:00:00'),        // ~597 Tage alt
+    kontext(4, 'Kueche', 1, '2024-01-01T08:00:00'),
+    kontext(5, 'Badezimmer', 40, null),
+];
+
+function sqlMitschnitt(sb) {
+    const abfragen = [];
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql);
+        if (sql.includes('FROM iobroker_heizung.heizungs_erfahrung')) return { result: BESTAND };
+        if (sql.includes('FROM iobroker_heizung.heizungs_saisonreset_lauf')) return { result: [{ id: 7, strategie: 'exponentiell', zeilen: 3 }] };
+        if (sql.includes('INSERT INTO iobroker_heizung.heizungs_saisonreset_lauf')) return { result: { affectedRows: 1, insertId: 7 } };
+        if (/^\s*SELECT/.test(sql)) return { result: [] };
+        return { result: { affectedRows: 1 } };
+    });
+    return abfragen;
+}
+
+async function starte(states = {}) {
+    const sb = erstelleSandbox({ zeit: '2026-10-19T09:00:00', states: { [HEIZPERIODE]: false, ...states } });
+    const abfragen = sqlMitschnitt(sb);
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return { sb, abfragen };
+}
+
+async function druecke(sb, button) {
+    await sb.setzeState(PFAD + button, true, false);
+    await sb.leeren();
+}
+
+function vorschau(sb) {
+    return JSON.parse(sb.wert(PFAD + 'Vorschau_Ergebnis'));
+}
+
+test('Vorschau je Strategie aendert nichts, Beginn der Heizperiode deckelt und protokolliert', async () => {
+    const { sb, abfragen } = await starte();
+    assert.ok(abfragen.some(q => q.includes('CREATE TABLE IF NOT EXISTS iobroker_heizung.heizungs_saisonreset_protokoll')));
+
+    await druecke(sb, 'Vorschau');
+    let v = vorschau(sb);
+    assert.strictEqual(v.strategie, 'deckeln');
+    assert.strictEqual(v.kontexte, 5);
+    assert.deepStrictEqual(v.groesste_aenderungen.map(a => [a.kontext, a.alt, a.neu]), [['Wohnzimmer|kat_5/kat_0/kat_1/Nacht', 50, 20]]);
+
+    await sb.setzeState(PFAD + 'Strategie', 'proportional', false);
+    await druecke(sb, 'Vorschau');
+    v = vorschau(sb);
+    assert.deepStrictEqual(v.raeume, { Wohnzimmer: 1, Kueche: 1 });
+    assert.strictEqual(v.zaehler_summe_alt, 60);
+    assert.strictEqual(v.zaehler_summe_neu, 30);
+
+    await sb.setzeState(PFAD + 'Strategie', 'exponentiell', false);
+    await druecke(sb, 'Vorschau');
+    v = vorschau(sb);
+    // 50 * 0.5^(277/180) = 17, 30 * 0.5^(19/180) = 28, 10 * 0.5^(597/180) = 1
+    assert.deepStrictEqual(v.groesste_aenderungen.map(a => [a.alt, a.neu]), [[50, 17], [10, 1], [30, 28]]);
+    assert.match(sb.wert(PFAD + 'Status'), /Vorschau 'exponentiell': 3 von 5 Kontexten betroffen/);
+    assert.ok(!abfragen.some(q => /UPDATE iobroker_heizung\.heizungs_erfahrung|INSERT INTO iobroker_heizung\.heizungs_saisonreset/.test(q)), 'Vorschau darf nichts schreiben');
+
+    // Kein Reset beim Skriptstart und bei Heizperiode aus
+    await sb.setzeState(PFAD + 'Strategie', 'deckeln', false);
+    await sb.setzeState(HEIZPERIODE, false);
+    await sb.leeren();
+    assert.strictEqual(sb.wert(LETZTER_LAUF), 0);
+
+    await sb.setzeState(HEIZPERIODE, true);
+    await sb.leeren();
+    const lauf = abfragen.find(q => q.includes('INSERT INTO iobroker_heizung.heizungs_saisonreset_lauf'));
+    assert.match(lauf, /VALUES \('2026-10-19 09:00:00', 'heizperiode', 'deckeln', '\{"zaehlerMax":20,"mindestAlterMonate":6\}', 1\)/);
+    const protokoll = abfragen.find(q => q.includes('INSERT INTO iobroker_heizung.heizungs_saisonreset_protokoll'));
+    assert.match(protokoll, /VALUES \(7, 'Wohnzimmer', 'kat_5', 'kat_0', 'kat_1', 'Nacht', 50, 20, '2026-01-15 08:00:00'\);/);
+    assert.ok(abfragen.some(q => /SET nutzungs_zaehler = 20, letzte_nutzung = letzte_nutzung WHERE id IN \(1\);/.test(q.replace(/\s+/g, ' '))));
+    assert.strictEqual(sb.wert(LETZTER_LAUF), sb.jetzt());
+    assert.strictEqual(sb.wert('0_userdata.0.Heizung.Lernsystem.Saisonreset_Betroffene_Zeilen'), 1);
+
+    // Flattern der Heizperiode loest keinen zweiten Reset aus
+    const anzahl = abfragen.length;
+    await sb.setzeState(HEIZPERIODE, false);
+    await sb.setzeState(HEIZPERIODE, true);
+    await sb.leeren();
+    assert.strictEqual(abfragen.length, anzahl);
+    assert.strictEqual(sb.logsMit('weniger als 60 Tage her - uebersprungen').length, 1);
+});
+
+test('Manueller Lauf mit exponentieller Alterung und Rueckgaengig ueber das Protokoll', async () => {
+    const { sb, abfragen } = await starte({ [LETZTER_LAUF]: new Date('2026-10-01T03:00:00').getTime() });
+
+    await sb.setzeState(PFAD + 'Strategie', 'unbekannt', false);
+    await druecke(sb, 'Ausfuehren');
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler: Strategie 'unbekannt' unbekannt/);
+
+    // Button ignoriert den Mindestabstand
+    await sb.setzeState(PFAD + 'Strategie', 'exponentiell', false);
+    await druecke(sb, 'Ausfuehren');
+    const updates = abfragen.filter(q => q.includes('UPDATE iobroker_heizung.heizungs_erfahrung')).map(q => q.replace(/\s+/g, ' ').trim());
+    assert.deepStrictEqual(updates.map(q => q.match(/SET nutzungs_zaehler = (\d+), .* WHERE id IN \((.*)\);/).slice(1)), [['17', '1'], ['28', '2'], ['1', '3']]);
+    assert.match(sb.wert(PFAD + 'Status'), /Lauf 7 'exponentiell': 3 Kontexte angepasst/);
+    assert.strictEqual(sb.wert(PFAD + 'Ausfuehren'), false);
+
+    await druecke(sb, 'Rueckgaengig');
+    const rueckgaengig = abfragen.find(q => q.includes('JOIN iobroker_heizung.heizungs_saisonreset_protokoll p')).replace(/\s+/g, ' ');
+    assert.match(rueckgaengig, /SET e\.nutzungs_zaehler = e\.nutzungs_zaehler \+ \(p\.zaehler_alt - p\.zaehler_neu\), e\.letzte_nutzung = e\.letzte_nutzung WHERE p\.lauf_id = 7;/);
+    assert.ok(abfragen.some(q => /UPDATE iobroker_heizung\.heizungs_saisonreset_lauf SET rueckgaengig = '2026-10-19 09:00:\d\d' WHERE id = 7;/.test(q)));
+    assert.match(sb.wert(PFAD + 'Status'), /Lauf 7 rueckgaengig gemacht/);
+});
+
+test('Abgebrochenes UPDATE: Lauf bleibt unabgeschlossen und laesst sich nicht rueckgaengig machen', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-10-19T09:00:00', states: { [HEIZPERIODE]: false } });
+    const abfragen = [];
+    const laeufe = [];
+    let updates = 0;
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql);
+        if (sql.includes('FROM iobroker_heizung.heizungs_erfahrung')) return { result: BESTAND };
+        if (sql.includes('INSERT INTO iobroker_heizung.heizungs_saisonreset_lauf')) {
+            laeufe.push({ id: 7, strategie: 'exponentiell', zeilen: 3, abgeschlossen: null });
+            return { result: { affectedRows: 1, insertId: 7 } };
+        }
+        if (sql.includes('UPDATE iobroker_heizung.heizungs_saisonreset_lauf SET abgeschlossen')) {
+            laeufe[0].abgeschlossen = sql;
+            return { result: { affectedRows: 1 } };
+        }
+        if (sql.includes('FROM iobroker_heizung.heizungs_saisonreset_lauf')) {
+            return { result: laeufe.filter(l => !sql.includes('abgeschlossen IS NOT NULL') || l.abgeschlossen) };
+        }
+        // Zweites von drei UPDATEs scheitert: Zaehler nur teilweise gesenkt
+        if (sql.includes('UPDATE iobroker_heizung.heizungs_erfahrung') && ++updates === 2) return { error: 'ER_OPEN_AS_READONLY' };
+        if (/^\s*SELECT/.test(sql)) return { result: [] };
+        return { result: { affectedRows: 1 } };
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+
+    await sb.setzeState(PFAD + 'Strategie', 'exponentiell', false);
+    await druecke(sb, 'Ausfuehren');
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler beim Reset: ER_OPEN_AS_READONLY/);
+    assert.strictEqual(laeufe[0].abgeschlossen, null);
+    assert.strictEqual(sb.logsMit('Lauf 7 nicht abgeschlossen', 'warn').length, 1);
+    assert.strictEqual(sb.wert(LETZTER_LAUF), 0);
+
+    await druecke(sb, 'Rueckgaengig');
+    assert.match(sb.wert(PFAD + 'Status'), /Fehler: kein Lauf zum Rueckgaengigmachen/);
+    assert.ok(!abfragen.some(q => q.includes('JOIN iobroker_heizung.heizungs_saisonreset_protokoll p')), 'Rueckgaengig darf die Zaehler nicht erhoehen');
+});
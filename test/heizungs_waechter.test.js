@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/Raumsteuerung/heizungs_waechter.js
+ * (Frost, veraltete Isttemperatur, Sollwert-Rueckmeldung, Lebenszeichen der
+ * Raumsteuerung, Wiederholung/Eskalation, Quittierung und Raumliste aus der
+ * Laufzeit-Konfiguration).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/Raumsteuerung/heizungs_waechter.js';
+const PFAD = '0_userdata.0.Heizung.Waechter.';
+const RAUMSTEUERUNG = '0_userdata.0.Heizung.Raumsteuerung.';
+const IST = {
+    Bad: 'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE',
+    Esszimmer: 'hm-rpc.2.INT0000004.1.ACTUAL_TEMPERATURE',
+    Kueche: 'hm-rpc.2.INT0000003.1.ACTUAL_TEMPERATURE',
+    Schlafzimmer: 'hm-rpc.2.INT0000001.1.ACTUAL_TEMPERATURE',
+    Wohnzimmer: 'hm-rpc.2.INT0000005.1.ACTUAL_TEMPERATURE',
+};
+
+async function starte(states = {}) {
+    const alleWarm = Object.fromEntries(Object.values(IST).map(id => [id, 20.0]));
+    const sb = erstelleSandbox({
+        zeit: '2026-01-14T10:00:00',
+        states: { '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv': true, ...alleWarm, ...states },
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(10 * 1000);
+    return sb;
+}
+
+function alarme(sb) {
+    return JSON.parse(sb.wert(PFAD + 'Alarme'));
+}
+
+test('ohne Befund bleibt der Waechter still', async () => {
+    const sb = await starte();
+    assert.strictEqual(sb.wert(PFAD + 'Alarm_Aktiv'), false);
+    assert.deepStrictEqual(alarme(sb), []);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 0);
+});
+
+test('Frost wird wiederholt gemeldet, bis quittiert wird', async () => {
+    const sb = await starte({ [IST.Bad]: 6.5 });
+    assert.strictEqual(sb.wert(PFAD + 'Alarm_Aktiv'), true);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 1);
+    assert.match(sb.nachrichtenAn('pushover')[0].nachricht.message, /^Bad: Frostgefahr: 6\.5°C/);
+
+    await sb.vorspulen(31 * 60 * 1000);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 2);
+
+    await sb.setzeState(PFAD + 'Quittieren', true, false);
+    assert.strictEqual(sb.wert(PFAD + 'Quittieren'), false);
+    assert.strictEqual(sb.wert(PFAD + 'Anzahl_Unquittiert'), 0);
+    await sb.vorspulen(20 * 60 * 1000);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 2);
+
+    // Quittierter Alarm verschwindet ohne Entwarnungs-Nachricht
+    await sb.setzeState(IST.Bad, 12.0);
+    await sb.vorspulen(60 * 1000);
+    assert.strictEqual(sb.wert(PFAD + 'Alarm_Aktiv'), false);
+    assert.strictEqual(sb.logsMit('Entwarnung FROST Bad').length, 1);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 2);
+});
+
+test('veraltete Isttemperaturen eskalieren ab der dritten Meldung', async () => {
+    const sb = await starte();
+    await sb.vorspulen(61 * 60 * 1000);
+    const liste = alarme(sb);
+    assert.strictEqual(liste.length, 5);
+    assert.ok(liste.every(a => a.typ === 'VERALTET'));
+    assert.strictEqual(sb.nachrichtenAn('pushover').at(-1).nachricht.priority, 0);
+
+    await sb.vorspulen(60 * 60 * 1000);
+    const badMeldungen = sb.nachrichtenAn('pushover').filter(n => n.nachricht.message.startsWith('Bad:'));
+    assert.deepStrictEqual(badMeldungen.map(n => n.nachricht.priority), [0, 0, 1]);
+});
+
+test('Sollwert-Fehler und stille Raumsteuerung werden gemeldet', async () => {
+    const sb = await starte({
+        [RAUMSTEUERUNG + 'Kueche.Sollwert_Fehler']: 'hm-rpc.2.INT0000003.1.SET_POINT_TEMPERATURE: 21.0°C vom Thermostat nicht bestaetigt',
+        [RAUMSTEUERUNG + 'Wohnzimmer.Entscheidung']: '{}',
+    });
+    assert.deepStrictEqual(alarme(sb).map(a => `${a.raum}:${a.typ}`), ['Küche:SOLLWERT']);
+
+    await sb.vorspulen(36 * 60 * 1000);
+    assert.deepStrictEqual(alarme(sb).map(a => `${a.raum}:${a.typ}`), ['Küche:SOLLWERT', 'Wohnzimmer:STEUERUNG']);
+    assert.strictEqual(sb.logsMit('Raumsteuerung seit 3', 'warn').length, 1);
+});
+
+test('Raeume und Zonen kommen aus der bestaetigten oder letzten gueltigen Konfiguration', async () => {
+    const zone2 = 'hm-rpc.2.INT0000006.1.ACTUAL_TEMPERATURE';
+    const konfiguration = raeume => JSON.stringify({ ROOMS_CONFIG: raeume });
+    const wohnzimmer = { roomName: 'Wohnzimmer', dbRaum: 'Wohnzimmer', devices: { thermostate: ['hm-rpc.2.INT0000005.1.SET_POINT_TEMPERATURE', 'hm-rpc.2.INT0000006.1.SET_POINT_TEMPERATURE'] } };
+    const bad = { roomName: 'Bad', dbRaum: 'Badezimmer', devices: { thermostate: ['hm-rpc.2.INT0000002.1.SET_POINT_TEMPERATURE'] } };
+
+    // Status OK: Konfiguration gilt, zweite Zone wird mitgeprueft, Kueche ist nicht mehr konfiguriert
+    let sb = await starte({
+        [RAUMSTEUERUNG + 'Konfiguration']: konfiguration([wohnzimmer]),
+        [RAUMSTEUERUNG + 'Konfiguration_Status']: 'OK: 1 Raeume aktiv',
+        [zone2]: 7.0,
+        [IST.Kueche]: 5.0,
+    });
+    assert.deepStrictEqual(alarme(sb).map(a => `${a.raum}:${a.typ}`), ['Wohnzimmer:FROST']);
+    assert.strictEqual(sb.logsMit('Raumliste aus 0_userdata.0.Heizung.Raumsteuerung.Konfiguration: 1 Raeume', 'info').length, 1);
+
+    // Abgelehnte Eingabe: letzte gueltige Konfiguration gilt
+    sb = await starte({
+        [RAUMSTEUERUNG + 'Konfiguration']: konfiguration([wohnzimmer]),
+        [RAUMSTEUERUNG + 'Konfiguration_Letzte_Gueltige']: konfiguration([bad]),
+        [RAUMSTEUERUNG + 'Konfiguration_Status']: 'FEHLER (1): ... | aktiv: bisherige Konfiguration',
+        [zone2]: 7.0,
+        [IST.Bad]: 6.0,
+    });
+    assert.deepStrictEqual(alarme(sb).map(a => `${a.raum}:${a.typ}`), ['Bad:FROST']);
+
+    // Keiner der beiden Datenpunkte brauchbar: RAEUME aus dem Skript
+    sb = await starte({
+        [RAUMSTEUERUNG + 'Konfiguration_Letzte_Gueltige']: '{kein json',
+        [IST.Kueche]: 5.0,
+    });
+    assert.deepStrictEqual(alarme(sb).map(a => `${a.raum}:${a.typ}`), ['Küche:FROST']);
+    assert.strictEqual(sb.logsMit('Raumliste aus Skript (RAEUME): 5 Raeume', 'warn').length, 1);
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess
+ * (heizungs_lerner.js: Rohbeobachtungen, Ridge-Regression, Abwertung
+ * schlecht validierter Kontexte und Backfill in die Staging-Tabelle,
+ * stratege.js: Auswertung des Modells, Nachbar-Rueckfall und Wahl der
+ * Empfehlungsquelle).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const LERNER = 'iobroker/30_Heizung_Klima/KI_Lernprozess/heizungs_lerner.js';
+const STRATEGE = 'iobroker/30_Heizung_Klima/KI_Lernprozess/stratege.js';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const WOHNZIMMER = 'hm-rpc.2.INT0000005.1';
+const PROGNOSE = '0_userdata.0.Heizung.Prognose.Wohnzimmer.';
+
+/** Zeichnet alle SQL-Abfragen auf; `antwort(sql)` liefert die Ergebniszeilen. */
+function sqlMitschnitt(sb, antwort = () => []) {
+    const abfragen = [];
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql);
+        return { result: antwort(sql) };
+    });
+    return abfragen;
+}
+
+/** Deterministischer Pseudozufall, damit die Tests reproduzierbar bleiben. */
+function zufall(saat) {
+    let s = saat;
+    return () => {
+        s = (s * 16807) % 2147483647;
+        return (s - 1) / 2147483646;
+    };
+}
+
+/** Beobachtungen nach offset = 0.8 - 0.1 * aussen - 1.0 * solar (+ kleines Rauschen). */
+function beobachtungen(anzahl) {
+    const r = zufall(42);
+    return Array.from({ length: anzahl }, () => {
+        const aussen = -5 + 20 * r();
+        const solar = r();
+        const offset = 0.8 - 0.1 * aussen - 1.0 * solar + (r() - 0.5) * 0.1;
+        return {
+            aussen_temp: aussen.toFixed(1),
+            solar: solar.toFixed(2),
+            wind: (1 + 0.5 * r()).toFixed(2),
+            stunde: (24 * r()).toFixed(2),
+            feuchte: null,
+            offset_erfolg: offset.toFixed(2),
+        };
+    });
+}
+
+test('Lerner legt stabile Phasen zusaetzlich als Rohbeobachtung ab', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T12:00:00' });
+    const abfragen = sqlMitschnitt(sb);
+    const start = new Date('2026-01-14T08:00:00').getTime();
+    const serien = {
+        [`${WOHNZIMMER}.ACTUAL_TEMPERATURE`]: Array.from({ length: 48 }, (_, i) => ({ ts: start + i * 300000, val: 21.2 })),
+        [`${WOHNZIMMER}.SET_POINT_TEMPERATURE`]: [{ ts: start, val: 21.5 }],
+        [`${WOHNZIMMER}.HUMIDITY`]: [{ ts: start, val: 48 }],
+        [AUSSEN]: [{ ts: start, val: 2.0 }],
+        '0_userdata.0.Anwesenheit.Status': [{ ts: start, val: true }],
+        '0_userdata.0.Heizung.sollTempAnwesend': [{ ts: start, val: 21.0 }],
+    };
+    sb.beantworte('influxdb.0', (befehl, nachricht) => ({ result: serien[nachricht.id] || [] }));
+
+    sb.ladeSkript(LERNER);
+    await sb.vorspulen(31000);
+
+    assert.ok(abfragen.some(q => q.includes('CREATE TABLE IF NOT EXISTS iobroker_heizung.heizungs_modell')));
+    const beobachtung = abfragen.find(q => q.includes('INSERT INTO iobroker_heizung.heizungs_beobachtung'));
+    assert.ok(beobachtung, 'keine Beobachtung gespeichert');
+    assert.match(beobachtung, /VALUES \('Wohnzimmer', '2026-01-14 08:00:00', 2, 0, 1, 9\.9\d, 48, 0\.5\)/);
+    assert.ok(abfragen.some(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung')));
+});
+
+test('Taeglicher Fit findet die Zusammenhaenge und speichert das Modell', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T02:00:00' });
+    const daten = beobachtungen(200);
+    const abfragen = sqlMitschnitt(sb, sql => (sql.includes('FROM iobroker_heizung.heizungs_beobachtung') && sql.includes("'Wohnzimmer'") ? daten : []));
+
+    sb.ladeSkript(LERNER);
+    await sb.vorspulenBis('2026-01-14T03:11:00');
+
+    const speichern = abfragen.filter(q => q.includes('INSERT INTO iobroker_heizung.heizungs_modell'));
+    assert.strictEqual(speichern.length, 1, 'nur Wohnzimmer hat genug Beobachtungen');
+    assert.strictEqual(sb.logsMit('Schlafzimmer: nur 0 Beobachtungen').length, 1);
+
+    const [, achsenabschnitt, json, , anzahl, rmse, r2] = speichern[0].match(/VALUES \('Wohnzimmer', ([-\d.]+), '(.*)', ([\d.]+), (\d+), ([\d.]+), ([\d.]+)\)/s);
+    const merkmale = Object.fromEntries(JSON.parse(json).map(m => [m.name, m]));
+    assert.strictEqual(Number(anzahl), 200);
+    assert.ok(Number(rmse) < 0.1, `RMSE ${rmse}`);
+    assert.ok(Number(r2) > 0.9, `R² ${r2}`);
+
+    // Steigung je Grad bzw. je Solar-Einheit, durch Ridge leicht zur Null geschrumpft
+    const steigungAussen = merkmale.aussen_temp.koeffizient / merkmale.aussen_temp.skala;
+    const steigungSolar = merkmale.solar.koeffizient / merkmale.solar.skala;
+    assert.ok(steigungAussen < -0.08 && steigungAussen > -0.1, `aussen ${steigungAussen}`);
+    assert.ok(steigungSolar < -0.8 && steigungSolar > -1.0, `solar ${steigungSolar}`);
+    assert.ok(Math.abs(merkmale.wind.koeffizient) < 0.05);
+    assert.strictEqual(merkmale.feuchte.koeffizient, 0, 'ohne Feuchtewerte kein Einfluss');
+    assert.ok(Number.isFinite(Number(achsenabschnitt)));
+});
+
+/** Modellzeile wie vom Lerner gespeichert: offset = 0.5 - 0.1 * (aussen - 5). */
+const MODELL = {
+    achsenabschnitt: '0.500',
+    merkmale: JSON.stringify([
+        { name: 'aussen_temp', mittel: 5, skala: 5, koeffizient: -0.5, min: -5, max: 15 },
+        { name: 'solar', mittel: 0.5, skala: 0.3, koeffizient: 0, min: 0, max: 1 },
+        { name: 'feuchte', mittel: 50, skala: 10, koeffizient: 0, min: null, max: null },
+    ]),
+    anzahl: 90,
+    rmse: '0.300',
+};
+
+/** Stratege um 10:00 (Vormittag); `nachbarn` beantwortet die Nachbarsuche ohne exakten Treffer. */
+async function starteStratege(aussen, erfahrung = [], { modell = [MODELL], nachbarn = [] } = {}) {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00', states: { [AUSSEN]: aussen } });
+    sqlMitschnitt(sb, sql => {
+        if (sql.includes('heizungs_modell')) return modell;
+        if (!sql.includes("'Wohnzimmer'")) return [];
+        if (sql.includes('heizungs_erfahrung') && sql.includes('LIMIT 1')) return erfahrung;
+        if (sql.includes('heizungs_erfahrung')) return nachbarn;
+        return [];
+    });
+    sb.ladeSkript(STRATEGE);
+    await sb.vorspulen(61000);
+    return sb;
+}
+
+test('Stratege nutzt das Modell fuer unbekannte Kontexte', async () => {
+    const sb = await starteStratege(0.0);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfehlung_Quelle'), 'regression');
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset'), 1.0);
+    // 50 * 90 / 120 * min(1, 0.3 / 0.3)
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset_Vertrauen'), 38);
+});
+
+test('Stratege halbiert das Vertrauen ausserhalb des Trainingsbereichs und bevorzugt dann Erfahrung', async () => {
+    let sb = await starteStratege(-10.0);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset'), 2.0);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset_Vertrauen'), 19);
+
+    sb = await starteStratege(-10.0, [{ offset_erfolg: '1.20', nutzungs_zaehler: 25 }]);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfehlung_Quelle'), 'buckets');
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset'), 1.2);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset_Vertrauen'), 25);
+});
+
+test('Ohne exakten Treffer mittelt der Stratege benachbarte Kontexte nach Abstand', async () => {
+    // Aktueller Kontext: kat_6 / kat_0 / kat_0 / Vormittag
+    const sb = await starteStratege(2.0, [], {
+        modell: [],
+        nachbarn: [
+            { temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nachmittag', offset_erfolg: '0.80', nutzungs_zaehler: 4 },
+            { temp_bereich: 'kat_7', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: '0.20', nutzungs_zaehler: 2 },
+            { temp_bereich: 'kat_6', solar_level: 'kat_1', wind_level: 'kat_0', tageszeit: 'Nacht', offset_erfolg: '5.00', nutzungs_zaehler: 10 },
+        ],
+    });
+
+    // Gewichte 4 * 0.5 und 2 * 0.5, der dritte Kontext ist 3 Schritte entfernt
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfehlung_Quelle'), 'nachbarn');
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset'), 0.6);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfohlener_Offset_Vertrauen'), 3);
+    const kontexte = JSON.parse(sb.wert(PROGNOSE + 'Empfehlung_Kontexte'));
+    assert.deepStrictEqual(kontexte.map(k => [k.temp_bereich, k.tageszeit, k.abstand, k.gewicht]), [
+        ['kat_6', 'Nachmittag', 1, 2],
+        ['kat_7', 'Vormittag', 1, 1],
+    ]);
+});
+
+test('Exakter Treffer wird als einziger Kontext veroeffentlicht', async () => {
+    const sb = await starteStratege(2.0, [{ offset_erfolg: '0.40', nutzungs_zaehler: 60 }]);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Empfehlung_Quelle'), 'buckets');
+    const kontexte = JSON.parse(sb.wert(PROGNOSE + 'Empfehlung_Kontexte'));
+    assert.deepStrictEqual(kontexte.map(k => [k.temp_bereich, k.solar_level, k.wind_level, k.tageszeit, k.abstand]), [
+        ['kat_6', 'kat_0', 'kat_0', 'Vormittag', 0],
+    ]);
+    assert.strictEqual(sb.wert(PROGNOSE + 'Aktueller_Kontext'), 'kat_6/kat_0/kat_0/Vormittag');
+});
+
+test('Lerner wertet Kontexte mit schlechter Erfolgsquote ab', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T03:00:00' });
+    const abfragen = sqlMitschnitt(sb, sql => (sql.includes('FROM iobroker_heizung.heizungs_prognose_validierung') ? [
+        { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Vormittag', anzahl: 4, erfolge: '1' },
+        { raum: 'Kueche', temp_bereich: 'kat_5', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nacht', anzahl: 3, erfolge: '3' },
+        { raum: 'Esszimmer', temp_bereich: 'kat_5', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nacht', anzahl: 2, erfolge: '0' },
+    ] : []));
+
+    sb.ladeSkript(LERNER);
+    await sb.vorspulenBis('2026-01-14T03:21:00');
+
+    const abwertung = abfragen.filter(q => q.includes('UPDATE iobroker_heizung.heizungs_erfahrung'));
+    assert.strictEqual(abwertung.length, 1);
+    assert.match(abwertung[0], /nutzungs_zaehler \* 0\.5/);
+    assert.match(abwertung[0], /raum = 'Wohnzimmer' AND temp_bereich = 'kat_6'/);
+
+    // Wohnzimmer und Kueche verarbeitet, Esszimmer wartet auf weitere Bewertungen
+    const markiert = abfragen.filter(q => q.includes('SET vom_lerner_verarbeitet = 1'));
+    assert.deepStrictEqual(markiert.map(q => q.match(/raum = '(\w+)'/)[1]), ['Wohnzimmer', 'Kueche']);
+    assert.strictEqual(sb.logsMit('3 Kontexte mit neuen Bewertungen geprueft, 1 abgewertet').length, 1);
+});
+
+test('Backfill spielt die Historie abschnittsweise in die Staging-Tabelle ein und tauscht sie atomar', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-20T12:00:00' });
+    const ts = text => new Date(text).getTime();
+    const abfragen = sqlMitschnitt(sb, (sql) => {
+        if (sql.includes('COUNT(*) AS anzahl')) return [{ anzahl: '2' }];
+        if (/FROM iobroker_heizung\.heizungs_erfahrung_replay;/.test(sql)) return [
+            { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'später Abend', offset_erfolg: '0.50', nutzungs_zaehler: 1 },
+            { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_1', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: '0.20', nutzungs_zaehler: 1 },
+        ];
+        if (/FROM iobroker_heizung\.heizungs_erfahrung;/.test(sql)) return [
+            { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'später Abend', offset_erfolg: '0.10', nutzungs_zaehler: 40 },
+            { raum: 'Wohnzimmer', temp_bereich: 'kat_2', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Nacht', offset_erfolg: '1.00', nutzungs_zaehler: 3 },
+        ];
+        return [];
+    });
+
+    // Phase 22:00-01:00 ueber die Abschnittsgrenze, Phase 10:00-12:00 im Urlaub
+    const stabil = (von, bis) => Array.from({ length: (ts(bis) - ts(von)) / 300000 + 1 }, (_, i) => ({ ts: ts(von) + i * 300000, val: 21.2 }));
+    const serien = {
+        [`${WOHNZIMMER}.ACTUAL_TEMPERATURE`]: [...stabil('2026-01-10T22:00:00', '2026-01-11T01:00:00'), { ts: ts('2026-01-11T01:05:00'), val: 19.0 },
+            ...stabil('2026-01-11T10:00:00', '2026-01-11T12:00:00'), { ts: ts('2026-01-11T12:05:00'), val: 19.0 }],
+        // Sollwert und Anwesenheit nur vor dem Zeitraum geloggt
+        [`${WOHNZIMMER}.SET_POINT_TEMPERATURE`]: [{ ts: ts('2026-01-09T08:00:00'), val: 21.5 }],
+        [AUSSEN]: [{ ts: ts('2026-01-09T08:00:00'), val: 2.0 }],
+        '0_userdata.0.Anwesenheit.Status': [{ ts: ts('2026-01-09T08:00:00'), val: true }],
+        '0_userdata.0.Heizung.sollTempAnwesend': [{ ts: ts('2026-01-09T08:00:00'), val: 21.0 }],
+        '0_userdata.0.Urlaub.Phase': [{ ts: ts('2026-01-11T09:00:00'), val: 'urlaub' }, { ts: ts('2026-01-11T13:00:00'), val: 'normal' }],
+    };
+    sb.beantworte('influxdb.0', (befehl, { id, options }) => {
+        const punkte = (serien[id] || []).filter(p => (options.start === undefined || p.ts >= options.start) && p.ts <= options.end);
+        return { result: options.start === undefined ? punkte.slice(-options.count) : punkte };
+    });
+
+    sb.ladeSkript(LERNER);
+    await sb.leeren();
+    const BACKFILL = '0_userdata.0.Heizung.Lernsystem.Backfill.';
+
+    // Ohne abgeschlossenen Replay wird nichts getauscht
+    await sb.setzeState(BACKFILL + 'Uebernehmen', true, false);
+    assert.strictEqual(sb.logsMit('Kein abgeschlossener Replay', 'warn').length, 1);
+
+    await sb.setzeState(BACKFILL + 'Von', '2026-01-10', false);
+    await sb.setzeState(BACKFILL + 'Bis', '2026-01-11', false);
+    await sb.setzeState(BACKFILL + 'Starten', true, false);
+    await sb.vorspulen(5000);
+
+    assert.ok(abfragen.some(q => q.includes('CREATE TABLE iobroker_heizung.heizungs_erfahrung_replay LIKE iobroker_heizung.heizungs_erfahrung;')));
+    const staging = abfragen.filter(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung_replay'));
+    assert.strictEqual(staging.length, 1, 'Phase ueber die Abschnittsgrenze nur einmal, Urlaubsphase gar nicht');
+    assert.match(staging[0], /VALUES \('Wohnzimmer', 'kat_6', 'kat_0', 'kat_0', 'später Abend', 0\.5, '2026-01-10 23:30:00'\)/);
+    assert.ok(!abfragen.some(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung\n')), 'Live-Tabelle bleibt unveraendert');
+
+    const bericht = JSON.parse(sb.wert(BACKFILL + 'Bericht'));
+    assert.deepStrictEqual([bericht.von, bericht.bis, bericht.abschnitte, bericht.phasen, bericht.uebersprungen.urlaubs_phasen], ['2026-01-10', '2026-01-11', 2, 1, 1]);
+    const wz = bericht.raeume.find(r => r.raum === 'Wohnzimmer');
+    assert.deepStrictEqual([wz.aktuell, wz.replay, wz.neu, wz.entfallen, wz.geaendert, wz.abweichung_mittel], [2, 2, 1, 1, 1, 0.4]);
+    assert.deepStrictEqual(bericht.groesste_aenderungen[0], {
+        raum: 'Wohnzimmer', kontext: 'kat_6/kat_0/kat_0/später Abend', alt: 0.1, neu: 0.5, differenz: 0.4, zaehler_alt: 40, zaehler_neu: 1,
+    });
+    assert.strictEqual(sb.wert(BACKFILL + 'Fortschritt'), 100);
+
+    // Bis zur Uebernahme pausiert der Regelbetrieb, seine Aenderungen gingen beim RENAME verloren
+    await sb.vorspulenBis('2026-01-20T12:31:00');
+    assert.ok(sb.logsMit('uebersprungen (Backfill-Replay laeuft oder wartet auf Uebernahme)').length >= 1);
+    assert.ok(!abfragen.some(q => q.includes('INSERT INTO iobroker_heizung.heizungs_erfahrung\n')));
+
+    await sb.setzeState(BACKFILL + 'Uebernehmen', true, false);
+    const tausch = abfragen.filter(q => q.includes('RENAME TABLE'));
+    assert.deepStrictEqual(tausch.map(q => q.trim()), [
+        'RENAME TABLE iobroker_heizung.heizungs_erfahrung TO iobroker_heizung.heizungs_erfahrung_vor_replay, iobroker_heizung.heizungs_erfahrung_replay TO iobroker_heizung.heizungs_erfahrung;',
+    ]);
+    assert.match(sb.wert(BACKFILL + 'Status'), /^uebernommen \(2 Kontexte\)/);
+});
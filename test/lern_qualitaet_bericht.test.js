@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess/lern_qualitaet_bericht.js
+ * (Abdeckung, Zaehler, Alter, Offset-Verteilung, Streuung der Rohbeobachtungen,
+ * JSON- und HTML-Ausgabe).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/KI_Lernprozess/lern_qualitaet_bericht.js';
+const PFAD = '0_userdata.0.Heizung.Lernsystem.Bericht.';
+
+const ERFAHRUNG = [
+    { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_0', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: '0.50', nutzungs_zaehler: 10, alter_stunden: 24 },
+    { raum: 'Wohnzimmer', temp_bereich: 'kat_6', solar_level: 'kat_1', wind_level: 'kat_0', tageszeit: 'Vormittag', offset_erfolg: '-1.50', nutzungs_zaehler: 2, alter_stunden: 2400 },
+    { raum: 'Kueche', temp_bereich: 'kat_5', solar_level: 'kat_0', wind_level: 'kat_2', tageszeit: 'Nacht', offset_erfolg: '2.20', nutzungs_zaehler: 6, alter_stunden: 48 },
+];
+
+const BEOBACHTUNG = [
+    // kat_6/kat_0/kat_0/Vormittag, stark streuend
+    ...['-1.00', '1.00', '0.00'].map(o => ({ raum: 'Wohnzimmer', aussen_temp: '2.0', solar: '0.00', wind: '1.00', stunde: '9.50', offset_erfolg: o })),
+    // kat_7/kat_0/kat_0/Nachmittag, kaum Streuung
+    ...['0.40', '0.50', '0.60'].map(o => ({ raum: 'Wohnzimmer', aussen_temp: '7.0', solar: '0.00', wind: '1.00', stunde: '13.00', offset_erfolg: o })),
+    // nur zwei Beobachtungen -> nicht aussagekraeftig
+    ...['3.00', '-3.00'].map(o => ({ raum: 'Wohnzimmer', aussen_temp: '12.0', solar: '0.00', wind: '1.00', stunde: '22.00', offset_erfolg: o })),
+];
+
+async function starte(beobachtung = () => BEOBACHTUNG) {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00' });
+    sb.beantworte('sql.0', (befehl, sql) => {
+        if (sql.includes('heizungs_erfahrung')) return { result: ERFAHRUNG };
+        if (sql.includes('heizungs_beobachtung')) return { result: beobachtung() };
+        return { result: [] };
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(61000);
+    return sb;
+}
+
+test('Bericht fasst Abdeckung, Alter und Offsets je Raum zusammen', async () => {
+    const sb = await starte();
+    const bericht = JSON.parse(sb.wert(PFAD + 'JSON'));
+    const wz = bericht.raeume.find(r => r.raum === 'Wohnzimmer');
+
+    // 11 Temp-Bereiche x 4 Solar x 4 Wind x 6 Tageszeiten
+    assert.strictEqual(wz.kontexte_gesamt, 1056);
+    assert.strictEqual(wz.kontexte_gefuellt, 2);
+    assert.strictEqual(wz.abdeckung_prozent, 0.2);
+    assert.strictEqual(wz.zaehler_mittel, 6);
+    assert.strictEqual(wz.alter_tage_max, 100);
+    assert.strictEqual(wz.veraltet, 1);
+    assert.deepStrictEqual([wz.offset.min, wz.offset.max, wz.offset.mittel], [-1.5, 0.5, -0.5]);
+    assert.strictEqual(wz.offset.histogramm.find(k => k.bereich === '-2 .. -1').anzahl, 1);
+    assert.strictEqual(wz.offset.histogramm.find(k => k.bereich === '0.5 .. 1').anzahl, 1);
+
+    assert.deepStrictEqual(wz.top_varianz.map(k => k.kontext), ['kat_6/kat_0/kat_0/Vormittag', 'kat_7/kat_0/kat_0/Nachmittag']);
+    assert.strictEqual(wz.top_varianz[0].stdabw, 0.82);
+
+    const bad = bericht.raeume.find(r => r.raum === 'Badezimmer');
+    assert.deepStrictEqual([bad.kontexte_gefuellt, bad.offset, bad.top_varianz], [0, null, []]);
+    assert.strictEqual(sb.wert(PFAD + 'Abdeckung_Gesamt'), 0.1);
+
+    const html = sb.wert(PFAD + 'HTML');
+    assert.match(html, /^<table/);
+    assert.match(html, /<td[^>]*>Wohnzimmer<\/td><td[^>]*>2\/1056 \(0\.2 %\)<\/td>/);
+    assert.match(html, /kat_6\/kat_0\/kat_0\/Vormittag \(σ 0\.82, n=3\)/);
+});
+
+test('Fehlende Beobachtungstabelle laesst nur die Streuung weg', async () => {
+    const sb = await starte(() => { throw new Error("Table 'heizungs_beobachtung' doesn't exist"); });
+    const bericht = JSON.parse(sb.wert(PFAD + 'JSON'));
+    assert.strictEqual(bericht.raeume[0].kontexte_gefuellt, 2);
+    assert.deepStrictEqual(bericht.raeume[0].top_varianz, []);
+    assert.strictEqual(sb.logsMit('Streuung entfaellt', 'warn').length, 1);
+
+    await sb.vorspulenBis('2026-01-15T04:31:00');
+    assert.ok(sb.wert(PFAD + 'Letzte_Aktualisierung') >= new Date('2026-01-15T04:30:00').getTime());
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/Raumsteuerung/lueftungsberater.js
+ * (Vergleich der absoluten Feuchte innen/aussen, Lueftungsdauer, Schimmelrisiko
+ * an der Wandoberflaeche, fehlende Aussenwerte).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/Raumsteuerung/lueftungsberater.js';
+const AUSSEN_TEMP = '0_userdata.0.Wetter.temp';
+const AUSSEN_FEUCHTE = '0_userdata.0.Wetter.humidity';
+const PFAD = '0_userdata.0.Heizung.Lueftung.';
+const BAD = PFAD + 'Badezimmer.';
+const KUECHE = PFAD + 'Kueche.';
+
+test('Lueften nur bei trockenerer Aussenluft und feuchtem Raum, Risiko ueber die Wandtemperatur', async () => {
+    const sb = erstelleSandbox({
+        zeit: '2026-01-14T10:00:00',
+        states: {
+            [AUSSEN_TEMP]: 0, [AUSSEN_FEUCHTE]: 80,                     // 3.88 g/m³
+            'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE': 20,             // Bad 20 °C / 60 % = 10.37 g/m³
+            'hm-rpc.2.INT0000002.1.HUMIDITY': 60,
+            'hm-rpc.0.002822699B7E86.2.ACTUAL_TEMPERATURE': 14,         // Wand 14 °C -> 86 %
+            'hm-rpc.2.INT0000003.1.ACTUAL_TEMPERATURE': 21,             // Kueche 21 °C / 45 % = 8.24 g/m³
+            'hm-rpc.2.INT0000003.1.HUMIDITY': 45,
+            'hm-rpc.0.002822699B7E86.1.ACTUAL_TEMPERATURE': 19,         // Wand 19 °C -> 51 %
+        },
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(6000);
+
+    assert.strictEqual(sb.wert(PFAD + 'AbsFeuchte_Aussen'), 3.88);
+    assert.strictEqual(sb.wert(BAD + 'AbsFeuchte_Innen'), 10.37);
+    assert.strictEqual(sb.wert(BAD + 'Lueften_Sinnvoll'), true);
+    assert.strictEqual(sb.wert(BAD + 'Empfehlung'), 'lüften sinnvoll (innen 10.4 g/m³, aussen 3.9 g/m³, ca. 15 Min)');
+    assert.strictEqual(sb.wert(BAD + 'Oberflaechenfeuchte'), 86);
+    assert.strictEqual(sb.wert(BAD + 'Schimmelrisiko'), 100);
+    // 10 Min bei 0 °C aussen, +5 Min wegen hohem Risiko
+    assert.strictEqual(sb.wert(BAD + 'Lueftungsdauer_Minuten'), 15);
+
+    // Trockenere Aussenluft allein reicht nicht, wenn der Raum schon trocken ist
+    assert.strictEqual(sb.wert(KUECHE + 'Lueften_Sinnvoll'), false);
+    assert.strictEqual(sb.wert(KUECHE + 'Empfehlung'), 'lüften nicht sinnvoll (Raumfeuchte 45% bereits niedrig)');
+    assert.strictEqual(sb.wert(KUECHE + 'Lueftungsdauer_Minuten'), 0);
+    assert.strictEqual(sb.wert(KUECHE + 'Schimmelrisiko'), 0);
+
+    // Raeume ohne Sensorwerte werden nicht bewertet
+    assert.strictEqual(sb.wert(PFAD + 'Wohnzimmer.Empfehlung'), 'keine Bewertung (Raumsensor ohne gueltige Werte)');
+
+    // Schwuele Aussenluft: 18 °C / 90 % = 13.82 g/m³, feuchter als das Bad
+    await sb.setzeState(AUSSEN_TEMP, 18);
+    await sb.setzeState(AUSSEN_FEUCHTE, 90);
+    await sb.vorspulen(5 * 60000);
+    assert.strictEqual(sb.wert(BAD + 'Lueften_Sinnvoll'), false);
+    assert.strictEqual(sb.wert(BAD + 'Empfehlung'), 'lüften nicht sinnvoll (aussen 13.8 g/m³ nicht trockener als innen 10.4 g/m³)');
+    assert.strictEqual(sb.wert(BAD + 'Lueftungsdauer_Minuten'), 0);
+
+    // Ohne Aussenwerte bleibt die letzte Bewertung stehen
+    await sb.setzeState(AUSSEN_FEUCHTE, null);
+    await sb.vorspulen(5 * 60000);
+    assert.strictEqual(sb.logsMit('Keine gueltigen Aussenwerte (EcoWitt)', 'warn').length, 1);
+    assert.strictEqual(sb.wert(PFAD + 'AbsFeuchte_Aussen'), 13.82);
+});
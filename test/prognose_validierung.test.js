@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess/prognose_validierung.js
+ * (Erfassen angewendeter Offsets, Ablösen, Bewertung aus der Raumtemperatur,
+ * Treffsicherheit je Raum).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/KI_Lernprozess/prognose_validierung.js';
+const ENTSCHEIDUNG = '0_userdata.0.Heizung.Raumsteuerung.Wohnzimmer.Entscheidung';
+const PROGNOSE = '0_userdata.0.Heizung.Prognose.Wohnzimmer.';
+
+function entscheidung(sb, angewendet, sollTemp = 21.5, extra = {}) {
+    return sb.setzeState(ENTSCHEIDUNG, JSON.stringify({
+        zeitpunkt: sb.jetzt(),
+        raum: 'Wohnzimmer',
+        simulation: false,
+        eingaben: { raumIstTemp: 20.4 },
+        prognose: angewendet === null ? null : { rohOffset: angewendet * 2, vertrauen: 25, angewendet },
+        sollTemp,
+        ...extra,
+    }));
+}
+
+async function starte({ offene = [], auswertung = [], influx = [] } = {}) {
+    const sb = erstelleSandbox({
+        zeit: '2026-01-14T10:00:00',
+        states: {
+            [PROGNOSE + 'Aktueller_Kontext']: 'kat_6/kat_0/kat_0/Vormittag',
+            [PROGNOSE + 'Empfehlung_Quelle']: 'buckets',
+        },
+    });
+    const abfragen = [];
+    sb.beantworte('sql.0', (befehl, sql) => {
+        abfragen.push(sql.replace(/\s\s+/g, ' ').trim());
+        if (sql.includes("WHERE status = 'offen'") && sql.includes('SELECT')) return { result: offene };
+        if (sql.includes('GROUP BY raum;')) return { result: auswertung };
+        return { result: [] };
+    });
+    sb.beantworte('influxdb.0', () => ({ result: influx }));
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return { sb, abfragen };
+}
+
+test('Angewendete Offsets werden einmal je Aenderung erfasst und abgeloest', async () => {
+    const { sb, abfragen } = await starte();
+
+    await entscheidung(sb, 0.5);
+    await entscheidung(sb, 0.5);               // unveraendert -> keine neue Zeile
+    await sb.vorspulen(15 * 60000);
+    await entscheidung(sb, 0.8);               // neuer Offset -> alte Zeile endet hier
+    await entscheidung(sb, 0.8, 21.5, { simulation: true });
+    await sb.vorspulen(15 * 60000);
+    await entscheidung(sb, null);              // keine Prognose mehr -> schliessen
+
+    const inserts = abfragen.filter(q => q.startsWith('INSERT INTO iobroker_heizung.heizungs_prognose_validierung'));
+    assert.strictEqual(inserts.length, 2);
+    assert.match(inserts[0], /VALUES \('Wohnzimmer', '2026-01-14 10:00:00', 'kat_6', 'kat_0', 'kat_0', 'Vormittag', 'buckets', 1, 0\.5, 25, 21\.5, 20\.4\)/);
+    const schliessen = abfragen.filter(q => q.startsWith('UPDATE iobroker_heizung.heizungs_prognose_validierung SET gueltig_bis'));
+    assert.deepStrictEqual(schliessen.map(q => q.match(/gueltig_bis = '([^']+)'/)[1]), [
+        '2026-01-14 10:00:00',                 // vor der ersten Anwendung (nichts offen)
+        '2026-01-14 10:15:00',
+        '2026-01-14 10:30:00',
+    ]);
+});
+
+test('Bewertung misst Abweichung und Zeit bis Sollwert, zu kurze Anwendungen werden verworfen', async () => {
+    const start = new Date('2026-01-14T07:30:00').getTime() / 1000;
+    const { sb, abfragen } = await starte({
+        offene: [
+            { id: 7, raum: 'Wohnzimmer', soll_temp: '21.5', start_s: start, ende_s: null },
+            { id: 8, raum: 'Wohnzimmer', soll_temp: '21.5', start_s: start, ende_s: start + 600 },
+            { id: 9, raum: 'Wohnzimmer', soll_temp: '21.5', start_s: new Date('2026-01-14T09:30:00').getTime() / 1000, ende_s: null },
+        ],
+        influx: [
+            { ts: start * 1000, val: 20.5 },
+            { ts: start * 1000 + 30 * 60000, val: 21.3 },
+            { ts: start * 1000 + 60 * 60000, val: 21.5 },
+            { ts: start * 1000 + 90 * 60000, val: 21.6 },
+        ],
+    });
+    await sb.vorspulen(61000);
+
+    const bewertet = abfragen.find(q => q.includes("SET status = 'bewertet'"));
+    assert.match(bewertet, /abweichung_mittel = 0\.33, zeit_bis_soll_min = 30, erfolg = 1 WHERE id = 7;/);
+    assert.ok(abfragen.some(q => q.includes("SET status = 'verworfen' WHERE id = 8")));
+    assert.ok(!abfragen.some(q => /WHERE id = 9;/.test(q)), 'Fenster fuer id 9 laeuft noch');
+});
+
+test('Treffsicherheit je Raum aus den bewerteten Anwendungen', async () => {
+    const { sb } = await starte({
+        auswertung: [{ raum: 'Wohnzimmer', anzahl: 8, erfolge: '6', abweichung: '0.3125', zeit_bis_soll: '42.5000' }],
+    });
+    await sb.vorspulen(61000);
+
+    assert.strictEqual(sb.wert(PROGNOSE + 'Treffsicherheit'), 75);
+    assert.deepStrictEqual(JSON.parse(sb.wert(PROGNOSE + 'Validierung')), {
+        tage: 30, anzahl: 8, erfolge: 6, treffsicherheit: 75, abweichung_mittel: 0.31, zeit_bis_soll_min: 42.5,
+    });
+    assert.strictEqual(sb.wert('0_userdata.0.Heizung.Prognose.Kueche.Treffsicherheit'), 0);
+});
@@ -0,0 +1,487 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/Raumsteuerung/raum_steuerung_generisch.js
+ * (Basistemperatur, Sonderfaelle, Maximum-Prinzip, Strategen-Offset, Zeitplan,
+ * Override, Simulationsmodus, Entscheidungsprotokoll, Heizkoerper-Diagnose und
+ * Sollwert-Rueckmeldung, Laufzeit-Konfiguration, Mehrzonen-Raeume,
+ * Komfortprofile, Urlaubsmodus, Sollwert-Plan, Optimum-Start und virtuelles
+ * Fenster).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/Raumsteuerung/raum_steuerung_generisch.js';
+
+const THERMOSTAT = {
+    Bad: 'hm-rpc.2.INT0000002.1.SET_POINT_TEMPERATURE',
+    Esszimmer: 'hm-rpc.2.INT0000004.1.SET_POINT_TEMPERATURE',
+    Kueche: 'hm-rpc.2.INT0000003.1.SET_POINT_TEMPERATURE',
+    Schlafzimmer: 'hm-rpc.2.INT0000001.1.SET_POINT_TEMPERATURE',
+    Wohnzimmer: 'hm-rpc.2.INT0000005.1.SET_POINT_TEMPERATURE',
+};
+const BAD_FENSTER = 'hm-rpc.0.0023DA49A3CC62.1.STATE';
+const BAD_IST = 'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const HEIZPERIODE = '0_userdata.0.Heizung.Allgemein.HeizperiodeAktiv';
+const ANWESENHEIT = '0_userdata.0.Anwesenheit.Status';
+const PROGNOSE = '0_userdata.0.Heizung.Prognose.Badezimmer.Empfohlener_Offset';
+const RAUM = '0_userdata.0.Heizung.Raumsteuerung.Badezimmer.';
+const OVERRIDE = '0_userdata.0.Heizung.Override.Badezimmer.';
+
+const GRUNDZUSTAND = {
+    [HEIZPERIODE]: true,
+    [ANWESENHEIT]: true,
+    '0_userdata.0.System.Nachtschaltung.Aktiv': false,
+    '0_userdata.0.Heizung.sollTempAnwesend': 21.0,
+    '0_userdata.0.Heizung.sollTempAbwesend': 16.0,
+};
+
+// Mittwoch, ausserhalb der Bad-Zeitplan-Slots
+const WERKTAG_VORMITTAG = '2026-01-14T10:00:00';
+
+async function starte(zeit = WERKTAG_VORMITTAG, states = {}) {
+    const sb = erstelleSandbox({ zeit, states: { ...GRUNDZUSTAND, ...states } });
+    sb.ladeSkript(SKRIPT);
+    // Gestaffelter Start + Initialisierung + Debounce (hohe Prioritaet 20 s)
+    await sb.vorspulen(30 * 1000);
+    return sb;
+}
+
+/** Aenderung eines Sensors und Debounce abwarten. */
+async function aendere(sb, id, wert, ack = true) {
+    await sb.setzeState(id, wert, ack);
+    await sb.vorspulen(30 * 1000);
+}
+
+function entscheidung(sb) {
+    return JSON.parse(sb.wert(RAUM + 'Entscheidung'));
+}
+
+test('Start: alle Raeume erhalten bei Anwesenheit die Anwesend-Temperatur', async () => {
+    const sb = await starte();
+    for (const [raum, id] of Object.entries(THERMOSTAT)) {
+        assert.strictEqual(sb.wert(id), 21.0, raum);
+        assert.strictEqual(sb.wert(id.replace('SET_POINT_TEMPERATURE', 'CONTROL_MODE')), 1, raum);
+    }
+    assert.strictEqual(sb.logs.filter(l => l.level === 'error').length, 0);
+});
+
+test('Abwesenheit senkt auf die Abwesend-Temperatur', async () => {
+    const sb = await starte();
+    await aendere(sb, ANWESENHEIT, false);
+    for (const id of Object.values(THERMOSTAT)) {
+        assert.strictEqual(sb.wert(id), 16.0);
+    }
+});
+
+test('Sonderfaelle: Fenster offen und Heizperiode aus', async () => {
+    const sb = await starte();
+    await aendere(sb, BAD_FENSTER, true);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 12.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+    assert.strictEqual(entscheidung(sb).basis.grund, 'Fenster offen');
+
+    await aendere(sb, BAD_FENSTER, false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+
+    await aendere(sb, HEIZPERIODE, false);
+    for (const id of Object.values(THERMOSTAT)) {
+        assert.strictEqual(sb.wert(id), 4.5);
+    }
+});
+
+test('Maximum-Prinzip: Witterungsfuehrung gewinnt und wird auf maxSollTemp begrenzt', async () => {
+    const sb = await starte(WERKTAG_VORMITTAG, { [AUSSEN]: 2.0 });
+    // (12 - 2) * 0.1 = +1.0
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 22.0);
+    const protokoll = entscheidung(sb);
+    assert.strictEqual(protokoll.physik.gewinner, 'A_Wetter');
+    assert.strictEqual(protokoll.validierung.aussenSensorOK, true);
+
+    // Die Aussentemperatur ist kein Trigger, sie wirkt mit dem 15-Minuten-Lauf
+    await sb.setzeState(AUSSEN, -29.0);
+    await sb.vorspulen(16 * 60 * 1000);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 24.0);
+    assert.strictEqual(entscheidung(sb).rohSollTemp, 25.1);
+});
+
+test('Strategen-Offset wird geklammert und nach Vertrauen gewichtet', async () => {
+    const sb = await starte(WERKTAG_VORMITTAG, { [PROGNOSE]: 5.0, [PROGNOSE + '_Vertrauen']: 25 });
+    // Clip auf +2.0, Gewicht 25/50 -> +1.0
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 22.0);
+    const prognose = entscheidung(sb).prognose;
+    assert.strictEqual(prognose.geklammert, 2.0);
+    assert.strictEqual(prognose.gewicht, 0.5);
+    assert.strictEqual(prognose.angewendet, 1.0);
+});
+
+test('Zeitplan-Slot ersetzt bei Anwesenheit die Basistemperatur', async () => {
+    const sb = await starte('2026-01-14T06:10:00');
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 23.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Wohnzimmer), 21.0);
+
+    // Slot endet um 07:30 -> minuetliche Pruefung loest Neuberechnung aus
+    await sb.vorspulenBis('2026-01-14T07:32:00');
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+});
+
+test('manuelle Sollwert-Aenderung wird als Override respektiert', async () => {
+    const sb = await starte();
+    await sb.setzeState(THERMOSTAT.Bad, 19.0, false);
+    assert.strictEqual(sb.wert(OVERRIDE + 'Typ'), 'Manuell');
+
+    // Regulaerer 15-Minuten-Lauf ueberschreibt den Wert nicht
+    await sb.vorspulen(16 * 60 * 1000);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 19.0);
+});
+
+test('Simulationsmodus rechnet, schreibt aber keine Thermostate', async () => {
+    const sb = await starte();
+    await aendere(sb, RAUM + 'Simulation_Aktiv', true, false);
+    await aendere(sb, ANWESENHEIT, false);
+
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 16.0);
+    const simulation = JSON.parse(sb.wert(RAUM + 'Simulation'));
+    assert.strictEqual(simulation.sollTemp, 16.0);
+    assert.strictEqual(simulation.geschrieben, false);
+    assert.strictEqual(simulation.thermostate[0].schreiben, true);
+
+    await aendere(sb, RAUM + 'Simulation_Aktiv', false, false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 16.0);
+});
+
+test('Entscheidungsprotokoll enthaelt Eingaben, Kandidaten und Schreibstatus', async () => {
+    const sb = await starte();
+    const protokoll = entscheidung(sb);
+    assert.strictEqual(protokoll.raum, 'Badezimmer');
+    assert.strictEqual(protokoll.eingaben.anwesenheit, true);
+    assert.strictEqual(protokoll.basis.temp, 21.0);
+    assert.deepStrictEqual(Object.keys(protokoll.kandidaten), ['A_Wetter', 'B_Schimmel', 'C_Behaglichkeit', 'D_Heizlast']);
+    assert.strictEqual(protokoll.sollTemp, 21.0);
+    assert.strictEqual(typeof protokoll.geschrieben, 'boolean');
+    assert.ok(Array.isArray(protokoll.gruende) && protokoll.gruende.length > 0);
+    assert.strictEqual(sb.nachrichtenAn('influxdb').length, 0);
+});
+
+test('Heizkoerper-Diagnose: voll offenes Ventil unter Soll wird nach der Wartezeit gemeldet', async () => {
+    const bad = THERMOSTAT.Bad.replace('.SET_POINT_TEMPERATURE', '.');
+    const sb = await starte(WERKTAG_VORMITTAG, { [bad + 'ACTUAL_TEMPERATURE']: 18.0, [bad + 'LEVEL']: 1.0 });
+    await sb.vorspulen(2 * 60 * 1000);
+    assert.strictEqual(sb.wert(RAUM + 'Heizkoerper_Diagnose'), 'VOLL_OFFEN');
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 0);
+
+    await sb.vorspulen(2 * 60 * 60 * 1000);
+    const meldungen = sb.nachrichtenAn('pushover');
+    assert.strictEqual(meldungen.length, 1);
+    assert.match(meldungen[0].nachricht.message, /^Bad: Ventil seit 12\d Min\. voll offen/);
+    assert.strictEqual(JSON.parse(sb.wert(RAUM + 'Heizkoerper_Diagnose_Details'))[0].gemeldet, true);
+
+    // Raum erreicht den Sollwert -> Befund behoben, keine weitere Meldung
+    await aendere(sb, bad + 'ACTUAL_TEMPERATURE', 21.0);
+    await sb.vorspulen(60 * 1000);
+    assert.strictEqual(sb.wert(RAUM + 'Heizkoerper_Diagnose'), 'OK');
+    assert.strictEqual(sb.logsMit('Befund VOLL_OFFEN behoben').length, 1);
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 1);
+});
+
+test('Heizkoerper-Diagnose: geschlossenes Ventil trotz Untertemperatur, ausserhalb der Heizperiode inaktiv', async () => {
+    const kueche = THERMOSTAT.Kueche.replace('.SET_POINT_TEMPERATURE', '.');
+    const sb = await starte(WERKTAG_VORMITTAG, { [kueche + 'ACTUAL_TEMPERATURE']: 19.0, [kueche + 'LEVEL']: 0 });
+    await sb.vorspulen(2 * 60 * 1000);
+    const pfad = '0_userdata.0.Heizung.Raumsteuerung.Kueche.Heizkoerper_Diagnose';
+    assert.strictEqual(sb.wert(pfad), 'KLEMMT_ZU');
+    assert.strictEqual(sb.wert(RAUM + 'Heizkoerper_Diagnose'), 'KEINE_DATEN');
+
+    await aendere(sb, HEIZPERIODE, false);
+    await sb.vorspulen(60 * 1000);
+    assert.strictEqual(sb.wert(pfad), 'INAKTIV');
+});
+
+test('Sollwert-Rueckmeldung: nicht bestaetigte Sollwerte werden gemeldet', async () => {
+    const sb = await starte();
+    // Das Bad-Thermostat bestaetigt, die Kueche bleibt stumm
+    await sb.setzeState(THERMOSTAT.Bad, 21.0, true);
+    await sb.vorspulen(200 * 1000);
+
+    assert.strictEqual(sb.wert(RAUM + 'Sollwert_Fehler'), '');
+    assert.match(sb.wert('0_userdata.0.Heizung.Raumsteuerung.Kueche.Sollwert_Fehler'), /21\.0°C vom Thermostat nicht bestaetigt/);
+});
+
+const KONFIGURATION = '0_userdata.0.Heizung.Raumsteuerung.Konfiguration';
+
+test('Laufzeit-Konfiguration: Schemafehler werden mit Pfad gemeldet, die Regelung laeuft weiter', async () => {
+    const sb = await starte();
+    assert.strictEqual(sb.wert(KONFIGURATION + '_Status'), 'OK: 5 Raeume aktiv');
+
+    const konfiguration = JSON.parse(sb.wert(KONFIGURATION));
+    konfiguration.ROOMS_CONFIG[1].hysterese = 'gross';
+    konfiguration.ROOMS_CONFIG[2].minSollTemp = 25;
+    konfiguration.ROOMS_CONFIG[3].hysterse = 0.5;
+    await aendere(sb, KONFIGURATION, JSON.stringify(konfiguration), false);
+
+    const status = sb.wert(KONFIGURATION + '_Status');
+    assert.match(status, /^FEHLER \(3\): /);
+    assert.match(status, /ROOMS_CONFIG\[1\]\.hysterese: Zahl erwartet, erhalten "gross"/);
+    assert.match(status, /ROOMS_CONFIG\[2\]: minSollTemp \(25\) liegt ueber maxSollTemp \(24\)/);
+    assert.match(status, /ROOMS_CONFIG\[3\]\.hysterse: unbekanntes Feld/);
+    assert.strictEqual(sb.state(KONFIGURATION).ack, false);
+
+    await aendere(sb, ANWESENHEIT, false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 16.0);
+});
+
+test('Laufzeit-Konfiguration: gueltige Aenderung baut die Raum-Controller neu auf', async () => {
+    const sb = await starte();
+    const konfiguration = JSON.parse(sb.wert(KONFIGURATION));
+    konfiguration.ROOMS_CONFIG = konfiguration.ROOMS_CONFIG.filter(raum => raum.dbRaum === 'Badezimmer');
+    konfiguration.ROOMS_CONFIG[0].maxSollTemp = 20.0;
+    await aendere(sb, KONFIGURATION, JSON.stringify(konfiguration), false);
+
+    assert.strictEqual(sb.wert(KONFIGURATION + '_Status'), 'OK: 1 Raeume aktiv (neu geladen)');
+    assert.strictEqual(sb.state(KONFIGURATION).ack, true);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 20.0);
+
+    // Alte Trigger sind abgemeldet: nur das Bad reagiert, und nur einmal
+    const vorher = sb.logsMit('[Bad] Setze Soll').length;
+    await aendere(sb, ANWESENHEIT, false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 16.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+    assert.strictEqual(sb.logsMit('[Bad] Setze Soll').length, vorher + 1);
+});
+
+test('Laufzeit-Konfiguration: beim Start mit defektem JSON gilt die letzte gueltige', async () => {
+    const vorlage = await starte();
+    const gueltig = JSON.parse(vorlage.wert(KONFIGURATION));
+    gueltig.ROOMS_CONFIG.forEach(raum => { raum.maxSollTemp = 20.0; });
+
+    const sb = await starte(WERKTAG_VORMITTAG, {
+        [KONFIGURATION]: '{ "ROOMS_CONFIG": [',
+        [KONFIGURATION + '_Letzte_Gueltige']: JSON.stringify(gueltig),
+    });
+    assert.match(sb.wert(KONFIGURATION + '_Status'), /kein gueltiges JSON .*\| aktiv: letzte gueltige Konfiguration$/);
+    assert.strictEqual(sb.wert(THERMOSTAT.Wohnzimmer), 20.0);
+});
+
+test('Mehrzonen-Raum: Zonen-Offset je Thermostat und aggregierte Sensoren im Protokoll', async () => {
+    const zone2 = 'hm-rpc.2.INT0000009.1.SET_POINT_TEMPERATURE';
+    const feuchte2 = 'hm-rpc.2.INT0000009.1.HUMIDITY';
+    const vorlage = await starte();
+    const konfiguration = JSON.parse(vorlage.wert(KONFIGURATION));
+    const bad = konfiguration.ROOMS_CONFIG[0];
+    bad.devices.thermostate.push(zone2);
+    bad.devices.feuchteSensor = [bad.devices.feuchteSensor, feuchte2];
+    bad.thermostatOffsets = { [zone2]: 1.0 };
+    bad.aggregation = { raumTemp: 'median', maxAlterMinuten: 30 };
+
+    const sb = await starte(WERKTAG_VORMITTAG, {
+        [KONFIGURATION]: JSON.stringify(konfiguration),
+        'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE': 20.0,
+        'hm-rpc.2.INT0000009.1.ACTUAL_TEMPERATURE': 21.0,
+        'hm-rpc.2.INT0000002.1.HUMIDITY': 55,
+        [feuchte2]: 140,
+    });
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+    assert.strictEqual(sb.wert(zone2), 22.0);
+
+    const protokoll = entscheidung(sb);
+    assert.strictEqual(protokoll.sensoren.raumTemp.wert, 20.5);
+    assert.strictEqual(protokoll.sensoren.raumTemp.strategie, 'median');
+    assert.deepStrictEqual(protokoll.sensoren.feuchte.verwendet, [{ id: 'hm-rpc.2.INT0000002.1.HUMIDITY', wert: 55 }]);
+    assert.deepStrictEqual(protokoll.sensoren.feuchte.verworfen, [{ id: feuchte2, grund: 'unplausibel (140)' }]);
+    assert.deepStrictEqual(protokoll.thermostate.map(t => [t.offset, t.ziel]), [[0, 21.0], [1.0, 22.0]]);
+
+    // Veraltete Werte fallen nach maxAlterMinuten heraus
+    await sb.setzeState('hm-rpc.2.INT0000009.1.ACTUAL_TEMPERATURE', 21.2);
+    await sb.vorspulen(31 * 60 * 1000);
+    const raumTemp = entscheidung(sb).sensoren.raumTemp;
+    assert.strictEqual(raumTemp.wert, 21.2);
+    assert.match(raumTemp.verworfen[0].grund, /^veraltet/);
+
+    // Manuelle Aenderung an Zone 2 wird ohne deren Offset als Raum-Override gespeichert
+    await sb.setzeState(zone2, 23.0, false);
+    assert.strictEqual(sb.wert(OVERRIDE + 'Soll'), 22.0);
+});
+
+test('Komfortprofile: Wunsch der anwesenden Personen nach Regel, sonst globaler Sollwert', async () => {
+    const ALEX = '0_userdata.0.Anwesenheit.Alex';
+    const ROSIE = '0_userdata.0.Anwesenheit.Rosie';
+    const wohnzimmer = sb => JSON.parse(sb.wert('0_userdata.0.Heizung.Raumsteuerung.Wohnzimmer.Entscheidung'));
+    const vorlage = await starte();
+    const konfiguration = JSON.parse(vorlage.wert(KONFIGURATION));
+    konfiguration.KOMFORT_PROFILE.aktiviert = true;
+
+    const sb = await starte(WERKTAG_VORMITTAG, {
+        [KONFIGURATION]: JSON.stringify(konfiguration),
+        [ALEX]: true,
+        [ROSIE]: true,
+    });
+    // max: Alex 21.5 und Rosie 22.0 im Wohnzimmer; Kueche nur Ramona (abwesend)
+    assert.strictEqual(sb.wert(THERMOSTAT.Wohnzimmer), 22.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 23.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+    assert.deepStrictEqual(wohnzimmer(sb).eingaben.komfortProfil, { temp: 22.0, personen: ['Alex', 'Rosie'], regel: 'max' });
+    assert.strictEqual(wohnzimmer(sb).basis.grund, 'Anwesend, Komfortprofil Alex+Rosie (max) 22.0°C');
+
+    await aendere(sb, ROSIE, false);
+    assert.strictEqual(wohnzimmer(sb).basis.temp, 21.5);
+    await aendere(sb, ALEX, false);
+    assert.strictEqual(wohnzimmer(sb).basis.temp, 21.0);
+    assert.strictEqual(wohnzimmer(sb).eingaben.komfortProfil, null);
+
+    // prioritaet: Alex (1) gewinnt gegen Rosie (2)
+    konfiguration.KOMFORT_PROFILE.regel = 'prioritaet';
+    await aendere(sb, KONFIGURATION, JSON.stringify(konfiguration), false);
+    await sb.setzeState(ALEX, true);
+    await aendere(sb, ROSIE, true);
+    assert.strictEqual(wohnzimmer(sb).basis.temp, 21.5);
+
+    konfiguration.KOMFORT_PROFILE.regel = 'mittel';
+    await aendere(sb, KONFIGURATION, JSON.stringify(konfiguration), false);
+    assert.match(sb.wert(KONFIGURATION + '_Status'), /KOMFORT_PROFILE\.regel: /);
+});
+
+test('Urlaubsmodus: alle Raeume auf Eco-Temperatur, Fenster offen hat Vorrang', async () => {
+    const URLAUB = '0_userdata.0.Urlaub.';
+    const sb = await starte(WERKTAG_VORMITTAG, { [URLAUB + 'Aktiv']: false, [URLAUB + 'EcoTemp']: 15.0 });
+    await aendere(sb, ANWESENHEIT, false);
+    await aendere(sb, URLAUB + 'Aktiv', true);
+    for (const thermostat of Object.values(THERMOSTAT)) {
+        assert.strictEqual(sb.wert(thermostat), 15.0);
+    }
+    const protokoll = entscheidung(sb);
+    assert.strictEqual(protokoll.basis.grund, 'Urlaub');
+    assert.strictEqual(protokoll.basis.sonderfall, true);
+    assert.strictEqual(protokoll.eingaben.urlaub, true);
+
+    await aendere(sb, BAD_FENSTER, true);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 12.0);
+    await aendere(sb, BAD_FENSTER, false);
+
+    // Vorheizphase: Urlaub.Aktiv faellt, Regelung wie abwesend
+    await aendere(sb, URLAUB + 'Aktiv', false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 16.0);
+});
+
+test('Sollwert-Plan: bei Anwesenheit gilt der Plan-Sollwert, Tuer zu und veraltete Plaene nicht', async () => {
+    const TUER = 'hm-rpc.0.0023DF299CC991.1.STATE';
+    const vorlage = await starte();
+    const konfiguration = JSON.parse(vorlage.wert(KONFIGURATION));
+    konfiguration.ROOMS_CONFIG.find(raum => raum.dbRaum === 'Badezimmer').plan.aktiviert = true;
+    const beginn = new Date(WERKTAG_VORMITTAG).getTime();
+    const plan = {
+        erstellt: beginn,
+        rasterMinuten: 15,
+        quelle: 'JSON',
+        schritte: Array.from({ length: 96 }, (_, k) => ({ beginn: beginn + k * 900000, soll: 22.5, komfortMin: 21.0, temp: 21.5, ventil: 0.4 })),
+    };
+
+    const sb = await starte(WERKTAG_VORMITTAG, {
+        [KONFIGURATION]: JSON.stringify(konfiguration),
+        '0_userdata.0.Heizung.Plan.Badezimmer.Plan': JSON.stringify(plan),
+        [TUER]: true,
+    });
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 22.5);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+    const protokoll = entscheidung(sb);
+    assert.strictEqual(protokoll.basis.grund, 'Plan 22.5°C (Komfort 21.0°C, JSON)');
+    assert.strictEqual(protokoll.eingaben.plan.angewendet, true);
+
+    // Tuer zu ausserhalb eines Slots hat Vorrang
+    await aendere(sb, TUER, false);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 16.0);
+    assert.strictEqual(entscheidung(sb).eingaben.plan.angewendet, false);
+    await aendere(sb, TUER, true);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 22.5);
+
+    // Nach 2 h ohne neuen Plan regelt der Raum wieder ohne Plan
+    await sb.vorspulenBis('2026-01-14T12:16:00');
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+    assert.strictEqual(entscheidung(sb).eingaben.plan, null);
+});
+
+test('Optimum-Start: Vorheizstart aus der gelernten Aufheizrate vor dem Zeitplan-Slot', async () => {
+    const VORHEIZEN = '0_userdata.0.Heizung.Vorheizen.Badezimmer.';
+    // 2.0 °C/h, 20 -> 23 °C: 3 / 2 * 60 * 1.2 = 108 Min vor dem Slot um 06:00
+    const sb = await starte('2026-01-14T04:00:00', {
+        [BAD_IST]: 20.0,
+        [VORHEIZEN + 'Aufheizmodell']: JSON.stringify({ achsenabschnitt: 2.0, steigung: 0, phasen: 4, aussenMin: -10, aussenMax: 10 }),
+    });
+    assert.strictEqual(sb.wert(VORHEIZEN + 'Vorheizstart'), new Date('2026-01-14T04:12:00').getTime());
+    assert.strictEqual(sb.wert(VORHEIZEN + 'Vorheizen_Aktiv'), false);
+    assert.match(sb.wert(VORHEIZEN + 'Vorheizen_Ziel'), /^23\.0°C um 06:00 \(Zeitplan\), Start 04:12, Rate 2\.00°C\/h$/);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+
+    // Minuetliche Pruefung startet das Vorheizen zum prognostizierten Zeitpunkt
+    await sb.vorspulenBis('2026-01-14T04:13:00');
+    assert.strictEqual(sb.wert(VORHEIZEN + 'Vorheizen_Aktiv'), true);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 23.0);
+    assert.match(entscheidung(sb).basis.grund, /^Vorheizen 23\.0°C um 06:00/);
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+});
+
+test('Virtuelles Fenster: starker Temperaturabfall senkt ab, Haltedauer und Sperrzeit verhindern Flattern', async () => {
+    const FENSTER_VIRTUELL = '0_userdata.0.Heizung.FensterVirtuell.Badezimmer.';
+    const sb = await starte(WERKTAG_VORMITTAG, { [BAD_IST]: 21.2 });
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), false);
+
+    // Der Verlauf beginnt mit der ersten Aenderung; 0.4 °C sind noch kein Fenster
+    await aendere(sb, BAD_IST, 21.0);
+    await aendere(sb, BAD_IST, 20.6);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), false);
+
+    // 1.0 °C in einer Minute gegenueber dem Hoechstwert -> offen, wirkt wie ein Kontakt
+    await aendere(sb, BAD_IST, 20.0);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), true);
+    assert.match(sb.wert(FENSTER_VIRTUELL + 'Grund'), /^Temperaturabfall 1\.0°C in 6 Min$/);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Letzte_Erkennung'), sb.jetzt() - 30 * 1000);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 12.0);
+    assert.strictEqual(entscheidung(sb).basis.grund, 'Virtuelles Fenster offen');
+    assert.strictEqual(sb.wert(THERMOSTAT.Kueche), 21.0);
+
+    // Nach der Haltedauer (15 Min) wieder zu, danach 30 Min Sperrzeit
+    await sb.vorspulen(15 * 60 * 1000);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), false);
+    assert.match(sb.wert(FENSTER_VIRTUELL + 'Grund'), /Haltedauer abgelaufen, Sperrzeit 30 Min/);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 21.0);
+
+    await aendere(sb, BAD_IST, 21.0);
+    await aendere(sb, BAD_IST, 19.5);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), false);
+
+    // Nach der Sperrzeit wird wieder erkannt
+    await sb.vorspulen(30 * 60 * 1000);
+    await aendere(sb, BAD_IST, 21.0);
+    await aendere(sb, BAD_IST, 19.8);
+    assert.strictEqual(sb.wert(FENSTER_VIRTUELL + 'Offen'), true);
+});
+
+test('Mehrzonen-Raum: manueller Sollwert am Thermostat mit Zonen-Offset bleibt erhalten', async () => {
+    const zone2 = 'hm-rpc.2.INT0000009.1.SET_POINT_TEMPERATURE';
+    const vorlage = await starte();
+    const konfiguration = JSON.parse(vorlage.wert(KONFIGURATION));
+    const bad = konfiguration.ROOMS_CONFIG[0];
+    bad.devices.thermostate.push(zone2);
+    bad.thermostatOffsets = { [zone2]: 2.0 };
+
+    const sb = await starte(WERKTAG_VORMITTAG, { [KONFIGURATION]: JSON.stringify(konfiguration) });
+    assert.strictEqual(sb.wert(zone2), 23.0);
+
+    await sb.setzeState(zone2, 24.0, false);
+    await sb.vorspulen(30 * 1000);
+    assert.strictEqual(sb.wert(OVERRIDE + 'Soll'), 22.0);
+    assert.deepStrictEqual(entscheidung(sb).thermostate.map(t => [t.offset, t.ziel]), [[0, 22.0], [2.0, 24.0]]);
+
+    // Regulaerer 15-Minuten-Lauf schreibt den Wert des Nutzers nicht zurueck
+    await sb.vorspulen(16 * 60 * 1000);
+    assert.strictEqual(sb.wert(zone2), 24.0);
+    assert.strictEqual(sb.wert(THERMOSTAT.Bad), 22.0);
+
+    // Fenster offen: Absenkung ohne Zonen-Offset
+    await aendere(sb, BAD_FENSTER, true);
+    assert.deepStrictEqual(entscheidung(sb).thermostate.map(t => t.offset), [0, 0]);
+    assert.strictEqual(sb.wert(zone2), sb.wert(THERMOSTAT.Bad));
+});
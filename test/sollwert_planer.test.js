@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/Zentrale_Steuerung/sollwert_planer.js
+ * (Vorheizen so spaet wie moeglich, Komfortgrenzen, Einfluss von Sonne und Wind,
+ * Rueckfall ohne Vorhersage, Abstimmung der Raeume auf die Brennerlaufzeit).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/Zentrale_Steuerung/sollwert_planer.js';
+const BAD_TEMP = 'hm-rpc.2.INT0000002.1.ACTUAL_TEMPERATURE';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const VORHERSAGE = '0_userdata.0.Heizung.Wettervorhersage.Stuendlich';
+const PLAN = '0_userdata.0.Heizung.Plan.';
+const ZEITPLAN = '0_userdata.0.Heizung.Zeitplan.Badezimmer.';
+
+// tau = 20 h, 4 °C/h bei offenem Ventil, 1.5 °C/h bei voller Sonne
+const MODELL = { a: 0.05, b: 4, c: 1.5, ids: { raumTemp: BAD_TEMP, ventil: 'hm-rpc.2.INT0000002.1.LEVEL', aussenTemp: AUSSEN } };
+
+// Mittwoch 03:00, Bad-Slot 06:00-07:30 mit 23 °C, sonst 21 °C
+const START = '2026-01-14T03:00:00';
+
+function vorhersage(sb, wetter = () => ({})) {
+    return JSON.stringify(Array.from({ length: 25 }, (_, h) => ({
+        zeit: sb.jetzt() + h * 3600000,
+        aussenTemp: -5,
+        solar: 0,
+        wind: 0,
+        ...wetter(h),
+    })));
+}
+
+async function starte(states = {}) {
+    const sb = erstelleSandbox({
+        zeit: START,
+        states: {
+            '0_userdata.0.Heizung.Waermemodell.Badezimmer.Modell': JSON.stringify(MODELL),
+            [BAD_TEMP]: 21.0,
+            [AUSSEN]: -5,
+            '0_userdata.0.Heizung.sollTempAnwesend': 21.0,
+            [ZEITPLAN + 'Aktiv']: true,
+            [ZEITPLAN + 'Profil_Werktag']: JSON.stringify([{ von: '06:00', bis: '07:30', soll: 23.0 }]),
+            [ZEITPLAN + 'Profil_Wochenende']: '[]',
+            ...states,
+        },
+    });
+    if (!(VORHERSAGE in states)) await sb.setzeState(VORHERSAGE, vorhersage(sb));
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(61000);
+    return sb;
+}
+
+function plan(sb) {
+    return JSON.parse(sb.wert(PLAN + 'Badezimmer.Plan'));
+}
+
+function schrittUm(p, uhrzeit) {
+    const ts = new Date(`2026-01-14T${uhrzeit}:00`).getTime();
+    return p.schritte.find(s => s.beginn === ts);
+}
+
+test('Vorheizen so spaet wie moeglich, Komfortgrenzen werden eingehalten', async () => {
+    const sb = await starte();
+    const p = plan(sb);
+
+    assert.strictEqual(p.schritte.length, 96);
+    assert.strictEqual(p.schritte[0].beginn, new Date(START).getTime());
+    assert.strictEqual(p.quelle, 'JSON');
+    assert.strictEqual(p.komfortDefizit, 0);
+    assert.strictEqual(sb.wert(PLAN + 'Badezimmer.Aktueller_Sollwert'), 21.0);
+
+    // Halten bei -5 °C: Ventil 0.05 * 26 / 4 = 0.325
+    assert.ok(Math.abs(schrittUm(p, '03:00').ventil - 0.325) < 0.01);
+    // Aufheizen auf 23 °C dauert mit Sicherheitsfaktor knapp eine Stunde
+    const erstesVorheizen = p.schritte.find(s => s.soll > 21.0);
+    assert.ok(erstesVorheizen.beginn >= new Date('2026-01-14T04:45:00').getTime(), new Date(erstesVorheizen.beginn).toString());
+    assert.ok(erstesVorheizen.beginn < new Date('2026-01-14T06:00:00').getTime());
+    assert.ok(schrittUm(p, '05:45').temp >= 23.0 - 0.01);
+    assert.strictEqual(schrittUm(p, '06:00').soll, 23.0);
+    assert.strictEqual(schrittUm(p, '07:15').soll, 23.0);
+    assert.strictEqual(schrittUm(p, '07:30').soll, 21.0);
+    // Nach dem Slot kuehlt der Raum aus, statt weiter zu heizen
+    assert.strictEqual(schrittUm(p, '07:30').ventil, 0);
+    for (const s of p.schritte) {
+        assert.ok(s.temp >= 21.0 - 0.01, `${new Date(s.beginn).toString()}: ${s.temp}`);
+        assert.ok(s.soll <= s.komfortMin + 2.0);
+    }
+
+    // Raeume ohne Modell bekommen keinen Plan
+    assert.strictEqual(sb.wert(PLAN + 'Kueche.Plan'), '');
+    assert.match(sb.wert(PLAN + 'Status'), /Kueche: kein Waermemodell/);
+    // Heizpause nur beim Auskuehlen von 23 auf 21 °C nach dem Slot (~1.5 h)
+    const brennerlaufzeit = sb.wert(PLAN + 'Brennerlaufzeit');
+    assert.ok(brennerlaufzeit > 21.5 && brennerlaufzeit < 23, String(brennerlaufzeit));
+});
+
+test('Sonne in der Vorhersage spart Heizzeit, Wind kostet zusaetzlich', async () => {
+    const sb = await starte();
+    const ohneWetter = plan(sb).ventilstunden;
+
+    // 10-16 Uhr volle Sonne: 1.5 * 0.6 = 0.9 °C/h von 1.3 °C/h Verlust
+    await sb.setzeState(VORHERSAGE, vorhersage(sb, h => (h >= 7 && h <= 13 ? { solar: 1000 } : {})));
+    await sb.vorspulen(1000);
+    const mitSonne = plan(sb);
+    assert.ok(mitSonne.ventilstunden < ohneWetter - 1, `${mitSonne.ventilstunden} / ${ohneWetter}`);
+    assert.ok(Math.abs(schrittUm(mitSonne, '12:00').ventil - 0.1) < 0.01);
+
+    await sb.setzeState(VORHERSAGE, vorhersage(sb, () => ({ wind: 50 })));
+    await sb.vorspulen(1000);
+    assert.ok(plan(sb).ventilstunden > ohneWetter + 1);
+});
+
+test('Ohne gueltige Vorhersage wird mit der aktuellen Aussentemperatur geplant', async () => {
+    const sb = await starte({ [VORHERSAGE]: '[{"zeit": "gestern", "aussenTemp": 3}]' });
+    assert.strictEqual(sb.wert(PLAN + 'Vorhersage_Quelle'), 'aktuelle Aussentemperatur (keine Vorhersage)');
+    assert.strictEqual(sb.logsMit('1 Vorhersage-Eintraege ohne gueltige Zeit', 'warn').length, 1);
+    assert.ok(Math.abs(schrittUm(plan(sb), '03:00').ventil - 0.325) < 0.01);
+
+    // Eine zu kurze Vorhersage zaehlt nicht
+    await sb.setzeState(VORHERSAGE, JSON.stringify([{ zeit: sb.jetzt(), aussenTemp: 0 }, { zeit: sb.jetzt() + 3600000, aussenTemp: 0 }]));
+    await sb.vorspulen(1000);
+    assert.strictEqual(sb.logsMit('Vorhersage reicht nur 1.0 h', 'warn').length, 1);
+
+    // Button: neu berechnen mit gueltiger Vorhersage
+    await sb.setzeState(VORHERSAGE, vorhersage(sb), false);
+    await sb.setzeState(PLAN + 'Neu_Berechnen', true, false);
+    await sb.vorspulen(1000);
+    assert.strictEqual(sb.wert(PLAN + 'Vorhersage_Quelle'), 'JSON');
+    assert.strictEqual(sb.wert(PLAN + 'Neu_Berechnen'), false);
+});
+
+test('Abstimmung: ein Raum heizt vor, solange der Brenner fuer einen anderen ohnehin laeuft', async () => {
+    const kuecheTemp = 'hm-rpc.2.INT0000003.1.ACTUAL_TEMPERATURE';
+    const kueche = '0_userdata.0.Heizung.Zeitplan.Kueche.';
+    // 18 °C aussen: Halten auf 21 °C braucht Ventil 0.0375, also kein Brenner ausserhalb der Slots
+    const sb = await starte({
+        '0_userdata.0.Heizung.Waermemodell.Kueche.Modell': JSON.stringify({ ...MODELL, ids: { ...MODELL.ids, raumTemp: kuecheTemp } }),
+        [kuecheTemp]: 21.0,
+        [kueche + 'Aktiv']: true,
+        [kueche + 'Profil_Werktag']: JSON.stringify([{ von: '08:00', bis: '09:00', soll: 23.0 }]),
+        [kueche + 'Profil_Wochenende']: '[]',
+        [VORHERSAGE]: '[]',
+        [AUSSEN]: 18,
+    });
+    await sb.setzeState(VORHERSAGE, vorhersage(sb, () => ({ aussenTemp: 18 })));
+    await sb.vorspulen(1000);
+
+    const einzeln = sb.wert(PLAN + 'Brennerlaufzeit_Ohne_Abstimmung');
+    const abgestimmt = sb.wert(PLAN + 'Brennerlaufzeit');
+    assert.ok(abgestimmt < einzeln - 0.4, `${abgestimmt} / ${einzeln}`);
+    assert.match(sb.logsMit('Plan fuer 24 h erstellt').at(-1).msg, /\(abgestimmt, einzeln /);
+
+    // Die Kueche heizt waehrend des Bad-Slots vor, der Bad-Plan bleibt unveraendert
+    const k = JSON.parse(sb.wert(PLAN + 'Kueche.Plan'));
+    assert.strictEqual(k.abgestimmt, true);
+    assert.ok(schrittUm(k, '06:30').ventil > 0 && schrittUm(k, '06:30').soll > 21.0);
+    assert.strictEqual(schrittUm(k, '03:00').soll, 21.0);
+    assert.strictEqual(schrittUm(plan(sb), '04:00').soll, 21.0);
+    // temp gilt am Rasterende, also gegen die Komfortgrenze des naechsten Rasters
+    k.schritte.forEach((s, i) => {
+        if (i + 1 < k.schritte.length) assert.ok(s.temp >= k.schritte[i + 1].komfortMin - 0.01, `${new Date(s.beginn).toString()}: ${s.temp}`);
+        assert.ok(s.soll <= s.komfortMin + 2.0);
+    });
+    assert.strictEqual(k.komfortDefizit, 0);
+});
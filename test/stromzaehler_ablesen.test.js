@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/50_Energie_Verbrauch/Stromzähler/stromzähler_ablesen.js
+ * (Erst-Start-Kompensation, Reset-Erkennung, Periodenwechsel, Zaehlerwechsel).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/50_Energie_Verbrauch/Stromzähler/stromzähler_ablesen.js';
+const ENERGY = 'zigbee2mqtt.0.0x0015bc001b10168f.energy';
+const POWER = 'zigbee2mqtt.0.0x0015bc001b10168f.load_power';
+const PFAD = '0_userdata.0.Haushalt.Strom.';
+
+// Der Startoffset wird vom Benutzer einmalig eingetragen (Anlage erfolgt mit 0)
+async function starte(zeit, energie = 120.0, states = {}) {
+    const sb = erstelleSandbox({
+        zeit,
+        states: { [ENERGY]: energie, [POWER]: 250, [PFAD + 'Strom_Zaehler_Startoffset']: 9863, ...states },
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    return sb;
+}
+
+/** Neuer Rohwert vom Sensor; Batch-Timer (100 ms) und State-Cache (5 s) abwarten. */
+async function sensor(sb, kwh) {
+    await sb.setzeState(ENERGY, kwh);
+    await sb.vorspulen(6000);
+}
+
+test('Erst-Start kompensiert den internen Sensorzaehler auf den Startoffset', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Geraete_Offset'), -120);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9863);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Referenz_heute'), 9863);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_heute'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_aktuell'), 250);
+    assert.strictEqual(sb.logsMit('erfolgreich gestartet').length, 1);
+});
+
+test('Verbrauch wird fuer alle Perioden fortgeschrieben', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 121.5);
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9864.5);
+    for (const ziel of ['heute', 'Woche', 'Monat', 'Kalenderjahr', 'letzte_Ablesung']) {
+        assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_' + ziel), 1.5, ziel);
+    }
+});
+
+test('unrealistischer Sprung nach oben wird verworfen', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 130.0);
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9863);
+    assert.strictEqual(sb.logsMit('Unrealistischer Sprung', 'warn').length, 1);
+});
+
+test('Sensor-Reset wird erst nach Bestaetigung per Offset ausgeglichen', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 121.0);
+
+    // Erster kleiner Wert: nur Verdacht, Zaehlerstand bleibt stehen
+    await sensor(sb, 0.2);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9864);
+    assert.strictEqual(sb.logsMit('Warte auf Bestätigung', 'warn').length, 1);
+
+    // Zweiter kleiner Wert bestaetigt den Reset; Bezug ist der letzte Rohwert VOR dem Verdacht
+    await sensor(sb, 0.3);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Geraete_Offset'), 0.7);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9864);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Metriken_Resets_erkannt'), 1);
+});
+
+test('Tageswechsel um 23:59:59 schichtet heute nach gestern um', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 123.25);
+    await sb.vorspulenBis('2026-03-11T00:00:30');
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_gestern'), 3.25);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_heute'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Referenz_heute'), 9866.25);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Letztes_Speicher_Datum'), '2026-03-10');
+    // Woche/Monat laufen weiter
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_Woche'), 3.25);
+});
+
+test('Monatswechsel nur am letzten Tag des Monats', async () => {
+    const sb = await starte('2026-03-30T12:00:00');
+    await sensor(sb, 122.0);
+    await sb.vorspulenBis('2026-03-31T00:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_letzter_Monat'), 0);
+
+    await sb.vorspulenBis('2026-04-01T00:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_letzter_Monat'), 2);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_Monat'), 0);
+});
+
+test('Zaehlerwechsel verschiebt Startoffset und Referenzen, Verbraeuche bleiben', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 122.0);
+
+    await sb.setzeState(PFAD + 'Strom_Zaehlerwechsel_Neuer_Wert', 100, false);
+    await sb.setzeState(PFAD + 'Strom_Zaehlerwechsel_Trigger', true, false);
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 100);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehler_Startoffset'), 98);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Referenz_heute'), 98);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerwechsel_Trigger'), false);
+
+    await sb.vorspulen(6000);
+    await sensor(sb, 122.5);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 100.5);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_heute'), 2.5);
+});
+
+test('manuelle Ablesung setzt die Ablese-Referenz zurueck', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sensor(sb, 121.0);
+    await sb.setzeState(PFAD + 'Strom_Ablesung_Trigger', true, false);
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Referenz_Ablesung'), 9864);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Verbrauch_letzte_Ablesung'), 0);
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Ablesung_Trigger'), false);
+});
+
+test('onStop meldet alle Subscriptions ab', async () => {
+    const sb = await starte('2026-03-10T12:00:00');
+    await sb.stoppe();
+    await sensor(sb, 121.0);
+
+    assert.strictEqual(sb.wert(PFAD + 'Strom_Zaehlerstand'), 9863);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/10_System/Anwesenheit/urlaubsmodus.js
+ * (Datumsformate, Phasen geplant/urlaub/vorheizen/aus, erwartete Ankunft fuer
+ * die Raumsteuerung, Abbruch und Eingabefehler).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/10_System/Anwesenheit/urlaubsmodus.js';
+const PFAD = '0_userdata.0.Urlaub.';
+const ANKUNFT = '0_userdata.0.Heizung.Vorheizen.Erwartete_Ankunft';
+
+async function starte(states = {}) {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T10:00:00', states: { [ANKUNFT]: 0, ...states } });
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(1000);
+    return sb;
+}
+
+test('ohne Eintrag bleibt der Urlaubsmodus aus', async () => {
+    const sb = await starte();
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'aus');
+    assert.strictEqual(sb.wert(PFAD + 'Aktiv'), false);
+    assert.strictEqual(sb.wert(PFAD + 'EcoTemp'), 15.0);
+    assert.strictEqual(sb.wert(PFAD + 'Status'), 'kein Urlaub');
+});
+
+test('Phasen: geplant, Urlaub, Vorheizen mit erwarteter Ankunft, Rueckkehr', async () => {
+    const sb = await starte();
+    await sb.setzeState(PFAD + 'Start', '2026-01-15', false);
+    await sb.setzeState(PFAD + 'Ende', '17.01.2026', false);
+    const rueckkehr = new Date('2026-01-17T16:00:00').getTime();
+    assert.strictEqual(sb.state(PFAD + 'Ende').ack, true);
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'geplant');
+    assert.strictEqual(sb.wert(PFAD + 'Rueckkehr'), rueckkehr);
+    assert.strictEqual(sb.wert(PFAD + 'Status'), 'Urlaub geplant (15.01.2026, 00:00 bis 17.01.2026, 16:00)');
+
+    await sb.vorspulenBis('2026-01-15T00:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'urlaub');
+    assert.strictEqual(sb.wert(PFAD + 'Aktiv'), true);
+    assert.match(sb.nachrichtenAn('pushover')[0].nachricht.message, /^Eco-Betrieb bis 17\.01\.2026, 16:00/);
+
+    // 6 h vor der Rueckkehr: Raumsteuerung regelt wieder, Vorheizen auf die Ankunft
+    await sb.vorspulenBis('2026-01-17T10:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'vorheizen');
+    assert.strictEqual(sb.wert(PFAD + 'Aktiv'), false);
+    assert.strictEqual(sb.wert(ANKUNFT), rueckkehr);
+
+    await sb.vorspulenBis('2026-01-17T16:00:30');
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'aus');
+    assert.strictEqual(sb.wert(ANKUNFT), rueckkehr);
+    assert.deepStrictEqual(sb.nachrichtenAn('pushover').map(n => n.nachricht.title),
+        ['Urlaubsmodus aktiv', 'Urlaubsmodus: Vorheizen', 'Urlaubsmodus beendet']);
+});
+
+test('Abbruch im Vorheizen nimmt die eigene Ankunft zurueck', async () => {
+    const sb = await starte({ [PFAD + 'Start']: '2026-01-10', [PFAD + 'Ende']: '2026-01-14 14:00' });
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'vorheizen');
+    assert.strictEqual(sb.wert(ANKUNFT), new Date('2026-01-14T14:00:00').getTime());
+    // Beim Start wird der Zustand nur uebernommen, nicht gemeldet
+    assert.strictEqual(sb.nachrichtenAn('pushover').length, 0);
+
+    await sb.setzeState(PFAD + 'Ende', '', false);
+    assert.strictEqual(sb.wert(PFAD + 'Phase'), 'aus');
+    assert.strictEqual(sb.wert(ANKUNFT), 0);
+});
+
+test('unlesbare oder widerspruechliche Eingaben schalten nichts', async () => {
+    const sb = await starte({ [PFAD + 'Start']: '2026-01-12', [PFAD + 'Ende']: '2026-01-11' });
+    assert.strictEqual(sb.wert(PFAD + 'Status'), 'FEHLER: Ende liegt nicht nach dem Start');
+    assert.strictEqual(sb.wert(PFAD + 'Aktiv'), false);
+
+    await sb.setzeState(PFAD + 'Ende', '31.02.2026', false);
+    assert.strictEqual(sb.wert(PFAD + 'Status'), 'FEHLER: Ende nicht lesbar');
+    assert.strictEqual(sb.wert(PFAD + 'Rueckkehr'), 0);
+    assert.strictEqual(sb.logsMit('nicht lesbar', 'warn').length, 1);
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Regressionstests fuer iobroker/30_Heizung_Klima/KI_Lernprozess/waermemodell_lerner.js
+ * (Anpassung des RC-Modells aus der Historie, veroeffentlichte Kennwerte)
+ * und iobroker/global/heizung_waermemodell.js (Vorhersage, Zeit bis Zielwert).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { erstelleSandbox } = require('./harness/iobroker_sandbox');
+
+const SKRIPT = 'iobroker/30_Heizung_Klima/KI_Lernprozess/waermemodell_lerner.js';
+const WOHNZIMMER = 'hm-rpc.2.INT0000005.1';
+const AUSSEN = 'hm-rpc.0.0010DBE98CEC7B.1.ACTUAL_TEMPERATURE';
+const SOLAR_SUED = '0_userdata.0.Heizung.Analyse.Wetter_Heizunterstuetzung_Solar_Sued';
+const PFAD = '0_userdata.0.Heizung.Waermemodell.Wohnzimmer.';
+
+// tau = 20 h, 4 °C/h bei offenem Ventil, 1.5 °C/h bei voller Sonne
+const WAHR = { a: 0.05, b: 4, c: 1.5 };
+
+/**
+ * Simuliert 14 Tage im Minutentakt (P-Regler am Ventil, Sollwert-Absenkung nachts)
+ * und liefert wie InfluxDB mit aggregate 'average' Mittelwerte je 15-Minuten-Raster.
+ */
+function historie(ende) {
+    const start = ende - 14 * 24 * 3600000;
+    const reihen = { ist: [], ventil: [], aussen: [], solar: [] };
+    const summe = { ist: 0, ventil: 0, aussen: 0, solar: 0 };
+    let temp = 20;
+    for (let t = start, i = 0; t < ende; t += 60000, i++) {
+        const stunde = (t - start) / 3600000;
+        const aussen = 3 + 5 * Math.sin((2 * Math.PI * stunde) / 24) + 3 * Math.sin((2 * Math.PI * stunde) / 97);
+        const solar = Math.max(0, Math.sin((2 * Math.PI * (stunde - 6)) / 24)) * (0.5 + 0.5 * Math.sin(stunde / 13));
+        const soll = stunde % 24 >= 6 && stunde % 24 < 22 ? 21 : 17;
+        const ventil = Math.max(0, Math.min(1, 0.3 + 0.8 * (soll - temp)));
+        Object.entries({ ist: temp, ventil, aussen, solar }).forEach(([k, v]) => { summe[k] += v; });
+        if (i % 15 === 14) {
+            for (const k of Object.keys(reihen)) {
+                reihen[k].push({ ts: t - 14 * 60000, val: summe[k] / 15 });
+                summe[k] = 0;
+            }
+        }
+        temp += (1 / 60) * (WAHR.a * (aussen - temp) + WAHR.b * ventil + WAHR.c * solar);
+    }
+    return reihen;
+}
+
+test('Lerner schaetzt Zeitkonstante, Heizleistung und Solargewinn aus der Historie', async () => {
+    const sb = erstelleSandbox({ zeit: '2026-01-14T04:00:00' });
+    const reihen = historie(sb.jetzt() + 90000);
+    const serien = {
+        [`${WOHNZIMMER}.ACTUAL_TEMPERATURE`]: reihen.ist,
+        [`${WOHNZIMMER}.LEVEL`]: reihen.ventil,
+        [AUSSEN]: reihen.aussen,
+        [SOLAR_SUED]: reihen.solar,
+    };
+    sb.beantworte('influxdb.0', (befehl, { id, options }) => ({
+        result: (serien[id] || []).filter(p => p.ts >= options.start && p.ts <= options.end),
+    }));
+
+    sb.ladeSkript(SKRIPT);
+    await sb.vorspulen(91000);
+
+    const modell = JSON.parse(sb.wert(PFAD + 'Modell'));
+    assert.ok(Math.abs(modell.a - WAHR.a) / WAHR.a < 0.05, `a=${modell.a}`);
+    assert.ok(Math.abs(modell.b - WAHR.b) / WAHR.b < 0.05, `b=${modell.b}`);
+    assert.ok(Math.abs(modell.c - WAHR.c) / WAHR.c < 0.1, `c=${modell.c}`);
+    assert.ok(Math.abs(sb.wert(PFAD + 'Zeitkonstante') - 20) < 1);
+    assert.ok(Math.abs(sb.wert(PFAD + 'Verlustkoeffizient') - 1.25) < 0.1);   // 100 * 0.05 / 4 %/K
+    assert.ok(Math.abs(sb.wert(PFAD + 'Solargewinn') - 30) < 3);              // 1.5 / 0.05 °C
+    assert.strictEqual(modell.ids.ventil, `${WOHNZIMMER}.LEVEL`);
+
+    // Andere Raeume ohne Historie behalten ihr (leeres) Modell
+    assert.strictEqual(sb.wert('0_userdata.0.Heizung.Waermemodell.Kueche.Modell'), '');
+    assert.ok(sb.logsMit('Kueche: Historie unvollstaendig').length + sb.logsMit('Kueche: nur 0 Stichproben').length > 0);
+});
+
+test('Vorhersage in N Stunden und Zeit bis Zielwert aus dem veroeffentlichten Modell', async () => {
+    const sb = erstelleSandbox({
+        zeit: '2026-01-14T04:00:00',
+        states: {
+            [PFAD + 'Modell']: JSON.stringify({ ...WAHR, ids: { raumTemp: `${WOHNZIMMER}.ACTUAL_TEMPERATURE`, ventil: `${WOHNZIMMER}.LEVEL`, aussenTemp: AUSSEN } }),
+            [`${WOHNZIMMER}.ACTUAL_TEMPERATURE`]: 20,
+            [`${WOHNZIMMER}.LEVEL`]: 0,
+            [AUSSEN]: 0,
+        },
+    });
+    sb.ladeSkript(SKRIPT);
+    await sb.leeren();
+    const modell = vm.runInContext('HeizungWaermemodell', sb.kontext);
+
+    // Ventil zu: exponentielles Auskuehlen, T(3h) = 20 * e^(-0.15)
+    const ohneHeizung = await modell.vorhersage('Wohnzimmer', 3);
+    assert.ok(Math.abs(ohneHeizung - 20 * Math.exp(-0.15)) < 0.1, String(ohneHeizung));
+    // Stuendliche Prognose und offenes Ventil
+    assert.ok((await modell.vorhersage('Wohnzimmer', 3, { ventil: 1, aussenTemp: [0, -2, -4] })) > 20);
+    assert.strictEqual(await modell.vorhersage('Kueche', 3), null);
+
+    // Analytische Aufheizdauer passt zur Simulation
+    const stunden = modell.zeitBisZiel(WAHR, { startTemp: 17, zielTemp: 21, aussenTemp: 0 });
+    const simuliert = modell.simuliere(WAHR, { startTemp: 17, stunden, aussenTemp: 0, ventil: 1, schrittMinuten: 1 });
+    assert.ok(Math.abs(simuliert.temp - 21) < 0.05, String(simuliert.temp));
+    // Stationaer bei offenem Ventil 0 + 4 / 0.05 = 80 °C, ohne Heizung nie
+    assert.strictEqual(modell.zeitBisZiel(WAHR, { startTemp: 17, zielTemp: 21, aussenTemp: 0, ventil: 0 }), null);
+});